@@ -1,13 +1,63 @@
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Dashboard from './components/Dashboard';
 import EventLog from './components/EventLog';
+import DeadLetterQueue from './components/DeadLetterQueue';
+import FinancialReport from './components/FinancialReport';
+import PendingApprovals from './components/PendingApprovals';
+import Login from './components/Login';
+import { getSession, fetchCurrentUser, logout, setupAuthInterceptors } from './auth';
 import './App.css';
 
 
 
 function App() {
   const [activeView, setActiveView] = useState('dashboard');
+  const [user, setUser] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(true);
+  const [loginNotice, setLoginNotice] = useState(null);
+
+  useEffect(() => {
+    const removeInterceptors = setupAuthInterceptors(() => {
+      setUser(null);
+      setLoginNotice('Your session has expired. Please sign in again.');
+    });
+
+    if (getSession()) {
+      fetchCurrentUser()
+        .then(setUser)
+        .catch(() => setUser(null))
+        .finally(() => setCheckingSession(false));
+    } else {
+      setCheckingSession(false);
+    }
+
+    return removeInterceptors;
+  }, []);
+
+  const handleLogin = (loggedInUser) => {
+    setLoginNotice(null);
+    setActiveView('dashboard');
+    setUser(loggedInUser);
+  };
+
+  const handleLogout = async () => {
+    if (!window.confirm('Sign out?')) return;
+    await logout().catch(() => {});
+    setUser(null);
+  };
+
+  if (checkingSession) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Login onLogin={handleLogin} notice={loginNotice} />;
+  }
 
   return (
     <div className="app-container">
@@ -52,10 +102,42 @@ function App() {
               </svg>
               <span>Event Log</span>
             </button>
+            <button
+              className={`nav-link ${activeView === 'deadLetters' ? 'active' : ''}`}
+              onClick={() => setActiveView('deadLetters')}
+            >
+              <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
+                <path d="M3 5C3 4.44772 3.44772 4 4 4H16C16.5523 4 17 4.44772 17 5V15C17 15.5523 16.5523 16 16 16H4C3.44772 16 3 15.5523 3 15V5Z" stroke="currentColor" strokeWidth="1.5"/>
+                <path d="M3 5L10 11L17 5" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/>
+              </svg>
+              <span>Dead Letters</span>
+            </button>
+            <button
+              className={`nav-link ${activeView === 'financialReport' ? 'active' : ''}`}
+              onClick={() => setActiveView('financialReport')}
+            >
+              <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
+                <path d="M4 16V10M8 16V6M12 16V9M16 16V4" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+              </svg>
+              <span>Financial Report</span>
+            </button>
+            <button
+              className={`nav-link ${activeView === 'approvals' ? 'active' : ''}`}
+              onClick={() => setActiveView('approvals')}
+            >
+              <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
+                <path d="M4 10L8 14L16 6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+              <span>Approvals</span>
+            </button>
           </div>
 
           <div className="nav-actions">
-            <button className="nav-user">
+            <span className="nav-user-name">
+              {user.name}
+              <span className="nav-user-role">{user.role}</span>
+            </span>
+            <button className="nav-user" onClick={handleLogout} title="Sign out">
               <div className="user-avatar">
                 <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
                   <circle cx="10" cy="7" r="3" fill="currentColor"/>
@@ -70,7 +152,11 @@ function App() {
       {/* Main Content */}
       <main className="app-main">
         <div className="content-wrapper">
-          {activeView === 'dashboard' ? <Dashboard /> : <EventLog />}
+          {activeView === 'dashboard' && <Dashboard />}
+          {activeView === 'events' && <EventLog />}
+          {activeView === 'deadLetters' && <DeadLetterQueue />}
+          {activeView === 'financialReport' && <FinancialReport />}
+          {activeView === 'approvals' && <PendingApprovals user={user} />}
         </div>
       </main>
     </div>
@@ -0,0 +1,121 @@
+import axios from 'axios';
+
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '';
+const STORAGE_KEY = 'verisage.auth';
+
+// ============================================================================
+// TOKEN STORAGE
+// ============================================================================
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const saveSession = (session) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+// ============================================================================
+// API CALLS
+// ============================================================================
+export const login = async (username, password) => {
+  const response = await axios.post(`${API_BASE_URL}/api/v1/auth/login`, { username, password });
+  saveSession(response.data.data);
+  return response.data.data.user;
+};
+
+export const logout = async () => {
+  try {
+    await axios.post(`${API_BASE_URL}/api/v1/auth/logout`);
+  } finally {
+    clearSession();
+  }
+};
+
+export const fetchCurrentUser = async () => {
+  const response = await axios.get(`${API_BASE_URL}/api/v1/auth/me`);
+  return response.data.data;
+};
+
+// Concurrent 401s share a single refresh request
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const session = getSession();
+
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/api/v1/auth/refresh`, { refreshToken: session?.refreshToken })
+      .then((response) => {
+        saveSession(response.data.data);
+        return response.data.data.accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// ============================================================================
+// AXIOS INTERCEPTORS
+// ============================================================================
+
+// A 401 from these is final; any other call (including /auth/me) refreshes first
+const SESSION_ENDPOINTS = ['/api/v1/auth/login', '/api/v1/auth/refresh', '/api/v1/auth/logout'];
+
+/**
+ * Attach the access token to every request and refresh it once on 401
+ * @param {Function} onSessionExpired - Called when the session cannot be refreshed
+ * @returns {Function} - Removes the interceptors
+ */
+export const setupAuthInterceptors = (onSessionExpired) => {
+  const requestInterceptor = axios.interceptors.request.use((config) => {
+    const session = getSession();
+    if (session?.accessToken && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${session.accessToken}`;
+    }
+    return config;
+  });
+
+  const responseInterceptor = axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+      const isAuthCall = SESSION_ENDPOINTS.some(path => config?.url?.includes(path));
+
+      if (response?.status !== 401 || isAuthCall || config._retried || !getSession()?.refreshToken) {
+        if (response?.status === 401 && !config?.url?.includes('/api/v1/auth/login')) {
+          clearSession();
+          onSessionExpired();
+        }
+        return Promise.reject(error);
+      }
+
+      try {
+        const accessToken = await refreshSession();
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${accessToken}`;
+        return axios(config);
+      } catch (refreshError) {
+        clearSession();
+        onSessionExpired();
+        return Promise.reject(error);
+      }
+    }
+  );
+
+  return () => {
+    axios.interceptors.request.eject(requestInterceptor);
+    axios.interceptors.response.eject(responseInterceptor);
+  };
+};
@@ -17,6 +17,8 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
 const Dashboard = () => {
   const [status, setStatus] = useState(null);
   const [stats, setStats] = useState(null);
+  const [reconciliation, setReconciliation] = useState(null);
+  const [reconciling, setReconciling] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -30,9 +32,10 @@ const Dashboard = () => {
     try {
       console.log('🔄 Fetching dashboard data from:', API_BASE_URL);
       
-      const [statusRes, statsRes] = await Promise.all([
+      const [statusRes, statsRes, reconciliationRes] = await Promise.all([
         axios.get(`${API_BASE_URL}/api/v1/admin/status`),
-        axios.get(`${API_BASE_URL}/api/v1/events/stats/summary`)
+        axios.get(`${API_BASE_URL}/api/v1/events/stats/summary`),
+        axios.get(`${API_BASE_URL}/api/v1/reconciliation/reports/latest`)
       ]);
       
       // console.log('✅ Status response:', statusRes.data);
@@ -40,6 +43,7 @@ const Dashboard = () => {
       
       setStatus(statusRes.data.status);
       setStats(statsRes.data.data);
+      setReconciliation(reconciliationRes.data.data);
       setLoading(false);
       setError(null); // Clear any previous errors
       
@@ -60,6 +64,25 @@ const Dashboard = () => {
     }
   };
 
+  const runReconciliation = async () => {
+    setReconciling(true);
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/v1/reconciliation/run`);
+
+      if (response.data.success) {
+        alert(`Reconciliation started (${response.data.data.reportId}). Results will appear here when it completes.`);
+        fetchDashboardData();
+      } else {
+        throw new Error(response.data.error || 'Failed to start reconciliation');
+      }
+    } catch (err) {
+      alert('Failed to start reconciliation: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setReconciling(false);
+    }
+  };
+
   // ============================================================================
   // LOADING STATE
   // ============================================================================
@@ -225,6 +248,13 @@ const Dashboard = () => {
         />
       </div>
 
+      {/* Reconciliation */}
+      <ReconciliationSummary
+        report={reconciliation}
+        onRun={runReconciliation}
+        running={reconciling || reconciliation?.status === 'running'}
+      />
+
       {/* Quick Actions */}
       <div className="section-card">
         <h3 className="section-title">Quick Actions</h3>
@@ -317,10 +347,98 @@ const ActionButton = ({ label, description, onClick }) => {
   );
 };
 
+const ReconciliationSummary = ({ report, onRun, running }) => {
+  const summary = report?.summary || {};
+  const attention = report?.results || [];
+
+  const outcomeBadge = {
+    discrepancy: 'status-amber',
+    missing: 'status-red',
+    error: 'status-gray'
+  };
+
+  return (
+    <div className="section-card">
+      <div className="section-header">
+        <h3 className="section-title">Sage X3 Reconciliation</h3>
+        <button onClick={onRun} className="btn-primary" disabled={running}>
+          {running ? 'Running...' : 'Run Now'}
+        </button>
+      </div>
+
+      {!report ? (
+        <div className="empty-state">
+          <p>No reconciliation has been run yet</p>
+        </div>
+      ) : (
+        <>
+          <p className="text-secondary">
+            Last run {format(new Date(report.startedAt), 'PPpp')} ({report.trigger}) - {report.status}
+            {report.errorMessage && `: ${report.errorMessage}`}
+          </p>
+
+          <div className="stats-grid">
+            <StatCard title="Checked" value={summary.checked || 0} subtitle="Transactions compared" color="blue" />
+            <StatCard title="Matched" value={summary.matched || 0} subtitle="Auto-verified" color="green" />
+            <StatCard
+              title="Discrepancies"
+              value={(summary.discrepancies || 0) + (summary.missing || 0)}
+              subtitle="Mismatched or missing in X3"
+              trend={(summary.discrepancies || 0) + (summary.missing || 0) > 0 ? 'alert' : null}
+              color="red"
+            />
+            <StatCard title="Errors" value={summary.errors || 0} subtitle="Could not be checked" color="amber" />
+          </div>
+
+          {attention.length > 0 && (
+            <div className="table-container">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Transaction</th>
+                    <th>Document</th>
+                    <th>Outcome</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {attention.map((result) => (
+                    <tr key={result.transactionId}>
+                      <td>
+                        <code className="event-id">{result.transactionId}</code>
+                        <div className="text-secondary">{result.eventType}</div>
+                      </td>
+                      <td>{result.documentReference || '-'}</td>
+                      <td>
+                        <span className={`status-badge ${outcomeBadge[result.outcome] || 'status-gray'}`}>
+                          {result.outcome}
+                        </span>
+                      </td>
+                      <td className="text-secondary">
+                        {result.error && <div>{result.error}</div>}
+                        {(result.discrepancies || []).map((d) => (
+                          <div key={d.field}>
+                            <strong>{d.field}:</strong> expected {String(d.expected)}, X3 has {String(d.actual)}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
 const ActivityItem = ({ eventType, status, count }) => {
   const statusConfig = {
     synced: { icon: '✓', color: 'success', label: 'Synced' },
     failed: { icon: '✕', color: 'error', label: 'Failed' },
+    dead_lettered: { icon: '✕', color: 'error', label: 'Dead-lettered' },
     pending: { icon: '○', color: 'pending', label: 'Pending' },
     validated: { icon: '✓', color: 'info', label: 'Validated' },
     transformed: { icon: '↻', color: 'info', label: 'Transformed' },
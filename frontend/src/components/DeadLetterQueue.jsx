@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '';
+
+
+
+const DeadLetterQueue = () => {
+  const [events, setEvents] = useState([]);
+  const [unassignedCount, setUnassignedCount] = useState(0);
+  const [filter, setFilter] = useState({ view: 'all', assignee: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [filter.view]); // Re-fetch when the view changes
+
+  const fetchQueue = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = {};
+      if (filter.view === 'unassigned') params.unassigned = 'true';
+      if (filter.view === 'assignee' && filter.assignee) params.assignee = filter.assignee;
+
+      const response = await axios.get(`${API_BASE_URL}/api/v1/events/dead-letter/queue`, { params });
+
+      if (response.data.success) {
+        setEvents(response.data.data);
+        setUnassignedCount(response.data.unassigned || 0);
+      } else {
+        throw new Error('Failed to fetch dead-letter queue');
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load dead-letter queue');
+      setEvents([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (eventId, action, body, successMessage) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/v1/events/${eventId}/${action}`, body);
+
+      if (response.data.success) {
+        alert(successMessage);
+        fetchQueue();
+      } else {
+        throw new Error(response.data.error || 'Action failed');
+      }
+    } catch (err) {
+      alert('Action failed: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleAssign = (event) => {
+    const assignee = window.prompt('Assign to (leave empty to unassign):', event.triage?.assignee || '');
+    if (assignee === null) return;
+    runAction(event.eventId, 'assign', { assignee: assignee.trim() }, assignee.trim() ? 'Event assigned' : 'Event unassigned');
+  };
+
+  const handleNote = (event) => {
+    const note = window.prompt('Triage note:');
+    if (!note) return;
+    runAction(event.eventId, 'notes', { note }, 'Note added');
+  };
+
+  const handleResolve = (event, resolutionType) => {
+    const label = resolutionType === 'handled_in_x3' ? 'handled manually in Sage X3' : 'discarded';
+    const note = window.prompt(`Why is this event ${label}?`);
+    if (!note) return;
+    runAction(event.eventId, 'discard', { note, resolutionType }, `Event marked as ${label}`);
+  };
+
+  const handleRequeue = (event) => {
+    const note = window.prompt('What was fixed before requeueing?');
+    if (note === null) return;
+    runAction(event.eventId, 'requeue', { note: note || undefined }, 'Event requeued for processing');
+  };
+
+  const lastError = (event) => {
+    const errors = event.errors || [];
+    return errors.length > 0 ? errors[errors.length - 1] : null;
+  };
+
+  return (
+    <div className="event-log">
+      {/* Header */}
+      <div className="dashboard-header">
+        <div>
+          <h1 className="page-title">Dead-letter Queue</h1>
+          <p className="page-subtitle">
+            Events that will not be retried automatically and need a human decision
+          </p>
+        </div>
+        <div className="header-meta">
+          <span className="last-updated">{unassignedCount} unassigned</span>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="filter-panel">
+        <div className="filter-grid">
+          <div className="filter-group">
+            <label className="filter-label">Show</label>
+            <select
+              value={filter.view}
+              onChange={(e) => setFilter({ ...filter, view: e.target.value })}
+              className="filter-select"
+            >
+              <option value="all">All dead-lettered</option>
+              <option value="unassigned">Unassigned only</option>
+              <option value="assignee">Assigned to...</option>
+            </select>
+          </div>
+
+          {filter.view === 'assignee' && (
+            <div className="filter-group">
+              <label className="filter-label">Assignee</label>
+              <input
+                type="text"
+                value={filter.assignee}
+                onChange={(e) => setFilter({ ...filter, assignee: e.target.value })}
+                className="filter-input"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="filter-actions">
+          <button onClick={fetchQueue} className="btn-primary">
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Error Display */}
+      {error && (
+        <div className="error-container">
+          <h3>Error Loading Dead-letter Queue</h3>
+          <p>{error}</p>
+          <button onClick={fetchQueue} className="btn-primary">Retry</button>
+        </div>
+      )}
+
+      {/* Queue Table */}
+      {!error && (
+        <div className="table-container">
+          {loading ? (
+            <div className="table-loading">
+              <div className="spinner"></div>
+              <p>Loading dead-letter queue...</p>
+            </div>
+          ) : events.length === 0 ? (
+            <div className="empty-state">
+              <h3>Nothing to triage</h3>
+              <p>No dead-lettered events match this view</p>
+            </div>
+          ) : (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Event ID</th>
+                  <th>Type</th>
+                  <th>Reason</th>
+                  <th>Dead-lettered</th>
+                  <th>Assignee</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <tr key={event.eventId}>
+                    <td>
+                      <code className="event-id">{event.eventId}</code>
+                    </td>
+                    <td>
+                      <span className="event-type">{event.eventType}</span>
+                    </td>
+                    <td className="text-secondary">
+                      <div>{event.deadLetterReason}</div>
+                      {lastError(event) && (
+                        <div><strong>{lastError(event).type}:</strong> {lastError(event).message}</div>
+                      )}
+                      {event.triage?.notes?.length > 0 && (
+                        <div>{event.triage.notes.length} note(s)</div>
+                      )}
+                    </td>
+                    <td className="text-secondary">
+                      {event.deadLetteredAt ? format(new Date(event.deadLetteredAt), 'MMM d, yyyy HH:mm') : '-'}
+                    </td>
+                    <td>
+                      {event.triage?.assignee
+                        ? event.triage.assignee
+                        : <span className="status-badge status-amber">Unassigned</span>}
+                    </td>
+                    <td>
+                      <div className="table-actions">
+                        <button onClick={() => handleAssign(event)} className="btn-text">Assign</button>
+                        <button onClick={() => handleNote(event)} className="btn-text">Note</button>
+                        <button onClick={() => handleRequeue(event)} className="btn-text">Requeue</button>
+                        <button onClick={() => handleResolve(event, 'handled_in_x3')} className="btn-text">Handled in X3</button>
+                        <button onClick={() => handleResolve(event, 'discarded')} className="btn-text">Discard</button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+
+export default DeadLetterQueue;
@@ -26,6 +26,7 @@ const EventLog = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedEvent, setSelectedEvent] = useState(null);
+  const [replayEvent, setReplayEvent] = useState(null);
 
   useEffect(() => {
     fetchEvents();
@@ -156,6 +157,8 @@ const EventLog = () => {
               <option value="transformed">Transformed</option>
               <option value="synced">Synced</option>
               <option value="failed">Failed</option>
+              <option value="dead_lettered">Dead-lettered</option>
+              <option value="resolved">Resolved</option>
               <option value="reversed">Reversed</option>
             </select>
           </div>
@@ -341,6 +344,22 @@ const EventLog = () => {
         <EventDetailsModal
           event={selectedEvent}
           onClose={() => setSelectedEvent(null)}
+          onEditPayload={() => {
+            setReplayEvent(selectedEvent.event);
+            setSelectedEvent(null);
+          }}
+        />
+      )}
+
+      {/* Edit & Replay Modal */}
+      {replayEvent && (
+        <ReplayPayloadModal
+          event={replayEvent}
+          onClose={() => setReplayEvent(null)}
+          onReplayed={() => {
+            setReplayEvent(null);
+            fetchEvents();
+          }}
         />
       )}
     </div>
@@ -355,6 +374,8 @@ const StatusBadge = ({ status }) => {
     transformed: { label: 'Transformed', color: 'purple' },
     synced: { label: 'Synced', color: 'green' },
     failed: { label: 'Failed', color: 'red' },
+    dead_lettered: { label: 'Dead-lettered', color: 'darkred' },
+    resolved: { label: 'Resolved', color: 'gray' },
     reversed: { label: 'Reversed', color: 'amber' }
   };
 
@@ -368,7 +389,10 @@ const StatusBadge = ({ status }) => {
 };
 
 // Event Details Modal Component
-const EventDetailsModal = ({ event, onClose }) => {
+const EventDetailsModal = ({ event, onClose, onEditPayload }) => {
+  const canEdit = ['failed', 'dead_lettered'].includes(event.event.status);
+
+
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
@@ -399,9 +423,54 @@ const EventDetailsModal = ({ event, onClose }) => {
               {event.event.retryCount > 0 && (
                 <DetailItem label="Retry Count" value={event.event.retryCount} />
               )}
+              {event.event.retryScheduledFor && (
+                <DetailItem 
+                  label="Next Retry" 
+                  value={format(new Date(event.event.retryScheduledFor), 'PPpp')} 
+                />
+              )}
+              {event.event.failureClass && (
+                <DetailItem label="Failure Class" value={event.event.failureClass} />
+              )}
+              {event.event.deadLetterReason && (
+                <DetailItem label="Dead-letter Reason" value={event.event.deadLetterReason} />
+              )}
             </div>
           </div>
 
+          {/* Triage */}
+          {event.event.triage && (event.event.triage.assignee || event.event.triage.resolutionType || event.event.triage.notes?.length > 0) && (
+            <div className="detail-section">
+              <h3 className="detail-heading">Triage</h3>
+              <div className="detail-grid">
+                <DetailItem label="Assignee" value={event.event.triage.assignee || 'Unassigned'} />
+                {event.event.triage.resolutionType && (
+                  <DetailItem label="Resolution" value={event.event.triage.resolutionType} />
+                )}
+                {event.event.triage.resolutionNote && (
+                  <DetailItem label="Resolution Note" value={event.event.triage.resolutionNote} />
+                )}
+                {event.event.triage.resolvedBy && (
+                  <DetailItem label="Resolved By" value={event.event.triage.resolvedBy} />
+                )}
+              </div>
+              {event.event.triage.notes?.length > 0 && (
+                <div className="validation-errors">
+                  {event.event.triage.notes.map((note, i) => (
+                    <div key={i} className="error-item">
+                      <strong>{note.by}:</strong> {note.note}
+                      {note.at && (
+                        <span className="error-time">
+                          {' '}({format(new Date(note.at), 'PPpp')})
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Validation */}
           {event.event.validationResult && (
             <div className="detail-section">
@@ -462,11 +531,31 @@ const EventDetailsModal = ({ event, onClose }) => {
           {/* Raw Payload */}
           <div className="detail-section">
             <h3 className="detail-heading">Raw Payload</h3>
+            {canEdit && (
+              <button onClick={onEditPayload} className="btn-primary">
+                Edit &amp; Replay
+              </button>
+            )}
             <pre className="code-block">
               {JSON.stringify(event.event.rawPayload, null, 2)}
             </pre>
           </div>
 
+          {/* Payload Corrections */}
+          {event.event.payloadRevisions?.length > 0 && (
+            <div className="detail-section">
+              <h3 className="detail-heading">Payload Corrections</h3>
+              <div className="validation-errors">
+                {event.event.payloadRevisions.map((revision) => (
+                  <div key={revision.revision} className="error-item">
+                    <strong>Revision {revision.revision}</strong> by {revision.correctedBy}: {revision.reason}
+                    {' '}({revision.diff?.length || 0} change(s), {format(new Date(revision.correctedAt), 'PPpp')})
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Transformed Payload */}
           {event.event.transformedPayload && (
             <div className="detail-section">
@@ -508,6 +597,128 @@ const EventDetailsModal = ({ event, onClose }) => {
   );
 };
 
+// Edit & Replay Modal Component
+const ReplayPayloadModal = ({ event, onClose, onReplayed }) => {
+  const [payloadText, setPayloadText] = useState(JSON.stringify(event.rawPayload, null, 2));
+  const [reason, setReason] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const parsePayload = () => {
+    try {
+      return JSON.parse(payloadText);
+    } catch (err) {
+      setErrors([`Invalid JSON: ${err.message}`]);
+      return null;
+    }
+  };
+
+  const submit = async (dryRun) => {
+    setErrors([]);
+    setDiff(null);
+
+    const payload = parsePayload();
+    if (!payload) return;
+
+    if (!dryRun && !reason.trim()) {
+      setErrors(['Please give a reason for the correction']);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/v1/events/${event.eventId}/replay`, {
+        payload,
+        reason: reason.trim(),
+        dryRun
+      });
+
+      if (dryRun) {
+        setDiff(response.data.data.diff);
+      } else {
+        alert(`Payload corrected (revision ${response.data.data.revision}) and queued for replay`);
+        onReplayed();
+      }
+    } catch (err) {
+      setErrors(err.response?.data?.errors || [err.response?.data?.error || err.message]);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Edit &amp; Replay</h2>
+          <button onClick={onClose} className="modal-close">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
+              <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="detail-section">
+            <h3 className="detail-heading">Corrected Payload ({event.eventType})</h3>
+            <textarea
+              value={payloadText}
+              onChange={(e) => setPayloadText(e.target.value)}
+              className="code-block"
+              rows={20}
+              style={{ width: '100%' }}
+              spellCheck={false}
+            />
+          </div>
+
+          <div className="detail-section">
+            <label className="filter-label">Reason for correction</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="filter-input"
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          {errors.length > 0 && (
+            <div className="validation-errors">
+              <h4>Errors:</h4>
+              <ul>
+                {errors.map((error, i) => (
+                  <li key={i}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {diff && (
+            <div className="detail-section">
+              <h3 className="detail-heading">Changes ({diff.length})</h3>
+              <pre className="code-block">
+                {diff.length === 0
+                  ? 'No changes'
+                  : diff.map(change => `${change.op.padEnd(8)} ${change.path}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`).join('\n')}
+              </pre>
+            </div>
+          )}
+
+          <div className="filter-actions">
+            <button onClick={() => submit(true)} className="btn-text" disabled={submitting}>
+              Validate
+            </button>
+            <button onClick={() => submit(false)} className="btn-primary" disabled={submitting}>
+              Save &amp; Replay
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const DetailItem = ({ label, value, mono }) => (
   <div className="detail-item">
     <span className="detail-label">{label}</span>
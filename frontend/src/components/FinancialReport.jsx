@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '';
+
+const formatAmount = (value) =>
+  (value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+
+
+const FinancialReport = () => {
+  const [date, setDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, []); // Load today's report on mount
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/v1/reports/daily`, { params: { date } });
+
+      if (response.data.success) {
+        setReport(response.data.data);
+      } else {
+        throw new Error('Failed to fetch report');
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load report');
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadCsv = () => {
+    window.location.href = `${API_BASE_URL}/api/v1/reports/daily?date=${date}&format=csv`;
+  };
+
+  return (
+    <div className="event-log">
+      {/* Header */}
+      <div className="dashboard-header">
+        <div>
+          <h1 className="page-title">Daily Financial Report</h1>
+          <p className="page-subtitle">
+            Did every naira invoiced or paid in Indigo reach Sage X3?
+          </p>
+        </div>
+        {report && (
+          <div className="header-meta">
+            <span className={`status-badge ${report.balanced ? 'status-green' : 'status-red'}`}>
+              {report.balanced ? 'Balanced' : `${report.flags.length} variance(s)`}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="filter-panel">
+        <div className="filter-grid">
+          <div className="filter-group">
+            <label className="filter-label">Business Day</label>
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              className="filter-input"
+            />
+          </div>
+        </div>
+
+        <div className="filter-actions">
+          <button onClick={fetchReport} className="btn-primary">
+            Run Report
+          </button>
+          <button onClick={downloadCsv} className="btn-text">
+            Download CSV
+          </button>
+        </div>
+      </div>
+
+      {/* Error Display */}
+      {error && (
+        <div className="error-container">
+          <h3>Error Loading Report</h3>
+          <p>{error}</p>
+          <button onClick={fetchReport} className="btn-primary">Retry</button>
+        </div>
+      )}
+
+      {loading && (
+        <div className="table-loading">
+          <div className="spinner"></div>
+          <p>Generating report...</p>
+        </div>
+      )}
+
+      {!loading && !error && report && (
+        <>
+          {/* Variances */}
+          {report.flags.length > 0 && (
+            <div className="section-card">
+              <h3 className="section-title">Variances</h3>
+              <div className="validation-errors">
+                {report.flags.map((flag, index) => (
+                  <div key={index} className="error-item">
+                    <strong>{flag.message}</strong> (variance {formatAmount(flag.variance)} {report.currency})
+                  </div>
+                ))}
+              </div>
+              {report.unmatchedCancellations.length > 0 && (
+                <p className="text-secondary">
+                  {report.unmatchedCancellations.length} cancellation(s) could not be matched to an original invoice or payment
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="section-card">
+            <h3 className="section-title">By Category</h3>
+            <TotalsTable
+              label="Category"
+              currency={report.currency}
+              rows={Object.entries(report.summary).map(([category, totals]) => ({ key: category, totals }))}
+            />
+          </div>
+
+          <div className="section-card">
+            <h3 className="section-title">Payments by Method</h3>
+            <TotalsTable
+              label="Method"
+              currency={report.currency}
+              rows={report.byPaymentMethod.map((method) => ({ key: method.paymentMethod, totals: method }))}
+            />
+          </div>
+
+          <div className="section-card">
+            <h3 className="section-title">By Operator</h3>
+            <TotalsTable
+              label="Operator"
+              currency={report.currency}
+              rows={report.byOperator.flatMap((operator) =>
+                ['invoices', 'payments', 'cancellations']
+                  .filter((category) => operator[category].hms.count > 0)
+                  .map((category) => ({
+                    key: `${operator.operatorName} - ${category}`,
+                    totals: operator[category]
+                  }))
+              )}
+            />
+          </div>
+
+          <p className="text-secondary">
+            Generated {format(new Date(report.generatedAt), 'PPpp')}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ---------------------------------------------------------------------------
+// UI Components
+// ---------------------------------------------------------------------------
+
+const TotalsTable = ({ label, rows, currency }) => {
+  if (rows.length === 0) {
+    return (
+      <div className="empty-state">
+        <p>No activity</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="table-container">
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>{label}</th>
+            <th>Indigo ({currency})</th>
+            <th>Synced</th>
+            <th>Reversed</th>
+            <th>Failed</th>
+            <th>Resolved</th>
+            <th>Pending</th>
+            <th>Posted in X3</th>
+            <th>Variance</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ key, totals }) => (
+            <tr key={key}>
+              <td>{key}</td>
+              <td>{formatAmount(totals.hms.amount)} <span className="text-secondary">({totals.hms.count})</span></td>
+              <td>{formatAmount(totals.synced.amount)}</td>
+              <td>{formatAmount(totals.reversed.amount)}</td>
+              <td>{formatAmount(totals.failed.amount)}</td>
+              <td>{formatAmount(totals.resolved.amount)}</td>
+              <td>{formatAmount(totals.pending.amount)}</td>
+              <td>{formatAmount(totals.posted.amount)}</td>
+              <td>
+                <span className={`status-badge ${totals.flagged ? 'status-red' : 'status-green'}`}>
+                  {formatAmount(totals.variance)}
+                </span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+
+
+export default FinancialReport;
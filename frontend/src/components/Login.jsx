@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { login } from '../auth';
+
+
+
+const Login = ({ onLogin, notice }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const user = await login(username, password);
+      onLogin(user);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Login failed');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <div className="login-brand">
+          <svg width="40" height="40" viewBox="0 0 32 32" fill="none">
+            <rect x="4" y="4" width="24" height="24" rx="4" fill="currentColor" opacity="0.2"/>
+            <path d="M16 8L24 12V20L16 24L8 20V12L16 8Z" fill="currentColor"/>
+            <circle cx="16" cy="16" r="3" fill="white"/>
+          </svg>
+          <div>
+            <h1 className="brand-name">VeriSage X3</h1>
+            <p className="brand-subtitle">Sign in to the Integration Hub</p>
+          </div>
+        </div>
+
+        {notice && !error && <p className="login-notice">{notice}</p>}
+        {error && <p className="login-error">{error}</p>}
+
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="login-username">Username</label>
+          <input
+            id="login-username"
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="filter-input"
+            autoFocus
+            required
+          />
+        </div>
+
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="login-password">Password</label>
+          <input
+            id="login-password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="filter-input"
+            required
+          />
+        </div>
+
+        <button type="submit" className="btn-primary" disabled={submitting}>
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+
+
+export default Login;
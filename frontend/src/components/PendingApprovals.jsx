@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '';
+
+const STATUS_COLORS = {
+  pending: 'amber',
+  approved: 'blue',
+  completed: 'green',
+  rejected: 'gray',
+  failed: 'red'
+};
+
+
+
+const PendingApprovals = ({ user }) => {
+  const [requests, setRequests] = useState([]);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [status]); // Re-fetch when the status filter changes
+
+  const fetchRequests = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/v1/reversals`, { params: { status } });
+
+      if (response.data.success) {
+        setRequests(response.data.data);
+        setPendingCount(response.data.pending || 0);
+      } else {
+        throw new Error('Failed to fetch reversal requests');
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load reversal requests');
+      setRequests([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const decide = async (request, action) => {
+    const note = action === 'approve'
+      ? window.prompt(`Approve reversal of ${request.transactionId}? Optional note:`, '')
+      : window.prompt(`Why is this reversal rejected?`);
+
+    if (note === null) return;
+    if (action === 'reject' && !note) return;
+
+    setBusyId(request.requestId);
+
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/api/v1/reversals/${request.requestId}/${action}`,
+        { note: note || undefined }
+      );
+
+      alert(response.data.message);
+    } catch (err) {
+      const details = err.response?.data?.details ? `\n${err.response.data.details}` : '';
+      alert((err.response?.data?.error || err.message) + details);
+    } finally {
+      setBusyId(null);
+      fetchRequests();
+    }
+  };
+
+  const canDecide = (request) =>
+    ['pending', 'failed'].includes(request.status) &&
+    ['finance-approver', 'admin'].includes(user?.role) &&
+    request.requestedBy?.userId !== user?.id;
+
+  return (
+    <div className="event-log">
+      {/* Header */}
+      <div className="dashboard-header">
+        <div>
+          <h1 className="page-title">Pending Approvals</h1>
+          <p className="page-subtitle">
+            Transaction reversals need a second person before a credit note is posted to Sage X3
+          </p>
+        </div>
+        <div className="header-meta">
+          <span className="last-updated">{pendingCount} awaiting approval</span>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="filter-panel">
+        <div className="filter-grid">
+          <div className="filter-group">
+            <label className="filter-label">Status</label>
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="filter-select"
+            >
+              <option value="pending">Pending</option>
+              <option value="failed">Failed</option>
+              <option value="completed">Completed</option>
+              <option value="rejected">Rejected</option>
+              <option value="all">All</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="filter-actions">
+          <button onClick={fetchRequests} className="btn-primary">
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Error Display */}
+      {error && (
+        <div className="error-container">
+          <h3>Error Loading Approvals</h3>
+          <p>{error}</p>
+          <button onClick={fetchRequests} className="btn-primary">Retry</button>
+        </div>
+      )}
+
+      {/* Requests Table */}
+      {!error && (
+        <div className="table-container">
+          {loading ? (
+            <div className="table-loading">
+              <div className="spinner"></div>
+              <p>Loading reversal requests...</p>
+            </div>
+          ) : requests.length === 0 ? (
+            <div className="empty-state">
+              <h3>Nothing to approve</h3>
+              <p>No reversal requests match this filter</p>
+            </div>
+          ) : (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Transaction</th>
+                  <th>Amount</th>
+                  <th>Reason</th>
+                  <th>Requested</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {requests.map((request) => (
+                  <tr key={request.requestId}>
+                    <td>
+                      <code className="event-id">{request.transactionId}</code>
+                      <div className="text-secondary">{request.eventType} · {request.documentReference || '-'}</div>
+                    </td>
+                    <td>
+                      {(request.amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2 })} {request.currency}
+                    </td>
+                    <td className="text-secondary">{request.reason}</td>
+                    <td className="text-secondary">
+                      <div>{request.requestedBy?.userName || request.requestedBy?.userId}</div>
+                      <div>{format(new Date(request.requestedAt), 'MMM d, yyyy HH:mm')}</div>
+                    </td>
+                    <td>
+                      <span className={`status-badge status-${STATUS_COLORS[request.status] || 'gray'}`}>
+                        {request.status}
+                      </span>
+                      {request.decision?.userName && (
+                        <div className="text-secondary">by {request.decision.userName}</div>
+                      )}
+                      {request.decision?.note && <div className="text-secondary">{request.decision.note}</div>}
+                      {request.result?.error && <div className="text-secondary">{request.result.error}</div>}
+                    </td>
+                    <td>
+                      {canDecide(request) ? (
+                        <div className="table-actions">
+                          <button
+                            onClick={() => decide(request, 'approve')}
+                            className="btn-text"
+                            disabled={busyId === request.requestId}
+                          >
+                            Approve
+                          </button>
+                          <button
+                            onClick={() => decide(request, 'reject')}
+                            className="btn-text"
+                            disabled={busyId === request.requestId}
+                          >
+                            Reject
+                          </button>
+                        </div>
+                      ) : request.requestedBy?.userId === user?.id && request.status === 'pending' ? (
+                        <span className="text-secondary">Your request</span>
+                      ) : null}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+
+export default PendingApprovals;
@@ -0,0 +1,145 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+function getSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+}
+
+/**
+ * Whether a role meets the minimum required role
+ */
+function hasRole(role, minimumRole) {
+  const rank = User.ROLES.indexOf(role);
+  return rank !== -1 && rank >= User.ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Issue an access/refresh token pair for a user
+ */
+function issueTokens(user) {
+  const secret = getSecret();
+  const subject = user._id.toString();
+
+  const accessToken = jwt.sign(
+    { type: 'access', username: user.username, name: user.name, role: user.role },
+    secret,
+    { subject, expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const refreshToken = jwt.sign(
+    { type: 'refresh', version: user.tokenVersion },
+    secret,
+    { subject, expiresIn: REFRESH_TOKEN_TTL }
+  );
+
+  return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Verify a refresh token and load its user
+ * @returns {Promise<object|null>} - The user, or null if the token is no longer valid
+ */
+async function verifyRefreshToken(token) {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== 'refresh') {
+    return null;
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || !user.active || user.tokenVersion !== payload.version) {
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * Require a valid access token and set req.user
+ * The user is reloaded on every request, so deactivation and role changes
+ * apply at once rather than when the token expires.
+ */
+async function authenticate(req, res, next) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, getSecret());
+
+    if (payload.type !== 'access') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid access token'
+      });
+    }
+
+    const user = await User.findById(payload.sub).select('username name role active');
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        error: 'User is no longer active'
+      });
+    }
+
+    req.user = {
+      id: payload.sub,
+      username: user.username,
+      name: user.name,
+      role: user.role
+    };
+
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({
+        success: false,
+        error: error instanceof jwt.TokenExpiredError ? 'Access token expired' : 'Invalid access token'
+      });
+    }
+
+    logger.error('Authentication error:', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'Authentication is not available'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Require at least the given role (use after authenticate)
+ */
+function authorize(minimumRole) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user.role, minimumRole)) {
+      return res.status(403).json({
+        success: false,
+        error: `Requires ${minimumRole} role`
+      });
+    }
+    next();
+  };
+}
+
+
+
+module.exports = {
+  authenticate,
+  authorize,
+  hasRole,
+  issueTokens,
+  verifyRefreshToken
+};
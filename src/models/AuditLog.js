@@ -7,16 +7,25 @@ const auditLogSchema = new mongoose.Schema({
     required: true,
     enum: [
       'event.received',
+      'webhook.rejected',
       'event.validated',
       'event.transformed',
       'event.synced',
       'event.failed',
       'event.retried',
+      'event.requeued',
       'event.reversed',
       'transaction.created',
       'transaction.reversed',
       'transaction.verified',
+      'reversal.requested',
+      'reversal.approved',
+      'reversal.rejected',
+      'reconciliation.completed',
       'config.updated',
+      'config.revealed',
+      'xref.updated',
+      'stock.written_off',
       'user.login',
       'user.action',
       'system.error',
@@ -54,10 +63,11 @@ const auditLogSchema = new mongoose.Schema({
     required: true
   },
   
-  // Before/After state for changes
+  // Before/After state for changes, with the field-level diff between them
   changeTracking: {
     before: mongoose.Schema.Types.Mixed,
-    after: mongoose.Schema.Types.Mixed
+    after: mongoose.Schema.Types.Mixed,
+    diff: mongoose.Schema.Types.Mixed
   },
   
   // Result
@@ -1,4 +1,33 @@
 const mongoose = require('mongoose');
+const { DEFAULT_LOOKUPS } = require('../services/defaultMappings');
+const { encrypt, decrypt, isEncrypted, isLegacy, keyIdOf, getCurrentKeyId } = require('../utils/encryption');
+
+// Shown instead of sensitive values in listings
+const MASK = '********';
+
+const legacyFields = (value) => (value && typeof value === 'object' && !Array.isArray(value)
+  ? Object.keys(value).filter(field => isLegacy(value[field]))
+  : []);
+
+/**
+ * Stored value in clear
+ * Fields still holding a legacy (v1) ciphertext, as webhook signing secrets
+ * were first stored, are decrypted as well.
+ */
+function openValue(value) {
+  let plain = value;
+  if (isLegacy(value)) {
+    plain = decrypt(value);
+  } else if (isEncrypted(value)) {
+    plain = JSON.parse(decrypt(value));
+  }
+
+  const legacy = legacyFields(plain);
+  if (legacy.length === 0) {
+    return plain;
+  }
+  return { ...plain, ...Object.fromEntries(legacy.map(field => [field, decrypt(plain[field])])) };
+}
 
 const configurationSchema = new mongoose.Schema({
   // Configuration key (unique identifier)
@@ -13,7 +42,7 @@ const configurationSchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
-    enum: ['sage_x3', 'webhook', 'retry', 'mapping', 'feature', 'security', 'system'],
+    enum: ['sage_x3', 'webhook', 'retry', 'mapping', 'tax', 'currency', 'billing', 'inventory', 'feature', 'security', 'system'],
     index: true
   },
   
@@ -52,7 +81,7 @@ const configurationSchema = new mongoose.Schema({
     default: 'all'
   },
   
-  // Security
+  // Security: sensitive values are stored encrypted (encrypted is set when they are)
   sensitive: {
     type: Boolean,
     default: false
@@ -105,7 +134,7 @@ configurationSchema.index({ environment: 1, active: 1 });
 
 // Pre-save middleware
 configurationSchema.pre('save', function(next) {
-  if (this.isModified('value')) {
+  if (this.isModified('value') && !this.isNew) {
     // Store previous value in history
     if (this._previousValue !== undefined) {
       this.previousValues.push({
@@ -119,6 +148,19 @@ configurationSchema.pre('save', function(next) {
   next();
 });
 
+// Encrypt sensitive values before they are stored; history keeps the previous ciphertext
+configurationSchema.pre('save', function(next) {
+  if (this.sensitive && !isEncrypted(this.value)) {
+    try {
+      this.value = encrypt(JSON.stringify(openValue(this.value)));
+      this.encrypted = true;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
 // Instance methods
 configurationSchema.methods.updateValue = function(newValue, userId, reason) {
   this._previousValue = this.value;
@@ -131,10 +173,34 @@ configurationSchema.methods.updateValue = function(newValue, userId, reason) {
   return this.save();
 };
 
+/**
+ * Value in clear, decrypting a sensitive one
+ */
+configurationSchema.methods.getValue = function() {
+  return openValue(this.value);
+};
+
+/**
+ * Plain object for listings, with sensitive values and their history masked
+ */
+configurationSchema.methods.toMasked = function() {
+  const config = this.toObject();
+  if (!this.sensitive) {
+    return config;
+  }
+
+  return {
+    ...config,
+    value: MASK,
+    keyId: keyIdOf(this.value),
+    previousValues: (config.previousValues || []).map(entry => ({ ...entry, value: MASK }))
+  };
+};
+
 // Static methods
 configurationSchema.statics.getConfig = async function(key, defaultValue = null) {
   const config = await this.findOne({ key, active: true });
-  return config ? config.value : defaultValue;
+  return config ? config.getValue() : defaultValue;
 };
 
 configurationSchema.statics.setConfig = async function(key, value, userId, reason) {
@@ -145,6 +211,118 @@ configurationSchema.statics.setConfig = async function(key, value, userId, reaso
   return null;
 };
 
+/**
+ * Create or update a sensitive entry (tokens, credentials); stored encrypted
+ * @param {object} options - { category, description, userId, reason }
+ */
+configurationSchema.statics.setSensitiveConfig = async function(key, value, { category, description, userId, reason }) {
+  const config = await this.findOne({ key });
+  if (config) {
+    config.sensitive = true;
+    return config.updateValue(value, userId, reason);
+  }
+
+  return this.create({
+    key,
+    category,
+    value,
+    valueType: typeof value === 'object' ? 'object' : typeof value,
+    description,
+    sensitive: true,
+    lastModified: { by: userId, at: new Date(), reason }
+  });
+};
+
+/**
+ * Re-encrypt sensitive values (and their history) under the current key
+ * Also encrypts sensitive values still stored in clear, and moves legacy (v1)
+ * ciphertext inside values into the envelope. Versions are not bumped: the
+ * values themselves do not change.
+ * @returns {Promise<object>} - { keyId, checked, reencrypted, encryptedPlaintext, migratedLegacy, unchanged, failed }
+ */
+configurationSchema.statics.reencryptAll = async function() {
+  const keyId = getCurrentKeyId();
+  const configs = await this.find({ sensitive: true });
+  const summary = {
+    keyId,
+    checked: configs.length,
+    reencrypted: 0,
+    encryptedPlaintext: 0,
+    migratedLegacy: 0,
+    unchanged: 0,
+    failed: []
+  };
+
+  const reseal = (value) => {
+    if (value === undefined || value === null) return value;
+    if (keyIdOf(value) === keyId && legacyFields(JSON.parse(decrypt(value))).length === 0) return value;
+    return encrypt(JSON.stringify(openValue(value)));
+  };
+  const hasLegacy = (value) => isLegacy(value) ||
+    legacyFields(keyIdOf(value) ? JSON.parse(decrypt(value)) : value).length > 0;
+
+  for (const config of configs) {
+    try {
+      const value = reseal(config.value);
+      const previousValues = config.previousValues.map(entry => ({ ...entry.toObject(), value: reseal(entry.value) }));
+      const changed = value !== config.value ||
+        previousValues.some((entry, index) => entry.value !== config.previousValues[index].value);
+
+      if (!changed) {
+        summary.unchanged++;
+        continue;
+      }
+
+      await this.updateOne({ _id: config._id }, { $set: { value, previousValues, encrypted: true } });
+      if (hasLegacy(config.value)) {
+        summary.migratedLegacy++;
+      } else if (isEncrypted(config.value)) {
+        summary.reencrypted++;
+      } else {
+        summary.encryptedPlaintext++;
+      }
+    } catch (error) {
+      summary.failed.push({ key: config.key, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Sensitive entries per encryption key, to follow a key rotation
+ * legacy counts entries holding v1 ciphertext, which reencryptAll migrates.
+ * @returns {Promise<object>} - { currentKeyId, byKey: { <key id>: count }, plaintext, legacy }
+ */
+configurationSchema.statics.getEncryptionStatus = async function() {
+  const configs = await this.find({ sensitive: true }).select('value');
+  const byKey = {};
+  let plaintext = 0;
+  let legacy = 0;
+
+  for (const config of configs) {
+    const keyId = keyIdOf(config.value);
+    if (keyId) {
+      byKey[keyId] = (byKey[keyId] || 0) + 1;
+    }
+
+    let plain = config.value;
+    try {
+      plain = keyId ? JSON.parse(decrypt(config.value)) : config.value;
+    } catch (error) {
+      // Under a key no longer configured; counted under that key only
+    }
+
+    if (isLegacy(config.value) || legacyFields(plain).length > 0) {
+      legacy++;
+    } else if (!keyId) {
+      plaintext++;
+    }
+  }
+
+  return { currentKeyId: getCurrentKeyId(), byKey, plaintext, legacy };
+};
+
 configurationSchema.statics.getConfigsByCategory = function(category) {
   return this.find({ category, active: true }).sort({ key: 1 });
 };
@@ -216,9 +394,17 @@ configurationSchema.statics.seedDefaults = async function() {
       category: 'webhook',
       value: 300,
       valueType: 'number',
-      description: 'Webhook timestamp tolerance in seconds',
+      description: 'Webhook timestamp tolerance in seconds; older or future-dated deliveries are rejected as stale',
       validation: { required: true, min: 60, max: 600 }
     },
+    {
+      key: 'webhook.secretGraceHours',
+      category: 'webhook',
+      value: 24,
+      valueType: 'number',
+      description: 'Hours a rotated-out webhook signing secret is still accepted',
+      validation: { required: true, min: 0, max: 168 }
+    },
     {
       key: 'sage.currencyDivisor',
       category: 'sage_x3',
@@ -227,6 +413,131 @@ configurationSchema.statics.seedDefaults = async function() {
       description: 'Divisor to convert subunits to base currency (kobo to naira)',
       validation: { required: true, min: 1 }
     },
+    {
+      key: 'currency.ledger',
+      category: 'currency',
+      value: 'NGN',
+      valueType: 'string',
+      description: 'Sage X3 ledger currency; other currencies are converted with the exchange-rate table',
+      validation: { required: true, pattern: '^[A-Z]{3}$' }
+    },
+    {
+      key: 'currency.subunits',
+      category: 'currency',
+      value: { NGN: 100, USD: 100, GBP: 100, EUR: 100 },
+      valueType: 'object',
+      description: 'Divisor from HMS subunit amounts to base units, per currency (kobo to naira, cents to dollars)'
+    },
+    {
+      key: 'mapping.productFamilies',
+      category: 'mapping',
+      value: { default: 'MISC' },
+      valueType: 'object',
+      description: 'HMS item category (id or name) to Sage X3 product family; "default" applies when no category matches'
+    },
+    {
+      key: 'mapping.unitsOfMeasure',
+      category: 'mapping',
+      value: { default: 'UN' },
+      valueType: 'object',
+      description: 'HMS unit of sale/purchase to Sage X3 unit of measure; "default" applies when no unit matches'
+    },
+    {
+      key: 'mapping.paymentMethods',
+      category: 'mapping',
+      value: DEFAULT_LOOKUPS.paymentMethods,
+      valueType: 'object',
+      description: 'HMS payment method to Sage X3 payment method; "default" applies when no method matches'
+    },
+    {
+      key: 'mapping.itemTypes',
+      category: 'mapping',
+      value: DEFAULT_LOOKUPS.itemTypes,
+      valueType: 'object',
+      description: 'HMS item type to Sage X3 item type; "default" applies when no type matches'
+    },
+    {
+      key: 'tax.codes',
+      category: 'tax',
+      value: {
+        VAT: { x3Code: 'VAT', rate: 7.5, description: 'Value added tax' },
+        EXEMPT: { x3Code: 'EXEMPT', rate: 0, description: 'VAT-exempt medical goods and services' }
+      },
+      valueType: 'object',
+      description: 'Tax codes: key -> { x3Code, rate (percent), description }'
+    },
+    {
+      key: 'tax.assignment',
+      category: 'tax',
+      value: {
+        byCategory: {},
+        byItemType: {},
+        default: 'EXEMPT'
+      },
+      valueType: 'object',
+      description: 'Tax code by HMS category (id or name), then by item type, then "default"; a taxCode cross-reference on the item overrides these'
+    },
+    {
+      key: 'tax.pricingMode',
+      category: 'tax',
+      value: 'inclusive',
+      valueType: 'string',
+      description: 'Whether HMS prices include tax (inclusive) or tax is added on top (exclusive)',
+      validation: { required: true, enum: ['inclusive', 'exclusive'] }
+    },
+    {
+      key: 'sponsors.rules',
+      category: 'billing',
+      value: {},
+      valueType: 'object',
+      description: 'Split rules by sponsor id ("default" for the rest): { coveragePercent, maxAmount (per invoice, invoice currency), coveredCategories, excludedCategories, excludedItemTypes, priority, active }'
+    },
+    {
+      key: 'dimensions.rules',
+      category: 'mapping',
+      value: {
+        department: { byConsultant: {}, bySource: {}, default: '' },
+        revenueLine: { byCategory: {}, byPosClassification: {}, byItemType: {}, default: '' },
+        costCentre: { byLocation: {}, default: '' }
+      },
+      valueType: 'object',
+      description: 'Analytical dimensions on postings (id or name keys): department by consultant then item source, revenue line by category, POS classification then item type, cost centre by location (before costCentre cross-references); "default" applies when nothing matches'
+    },
+    {
+      key: 'stock.nearExpiryDays',
+      category: 'inventory',
+      value: 90,
+      valueType: 'number',
+      description: 'Days ahead a batch with stock on hand is reported as near expiry',
+      validation: { required: true, min: 0 }
+    },
+    {
+      key: 'costing.method',
+      category: 'inventory',
+      value: 'fifo',
+      valueType: 'string',
+      description: 'How issued stock is costed: fifo (per batch, oldest receipt first) or weighted_average (per item)',
+      validation: { required: true, enum: ['fifo', 'weighted_average'] }
+    },
+    {
+      key: 'costing.accounts',
+      category: 'inventory',
+      value: {
+        inventory: '31000',
+        cogs: '60100',
+        wardConsumption: '60200'
+      },
+      valueType: 'object',
+      description: 'GL accounts for stock issue journals: inventory (credited), cogs (sales and patient dispenses), wardConsumption (dispenses to wards, by cost centre)'
+    },
+    {
+      key: 'ordering.blockTimeoutMs',
+      category: 'system',
+      value: 900000,
+      valueType: 'number',
+      description: 'How long an event waits behind earlier events on the same invoice, payment or stock before it is processed anyway',
+      validation: { required: true, min: 0 }
+    },
     {
       key: 'system.dataRetentionDays',
       category: 'system',
@@ -249,4 +560,6 @@ configurationSchema.statics.seedDefaults = async function() {
 
 const Configuration = mongoose.model('Configuration', configurationSchema);
 
+Configuration.MASK = MASK;
+
 module.exports = Configuration;
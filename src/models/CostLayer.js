@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Quantity of a batch received at one unit cost; outbound stock draws layers down oldest first
+const costLayerSchema = new mongoose.Schema({
+  stockCode: {
+    type: String,
+    required: true
+  },
+  batchId: {
+    type: String,
+    required: true
+  },
+
+  // Weighted-average cost is pooled per item across its batches
+  itemId: {
+    type: String,
+    index: true
+  },
+
+  // Base currency units, like the costs sent to X3
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  quantityReceived: {
+    type: Number,
+    required: true
+  },
+  quantityRemaining: {
+    type: Number,
+    required: true
+  },
+
+  // Event (and line of it) that brought the quantity in
+  eventId: String,
+  eventType: String,
+  line: {
+    type: Number,
+    default: 0
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'cost_layers'
+});
+
+// Indexes
+costLayerSchema.index({ stockCode: 1, batchId: 1, receivedAt: 1 });
+costLayerSchema.index({ itemId: 1, quantityRemaining: 1 });
+costLayerSchema.index({ eventId: 1, line: 1 }, { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } });
+
+// Static methods
+
+/**
+ * Layers of a batch with quantity left, oldest first
+ */
+costLayerSchema.statics.findOpen = function(stockCode, batchId) {
+  return this.find({ stockCode, batchId, quantityRemaining: { $gt: 0 } }).sort({ receivedAt: 1, createdAt: 1 });
+};
+
+const CostLayer = mongoose.model('CostLayer', costLayerSchema);
+
+module.exports = CostLayer;
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+// Indigo entities that have their own code in Sage X3
+// (taxCode maps an item id/SKU to a configured tax code, overriding category rules)
+const ENTITY_TYPES = ['patient', 'sponsor', 'location', 'supplier', 'item', 'taxCode', 'costCentre'];
+
+// sourceId that applies to every Indigo id of the type without its own entry
+const WILDCARD_SOURCE_ID = '*';
+
+const crossReferenceSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: true,
+    enum: ENTITY_TYPES,
+    index: true
+  },
+
+  // Indigo identifier (MRN, sponsor id, location id, supplier id, SKU/item id)
+  sourceId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Sage X3 code (BP code, site, product code)
+  x3Code: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: String,
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: String,
+  updatedBy: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'cross_references'
+});
+
+// Indexes
+crossReferenceSchema.index({ entityType: 1, sourceId: 1 }, { unique: true });
+crossReferenceSchema.index({ entityType: 1, x3Code: 1 });
+
+// Pre-save middleware to update timestamp
+crossReferenceSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static methods
+
+/**
+ * Find the entry for an Indigo id
+ */
+crossReferenceSchema.statics.findBySource = function(entityType, sourceId) {
+  return this.findOne({ entityType, sourceId: String(sourceId) });
+};
+
+/**
+ * Resolve Indigo ids of one type to X3 codes
+ * Ids without an entry fall back to the type's wildcard entry, unless wildcard is false.
+ * @returns {Promise<Map<string, string>>} - sourceId -> x3Code, unmapped ids omitted
+ */
+crossReferenceSchema.statics.resolveMany = async function(entityType, sourceIds, { wildcard = true } = {}) {
+  const ids = [...new Set(sourceIds.map(String))];
+  const entries = await this.find({
+    entityType,
+    sourceId: { $in: wildcard ? [...ids, WILDCARD_SOURCE_ID] : ids },
+    active: true
+  }).select('sourceId x3Code');
+
+  const codes = new Map(entries.map(entry => [entry.sourceId, entry.x3Code]));
+  const fallback = wildcard ? codes.get(WILDCARD_SOURCE_ID) : undefined;
+  const resolved = new Map();
+
+  for (const id of ids) {
+    const code = codes.get(id) ?? fallback;
+    if (code !== undefined) {
+      resolved.set(id, code);
+    }
+  }
+
+  return resolved;
+};
+
+/**
+ * Create or update entries in bulk (CSV import)
+ * @param {object[]} rows - { entityType, sourceId, x3Code, description, active }
+ */
+crossReferenceSchema.statics.upsertMany = function(rows, userId) {
+  const now = new Date();
+
+  return this.bulkWrite(rows.map(row => ({
+    updateOne: {
+      filter: { entityType: row.entityType, sourceId: row.sourceId },
+      update: {
+        $set: {
+          x3Code: row.x3Code,
+          description: row.description,
+          active: row.active !== false,
+          updatedBy: userId,
+          updatedAt: now
+        },
+        $setOnInsert: { createdBy: userId, createdAt: now }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+/**
+ * Count entries per entity type
+ */
+crossReferenceSchema.statics.getCounts = function() {
+  return this.aggregate([
+    { $group: { _id: '$entityType', total: { $sum: 1 }, active: { $sum: { $cond: ['$active', 1, 0] } } } },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+const CrossReference = mongoose.model('CrossReference', crossReferenceSchema);
+
+CrossReference.ENTITY_TYPES = ENTITY_TYPES;
+CrossReference.WILDCARD_SOURCE_ID = WILDCARD_SOURCE_ID;
+
+module.exports = CrossReference;
@@ -1,6 +1,31 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Business entities an event touches, e.g. "invoice:<id>", "stock:<id>" or
+ * "batch:<code>:<batchId>" for events that move stock by code and batch
+ */
+function getEntityKeys(eventType, payload) {
+  const data = payload?.data || {};
+  const [entity] = eventType.split('.');
+  const keys = [];
+  
+  if (data.id && entity !== 'stock') {
+    keys.push(`${entity}:${data.id}`);
+  }
+  
+  if (entity === 'stock') {
+    if (Array.isArray(data.stocks)) {
+      keys.push(...data.stocks.filter(stock => stock.code && stock.batchId)
+        .map(stock => `batch:${stock.code}:${stock.batchId}`));
+    } else if (data.id) {
+      keys.push(`stock:${data.id}`);
+      if (data.code && data.batchId) keys.push(`batch:${data.code}:${data.batchId}`);
+    }
+  }
+  
+  return [...new Set(keys)];
+}
 
 const eventSchema = new mongoose.Schema({
   // Event identification
@@ -43,15 +68,53 @@ const eventSchema = new mongoose.Schema({
     required: true
   },
   
+  // Payload corrections (rawPayload always holds the current version)
+  originalPayload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  payloadRevisions: [{
+    revision: Number,
+    diff: mongoose.Schema.Types.Mixed,
+    reason: String,
+    correctedBy: String,
+    correctedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Processing status
   status: {
     type: String,
-    enum: ['received', 'validated', 'transformed', 'synced', 'failed', 'reversed'],
+    enum: ['received', 'blocked', 'validated', 'transformed', 'synced', 'failed', 'dead_lettered', 'resolved', 'reversed'],
     default: 'received',
     required: true,
     index: true
   },
   
+  // Ordering: events sharing an entity key are processed one at a time in causal order
+  entityKeys: {
+    type: [String],
+    index: true
+  },
+  // Position within an entity: the HMS timestamp, else the time of receipt
+  sequenceAt: Date,
+  
+  // Why a blocked event is waiting, and how it was released
+  blocking: {
+    entityKey: String,
+    waitingForEventId: String, // earlier event on the entity still in the pipeline
+    waitingForEventType: String,
+    reason: String,
+    blockedAt: Date,
+    timeoutAt: Date,
+    releasedAt: Date,
+    releaseReason: {
+      type: String,
+      enum: ['clear', 'timeout']
+    }
+  },
+  
   // Validation result
   validationResult: {
     isValid: Boolean,
@@ -64,6 +127,12 @@ const eventSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed
   },
   
+  // Mapping document that produced transformedPayload (version 0 = built-in default)
+  mapping: {
+    key: String,
+    version: Number
+  },
+  
   // Sync result
   syncResult: {
     success: Boolean,
@@ -92,6 +161,36 @@ const eventSchema = new mongoose.Schema({
     default: 0
   },
   retryScheduledFor: Date,
+  failureClass: {
+    type: String,
+    enum: ['transient', 'permanent']
+  },
+  
+  // Dead-letter tracking
+  deadLetteredAt: Date,
+  deadLetterReason: String,
+  
+  // Dead-letter triage
+  triage: {
+    assignee: String,
+    assignedBy: String,
+    assignedAt: Date,
+    notes: [{
+      note: String,
+      by: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    resolutionType: {
+      type: String,
+      enum: ['fixed_and_replayed', 'discarded', 'handled_in_x3']
+    },
+    resolutionNote: String,
+    resolvedBy: String,
+    resolvedAt: Date
+  },
   
   // Reversal tracking
   reversed: {
@@ -105,6 +204,7 @@ const eventSchema = new mongoose.Schema({
   
   // Webhook metadata
   webhookSignature: String,
+  signingSecretId: String, // which of the accepted signing secrets matched
   webhookTimestamp: Date,
   sourceIp: String,
   
@@ -132,10 +232,20 @@ eventSchema.index({ eventType: 1, status: 1 });
 eventSchema.index({ createdAt: -1 });
 eventSchema.index({ status: 1, createdAt: -1 });
 eventSchema.index({ 'metadata.svixId': 1 });
+eventSchema.index({ status: 1, retryScheduledFor: 1 });
+eventSchema.index({ status: 1, 'triage.assignee': 1 });
+eventSchema.index({ status: 1, entityKeys: 1 });
 
-// Pre-save middleware to update timestamp
+// Pre-save middleware to update timestamp and ordering keys
 eventSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+  
+  if (this.isNew || this.isModified('rawPayload')) {
+    this.entityKeys = getEntityKeys(this.eventType, this.rawPayload);
+    const timestamp = new Date(this.rawPayload?.data?.timestamp);
+    this.sequenceAt = isNaN(timestamp) ? (this.createdAt || new Date()) : timestamp;
+  }
+  
   next();
 });
 
@@ -167,9 +277,10 @@ eventSchema.methods.markAsValidated = function(isValid, errors = []) {
 /**
  * Mark event as transformed
  */
-eventSchema.methods.markAsTransformed = function(transformedPayload) {
+eventSchema.methods.markAsTransformed = function(transformedPayload, mapping) {
   this.status = 'transformed';
   this.transformedPayload = transformedPayload;
+  this.mapping = mapping;
   return this.save();
 };
 
@@ -187,6 +298,23 @@ eventSchema.methods.markAsSynced = function(syncResult) {
   return this.save();
 };
 
+/**
+ * Hold the event until what it is waiting for has synced
+ * A re-check that finds it still waiting keeps the original block time and timeout.
+ */
+eventSchema.methods.markAsBlocked = function(blocker, timeoutMs) {
+  const ongoing = this.blocking?.blockedAt && !this.blocking.releasedAt;
+  const blockedAt = ongoing ? this.blocking.blockedAt : new Date();
+  
+  this.status = 'blocked';
+  this.blocking = {
+    ...blocker,
+    blockedAt,
+    timeoutAt: ongoing ? this.blocking.timeoutAt : new Date(blockedAt.getTime() + timeoutMs)
+  };
+  return this.save();
+};
+
 /**
  * Mark event as failed
  */
@@ -201,6 +329,59 @@ eventSchema.methods.markAsFailed = function(errorType, message, details = {}) {
   return this.save();
 };
 
+/**
+ * Mark event as dead-lettered (no further automatic retries)
+ */
+eventSchema.methods.markAsDeadLettered = function(reason) {
+  this.status = 'dead_lettered';
+  this.deadLetteredAt = new Date();
+  this.deadLetterReason = reason;
+  this.retryScheduledFor = undefined;
+  
+  // A previous resolution no longer applies; assignee and notes are kept
+  if (this.triage) {
+    this.triage.resolutionType = undefined;
+    this.triage.resolutionNote = undefined;
+    this.triage.resolvedBy = undefined;
+    this.triage.resolvedAt = undefined;
+  }
+  
+  return this.save();
+};
+
+/**
+ * Assign a dead-lettered event to a user (empty assignee unassigns)
+ */
+eventSchema.methods.assignTriage = function(assignee, userId) {
+  this.set('triage.assignee', assignee || undefined);
+  this.set('triage.assignedBy', userId);
+  this.set('triage.assignedAt', new Date());
+  return this.save();
+};
+
+/**
+ * Add a triage note
+ */
+eventSchema.methods.addTriageNote = function(note, userId) {
+  if (!this.triage || !this.triage.notes) {
+    this.set('triage.notes', []);
+  }
+  this.triage.notes.push({ note, by: userId, at: new Date() });
+  return this.save();
+};
+
+/**
+ * Close a dead-lettered event without replaying it
+ */
+eventSchema.methods.resolveDeadLetter = function(resolutionType, note, userId) {
+  this.status = 'resolved';
+  this.set('triage.resolutionType', resolutionType);
+  this.set('triage.resolutionNote', note);
+  this.set('triage.resolvedBy', userId);
+  this.set('triage.resolvedAt', new Date());
+  return this.save();
+};
+
 /**
  * Mark event as reversed
  */
@@ -213,6 +394,36 @@ eventSchema.methods.markAsReversed = function(reason, transactionId) {
   return this.save();
 };
 
+/**
+ * Replace the raw payload with a corrected version and reset the pipeline
+ * The first correction keeps the payload as delivered in originalPayload.
+ */
+eventSchema.methods.applyPayloadCorrection = function(payload, diff, reason, userId) {
+  if (this.originalPayload === undefined) {
+    this.originalPayload = this.rawPayload;
+  }
+  
+  const revision = this.payloadRevisions.length + 1;
+  
+  this.rawPayload = payload;
+  this.payloadRevisions.push({
+    revision,
+    diff,
+    reason,
+    correctedBy: userId,
+    correctedAt: new Date()
+  });
+  
+  this.status = 'received';
+  this.transformedPayload = undefined;
+  this.mapping = undefined;
+  this.validationResult = undefined;
+  this.retryCount = 0;
+  this.retryScheduledFor = undefined;
+  
+  return this.save().then(() => revision);
+};
+
 /**
  * Increment retry count
  */
@@ -242,14 +453,18 @@ eventSchema.statics.findByStatus = function(status, limit = 100) {
 
 /**
  * Find failed events ready for retry
+ * retryCount is incremented when a retry is scheduled, so an event whose
+ * last allowed retry is due has retryCount === maxAttempts
  */
-eventSchema.statics.findRetryableEvents = function() {
+eventSchema.statics.findRetryableEvents = function(maxAttempts = parseInt(process.env.MAX_RETRY_ATTEMPTS || 3), limit = 100) {
   const now = new Date();
   return this.find({
     status: 'failed',
     retryScheduledFor: { $lte: now },
-    retryCount: { $lt: parseInt(process.env.MAX_RETRY_ATTEMPTS || 3) }
-  }).sort({ retryScheduledFor: 1 });
+    retryCount: { $lte: maxAttempts }
+  })
+    .sort({ retryScheduledFor: 1 })
+    .limit(limit);
 };
 
 /**
@@ -287,6 +502,39 @@ eventSchema.statics.getFailedCount = function() {
   return this.countDocuments({ status: 'failed' });
 };
 
+/**
+ * Get dead-lettered events count
+ */
+eventSchema.statics.getDeadLetteredCount = function() {
+  return this.countDocuments({ status: 'dead_lettered' });
+};
+
+/**
+ * Find dead-lettered events for triage
+ * @param {object} filters - { assignee, unassigned }
+ */
+eventSchema.statics.findDeadLettered = function(filters = {}, limit = 100) {
+  const query = { status: 'dead_lettered' };
+  
+  if (filters.assignee) query['triage.assignee'] = filters.assignee;
+  if (filters.unassigned) query['triage.assignee'] = { $in: [null, ''] };
+  
+  return this.find(query)
+    .sort({ deadLetteredAt: 1 })
+    .limit(limit)
+    .select('-transformedPayload');
+};
+
+/**
+ * Find blocked events, longest waiting first
+ */
+eventSchema.statics.findBlocked = function(query = {}, limit = 100) {
+  return this.find({ ...query, status: 'blocked' })
+    .sort({ 'blocking.blockedAt': 1 })
+    .limit(limit)
+    .select('-transformedPayload');
+};
+
 /**
  * Get pending events count
  */
@@ -305,12 +553,14 @@ eventSchema.statics.cleanupOldEvents = function(daysToRetain = 90) {
   
   return this.deleteMany({
     createdAt: { $lt: cutoffDate },
-    status: { $in: ['synced', 'reversed'] }
+    status: { $in: ['synced', 'resolved', 'reversed'] }
   });
 };
 
 const Event = mongoose.model('Event', eventSchema);
 
+Event.getEntityKeys = getEntityKeys;
+
 
 
 module.exports = Event;
\ No newline at end of file
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  // Transaction currency (ISO 4217)
+  fromCurrency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
+  },
+
+  // Ledger currency (ISO 4217)
+  toCurrency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
+  },
+
+  // Units of toCurrency for one unit of fromCurrency
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Applies to documents dated on or after this, until a later rate takes over
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+
+  source: String,
+  notes: String,
+  createdBy: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'exchange_rates'
+});
+
+// Indexes
+exchangeRateSchema.index({ fromCurrency: 1, toCurrency: 1, effectiveFrom: -1 }, { unique: true });
+
+// Pre-save middleware to update timestamp
+exchangeRateSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static methods
+
+/**
+ * Rate in effect for a currency pair on a given date
+ * @returns {Promise<object|null>} - Latest rate with effectiveFrom <= date
+ */
+exchangeRateSchema.statics.findRateAt = function(fromCurrency, toCurrency, date = new Date()) {
+  return this.findOne({
+    fromCurrency: fromCurrency.toUpperCase(),
+    toCurrency: toCurrency.toUpperCase(),
+    effectiveFrom: { $lte: date }
+  }).sort({ effectiveFrom: -1 });
+};
+
+/**
+ * Rate history, newest first
+ */
+exchangeRateSchema.statics.getHistory = function({ fromCurrency, toCurrency, limit = 100 } = {}) {
+  const query = {};
+  if (fromCurrency) query.fromCurrency = fromCurrency.toUpperCase();
+  if (toCurrency) query.toCurrency = toCurrency.toUpperCase();
+
+  return this.find(query)
+    .sort({ fromCurrency: 1, toCurrency: 1, effectiveFrom: -1 })
+    .limit(limit);
+};
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// Line as it stood in a version; amounts in base currency units
+const versionLineSchema = new mongoose.Schema({
+  lineKey: String, // "<itemId>:<itemCode>#<occurrence>", stable across edits
+  itemId: String,
+  itemCode: String,
+  description: String,
+  quantity: Number,
+  unitPrice: Number,
+  lineTotal: Number,
+  netAmount: Number,
+  taxAmount: Number,
+  grossAmount: Number,
+  taxCode: String,
+  taxRate: Number,
+  dimensions: {
+    department: String,
+    revenueLine: String,
+    costCentre: String
+  }
+}, { _id: false });
+
+const invoiceVersionSchema = new mongoose.Schema({
+  // HMS invoice id
+  invoiceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  version: {
+    type: Number,
+    required: true
+  },
+
+  eventId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  eventType: String,
+
+  // Adjustments are posted one by one; a retry resumes a pending version
+  status: {
+    type: String,
+    enum: ['pending', 'synced'],
+    default: 'pending'
+  },
+
+  // One entry per X3 receivable (patient portion, sponsors) with its lines
+  documents: [{
+    invoiceNumber: String,
+    receivableType: String,
+    sponsorId: String,
+    customerReference: String,
+    documentReference: String, // X3 invoice the receivable was first posted as
+    totalAmount: Number,
+    lines: [versionLineSchema]
+  }],
+
+  totalAmount: Number,
+  currency: String,
+
+  // Line-level changes from the previous version, per receivable
+  diff: [{
+    invoiceNumber: String,
+    added: [versionLineSchema],
+    removed: [versionLineSchema],
+    changed: [{
+      lineKey: String,
+      before: versionLineSchema,
+      after: versionLineSchema
+    }],
+    amountChange: Number
+  }],
+
+  // What was posted to X3 for this version
+  adjustments: [{
+    type: {
+      type: String,
+      enum: ['initial', 'supplementary_invoice', 'credit_note', 'amendment']
+    },
+    invoiceNumber: String,
+    documentReference: String,
+    amount: Number,
+    postedAt: Date
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'invoice_versions'
+});
+
+// Indexes
+invoiceVersionSchema.index({ invoiceId: 1, version: -1 }, { unique: true });
+
+// Pre-save middleware to update timestamp
+invoiceVersionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static methods
+
+/**
+ * Last version of an invoice that fully synced
+ */
+invoiceVersionSchema.statics.findLatest = function(invoiceId) {
+  return this.findOne({ invoiceId, status: 'synced' }).sort({ version: -1 });
+};
+
+/**
+ * Every version of an invoice, oldest first
+ */
+invoiceVersionSchema.statics.getHistory = function(invoiceId) {
+  return this.find({ invoiceId }).sort({ version: 1 });
+};
+
+const InvoiceVersion = mongoose.model('InvoiceVersion', invoiceVersionSchema);
+
+module.exports = InvoiceVersion;
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const reconciliationReportSchema = new mongoose.Schema({
+  // Report identification
+  reportId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // What started the run
+  trigger: {
+    type: String,
+    enum: ['scheduler', 'user'],
+    required: true
+  },
+  triggeredBy: String,
+
+  // Run status
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  errorMessage: String,
+
+  // Selection criteria
+  criteria: {
+    olderThanDays: Number,
+    limit: Number
+  },
+
+  // Totals
+  summary: {
+    checked: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    discrepancies: { type: Number, default: 0 },
+    missing: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+
+  // Per-transaction outcome
+  results: [{
+    transactionId: String,
+    eventId: String,
+    eventType: String,
+    documentReference: String,
+    outcome: {
+      type: String,
+      enum: ['matched', 'discrepancy', 'missing', 'error']
+    },
+    comparedFields: [String],
+    discrepancies: [{
+      documentReference: String,
+      field: String,
+      expected: mongoose.Schema.Types.Mixed,
+      actual: mongoose.Schema.Types.Mixed
+    }],
+    error: String,
+    checkedAt: Date
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true,
+  collection: 'reconciliation_reports'
+});
+
+// Indexes
+reconciliationReportSchema.index({ startedAt: -1 });
+reconciliationReportSchema.index({ 'results.transactionId': 1 });
+
+// Instance methods
+
+/**
+ * Record the outcome for one transaction
+ */
+reconciliationReportSchema.methods.addResult = function(result) {
+  this.results.push({ ...result, checkedAt: new Date() });
+  this.summary.checked += 1;
+
+  const counter = {
+    matched: 'matched',
+    discrepancy: 'discrepancies',
+    missing: 'missing',
+    error: 'errors'
+  }[result.outcome];
+
+  this.summary[counter] += 1;
+};
+
+/**
+ * Mark the run as finished
+ */
+reconciliationReportSchema.methods.complete = function(errorMessage) {
+  this.status = errorMessage ? 'failed' : 'completed';
+  this.errorMessage = errorMessage;
+  this.completedAt = new Date();
+  return this.save();
+};
+
+// Static methods
+
+/**
+ * Find report by reportId
+ */
+reconciliationReportSchema.statics.findByReportId = function(reportId) {
+  return this.findOne({ reportId });
+};
+
+/**
+ * Get the most recent report
+ */
+reconciliationReportSchema.statics.getLatest = function() {
+  return this.findOne().sort({ startedAt: -1 });
+};
+
+/**
+ * List recent reports without per-transaction results
+ */
+reconciliationReportSchema.statics.findRecent = function(limit = 20) {
+  return this.find()
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .select('-results');
+};
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = ReconciliationReport;
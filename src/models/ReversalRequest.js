@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+const reversalRequestSchema = new mongoose.Schema({
+  // Request identification
+  requestId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // Transaction to reverse
+  transactionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  eventId: String,
+  eventType: String,
+  documentReference: String,
+  amount: Number,
+  currency: String,
+
+  reason: {
+    type: String,
+    required: true
+  },
+
+  // Workflow status
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'completed', 'failed'],
+    default: 'pending',
+    index: true
+  },
+
+  // Maker
+  requestedBy: {
+    userId: { type: String, required: true },
+    userName: String
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Checker
+  decision: {
+    userId: String,
+    userName: String,
+    note: String,
+    decidedAt: Date
+  },
+
+  // Outcome of posting the credit note
+  result: {
+    reversalDocumentReference: String,
+    error: String,
+    completedAt: Date
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'reversal_requests'
+});
+
+// Indexes
+reversalRequestSchema.index({ status: 1, requestedAt: -1 });
+reversalRequestSchema.index({ transactionId: 1, status: 1 });
+
+// Pre-save middleware to update timestamp
+reversalRequestSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+
+/**
+ * Record the checker's rejection
+ */
+reversalRequestSchema.methods.reject = function(user, note) {
+  this.status = 'rejected';
+  this.decision = {
+    userId: user.id,
+    userName: user.name || user.username,
+    note,
+    decidedAt: new Date()
+  };
+  return this.save();
+};
+
+/**
+ * Record the outcome of posting the credit note
+ */
+reversalRequestSchema.methods.markAsCompleted = function(reversalDocumentReference) {
+  this.status = 'completed';
+  this.result = { reversalDocumentReference, completedAt: new Date() };
+  return this.save();
+};
+
+reversalRequestSchema.methods.markAsFailed = function(errorMessage) {
+  this.status = 'failed';
+  this.result = { error: errorMessage, completedAt: new Date() };
+  return this.save();
+};
+
+// Static methods
+
+/**
+ * Find request by requestId
+ */
+reversalRequestSchema.statics.findByRequestId = function(requestId) {
+  return this.findOne({ requestId });
+};
+
+/**
+ * Find an open (pending, approved or failed) request for a transaction
+ */
+reversalRequestSchema.statics.findOpenForTransaction = function(transactionId) {
+  return this.findOne({ transactionId, status: { $in: ['pending', 'approved', 'failed'] } });
+};
+
+/**
+ * Claim a request for approval so two checkers cannot post the same reversal
+ * Failed requests can be approved again once the cause is fixed.
+ */
+reversalRequestSchema.statics.claimForApproval = function(requestId, user, note) {
+  return this.findOneAndUpdate(
+    {
+      requestId,
+      status: { $in: ['pending', 'failed'] },
+      'requestedBy.userId': { $ne: user.id }
+    },
+    {
+      $set: {
+        status: 'approved',
+        decision: {
+          userId: user.id,
+          userName: user.name || user.username,
+          note,
+          decidedAt: new Date()
+        },
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Count requests awaiting a checker
+ */
+reversalRequestSchema.statics.getPendingCount = function() {
+  return this.countDocuments({ status: 'pending' });
+};
+
+const ReversalRequest = mongoose.model('ReversalRequest', reversalRequestSchema);
+
+module.exports = ReversalRequest;
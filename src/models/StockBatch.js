@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// One pharmacy batch (HMS stock code + batch id) with what is known about it;
+// quantities on hand per location come from its StockMovement entries
+const stockBatchSchema = new mongoose.Schema({
+  stockCode: {
+    type: String,
+    required: true
+  },
+  batchId: {
+    type: String,
+    required: true
+  },
+
+  // HMS stock record id
+  stockId: {
+    type: String,
+    index: true
+  },
+
+  itemId: String,
+  itemName: String,
+  variantSku: String,
+
+  supplier: {
+    id: String,
+    name: String
+  },
+
+  // Location the batch was received into
+  homeLocation: {
+    id: String,
+    name: String
+  },
+
+  expiryDate: {
+    type: Date,
+    index: true
+  },
+
+  costPrice: Number, // subunits, as sent by the HMS
+
+  status: {
+    type: String,
+    enum: ['available', 'quarantined', 'archived'],
+    default: 'available',
+    index: true
+  },
+
+  recall: {
+    reason: String,
+    recalledAt: Date,
+    eventId: String
+  },
+
+  receivedAt: Date,
+  lastMovementAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'stock_batches'
+});
+
+// Indexes
+stockBatchSchema.index({ stockCode: 1, batchId: 1 }, { unique: true });
+stockBatchSchema.index({ status: 1, expiryDate: 1 });
+
+// Pre-save middleware to update timestamp
+stockBatchSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static methods
+
+stockBatchSchema.statics.findBatch = function(stockCode, batchId) {
+  return this.findOne({ stockCode, batchId });
+};
+
+const StockBatch = mongoose.model('StockBatch', stockBatchSchema);
+
+module.exports = StockBatch;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Location for stock received without one (stock.created carries no location)
+const UNASSIGNED_LOCATION = 'unassigned';
+
+// One signed quantity change of a batch at a location
+const stockMovementSchema = new mongoose.Schema({
+  stockCode: {
+    type: String,
+    required: true
+  },
+  batchId: {
+    type: String,
+    required: true
+  },
+
+  locationId: {
+    type: String,
+    required: true,
+    default: UNASSIGNED_LOCATION
+  },
+  locationName: String,
+
+  movementType: {
+    type: String,
+    required: true,
+    enum: ['receipt', 'transfer_in', 'transfer_out', 'dispense', 'sale', 'return', 'adjustment', 'write_off']
+  },
+
+  // Positive into the location, negative out of it
+  quantity: {
+    type: Number,
+    required: true
+  },
+
+  // Cost of outbound stock (base currency units), from its valuation
+  unitCost: Number,
+  totalCost: Number,
+
+  // Event that caused the movement; write-offs started from the API have none
+  eventId: {
+    type: String,
+    index: true
+  },
+  eventType: String,
+
+  // Line of the event (stocks[] index) so one event can move a batch more than once
+  line: {
+    type: Number,
+    default: 0
+  },
+
+  reference: String, // bill, issue or transfer id from the HMS
+  reason: String,
+  counterparty: {
+    id: String,
+    name: String
+  },
+
+  // X3 document the movement was posted as
+  documentReference: String,
+
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'stock_movements'
+});
+
+// Indexes
+stockMovementSchema.index({ stockCode: 1, batchId: 1, occurredAt: 1 });
+stockMovementSchema.index({ locationId: 1, stockCode: 1, batchId: 1 });
+// Recording an event again (a retry or a replay) must not move stock twice
+stockMovementSchema.index(
+  { eventId: 1, stockCode: 1, batchId: 1, locationId: 1, movementType: 1, line: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+);
+
+// Static methods
+
+/**
+ * Quantity on hand per batch and location
+ * @param {object} match - Filter on movements (stockCode, batchId, locationId)
+ * @returns {Promise<object[]>} - { stockCode, batchId, locationId, locationName, quantity }
+ */
+stockMovementSchema.statics.getOnHand = async function(match = {}) {
+  const rows = await this.aggregate([
+    { $match: match },
+    { $sort: { occurredAt: 1 } },
+    {
+      $group: {
+        _id: { stockCode: '$stockCode', batchId: '$batchId', locationId: '$locationId' },
+        locationName: { $last: '$locationName' },
+        quantity: { $sum: '$quantity' },
+        lastMovementAt: { $max: '$occurredAt' }
+      }
+    }
+  ]);
+
+  return rows.map(row => ({
+    ...row._id,
+    locationName: row.locationName,
+    quantity: row.quantity,
+    lastMovementAt: row.lastMovementAt
+  }));
+};
+
+/**
+ * Movements of one batch, oldest first
+ */
+stockMovementSchema.statics.getHistory = function(stockCode, batchId, limit = 500) {
+  return this.find({ stockCode, batchId }).sort({ occurredAt: 1, createdAt: 1 }).limit(limit);
+};
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+StockMovement.UNASSIGNED_LOCATION = UNASSIGNED_LOCATION;
+
+module.exports = StockMovement;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Cost of one outbound movement (an issue, write-off or downward adjustment)
+const stockValuationSchema = new mongoose.Schema({
+  // Event id, or a generated key for movements started from the API
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  eventId: {
+    type: String,
+    index: true
+  },
+  eventType: String,
+
+  purpose: {
+    type: String,
+    enum: ['issue', 'write_off', 'adjustment'],
+    required: true
+  },
+
+  method: {
+    type: String,
+    enum: ['fifo', 'weighted_average'],
+    required: true
+  },
+
+  lines: [{
+    line: Number,
+    stockCode: String,
+    batchId: String,
+    itemId: String,
+    quantity: Number,
+    unitCost: Number,
+    totalCost: Number,
+    // No cost layer or batch cost covered part of the quantity
+    costMissing: Boolean,
+    // Layers drawn down, so the movement can be undone
+    layers: [{
+      layerId: mongoose.Schema.Types.ObjectId,
+      quantity: Number,
+      unitCost: Number
+    }]
+  }],
+
+  totalCost: Number,
+
+  // Layers are drawn down right after the valuation is saved; a retry finishes the job
+  consumed: {
+    type: Boolean,
+    default: false
+  },
+
+  movementReference: String,
+  journalReference: String,
+  journalPostedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'stock_valuations'
+});
+
+// Indexes
+stockValuationSchema.index({ 'lines.stockCode': 1, 'lines.batchId': 1, createdAt: -1 });
+
+// Pre-save middleware to update timestamp
+stockValuationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static methods
+
+stockValuationSchema.statics.findByReference = function(reference) {
+  return this.findOne({ reference });
+};
+
+/**
+ * Most recent issue cost of a batch, for stock coming back on a return
+ */
+stockValuationSchema.statics.findLastIssueCost = async function(stockCode, batchId) {
+  const valuation = await this.findOne({
+    purpose: 'issue',
+    lines: { $elemMatch: { stockCode, batchId } }
+  }).sort({ createdAt: -1 });
+
+  return valuation?.lines.find(line => line.stockCode === stockCode && line.batchId === batchId)?.unitCost;
+};
+
+const StockValuation = mongoose.model('StockValuation', stockValuationSchema);
+
+module.exports = StockValuation;
@@ -32,21 +32,29 @@ const transactionSchema = new mongoose.Schema({
     documentType: {
       type: String,
       // required: true,
-      enum: ['invoice', 'payment', 'credit_note', 'stock_movement', 'purchase_order']
+      enum: ['invoice', 'payment', 'credit_note', 'payment_reversal', 'stock_movement', 'purchase_order', 'item']
     },
     folder: String,
     company: String,
     postingDate: Date,
+    // false when the event had no change to send and nothing was posted
+    posted: Boolean,
     apiResponse: mongoose.Schema.Types.Mixed
   },
   
   // Financial details (if applicable)
   financialData: {
-    amount: Number, // In base currency units
+    amount: Number, // In base units of the transaction currency
     currency: String,
+    ledgerAmount: Number, // amount converted at exchangeRate
+    ledgerCurrency: String,
+    exchangeRate: Number,
+    exchangeRateDate: Date, // effectiveFrom of the rate used; unset for ledger-currency documents
     customerReference: String,
     invoiceNumber: String,
-    paymentMethod: String
+    paymentMethod: String,
+    taxAmount: Number,
+    taxRoundingDifference: Number // Header tax minus sum of line tax
   },
   
   // Inventory details (if applicable)
@@ -59,11 +67,68 @@ const transactionSchema = new mongoose.Schema({
       unitPrice: Number
     }],
     stockCodes: [String],
+    batchIds: [String],
     movementType: String,
     fromLocation: String,
-    toLocation: String
+    toLocation: String,
+    // Sales and dispenses: cost of the stock issued and its COGS journal
+    costingMethod: String,
+    totalCost: Number,
+    journalReference: String
   },
   
+  // Invoices split by sponsor coverage: one X3 receivable per party
+  receivables: [{
+    receivableType: {
+      type: String,
+      enum: ['patient', 'sponsor']
+    },
+    sponsorId: String,
+    customerReference: String,
+    invoiceNumber: String,
+    amount: Number,
+    ledgerAmount: Number,
+    documentReference: String,
+    postedAt: Date,
+    settledAmount: {
+      type: Number,
+      default: 0
+    },
+    // Taken off by credit notes (invoice edits and cancellation)
+    creditedAmount: {
+      type: Number,
+      default: 0
+    },
+    // Supplementary invoices: the receivable they add to
+    adjustmentOf: String
+  }],
+  
+  // Payments: what each receipt was applied to in X3, one entry per invoice
+  // (plus one for any amount left on account); entries of a receipt share its documentReference
+  allocations: [{
+    party: {
+      type: String,
+      enum: ['patient', 'sponsor']
+    },
+    sponsorId: String,
+    claimId: String,
+    tenderId: String,
+    paymentMethod: String,
+    customerReference: String,
+    invoiceNumber: String,
+    invoiceDocumentReference: String,
+    amount: Number,
+    onAccount: {
+      type: Boolean,
+      default: false
+    },
+    documentReference: String,
+    postedAt: Date,
+    // Set once the receipt has been reversed in Sage X3, so it is never reversed twice
+    reversalReference: String,
+    reversedAt: Date
+  }],
+  
   // Transaction status
   status: {
     type: String,
@@ -72,6 +137,14 @@ const transactionSchema = new mongoose.Schema({
     index: true
   },
   
+  // Sync attempts: a failed attempt's row is reused by the next one until it syncs
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  errorMessage: String,
+  errorDetails: mongoose.Schema.Types.Mixed,
+  
   // Reversal tracking
   reversed: {
     type: Boolean,
@@ -82,7 +155,17 @@ const transactionSchema = new mongoose.Schema({
     reason: String,
     reversalDocumentReference: String,
     reversedBy: String,
-    reversedAt: Date
+    reversedAt: Date,
+    requestId: String,
+    approvedBy: String,
+    // Transaction of the cancellation event that reversed this one
+    reversalTransactionId: String
+  },
+  
+  // For cancellation transactions: the transaction they reverse
+  reversalOf: {
+    type: String,
+    index: true
   },
   
   // Audit trail
@@ -101,6 +184,22 @@ const transactionSchema = new mongoose.Schema({
   verifiedAt: Date,
   verifiedBy: String,
   
+  // Last reconciliation against the posted Sage X3 document
+  reconciliation: {
+    status: {
+      type: String,
+      enum: ['matched', 'discrepancy', 'missing', 'error']
+    },
+    reportId: String,
+    lastCheckedAt: Date,
+    discrepancies: [{
+      documentReference: String,
+      field: String,
+      expected: mongoose.Schema.Types.Mixed,
+      actual: mongoose.Schema.Types.Mixed
+    }]
+  },
+  
   createdAt: {
     type: Date,
     default: Date.now,
@@ -121,6 +220,10 @@ transactionSchema.index({ syncedAt: -1 });
 transactionSchema.index({ 'sageX3Details.documentReference': 1 });
 transactionSchema.index({ 'sageX3Details.documentType': 1 });
 transactionSchema.index({ 'financialData.invoiceNumber': 1 });
+transactionSchema.index({ 'reconciliation.status': 1, verified: 1 });
+transactionSchema.index({ 'receivables.sponsorId': 1, 'receivables.receivableType': 1 });
+transactionSchema.index({ 'receivables.customerReference': 1, 'receivables.receivableType': 1 });
+transactionSchema.index({ 'receivables.documentReference': 1 });
 
 // Pre-save middleware
 transactionSchema.pre('save', function(next) {
@@ -129,14 +232,17 @@ transactionSchema.pre('save', function(next) {
 });
 
 // Instance methods
-transactionSchema.methods.markAsReversed = function(reason, reversalDocRef, userId) {
+transactionSchema.methods.markAsReversed = function(reason, reversalDocRef, userId, links = {}) {
   this.reversed = true;
   this.status = 'reversed';
   this.reversalDetails = {
     reason,
     reversalDocumentReference: reversalDocRef,
     reversedBy: userId,
-    reversedAt: new Date()
+    reversedAt: new Date(),
+    requestId: links.requestId,
+    approvedBy: links.approvedBy,
+    reversalTransactionId: links.reversalTransactionId
   };
   return this.save();
 };
@@ -148,6 +254,16 @@ transactionSchema.methods.markAsVerified = function(userId) {
   return this.save();
 };
 
+transactionSchema.methods.recordReconciliation = function(outcome, reportId, discrepancies = []) {
+  this.reconciliation = {
+    status: outcome,
+    reportId,
+    lastCheckedAt: new Date(),
+    discrepancies
+  };
+  return this.save();
+};
+
 // Static methods
 transactionSchema.statics.findByDocumentReference = function(docRef) {
   return this.findOne({ 'sageX3Details.documentReference': docRef });
@@ -157,6 +273,22 @@ transactionSchema.statics.findByEventId = function(eventId) {
   return this.findOne({ eventId });
 };
 
+/**
+ * Synced invoices with a posted receivable matching `match`, oldest first
+ * @param {object} match - receivable fields, e.g. { receivableType: 'sponsor', sponsorId }
+ * @param {object} filter - narrows the invoices, e.g. { 'financialData.invoiceNumber': id }
+ */
+transactionSchema.statics.findReceivables = function(match, filter = {}) {
+  return this.find({
+    ...filter,
+    eventType: { $in: ['invoice.created', 'invoice.updated'] },
+    status: 'synced',
+    receivables: {
+      $elemMatch: { ...match, documentReference: { $exists: true } }
+    }
+  }).sort({ createdAt: 1 });
+};
+
 transactionSchema.statics.getTransactionStats = function(startDate, endDate) {
   return this.aggregate([
     {
@@ -175,7 +307,7 @@ transactionSchema.statics.getTransactionStats = function(startDate, endDate) {
           status: '$status'
         },
         count: { $sum: 1 },
-        totalAmount: { $sum: '$financialData.amount' }
+        totalAmount: { $sum: { $ifNull: ['$financialData.ledgerAmount', '$financialData.amount'] } }
       }
     },
     {
@@ -195,6 +327,16 @@ transactionSchema.statics.findUnverifiedTransactions = function(olderThanDays =
   }).sort({ syncedAt: 1 });
 };
 
+transactionSchema.statics.findOpenDiscrepancies = function(limit = 100) {
+  return this.find({
+    verified: false,
+    status: 'synced',
+    'reconciliation.status': { $in: ['discrepancy', 'missing'] }
+  })
+    .sort({ 'reconciliation.lastCheckedAt': -1 })
+    .limit(limit);
+};
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 module.exports = Transaction;
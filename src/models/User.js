@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'operator', 'finance-approver', 'admin'];
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const userSchema = new mongoose.Schema({
+  // Login identifier
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: true
+  },
+  email: String,
+
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer',
+    required: true
+  },
+
+  // "scrypt$<salt>$<hash>", both hex encoded
+  passwordHash: {
+    type: String,
+    required: true
+  },
+
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Bumped on logout or password change to invalidate refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
+  lastLoginAt: Date,
+  createdBy: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'users'
+});
+
+// Pre-save middleware to update timestamp
+userSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+
+/**
+ * Hash and store a new password
+ */
+userSchema.methods.setPassword = async function(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  this.passwordHash = `scrypt$${salt}$${hash.toString('hex')}`;
+  this.tokenVersion += 1;
+};
+
+/**
+ * Check a password against the stored hash
+ */
+userSchema.methods.verifyPassword = async function(password) {
+  const [scheme, salt, expected] = (this.passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+};
+
+/**
+ * Record a successful login
+ */
+userSchema.methods.recordLogin = function() {
+  this.lastLoginAt = new Date();
+  return this.save();
+};
+
+/**
+ * Invalidate all refresh tokens issued so far
+ */
+userSchema.methods.revokeTokens = function() {
+  this.tokenVersion += 1;
+  return this.save();
+};
+
+/**
+ * User fields safe to return from the API
+ */
+userSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id.toString(),
+    username: this.username,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    active: this.active,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static methods
+
+/**
+ * Find an active user by username
+ */
+userSchema.statics.findActiveByUsername = function(username) {
+  return this.findOne({ username: String(username || '').toLowerCase().trim(), active: true });
+};
+
+/**
+ * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD
+ * Does nothing once any user exists.
+ */
+userSchema.statics.seedAdminUser = async function() {
+  const existing = await this.countDocuments();
+  if (existing > 0) {
+    return null;
+  }
+
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) {
+    return null;
+  }
+
+  const user = new this({
+    username,
+    name: process.env.ADMIN_NAME || 'Administrator',
+    role: 'admin',
+    createdBy: 'system'
+  });
+  await user.setPassword(password);
+  return user.save();
+};
+
+const User = mongoose.model('User', userSchema);
+
+User.ROLES = ROLES;
+
+module.exports = User;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A signed delivery seen recently; a second copy of it is a replay
+// Svix retries re-sign with a new timestamp, so they are new deliveries here
+// and fall through to the event-level idempotency check.
+const webhookReceiptSchema = new mongoose.Schema({
+  svixId: {
+    type: String,
+    required: true
+  },
+  svixTimestamp: {
+    type: Number,
+    required: true
+  },
+
+  sourceIp: String,
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Removed by the TTL index once the delivery would be rejected as stale anyway
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'webhook_receipts'
+});
+
+// Indexes
+webhookReceiptSchema.index({ svixId: 1, svixTimestamp: 1 }, { unique: true });
+webhookReceiptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+
+/**
+ * Record a delivery unless it was already seen
+ * @param {number} ttlSeconds - How long to remember it
+ * @returns {Promise<boolean>} - False for a replay
+ */
+webhookReceiptSchema.statics.recordDelivery = async function(svixId, svixTimestamp, ttlSeconds, sourceIp) {
+  try {
+    await this.create({
+      svixId,
+      svixTimestamp,
+      sourceIp,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const WebhookReceipt = mongoose.model('WebhookReceipt', webhookReceiptSchema);
+
+module.exports = WebhookReceipt;
@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process queue backend
+ *
+ * Implements the subset of the Bull Queue API used by queueManager
+ * (add, process, getJobCounts, close and the completed/failed events)
+ * so the pipeline runs in tests and on machines without Redis.
+ * Jobs live in memory only and are lost on restart.
+ */
+class MemoryQueue extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.handler = null;
+    this.concurrency = 1;
+    this.waiting = [];
+    this.delayed = new Map();
+    this.active = new Map();
+    this.jobIds = new Set();
+    this.counts = { completed: 0, failed: 0 };
+    this.closed = false;
+    this.nextId = 1;
+  }
+
+  /**
+   * Register the job handler
+   * Accepts the same (concurrency, handler) or (handler) signatures as Bull
+   */
+  process(concurrency, handler) {
+    if (typeof concurrency === 'function') {
+      handler = concurrency;
+      concurrency = 1;
+    }
+
+    this.handler = handler;
+    this.concurrency = Math.max(1, parseInt(concurrency) || 1);
+    setImmediate(() => this.drain());
+  }
+
+  /**
+   * Add a job to the queue
+   * A job whose jobId is already waiting, delayed or active is ignored, as in Bull
+   */
+  async add(data, opts = {}) {
+    if (this.closed) {
+      throw new Error(`Queue ${this.name} is closed`);
+    }
+
+    const id = opts.jobId || String(this.nextId++);
+
+    if (this.jobIds.has(id)) {
+      return this.findJob(id);
+    }
+
+    const job = {
+      id,
+      data,
+      opts,
+      attemptsMade: 0,
+      timestamp: Date.now()
+    };
+
+    this.jobIds.add(id);
+
+    if (opts.delay > 0) {
+      const timer = setTimeout(() => {
+        this.delayed.delete(id);
+        this.waiting.push(job);
+        this.drain();
+      }, opts.delay);
+
+      if (timer.unref) timer.unref();
+      this.delayed.set(id, { job, timer });
+    } else {
+      this.waiting.push(job);
+      setImmediate(() => this.drain());
+    }
+
+    return job;
+  }
+
+  findJob(id) {
+    return this.waiting.find(job => job.id === id)
+      || this.delayed.get(id)?.job
+      || this.active.get(id)
+      || null;
+  }
+
+  drain() {
+    if (!this.handler || this.closed) return;
+
+    while (this.active.size < this.concurrency && this.waiting.length > 0) {
+      const job = this.waiting.shift();
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.active.set(job.id, job);
+    job.attemptsMade += 1;
+
+    try {
+      const result = await this.handler(job);
+      this.counts.completed += 1;
+      this.emit('completed', job, result);
+    } catch (error) {
+      this.counts.failed += 1;
+      job.failedReason = error.message;
+      this.emit('failed', job, error);
+    } finally {
+      this.active.delete(job.id);
+      this.jobIds.delete(job.id);
+      this.drain();
+    }
+  }
+
+  async getJobCounts() {
+    return {
+      waiting: this.waiting.length,
+      active: this.active.size,
+      completed: this.counts.completed,
+      failed: this.counts.failed,
+      delayed: this.delayed.size
+    };
+  }
+
+  async isReady() {
+    return this;
+  }
+
+  async close() {
+    this.closed = true;
+
+    for (const { timer } of this.delayed.values()) {
+      clearTimeout(timer);
+    }
+
+    this.delayed.clear();
+    this.waiting = [];
+  }
+}
+
+module.exports = MemoryQueue;
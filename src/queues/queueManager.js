@@ -1,4 +1,4 @@
-
+const Queue = require('bull');
 const logger = require('../utils/logger');
 const Event = require('../models/Event');
 const Transaction = require('../models/Transaction');
@@ -6,42 +6,248 @@ const AuditLog = require('../models/AuditLog');
 const validationSchemas = require('../validators/webhookSchemas');
 const transformationService = require('../services/transformationService');
 const sageX3Client = require('../services/sageX3Client');
+const orderingService = require('../services/orderingService');
+const invoiceVersionService = require('../services/invoiceVersionService');
+const stockLedgerService = require('../services/stockLedgerService');
+const costingService = require('../services/costingService');
+const { scheduleRetry } = require('../services/retryPolicy');
+const { BusinessRuleError } = require('../utils/errors');
+const { roundAmount } = require('../utils/money');
+const MemoryQueue = require('./memoryQueue');
+
+const QUEUE_NAMES = {
+  processing: 'event-processing',
+  retry: 'event-retry'
+};
+
+const DEFAULT_JOB_OPTIONS = {
+  attempts: 1,
+  removeOnComplete: 500,
+  removeOnFail: 500
+};
+
+// Map event types to valid Transaction document type enum values
+const DOCUMENT_TYPE_BY_EVENT = {
+  'payment.created': 'payment',
+  'payment.cancelled': 'payment_reversal',
+  'invoice.created': 'invoice',
+  'invoice.updated': 'invoice',
+  'invoice.cancelled': 'credit_note',
+  'stock.created': 'stock_movement',
+  'stock.updated': 'stock_movement',
+  'stock.incremented': 'stock_movement',
+  'stock.transferred': 'stock_movement',
+  'stock.recalled': 'stock_movement',
+  'stock.archived': 'stock_movement',
+  'stock.dispensed': 'stock_movement',
+  'stock.sold': 'stock_movement',
+  'stock.returned': 'stock_movement',
+  'item.created': 'item',
+  'item.updated': 'item',
+  'item.archived': 'item'
+};
 
-// TEMPORARY: Process events synchronously without Redis/Bull
-// This is a workaround until Redis is properly configured
+// Event types a cancellation can reverse, and where the HMS id is found
+const CANCELLATION_TARGETS = {
+  'invoice.cancelled': { eventTypes: ['invoice.created', 'invoice.updated'], idField: 'originalInvoiceId' },
+  'payment.cancelled': { eventTypes: ['payment.created'], idField: 'originalPaymentId' }
+};
+
+const queues = {
+  processing: null,
+  retry: null
+};
+
+let backend = null;
+let initPromise = null;
 
 
 /**
- * Initialize queues - NO-OP when Redis unavailable
+ * Build Redis connection options from the environment
+ * REDIS_URL wins; otherwise REDIS_HOST may carry its own ":port"
  */
-async function initializeQueues() {
-  logger.queue.info('Queue system disabled - processing events synchronously');
-  return Promise.resolve();
+function getRedisOptions() {
+  if (process.env.REDIS_URL) {
+    return process.env.REDIS_URL;
+  }
+  
+  const [host, hostPort] = (process.env.REDIS_HOST || '127.0.0.1').split(':');
+  
+  return {
+    redis: {
+      host,
+      port: parseInt(hostPort || process.env.REDIS_PORT || 6379),
+      password: process.env.REDIS_PASSWORD || undefined
+    }
+  };
 }
 
 /**
- * Queue event for processing - Process immediately instead
+ * Race a promise against a timeout
  */
-async function queueEvent(eventId) {
-  logger.queue.info(`Processing event immediately (no queue): ${eventId}`);
+function withTimeout(promise, ms, message) {
+  let timer;
+  const expiry = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  
+  return Promise.race([promise, expiry]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create Bull queues and wait for Redis to accept connections
+ */
+async function createRedisQueues() {
+  const redisOptions = getRedisOptions();
+  const connectTimeout = parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS || 5000);
+  
+  const created = {};
+  for (const [key, name] of Object.entries(QUEUE_NAMES)) {
+    created[key] = typeof redisOptions === 'string'
+      ? new Queue(name, redisOptions, { defaultJobOptions: DEFAULT_JOB_OPTIONS })
+      : new Queue(name, { ...redisOptions, defaultJobOptions: DEFAULT_JOB_OPTIONS });
+    
+    created[key].on('error', (error) => {
+      logger.queue.error(`Queue error (${name}):`, { error: error.message });
+    });
+  }
   
-  // Process synchronously instead of queueing
   try {
-    await processEvent(eventId);
+    // isReady() does not wait for the connection, a PING does
+    await withTimeout(
+      Promise.all(Object.values(created).map(queue => queue.client.ping())),
+      connectTimeout,
+      `Redis not reachable within ${connectTimeout}ms`
+    );
   } catch (error) {
-    logger.queue.error(`Immediate processing failed for ${eventId}:`, {
-      error: error.message,
-      stack: error.stack
+    Object.values(created).forEach(queue => queue.close().catch(() => {}));
+    throw error;
+  }
+  
+  return created;
+}
+
+/**
+ * Create in-process queues
+ */
+function createMemoryQueues() {
+  const created = {};
+  for (const [key, name] of Object.entries(QUEUE_NAMES)) {
+    created[key] = new MemoryQueue(name);
+  }
+  return created;
+}
+
+/**
+ * Attach workers and lifecycle logging to the active queues
+ */
+function registerWorkers() {
+  const concurrency = parseInt(process.env.QUEUE_CONCURRENCY || 5);
+  const retryConcurrency = parseInt(process.env.RETRY_QUEUE_CONCURRENCY || 2);
+  
+  queues.processing.process(concurrency, (job) => processEvent(job.data.eventId));
+  queues.retry.process(retryConcurrency, (job) => processEvent(job.data.eventId));
+  
+  for (const [key, queue] of Object.entries(queues)) {
+    queue.on('completed', (job, result) => {
+      logger.queue.info(`Job completed (${key}): ${job.id}`, { status: result?.status });
+    });
+    
+    queue.on('failed', (job, error) => {
+      logger.queue.error(`Job failed (${key}): ${job.id}`, { error: error.message });
     });
   }
+  
+  logger.queue.info('Queue workers registered', { backend, concurrency, retryConcurrency });
 }
 
+/**
+ * Initialize queues
+ * QUEUE_BACKEND=memory forces the in-process backend; otherwise Redis is
+ * tried first and the in-process backend is used if it cannot be reached.
+ * Safe to call more than once.
+ * @returns {Promise<object>} - { backend }
+ */
+function initializeQueues() {
+  if (!initPromise) {
+    initPromise = (async () => {
+      const requested = (process.env.QUEUE_BACKEND || 'redis').toLowerCase();
+      let created = null;
+      
+      if (requested !== 'memory') {
+        try {
+          created = await createRedisQueues();
+          backend = 'redis';
+        } catch (error) {
+          // Jobs in memory die with the process; the retry scheduler requeues what they leave behind
+          logger.queue.error('Redis queues unavailable, falling back to in-process queues', {
+            error: error.message
+          });
+        }
+      }
+      
+      if (!created) {
+        created = createMemoryQueues();
+        backend = 'memory';
+      }
+      
+      Object.assign(queues, created);
+      registerWorkers();
+      
+      logger.queue.info(`Queue system initialized (${backend})`);
+      return { backend };
+    })();
+  }
+  
+  return initPromise;
+}
 
 /**
- * Process a single event through the pipeline
+ * Queue event for processing
+ * The job ID is unique per enqueue, as for retries and replays: Bull keeps
+ * finished jobs, and would silently drop a job reusing one of their IDs.
+ * Processing picks up from the event's status, so a second job is harmless.
  */
-// loop fixed
+async function queueEvent(eventId) {
+  await initializeQueues();
+  
+  const jobId = `${eventId}:process:${Date.now()}`;
+  await queues.processing.add({ eventId }, { jobId });
+  logger.queue.info(`Event queued for processing: ${eventId}`, { backend });
+}
 
+/**
+ * Queue an event on the retry queue
+ * @param {string} eventId - Event to reprocess
+ * @param {number} attempt - Retry attempt number
+ * @param {number} delayMs - Optional delay before the job becomes available
+ */
+async function queueRetry(eventId, attempt, delayMs = 0) {
+  await initializeQueues();
+  
+  // retryCount restarts after a replay, so the attempt alone is not unique
+  const jobId = `${eventId}:retry:${attempt}:${Date.now()}`;
+  await queues.retry.add({ eventId, attempt }, { jobId, delay: delayMs });
+  logger.queue.info(`Event queued for retry: ${eventId}`, { attempt, delayMs, backend });
+}
+
+/**
+ * Queue an event for reprocessing after a human intervention
+ * @param {string} eventId - Event to reprocess
+ * @param {string} tag - Makes the job ID unique, e.g. "replay:2" or "requeue:<ts>"
+ */
+async function queueReplay(eventId, tag) {
+  await initializeQueues();
+  
+  const jobId = `${eventId}:${tag}`;
+  await queues.retry.add({ eventId, replay: tag }, { jobId });
+  logger.queue.info(`Event queued for replay: ${eventId}`, { tag, backend });
+}
+
+
+/**
+ * Process a single event through the pipeline
+ */
 async function processEvent(eventId) {
   const event = await Event.findByEventId(eventId);
   
@@ -55,6 +261,15 @@ async function processEvent(eventId) {
   });
   
   try {
+    // Step 0: Wait behind earlier events on the same entity
+    if (event.status === 'received' && await holdForOrdering(event)) {
+      return {
+        success: true,
+        eventId,
+        status: event.status
+      };
+    }
+    
     // Step 1: Validation
     if (event.status === 'received') {
       await validateEvent(event);
@@ -70,6 +285,13 @@ async function processEvent(eventId) {
       await syncToSageX3(event);
     }
     
+    // Let events waiting on this entity go; the scheduler's sweep catches anything missed here
+    if (event.status === 'synced' && event.entityKeys?.length) {
+      await releaseBlockedEvents(event.entityKeys).catch(error => {
+        logger.queue.error(`Failed to release events blocked on ${event.eventId}:`, { error: error.message });
+      });
+    }
+    
     return {
       success: true,
       eventId,
@@ -82,17 +304,93 @@ async function processEvent(eventId) {
       status: event.status
     });
     
-    // Mark event as failed
-    await event.markAsFailed('system', error.message, {
-      stack: error.stack,
-      processingStep: event.status
-    });
+    // Steps record their own typed failure; anything else is a system error
+    if (event.status !== 'failed') {
+      await event.markAsFailed('system', error.message, {
+        stack: error.stack,
+        processingStep: event.status
+      });
+    }
+    
+    try {
+      const outcome = await scheduleRetry(event, error);
+      logger.queue.info(`Failure handled for ${eventId}: ${outcome.action}`, outcome);
+    } catch (scheduleError) {
+      logger.queue.error(`Failed to schedule retry for ${eventId}:`, { error: scheduleError.message });
+    }
     
     throw error;
   }
 }
 
 
+/**
+ * Block the event if it must wait for another event on the same entity
+ * Events released on timeout are not held again.
+ * @returns {Promise<boolean>} - true when the event was blocked
+ */
+async function holdForOrdering(event) {
+  if (event.blocking?.releaseReason === 'timeout') {
+    return false;
+  }
+  
+  const blocker = await orderingService.findBlocker(event);
+  
+  if (!blocker) {
+    if (event.blocking?.blockedAt && !event.blocking.releasedAt) {
+      event.set('blocking.releasedAt', new Date());
+      event.set('blocking.releaseReason', 'clear');
+      await event.save();
+    }
+    return false;
+  }
+  
+  await event.markAsBlocked(blocker, await orderingService.getBlockTimeoutMs());
+  
+  logger.queue.info(`Event blocked: ${event.eventId}`, {
+    eventType: event.eventType,
+    entityKey: blocker.entityKey,
+    reason: blocker.reason
+  });
+  
+  return true;
+}
+
+/**
+ * Requeue blocked events that can go now, in causal order
+ * Each is claimed with a conditional update so concurrent releases queue it once;
+ * processing re-checks the order, so an event released too early blocks again.
+ * @param {string[]} entityKeys - entities that just moved; all blocked events when omitted
+ * @returns {Promise<number>} - Number of events released
+ */
+async function releaseBlockedEvents(entityKeys) {
+  const releasable = await orderingService.findReleasable(entityKeys);
+  let released = 0;
+  
+  for (const { event, reason } of releasable) {
+    const update = { $set: { status: 'received', updatedAt: new Date() } };
+    if (reason === 'timeout') {
+      update.$set['blocking.releasedAt'] = new Date();
+      update.$set['blocking.releaseReason'] = 'timeout';
+    }
+    
+    const claimed = await Event.findOneAndUpdate({ _id: event._id, status: 'blocked' }, update, { new: true });
+    if (!claimed) continue;
+    
+    if (reason === 'timeout') {
+      logger.queue.warn(`Blocked event released after timeout: ${claimed.eventId}`, {
+        entityKey: claimed.blocking?.entityKey,
+        reason: claimed.blocking?.reason
+      });
+    }
+    
+    await queueReplay(claimed.eventId, `release:${Date.now()}`);
+    released += 1;
+  }
+  
+  return released;
+}
+
 /**
  * Validate event against schema
  */
@@ -148,15 +446,18 @@ async function validateEvent(event) {
  */
 async function transformEvent(event) {
   try {
-    const transformed = transformationService.transform(event.eventType, event.rawPayload);
+    const { data, mapping } = await transformationService.transform(event.eventType, event.rawPayload, {
+      eventId: event.eventId,
+      receivedAt: event.createdAt
+    });
     
-    await event.markAsTransformed(transformed);
+    await event.markAsTransformed(data, mapping);
     
     await AuditLog.logAction({
       action: 'event.transformed',
       eventId: event.eventId,
       actor: { type: 'system' },
-      details: { eventType: event.eventType },
+      details: { eventType: event.eventType, mapping },
       result: { status: 'success', message: 'Transformation completed' },
       category: 'processing',
       severity: 'info'
@@ -165,7 +466,9 @@ async function transformEvent(event) {
     logger.queue.info(`Event transformed: ${event.eventId}`);
     
   } catch (error) {
-    await event.markAsFailed('transformation', error.message, { stack: error.stack });
+    // Unmapped cross-references are business rule failures; anything else is the mapping itself
+    const errorType = error instanceof BusinessRuleError ? error.type : 'transformation';
+    await event.markAsFailed(errorType, error.message, { stack: error.stack, ...error.details });
     
     await AuditLog.logAction({
       action: 'event.transformed',
@@ -182,10 +485,943 @@ async function transformEvent(event) {
   }
 }
 
+/**
+ * Extract the financial summary stored on the Transaction (used for
+ * reporting and reconciliation against the posted X3 document)
+ */
+function buildFinancialData(eventType, transformedData) {
+  const ledger = {
+    ledgerCurrency: transformedData.ledgerCurrency || transformedData.currency,
+    exchangeRate: transformedData.exchangeRate ?? 1,
+    exchangeRateDate: transformedData.exchangeRateDate
+  };
+  
+  if (eventType === 'invoice.created' || eventType === 'invoice.updated') {
+    return {
+      amount: transformedData.totalAmount,
+      currency: transformedData.currency,
+      ledgerAmount: transformedData.ledgerTotalAmount ?? transformedData.totalAmount,
+      ...ledger,
+      customerReference: transformedData.customerReference,
+      invoiceNumber: transformedData.invoiceNumber,
+      taxAmount: transformedData.taxAmount,
+      taxRoundingDifference: transformedData.taxRoundingDifference
+    };
+  }
+  
+  if (eventType === 'payment.created') {
+    return {
+      amount: transformedData.amount,
+      currency: transformedData.currency,
+      ledgerAmount: transformedData.ledgerAmount ?? transformedData.amount,
+      ...ledger,
+      customerReference: transformedData.customerReference,
+      paymentMethod: transformedData.paymentMethod
+    };
+  }
+  
+  return undefined;
+}
+
+/**
+ * Stock codes, batches and locations a stock document moved, for the Transaction
+ * Locations are the X3 codes the document was posted with.
+ */
+function buildInventoryData(eventType, transformedData) {
+  if (!eventType.startsWith('stock.')) {
+    return undefined;
+  }
+  
+  const lines = transformedData.items || transformedData.lines || [];
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+  
+  return {
+    stockCodes: unique([transformedData.stockCode, ...lines.map(line => line.stockCode)]),
+    batchIds: unique([transformedData.batchId, ...lines.map(line => line.batchId)]),
+    movementType: transformedData.movementType || transformedData.issueType || transformedData.documentType,
+    fromLocation: transformedData.fromLocation || undefined,
+    toLocation: transformedData.toLocation || undefined
+  };
+}
+
+/**
+ * Find the synced Transaction a cancellation event reverses
+ * @throws {BusinessRuleError} - If the original never reached Sage X3 or was already reversed
+ */
+async function findCancelledTransaction(event, transformedData) {
+  const target = CANCELLATION_TARGETS[event.eventType];
+  const sourceId = transformedData[target.idField];
+  
+  const originalEvents = await Event.find({
+    eventType: { $in: target.eventTypes },
+    'rawPayload.data.id': sourceId
+  }).select('eventId status');
+  
+  const transactions = await Transaction.find({
+    eventId: { $in: originalEvents.map(e => e.eventId) },
+    status: { $in: ['synced', 'reversed'] }
+  }).sort({ syncedAt: -1 });
+  
+  const original = transactions.find(t => !t.reversed);
+  
+  if (!original) {
+    // The original may still be on its way through the pipeline; retry later
+    const inFlight = originalEvents.some(e => ['received', 'blocked', 'validated', 'transformed', 'failed'].includes(e.status));
+    if (inFlight && transactions.length === 0) {
+      throw new Error(`Cannot post ${event.eventType}: ${sourceId} has not been synced yet`);
+    }
+    
+    const reason = transactions.length > 0
+      ? `has already been reversed (${transactions[0].transactionId})`
+      : 'was never synced to Sage X3';
+    
+    throw new BusinessRuleError(`Cannot post ${event.eventType}: ${sourceId} ${reason}`, {
+      sourceId,
+      originalEventIds: originalEvents.map(e => e.eventId)
+    });
+  }
+  
+  return original;
+}
+
+/**
+ * Reverse each posted part of a split document; the first reversal is the reference
+ */
+async function reverseParts(parts, reverse) {
+  const responses = [];
+  for (const part of parts) {
+    responses.push(await reverse(part));
+  }
+  
+  return {
+    ...responses[0],
+    reversals: responses.map(response => response.documentReference)
+  };
+}
+
+/**
+ * Post the credit note or payment reversal for a cancellation
+ * Invoices are credited receivable by receivable for what is still on them;
+ * claim payments are reversed receipt by receipt.
+ */
+async function postCancellation(event, transformedData, original) {
+  const reversalData = {
+    originalReference: original.sageX3Details?.documentReference,
+    reason: transformedData.cancellationReason,
+    reversalDate: transformedData.cancellationDate,
+    amount: original.financialData?.amount || 0,
+    currency: original.financialData?.currency || 'NGN',
+    // Reverse at the original rate so the ledger nets to zero
+    ledgerAmount: original.financialData?.ledgerAmount,
+    ledgerCurrency: original.financialData?.ledgerCurrency,
+    exchangeRate: original.financialData?.exchangeRate,
+    customerReference: original.financialData?.customerReference
+  };
+  
+  if (event.eventType === 'invoice.cancelled') {
+    // Every receivable of the invoice, including supplementary invoices from edits
+    const invoices = await Transaction.find({
+      eventType: { $in: ['invoice.created', 'invoice.updated'] },
+      status: { $in: ['synced', 'reversed'] },
+      'financialData.invoiceNumber': original.financialData?.invoiceNumber || transformedData.originalInvoiceId,
+      'receivables.documentReference': { $exists: true }
+    }).sort({ createdAt: 1 });
+    const receivables = invoices.flatMap(invoice => invoice.receivables)
+      .filter(receivable => receivable.documentReference);
+    
+    if (receivables.length > 0) {
+      // What earlier credit notes (edits, or a failed attempt at this one) took off is not credited again
+      const open = receivables
+        .map(receivable => ({ receivable, remaining: roundAmount(receivable.amount - (receivable.creditedAmount || 0)) }))
+        .filter(entry => entry.remaining > 0);
+      
+      if (open.length === 0) {
+        return {
+          success: true,
+          documentReference: null,
+          documentType: 'credit_note',
+          posted: false,
+          message: 'Invoice has already been fully credited'
+        };
+      }
+      
+      return reverseParts(open, async ({ receivable, remaining }) => {
+        const response = await sageX3Client.postCreditNote({
+          ...reversalData,
+          originalReference: receivable.documentReference,
+          amount: remaining,
+          ledgerAmount: remaining === receivable.amount
+            ? receivable.ledgerAmount
+            : roundAmount(remaining * (reversalData.exchangeRate ?? 1)),
+          customerReference: receivable.customerReference,
+          originalInvoiceId: transformedData.originalInvoiceId,
+          invoiceNumber: receivable.invoiceNumber
+        });
+        
+        await creditReceivable(receivable.documentReference, remaining);
+        return response;
+      });
+    }
+    
+    return sageX3Client.postCreditNote({
+      ...reversalData,
+      originalInvoiceId: transformedData.originalInvoiceId
+    });
+  }
+  
+  if (original.allocations?.length) {
+    const receipts = new Map();
+    for (const allocation of original.allocations) {
+      if (!receipts.has(allocation.documentReference)) receipts.set(allocation.documentReference, []);
+      receipts.get(allocation.documentReference).push(allocation);
+    }
+    
+    // Receipts an earlier attempt already reversed are not reversed or reopened again
+    const reversed = [...receipts.values()].filter(allocations => allocations[0].reversalReference);
+    const open = [...receipts.values()].filter(allocations => !allocations[0].reversalReference);
+    
+    if (open.length === 0) {
+      return {
+        success: true,
+        documentReference: reversed[0]?.[0].reversalReference || null,
+        documentType: 'payment_reversal',
+        posted: false,
+        reversals: reversed.map(allocations => allocations[0].reversalReference),
+        message: 'Payment has already been fully reversed'
+      };
+    }
+    
+    const response = await reverseParts(open, async allocations => {
+      const reversal = await sageX3Client.postPaymentReversal({
+        ...reversalData,
+        originalReference: allocations[0].documentReference,
+        amount: roundAmount(allocations.reduce((sum, allocation) => sum + allocation.amount, 0)),
+        ledgerAmount: undefined,
+        customerReference: allocations[0].customerReference,
+        originalPaymentId: transformedData.originalPaymentId,
+        paymentMethod: allocations[0].paymentMethod || original.financialData?.paymentMethod
+      });
+      
+      await markReceiptReversed(original, allocations[0].documentReference, reversal.documentReference);
+      
+      // The invoices the receipt settled are open again for what it paid
+      for (const allocation of allocations.filter(entry => entry.invoiceDocumentReference)) {
+        await settleReceivable(allocation.invoiceDocumentReference, -allocation.amount);
+      }
+      
+      return reversal;
+    });
+    
+    return {
+      ...response,
+      reversals: [...reversed.map(allocations => allocations[0].reversalReference), ...response.reversals]
+    };
+  }
+  
+  return sageX3Client.postPaymentReversal({
+    ...reversalData,
+    originalPaymentId: transformedData.originalPaymentId,
+    paymentMethod: original.financialData?.paymentMethod
+  });
+}
+
+/**
+ * Reverse a synced invoice or payment on an approved reversal request
+ * Posts what its cancellation event would: a credit note for what is still
+ * open on each receivable of the invoice, or a reversal per payment receipt,
+ * and reopens or credits the receivables to match.
+ * @throws {BusinessRuleError} - For transactions that are not invoices or payments
+ */
+async function postReversal(original, { reason, reversalDate = new Date().toISOString() }) {
+  const [eventType] = Object.entries(CANCELLATION_TARGETS)
+    .find(([, target]) => target.eventTypes.includes(original.eventType)) || [];
+  
+  if (!eventType) {
+    throw new BusinessRuleError(`${original.eventType} transactions cannot be reversed`, {
+      transactionId: original.transactionId
+    });
+  }
+  
+  return postCancellation({ eventType }, {
+    cancellationReason: reason,
+    cancellationDate: reversalDate,
+    originalInvoiceId: original.sageX3Payload?.invoiceId || original.financialData?.invoiceNumber,
+    originalPaymentId: original.sageX3Payload?.paymentId
+  }, original);
+}
+
+/**
+ * Link a cancellation to the transaction it reversed and mark the original reversed
+ */
+async function linkCancellation(event, transaction, original, response) {
+  const reason = event.transformedPayload.cancellationReason;
+  
+  await original.markAsReversed(reason, response.documentReference, 'system', {
+    reversalTransactionId: transaction.transactionId
+  });
+  
+  const originalEvent = await Event.findByEventId(original.eventId);
+  if (originalEvent) {
+    await originalEvent.markAsReversed(reason, transaction.transactionId);
+  }
+  
+  await AuditLog.logAction({
+    action: 'transaction.reversed',
+    eventId: original.eventId,
+    transactionId: original.transactionId,
+    actor: { type: 'webhook' },
+    details: {
+      reason,
+      cancellationEventId: event.eventId,
+      reversalTransactionId: transaction.transactionId,
+      originalDocRef: original.sageX3Details?.documentReference,
+      reversalDocRef: response.documentReference
+    },
+    result: { status: 'success', message: `Reversed by ${event.eventType}` },
+    category: 'reversal',
+    severity: 'warning'
+  });
+}
+
+/**
+ * Parts of an event that an earlier attempt already posted, grouped by key,
+ * so a retry after a partial failure does not post them twice
+ * Parts left on other rows of the event (attempts from before rows were
+ * reused) are carried over to this attempt's transaction first.
+ */
+async function findPostedParts(transaction, field, keyOf) {
+  const previous = await Transaction.find({
+    _id: { $ne: transaction._id },
+    eventId: transaction.eventId,
+    [`${field}.documentReference`]: { $exists: true }
+  }).select(field);
+  
+  const known = new Set(transaction[field].map(part => part.documentReference));
+  for (const part of previous.flatMap(other => other[field])) {
+    if (!part.documentReference || known.has(part.documentReference)) continue;
+    
+    const { _id, ...copy } = part.toObject();
+    transaction[field].push(copy);
+    known.add(part.documentReference);
+  }
+  
+  const posted = new Map();
+  for (const part of transaction[field]) {
+    if (!part.documentReference) continue;
+    
+    const key = keyOf(part);
+    if (!posted.has(key)) posted.set(key, []);
+    posted.get(key).push(part);
+  }
+  
+  return posted;
+}
+
+/**
+ * X3 documents of a sponsor-split invoice: the patient portion, then one per sponsor
+ */
+function buildSplitDocuments(transformedData) {
+  const { patientPortion, sponsorReceivables = [], taxSummary, taxRoundingDifference, ...header } = transformedData;
+  
+  return [
+    { ...header, ...patientPortion, receivableType: 'patient' },
+    ...sponsorReceivables.map(receivable => ({
+      ...header,
+      ...receivable,
+      receivableType: 'sponsor',
+      patientReference: header.customerReference
+    }))
+  ];
+}
+
+/**
+ * Post an invoice and record the receivable(s) payments are allocated against
+ * A sponsor-split invoice becomes one X3 receivable per party: the patient
+ * portion keeps the HMS invoice number, sponsor receivables are billed to the
+ * sponsor's X3 code, and fully covered portions are not posted.
+ */
+async function postInvoiceReceivables(event, transformedData, transaction) {
+  const { sponsorReceivables = [], ...header } = transformedData;
+  
+  if (sponsorReceivables.length === 0) {
+    // Posted by an earlier attempt that failed afterwards
+    const existing = transaction.receivables.find(receivable =>
+      receivable.invoiceNumber === header.invoiceNumber && receivable.documentReference
+    );
+    if (existing) {
+      return { success: true, documentReference: existing.documentReference, documentType: 'invoice' };
+    }
+    
+    const response = await sageX3Client.postInvoice(transformedData);
+    
+    // Proforma invoices are not receivables
+    if (!transformedData.isProforma) {
+      transaction.receivables.push({
+        receivableType: 'patient',
+        customerReference: header.customerReference,
+        invoiceNumber: header.invoiceNumber,
+        amount: header.totalAmount,
+        ledgerAmount: header.ledgerTotalAmount,
+        documentReference: response.documentReference,
+        postedAt: new Date()
+      });
+    }
+    
+    return response;
+  }
+  
+  const documents = buildSplitDocuments(transformedData).filter(document => document.totalAmount > 0);
+  
+  const posted = await findPostedParts(transaction, 'receivables', part => part.invoiceNumber);
+  
+  for (const document of documents) {
+    if (!posted.has(document.invoiceNumber)) {
+      const response = await sageX3Client.postInvoice(document);
+      transaction.receivables.push({
+        receivableType: document.receivableType,
+        sponsorId: document.sponsorId,
+        customerReference: document.customerReference,
+        invoiceNumber: document.invoiceNumber,
+        amount: document.totalAmount,
+        ledgerAmount: document.ledgerTotalAmount,
+        documentReference: response.documentReference,
+        postedAt: new Date()
+      });
+    }
+    
+    await transaction.save();
+  }
+  
+  logger.queue.info(`Posted invoice ${header.invoiceNumber} as ${documents.length} receivable(s)`, {
+    eventId: event.eventId,
+    sponsors: sponsorReceivables.map(receivable => receivable.sponsorId)
+  });
+  
+  return {
+    success: true,
+    documentReference: transaction.receivables[0]?.documentReference,
+    documentType: 'invoice',
+    receivables: transaction.receivables.map(receivable => ({
+      receivableType: receivable.receivableType,
+      sponsorId: receivable.sponsorId,
+      invoiceNumber: receivable.invoiceNumber,
+      amount: receivable.amount,
+      documentReference: receivable.documentReference
+    }))
+  };
+}
+
+/**
+ * Post a sale or dispense at cost, then its COGS / inventory journal
+ * The valuation (and the cost layers it draws down) is made once per event,
+ * so a retry posts the same costs and skips what an earlier attempt posted.
+ */
+async function postStockIssue(event, transformedData, transaction) {
+  const target = await costingService.getExpenseTarget(event);
+  
+  const valuation = await costingService.valueOutflow(
+    event.eventId,
+    (transformedData.items || []).map((item, index) => ({
+      line: index,
+      stockCode: item.stockCode,
+      batchId: item.batchId,
+      quantity: Number(item.quantity || 0)
+    })),
+    { purpose: 'issue', eventId: event.eventId, eventType: event.eventType }
+  );
+  const costedData = costingService.applyCosts(transformedData, valuation);
+  
+  let response;
+  if (valuation.movementReference) {
+    response = { success: true, documentReference: valuation.movementReference, documentType: 'stock_movement' };
+  } else {
+    response = await sageX3Client.postStockMovement(costedData);
+    valuation.movementReference = response.documentReference;
+    await valuation.save();
+  }
+  
+  const journalReference = await costingService.postIssueJournal(event, valuation, target);
+  
+  transaction.sageX3Payload = costedData;
+  Object.assign(transaction.inventoryData, {
+    costingMethod: valuation.method,
+    totalCost: valuation.totalCost,
+    journalReference
+  });
+  await transaction.save();
+  
+  return {
+    ...response,
+    costingMethod: valuation.method,
+    totalCost: valuation.totalCost,
+    journalReference
+  };
+}
+
+/**
+ * Whether an X3 invoice is still an unposted draft that can be edited in place
+ */
+async function isUnpostedDraft(documentReference) {
+  try {
+    const document = await sageX3Client.getDocument(documentReference);
+    return document?.posted === false || ['DRAFT', 'UNPOSTED'].includes(String(document?.status).toUpperCase());
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Post a new invoice and keep it as the first version edits are diffed against
+ * Proforma invoices are not receivables and are not versioned.
+ */
+async function postInvoiceCreated(event, transformedData, transaction) {
+  const response = await postInvoiceReceivables(event, transformedData, transaction);
+  
+  if (!transformedData.isProforma) {
+    await invoiceVersionService.recordInitialVersion(event, transformedData, transaction.receivables, response.documentReference);
+  }
+  
+  return response;
+}
+
+/**
+ * Last synced version of an invoice; invoices synced before versioning get
+ * their first version from the latest transaction that posted them
+ */
+async function findPreviousVersion(event, transformedData) {
+  const latest = await invoiceVersionService.getLatest(transformedData.invoiceId);
+  if (latest) {
+    return latest;
+  }
+  
+  const legacy = await Transaction.findOne({
+    eventId: { $ne: event.eventId },
+    eventType: { $in: ['invoice.created', 'invoice.updated'] },
+    status: { $in: ['synced', 'reversed'] },
+    'financialData.invoiceNumber': transformedData.invoiceNumber,
+    'sageX3Payload.isProforma': { $ne: true }
+  }).sort({ createdAt: -1 });
+  
+  if (!legacy) {
+    return null;
+  }
+  
+  return invoiceVersionService.recordInitialVersion(
+    { eventId: legacy.eventId, eventType: legacy.eventType },
+    legacy.sageX3Payload,
+    legacy.receivables,
+    legacy.sageX3Details?.documentReference
+  );
+}
+
+/**
+ * Post an invoice edit as adjustments against the last synced version
+ * Each receivable is diffed line by line. A draft still unposted in X3 is
+ * amended in place; otherwise increases go on a supplementary invoice
+ * (a new receivable) and decreases on a credit note against the original.
+ * Adjustments already posted by a failed attempt are not posted again.
+ */
+async function postInvoiceUpdate(event, transformedData, transaction) {
+  if (transformedData.isProforma) {
+    return sageX3Client.postInvoice(transformedData);
+  }
+  
+  const previous = await findPreviousVersion(event, transformedData);
+  if (!previous) {
+    return postInvoiceCreated(event, transformedData, transaction);
+  }
+  
+  const version = await invoiceVersionService.startVersion(event, transformedData, previous);
+  const done = new Set(version.adjustments.map(adjustment => `${adjustment.type}:${adjustment.invoiceNumber}`));
+  const fullDocuments = transformedData.sponsorReceivables?.length
+    ? buildSplitDocuments(transformedData)
+    : [{ ...transformedData, receivableType: 'patient' }];
+  const { patientPortion, sponsorReceivables, taxSummary, taxRoundingDifference, ...header } = transformedData;
+  const toLedger = (amount) => roundAmount(amount * (transformedData.exchangeRate ?? 1));
+  
+  const recordAdjustment = async (type, invoiceNumber, documentReference, amount) => {
+    version.adjustments.push({ type, invoiceNumber, documentReference, amount, postedAt: new Date() });
+    await version.save();
+  };
+  
+  for (const diff of version.diff) {
+    const { increases, decreases } = invoiceVersionService.adjustmentLines(diff);
+    if (increases.length === 0 && decreases.length === 0) continue;
+    
+    const invoiceNumber = diff.invoiceNumber;
+    const document = version.documents.find(entry => entry.invoiceNumber === invoiceNumber);
+    const previousDocument = previous.documents.find(entry => entry.invoiceNumber === invoiceNumber);
+    const party = document || previousDocument;
+    const baseReference = document?.documentReference || previousDocument?.documentReference;
+    
+    if (baseReference && document && await isUnpostedDraft(baseReference)) {
+      if (!done.has(`amendment:${invoiceNumber}`)) {
+        const full = fullDocuments.find(entry => entry.invoiceNumber === invoiceNumber);
+        await sageX3Client.amendInvoice(baseReference, full);
+        await Transaction.updateOne(
+          { 'receivables.documentReference': baseReference },
+          { $set: { 'receivables.$.amount': full.totalAmount, 'receivables.$.ledgerAmount': full.ledgerTotalAmount } }
+        );
+        await recordAdjustment('amendment', invoiceNumber, baseReference, diff.amountChange);
+      }
+      continue;
+    }
+    
+    if (increases.length > 0 && !done.has(`supplementary_invoice:${invoiceNumber}`)) {
+      const lines = invoiceVersionService.toPostedLines(increases);
+      const adjustmentNumber = baseReference ? `${invoiceNumber}-V${version.version}` : invoiceNumber;
+      const response = await sageX3Client.postInvoice({
+        ...header,
+        invoiceNumber: adjustmentNumber,
+        customerReference: party.customerReference,
+        sponsorId: party.sponsorId,
+        patientReference: party.receivableType === 'sponsor' ? header.customerReference : undefined,
+        ...lines,
+        ledgerTotalAmount: toLedger(lines.totalAmount),
+        originalReference: baseReference
+      });
+      
+      transaction.receivables.push({
+        receivableType: party.receivableType,
+        sponsorId: party.sponsorId,
+        customerReference: party.customerReference,
+        invoiceNumber: adjustmentNumber,
+        amount: lines.totalAmount,
+        ledgerAmount: toLedger(lines.totalAmount),
+        documentReference: response.documentReference,
+        postedAt: new Date(),
+        adjustmentOf: baseReference
+      });
+      await transaction.save();
+      
+      // A receivable posted for the first time is what later versions adjust
+      if (!baseReference && document) {
+        document.documentReference = response.documentReference;
+      }
+      await recordAdjustment('supplementary_invoice', invoiceNumber, response.documentReference, lines.totalAmount);
+    }
+    
+    if (decreases.length > 0 && !done.has(`credit_note:${invoiceNumber}`)) {
+      if (!baseReference) {
+        logger.queue.warn(`Invoice ${invoiceNumber} was never posted; nothing to credit`, { eventId: event.eventId });
+        continue;
+      }
+      
+      const lines = invoiceVersionService.toPostedLines(decreases);
+      const response = await sageX3Client.postCreditNote({
+        originalReference: baseReference,
+        originalInvoiceId: transformedData.invoiceId,
+        invoiceNumber: `${invoiceNumber}-C${version.version}`,
+        reason: `Invoice ${transformedData.invoiceId} updated (version ${version.version})`,
+        reversalDate: transformedData.invoiceDate,
+        ...lines,
+        amount: lines.totalAmount,
+        currency: transformedData.currency,
+        ledgerAmount: toLedger(lines.totalAmount),
+        ledgerCurrency: transformedData.ledgerCurrency,
+        exchangeRate: transformedData.exchangeRate,
+        customerReference: party.customerReference
+      });
+      
+      await creditReceivable(baseReference, lines.totalAmount);
+      await recordAdjustment('credit_note', invoiceNumber, response.documentReference, lines.totalAmount);
+    }
+  }
+  
+  version.status = 'synced';
+  await version.save();
+  
+  logger.queue.info(`Invoice ${transformedData.invoiceId} updated to version ${version.version}`, {
+    eventId: event.eventId,
+    adjustments: version.adjustments.length
+  });
+  
+  return {
+    success: true,
+    documentReference: version.adjustments[version.adjustments.length - 1]?.documentReference || null,
+    documentType: 'invoice',
+    posted: version.adjustments.length > 0,
+    version: version.version,
+    adjustments: version.adjustments.map(({ type, invoiceNumber, documentReference, amount }) => ({
+      type, invoiceNumber, documentReference, amount
+    })),
+    ...(version.adjustments.length === 0 && { message: 'No line changes to post' })
+  };
+}
+
+/**
+ * Open receivables matching a filter, oldest invoice first, with what is still owed
+ */
+async function findOpenReceivables(match, filter) {
+  const invoices = await Transaction.findReceivables(match, filter);
+  
+  return invoices.flatMap(invoice => invoice.receivables
+    .filter(receivable => receivable.documentReference &&
+      Object.entries(match).every(([key, value]) => receivable[key] === value))
+    .map(receivable => ({
+      receivable,
+      outstanding: roundAmount(receivable.amount - (receivable.settledAmount || 0) - (receivable.creditedAmount || 0))
+    })))
+    .filter(entry => entry.outstanding > 0);
+}
+
+/**
+ * Apply an amount to open receivables in order; what is left goes on account
+ */
+function allocateAmount(amount, openReceivables) {
+  const allocations = [];
+  let remaining = amount;
+  
+  for (const entry of openReceivables) {
+    if (remaining <= 0) break;
+    
+    const applied = Math.min(entry.outstanding, remaining);
+    if (applied <= 0) continue;
+    
+    allocations.push({ receivable: entry.receivable, amount: applied });
+    entry.outstanding = roundAmount(entry.outstanding - applied);
+    remaining = roundAmount(remaining - applied);
+  }
+  
+  return { allocations, onAccount: remaining };
+}
+
+function settleReceivable(documentReference, amount) {
+  return Transaction.updateOne(
+    { 'receivables.documentReference': documentReference },
+    { $inc: { 'receivables.$.settledAmount': amount } }
+  );
+}
+
+/**
+ * Record the reversal of a payment receipt on each of its allocations
+ */
+function markReceiptReversed(transaction, documentReference, reversalReference) {
+  return Transaction.updateOne(
+    { _id: transaction._id },
+    {
+      $set: {
+        'allocations.$[receipt].reversalReference': reversalReference,
+        'allocations.$[receipt].reversedAt': new Date()
+      }
+    },
+    { arrayFilters: [{ 'receipt.documentReference': documentReference }] }
+  );
+}
+
+function creditReceivable(documentReference, amount) {
+  return Transaction.updateOne(
+    { 'receivables.documentReference': documentReference },
+    { $inc: { 'receivables.$.creditedAmount': amount } }
+  );
+}
+
+/**
+ * Sponsor receivable a claim settles
+ * The claim's invoice when it names one, else the sponsor's oldest open
+ * receivable for the patient.
+ */
+async function findClaimReceivable(claim, patientReference) {
+  const match = { receivableType: 'sponsor', sponsorId: claim.sponsorId };
+  
+  if (claim.invoiceId) {
+    const [invoice] = await Transaction.findReceivables(match, { 'financialData.invoiceNumber': claim.invoiceId });
+    const receivable = invoice?.receivables.find(entry =>
+      entry.receivableType === 'sponsor' && entry.sponsorId === claim.sponsorId
+    );
+    if (receivable) return receivable;
+  } else {
+    const [open] = await findOpenReceivables(match, { 'financialData.customerReference': patientReference });
+    if (open) return open.receivable;
+  }
+  
+  throw new BusinessRuleError(
+    `No open receivable for sponsor ${claim.sponsorId}${claim.invoiceId ? ` on invoice ${claim.invoiceId}` : ''}`,
+    { claim }
+  );
+}
+
+/**
+ * Post a payment as receipts allocated to invoices
+ * Sponsor claims are paid out of the tenders first (in order) and applied to the
+ * sponsor's receivable. What is left of each tender is a separate receipt in its
+ * own method, applied to the invoice the payment names, or to the patient's
+ * oldest open invoices; anything over what is owed is posted on account.
+ */
+async function postPaymentReceipts(event, transformedData, transaction) {
+  const { claims = [], patientAmount, allPayments = [], ...header } = transformedData;
+  const ledgerShare = (amount) => header.amount
+    ? roundAmount(header.ledgerAmount * amount / header.amount)
+    : 0;
+  
+  const posted = await findPostedParts(transaction, 'allocations', part =>
+    part.claimId ? `claim:${part.claimId}` : `tender:${part.tenderId}`
+  );
+  
+  const tenders = allPayments.map(tender => ({ ...tender, remaining: tender.amount }));
+  const takeFromTenders = (amount) => {
+    let method;
+    for (const tender of tenders) {
+      const taken = Math.min(tender.remaining, amount);
+      if (taken <= 0) continue;
+      method = method || tender.method;
+      tender.remaining = roundAmount(tender.remaining - taken);
+      amount = roundAmount(amount - taken);
+    }
+    return method || header.paymentMethod;
+  };
+  
+  for (const [index, claim] of claims.entries()) {
+    const claimId = claim.claimId || String(index + 1);
+    const paymentMethod = takeFromTenders(claim.amount);
+    
+    if (!posted.has(`claim:${claimId}`)) {
+      const receivable = await findClaimReceivable(claim, header.customerReference);
+      const response = await sageX3Client.postPayment({
+        ...header,
+        paymentId: `${header.paymentId}-${claimId}`,
+        amount: claim.amount,
+        ledgerAmount: ledgerShare(claim.amount),
+        paymentMethod,
+        customerReference: receivable.customerReference,
+        patientReference: header.customerReference,
+        sponsorId: claim.sponsorId,
+        claimId,
+        claimReference: claim.reference,
+        allocations: [{
+          invoiceNumber: receivable.invoiceNumber,
+          documentReference: receivable.documentReference,
+          amount: claim.amount
+        }],
+        onAccountAmount: 0
+      });
+      
+      await settleReceivable(receivable.documentReference, claim.amount);
+      
+      transaction.allocations.push({
+        party: 'sponsor',
+        sponsorId: claim.sponsorId,
+        claimId,
+        paymentMethod,
+        customerReference: receivable.customerReference,
+        invoiceNumber: receivable.invoiceNumber,
+        invoiceDocumentReference: receivable.documentReference,
+        amount: claim.amount,
+        documentReference: response.documentReference,
+        postedAt: new Date()
+      });
+    }
+    
+    await transaction.save();
+  }
+  
+  const patientTenders = tenders.filter(tender => tender.remaining > 0);
+  const openReceivables = patientTenders.length > 0
+    ? await findOpenReceivables(
+      { receivableType: 'patient', customerReference: header.customerReference },
+      header.invoiceId ? { 'financialData.invoiceNumber': header.invoiceId } : {}
+    )
+    : [];
+  
+  for (const tender of patientTenders) {
+    if (!posted.has(`tender:${tender.id}`)) {
+      const { allocations, onAccount } = allocateAmount(tender.remaining, openReceivables);
+      const response = await sageX3Client.postPayment({
+        ...header,
+        paymentId: tenders.length > 1 ? `${header.paymentId}-${tender.id}` : header.paymentId,
+        amount: tender.remaining,
+        ledgerAmount: ledgerShare(tender.remaining),
+        paymentMethod: tender.method,
+        paymentReference: tender.reference,
+        allocations: allocations.map(allocation => ({
+          invoiceNumber: allocation.receivable.invoiceNumber,
+          documentReference: allocation.receivable.documentReference,
+          amount: allocation.amount
+        })),
+        onAccountAmount: onAccount
+      });
+      
+      for (const allocation of allocations) {
+        await settleReceivable(allocation.receivable.documentReference, allocation.amount);
+      }
+      
+      const base = {
+        party: 'patient',
+        tenderId: tender.id,
+        paymentMethod: tender.method,
+        customerReference: header.customerReference,
+        documentReference: response.documentReference,
+        postedAt: new Date()
+      };
+      transaction.allocations.push(
+        ...allocations.map(allocation => ({
+          ...base,
+          invoiceNumber: allocation.receivable.invoiceNumber,
+          invoiceDocumentReference: allocation.receivable.documentReference,
+          amount: allocation.amount
+        })),
+        ...(onAccount > 0 ? [{ ...base, amount: onAccount, onAccount: true }] : [])
+      );
+    }
+    
+    await transaction.save();
+  }
+  
+  const onAccountAmount = roundAmount(transaction.allocations
+    .filter(allocation => allocation.onAccount)
+    .reduce((sum, allocation) => sum + allocation.amount, 0));
+  
+  logger.queue.info(`Posted payment ${header.paymentId} as ${new Set(transaction.allocations.map(a => a.documentReference)).size} receipt(s)`, {
+    eventId: event.eventId,
+    allocated: roundAmount(header.amount - onAccountAmount),
+    onAccount: onAccountAmount
+  });
+  
+  return {
+    success: true,
+    documentReference: transaction.allocations[0]?.documentReference,
+    documentType: 'payment',
+    onAccountAmount,
+    allocations: transaction.allocations.map(allocation => ({
+      party: allocation.party,
+      sponsorId: allocation.sponsorId,
+      paymentMethod: allocation.paymentMethod,
+      invoiceNumber: allocation.invoiceNumber,
+      amount: allocation.amount,
+      onAccount: allocation.onAccount,
+      documentReference: allocation.documentReference
+    }))
+  };
+}
+
+/**
+ * Update or archive an item that must already exist in X3
+ */
+async function syncItemChange(event, transformedData) {
+  try {
+    return event.eventType === 'item.archived'
+      ? await sageX3Client.archiveItem(transformedData.itemId, transformedData)
+      : await sageX3Client.updateItem(transformedData.itemId, transformedData);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new BusinessRuleError(
+        `Item ${transformedData.itemId} does not exist in Sage X3; sync its item.created event first`,
+        { itemId: transformedData.itemId }
+      );
+    }
+    throw error;
+  }
+}
+
 /**
  * Sync Event to SageX3
  */
 async function syncToSageX3(event) {
+  let transaction;
+  
   try {
     // Get the transformed data from the event
     const transformedData = event.transformedPayload;
@@ -198,37 +1434,35 @@ async function syncToSageX3(event) {
       eventType: event.eventType
     });
     
-    // Map event types to valid document type enum values
-    const documentTypeEnumMap = {
-      'payment.created': 'payment',
-      'payment.cancelled': 'payment',
-      'invoice.created': 'invoice',
-      'invoice.updated': 'invoice',
-      'invoice.cancelled': 'invoice',
-      'stock.created': 'stock_movement',
-      'stock.updated': 'stock_movement',
-      'stock.incremented': 'stock_movement',
-      'stock.transferred': 'stock_movement',
-      'stock.recalled': 'stock_movement',
-      'stock.archived': 'stock_movement',
-      'stock.dispensed': 'stock_movement',
-      'stock.sold': 'stock_movement',
-      'stock.returned': 'stock_movement',
-      'item.created': 'item',
-      'item.updated': 'item',
-      'item.archived': 'item'
-    };
+    const documentType = DOCUMENT_TYPE_BY_EVENT[event.eventType] || 'general';
     
-    const documentType = documentTypeEnumMap[event.eventType] || 'general';
+    // Cancellations must reverse something that actually reached X3
+    const cancelledTransaction = CANCELLATION_TARGETS[event.eventType]
+      ? await findCancelledTransaction(event, transformedData)
+      : null;
     
-    // Create transaction record with ALL required fields
-    const transaction = new Transaction({
+    // One row per event: a retry picks up the row its failed attempt left,
+    // along with any parts (receivables, receipts) that attempt did post
+    transaction = await Transaction.findOne({
+      eventId: event.eventId,
+      status: { $in: ['pending', 'failed'] }
+    }).sort({ createdAt: -1 }) || new Transaction({
       eventId: event.eventId,
       eventType: event.eventType,
-      status: 'synced',
+      transactionId: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    });
+    
+    Object.assign(transaction, {
+      status: 'pending',
       sageX3Payload: transformedData,
-      attempts: 0,
-      transactionId: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      attempts: (transaction.attempts || 0) + 1,
+      errorMessage: undefined,
+      errorDetails: undefined,
+      financialData: cancelledTransaction
+        ? cancelledTransaction.financialData
+        : buildFinancialData(event.eventType, transformedData),
+      reversalOf: cancelledTransaction?.transactionId,
+      inventoryData: buildInventoryData(event.eventType, transformedData),
       sageX3Details: {
         documentType: documentType,
         documentReference: event.eventId
@@ -240,64 +1474,46 @@ async function syncToSageX3(event) {
     // Call appropriate Sage X3 method based on event type
     let response;
     
+    // Cancellations: credit note or payment reversal against the original
+    if (cancelledTransaction) {
+      response = await postCancellation(event, transformedData, cancelledTransaction);
+    }
     // Payment events
-    if (event.eventType.startsWith('payment.')) {
-      if (event.eventType === 'payment.created') {
-        response = await sageX3Client.postPayment(transformedData);
-      } else {
-        // For payment cancelled, you might want to post a credit note or reversal
-        response = {
-          success: true,
-          documentReference: event.eventId,
-          documentType: 'payment_reversal',
-          message: 'Payment cancellation recorded'
-        };
-      }
+    else if (event.eventType === 'payment.created') {
+      response = await postPaymentReceipts(event, transformedData, transaction);
     }
     // Invoice events
-    else if (event.eventType.startsWith('invoice.')) {
-      if (event.eventType === 'invoice.created' || event.eventType === 'invoice.updated') {
-        response = await sageX3Client.postInvoice(transformedData);
-      } else {
-        // For invoice cancelled, post credit note
-        response = {
-          success: true,
-          documentReference: event.eventId,
-          documentType: 'credit_note',
-          message: 'Invoice cancellation recorded'
-        };
-      }
+    else if (event.eventType === 'invoice.created') {
+      response = await postInvoiceCreated(event, transformedData, transaction);
     }
-    // Stock events
-    else if (event.eventType.startsWith('stock.')) {
-      if (['stock.created', 'stock.updated', 'stock.incremented'].includes(event.eventType)) {
-        response = await sageX3Client.postStockMovement(transformedData);
-      } else if (event.eventType === 'stock.transferred') {
-        response = await sageX3Client.postStockMovement(transformedData);
-      } else if (event.eventType === 'stock.dispensed' || event.eventType === 'stock.sold') {
-        response = await sageX3Client.postStockMovement(transformedData);
-      } else if (event.eventType === 'stock.returned') {
-        response = await sageX3Client.postStockMovement(transformedData);
-      } else {
-        // For other stock events like recalled, archived
-        response = {
-          success: true,
-          documentReference: event.eventId,
-          documentType: 'stock_adjustment',
-          message: 'Stock adjustment recorded'
-        };
-      }
+    else if (event.eventType === 'invoice.updated') {
+      response = await postInvoiceUpdate(event, transformedData, transaction);
     }
-    // Item events
-    else if (event.eventType.startsWith('item.')) {
-      // Item events might not sync directly to Sage X3, or might go to item master
+    // Stock adjustments that leave X3 unchanged are recorded without posting
+    else if (event.eventType.startsWith('stock.') && transformedData.noChange) {
       response = {
         success: true,
-        documentReference: event.eventId,
-        documentType: 'item_update',
-        message: 'Item update recorded'
+        documentReference: null,
+        documentType: 'stock_movement',
+        posted: false,
+        message: 'No quantity, cost or status change to post'
       };
     }
+    // Sales and dispenses carry their cost and book COGS
+    else if (event.eventType === 'stock.sold' || event.eventType === 'stock.dispensed') {
+      response = await postStockIssue(event, transformedData, transaction);
+    }
+    // Stock events
+    else if (event.eventType.startsWith('stock.')) {
+      response = await sageX3Client.postStockMovement(transformedData);
+    }
+    // Item master
+    else if (event.eventType === 'item.created') {
+      response = await sageX3Client.postItem(transformedData);
+    }
+    else if (event.eventType === 'item.updated' || event.eventType === 'item.archived') {
+      response = await syncItemChange(event, transformedData);
+    }
     else {
       throw new Error(`Unsupported event type for Sage X3 sync: ${event.eventType}`);
     }
@@ -306,16 +1522,32 @@ async function syncToSageX3(event) {
     transaction.status = 'synced';
     transaction.response = response;
     transaction.completedAt = new Date();
+    transaction.syncedAt = new Date();
     transaction.sageX3Details = {
       documentType: documentType,
       documentReference: response.documentReference || event.eventId,
+      posted: response.posted !== false,
       sageResponse: response
     };
     await transaction.save();
     
+    if (cancelledTransaction) {
+      await linkCancellation(event, transaction, cancelledTransaction, response);
+    }
+    
     // Mark event as synced
     await event.markAsSynced(response);
     
+    // The batch ledger and cost layers are local bookkeeping; X3 already has the movement
+    if (event.eventType.startsWith('stock.')) {
+      await stockLedgerService.recordEvent(event).catch(error => {
+        logger.queue.error(`Stock ledger update failed for ${event.eventId}:`, { error: error.message });
+      });
+      await costingService.recordEvent(event).catch(error => {
+        logger.queue.error(`Cost layer update failed for ${event.eventId}:`, { error: error.message });
+      });
+    }
+    
     await AuditLog.logAction({
       action: 'event.synced',
       eventId: event.eventId,
@@ -334,9 +1566,8 @@ async function syncToSageX3(event) {
     });
     
   } catch (error) {
-    // Update transaction with failure
+    // Update this attempt's transaction with failure; what it posted stays on it for the retry
     try {
-      const transaction = await Transaction.findOne({ eventId: event.eventId });
       if (transaction) {
         transaction.status = 'failed';
         transaction.errorMessage = error.message;
@@ -344,21 +1575,19 @@ async function syncToSageX3(event) {
           stack: error.stack,
           response: error.response?.data
         };
-        transaction.attempts += 1;
-        transaction.sageX3Details = {
-          documentType: documentTypeEnumMap[event.eventType] || 'general',
-          documentReference: event.eventId
-        };
         await transaction.save();
       }
     } catch (transactionError) {
       logger.queue.error('Failed to update transaction record:', transactionError);
     }
     
-    // Use 'sage_api' which is a valid enum value
-    await event.markAsFailed('sage_api', error.message, { 
+    // Business rule failures are permanent; everything else here is an X3 call failing
+    const errorType = error instanceof BusinessRuleError ? error.type : 'sage_api';
+    
+    await event.markAsFailed(errorType, error.message, { 
       stack: error.stack,
-      sageResponse: error.response?.data 
+      sageResponse: error.response?.data,
+      ...(error instanceof BusinessRuleError && error.details)
     });
     
     await AuditLog.logAction({
@@ -404,27 +1633,103 @@ async function retryFailedEvent(eventId) {
   event.retryCount += 1;
   await event.save();
   
-  // Process immediately
-  return await processEvent(eventId);
+  await queueRetry(eventId, event.retryCount);
+  
+  return {
+    success: true,
+    eventId,
+    status: event.status
+  };
 }
 
 
 /**
- * Get queue statistics - Return empty stats
+ * Requeue a dead-lettered event after triage
+ * The retry budget starts over because a human has addressed the cause.
+ */
+async function requeueDeadLetteredEvent(eventId, userId, note) {
+  logger.queue.info(`Dead-letter requeue requested: ${eventId}`, { userId });
+  
+  const event = await Event.findByEventId(eventId);
+  
+  if (!event) {
+    throw new Error('Event not found');
+  }
+  
+  if (event.status !== 'dead_lettered') {
+    throw new Error(`Event is not dead-lettered (current: ${event.status})`);
+  }
+  
+  event.status = 'received';
+  event.retryCount = 0;
+  event.retryScheduledFor = undefined;
+  event.set('triage.resolutionType', 'fixed_and_replayed');
+  event.set('triage.resolutionNote', note);
+  event.set('triage.resolvedBy', userId);
+  event.set('triage.resolvedAt', new Date());
+  await event.save();
+  
+  await queueReplay(eventId, `requeue:${Date.now()}`);
+  
+  return {
+    success: true,
+    eventId,
+    status: event.status
+  };
+}
+
+
+/**
+ * Get queue statistics
  */
 async function getQueueStats() {
+  const empty = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0 };
+  
+  if (!queues.processing || !queues.retry) {
+    return {
+      backend: backend || 'uninitialized',
+      processing: { ...empty },
+      retry: { ...empty }
+    };
+  }
+  
+  const [processing, retry] = await Promise.all([
+    queues.processing.getJobCounts(),
+    queues.retry.getJobCounts()
+  ]);
+  
   return {
-    processing: { waiting: 0, active: 0, completed: 0, failed: 0 },
-    retry: { waiting: 0, active: 0, completed: 0, failed: 0 }
+    backend,
+    processing: { ...empty, ...processing },
+    retry: { ...empty, ...retry }
   };
 }
 
+/**
+ * Close queues (graceful shutdown)
+ */
+async function closeQueues() {
+  await Promise.all(
+    Object.values(queues)
+      .filter(Boolean)
+      .map(queue => queue.close())
+  );
+  logger.queue.info('Queues closed');
+}
+
 
 
 module.exports = {
   initializeQueues,
   queueEvent,
+  queueRetry,
+  queueReplay,
   processEvent,
+  postReversal,
+  allocateAmount,
+  releaseBlockedEvents,
   retryFailedEvent,
-  getQueueStats
-};
\ No newline at end of file
+  requeueDeadLetteredEvent,
+  getQueueStats,
+  closeQueues
+};
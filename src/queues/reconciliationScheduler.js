@@ -0,0 +1,88 @@
+const logger = require('../utils/logger');
+const reconciliationService = require('../services/reconciliationService');
+
+const state = {
+  timer: null,
+  intervalMs: null,
+  lastRunAt: null,
+  lastReportId: null,
+  lastError: null
+};
+
+/**
+ * Run a scheduled reconciliation, skipping if one is already in progress
+ * @returns {Promise<object|null>} - The completed report, or null if skipped
+ */
+async function runScheduledReconciliation() {
+  if (reconciliationService.isRunning()) {
+    return null;
+  }
+
+  try {
+    const report = await reconciliationService.run({
+      trigger: 'scheduler',
+      olderThanDays: parseInt(process.env.RECONCILIATION_OLDER_THAN_DAYS || 1),
+      limit: parseInt(process.env.RECONCILIATION_BATCH_SIZE || 500)
+    });
+
+    state.lastReportId = report.reportId;
+    state.lastError = null;
+    return report;
+
+  } catch (error) {
+    state.lastError = error.message;
+    logger.queue.error('Scheduled reconciliation failed:', { error: error.message });
+    return null;
+
+  } finally {
+    state.lastRunAt = new Date();
+  }
+}
+
+/**
+ * Start periodic reconciliation
+ * An interval of 0 disables the scheduler (reconciliation can still be run on demand).
+ */
+function startReconciliationScheduler(intervalMs = parseInt(process.env.RECONCILIATION_INTERVAL_MS || 3600000)) {
+  if (state.timer || intervalMs <= 0) {
+    return;
+  }
+
+  state.intervalMs = intervalMs;
+  state.timer = setInterval(runScheduledReconciliation, intervalMs);
+  logger.queue.info('Reconciliation scheduler started', { intervalMs });
+}
+
+/**
+ * Stop periodic reconciliation
+ */
+function stopReconciliationScheduler() {
+  if (state.timer) {
+    clearInterval(state.timer);
+    state.timer = null;
+    logger.queue.info('Reconciliation scheduler stopped');
+  }
+}
+
+/**
+ * Get scheduler status for the admin status route
+ */
+function getReconciliationSchedulerStatus() {
+  return {
+    enabled: !!state.timer,
+    intervalMs: state.intervalMs,
+    running: reconciliationService.isRunning(),
+    lastRunAt: state.lastRunAt,
+    lastReportId: state.lastReportId,
+    lastError: state.lastError
+  };
+}
+
+
+
+module.exports = {
+  runScheduledReconciliation,
+  startReconciliationScheduler,
+  stopReconciliationScheduler,
+  getReconciliationSchedulerStatus
+};
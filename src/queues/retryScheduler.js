@@ -0,0 +1,221 @@
+const logger = require('../utils/logger');
+const Event = require('../models/Event');
+const AuditLog = require('../models/AuditLog');
+const { getRetryPolicy } = require('../services/retryPolicy');
+const { initializeQueues, queueEvent, queueRetry, releaseBlockedEvents } = require('./queueManager');
+
+// Statuses an event passes through while a processing job owns it
+const IN_FLIGHT_STATUSES = ['received', 'validated', 'transformed'];
+
+const state = {
+  timer: null,
+  running: false,
+  intervalMs: null,
+  lastRunAt: null,
+  lastRunRequeued: 0,
+  lastRunReleased: 0,
+  lastRunRecovered: 0,
+  lastError: null
+};
+
+// Jobs queued in memory before this time died with the previous process
+const startedAt = new Date();
+
+/**
+ * Requeue in-flight events nothing has touched since a cutoff
+ * Their job was lost: the in-process queue does not survive a restart, and a
+ * crash between claiming an event and queueing it leaves it stranded. Svix
+ * does not redeliver an event it got a 200 for, so nothing else would.
+ * Each event is claimed by its updatedAt, so it is requeued only once.
+ * @param {Date} cutoff - Events last updated before this are requeued
+ * @returns {Promise<number>} - Number of events requeued
+ */
+async function requeueStaleEvents(cutoff) {
+  const staleEvents = await Event.find({
+    status: { $in: IN_FLIGHT_STATUSES },
+    updatedAt: { $lt: cutoff }
+  })
+    .sort({ createdAt: 1 })
+    .limit(100);
+
+  let requeued = 0;
+
+  for (const staleEvent of staleEvents) {
+    const claimed = await Event.findOneAndUpdate(
+      { _id: staleEvent._id, status: staleEvent.status, updatedAt: staleEvent.updatedAt },
+      { $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) continue;
+
+    await AuditLog.logAction({
+      action: 'event.requeued',
+      eventId: claimed.eventId,
+      actor: { type: 'scheduler' },
+      details: {
+        eventType: claimed.eventType,
+        status: claimed.status,
+        lastUpdatedAt: staleEvent.updatedAt
+      },
+      result: { status: 'success', message: `Stranded ${claimed.status} event requeued` },
+      category: 'processing',
+      severity: 'warning'
+    });
+
+    await queueEvent(claimed.eventId);
+    requeued += 1;
+  }
+
+  if (requeued > 0) {
+    logger.queue.warn(`Requeued ${requeued} stranded in-flight event(s)`);
+  }
+
+  return requeued;
+}
+
+/**
+ * Cutoff before which an in-flight event is considered stranded
+ * With the in-process queue, everything from before this process started is;
+ * otherwise only events idle for longer than STALE_EVENT_AFTER_MS.
+ */
+async function getStaleCutoff() {
+  const { backend } = await initializeQueues();
+  const staleAfterMs = parseInt(process.env.STALE_EVENT_AFTER_MS || 15 * 60 * 1000);
+  const idleCutoff = new Date(Date.now() - staleAfterMs);
+
+  return backend === 'memory' && startedAt > idleCutoff ? startedAt : idleCutoff;
+}
+
+/**
+ * Requeue failed events whose scheduled retry time has passed
+ * Each event is claimed with a conditional update so overlapping sweeps
+ * (or several server instances) never requeue the same event twice.
+ * Blocked events whose blocker has cleared or whose wait timed out are released
+ * too, and in-flight events whose job was lost are requeued.
+ * @returns {Promise<number>} - Number of events requeued
+ */
+async function runRetrySweep() {
+  if (state.running) {
+    return 0;
+  }
+
+  state.running = true;
+  let requeued = 0;
+
+  try {
+    state.lastRunReleased = await releaseBlockedEvents().catch(error => {
+      logger.queue.error('Releasing blocked events failed:', { error: error.message });
+      return 0;
+    });
+
+    state.lastRunRecovered = await getStaleCutoff().then(requeueStaleEvents).catch(error => {
+      logger.queue.error('Requeueing stranded events failed:', { error: error.message });
+      return 0;
+    });
+
+    const policy = await getRetryPolicy();
+
+    if (!policy.autoRetry) {
+      return 0;
+    }
+
+    const dueEvents = await Event.findRetryableEvents(policy.maxAttempts);
+
+    for (const dueEvent of dueEvents) {
+      const claimed = await Event.findOneAndUpdate(
+        { _id: dueEvent._id, status: 'failed', retryScheduledFor: dueEvent.retryScheduledFor },
+        { $set: { status: 'received', updatedAt: new Date() }, $unset: { retryScheduledFor: 1 } },
+        { new: true }
+      );
+
+      if (!claimed) continue;
+
+      await AuditLog.logAction({
+        action: 'event.retried',
+        eventId: claimed.eventId,
+        actor: { type: 'scheduler' },
+        details: {
+          eventType: claimed.eventType,
+          attempt: claimed.retryCount,
+          maxAttempts: policy.maxAttempts,
+          failureClass: claimed.failureClass
+        },
+        result: { status: 'success', message: `Automatic retry ${claimed.retryCount}/${policy.maxAttempts} queued` },
+        category: 'processing',
+        severity: 'info'
+      });
+
+      await queueRetry(claimed.eventId, claimed.retryCount);
+      requeued += 1;
+    }
+
+    if (requeued > 0) {
+      logger.queue.info(`Retry sweep requeued ${requeued} event(s)`);
+    }
+
+    state.lastError = null;
+    return requeued;
+
+  } catch (error) {
+    state.lastError = error.message;
+    logger.queue.error('Retry sweep failed:', { error: error.message });
+    return requeued;
+
+  } finally {
+    state.running = false;
+    state.lastRunAt = new Date();
+    state.lastRunRequeued = requeued;
+  }
+}
+
+/**
+ * Start polling for due retries
+ * The first sweep runs at once, so events stranded by a restart are picked up.
+ */
+function startRetryScheduler(intervalMs = parseInt(process.env.RETRY_SCHEDULER_INTERVAL_MS || 15000)) {
+  if (state.timer) {
+    return;
+  }
+
+  state.intervalMs = intervalMs;
+  state.timer = setInterval(runRetrySweep, intervalMs);
+  runRetrySweep();
+  logger.queue.info('Retry scheduler started', { intervalMs });
+}
+
+/**
+ * Stop polling for due retries
+ */
+function stopRetryScheduler() {
+  if (state.timer) {
+    clearInterval(state.timer);
+    state.timer = null;
+    logger.queue.info('Retry scheduler stopped');
+  }
+}
+
+/**
+ * Get scheduler status for the admin status route
+ */
+function getRetrySchedulerStatus() {
+  return {
+    enabled: !!state.timer,
+    intervalMs: state.intervalMs,
+    lastRunAt: state.lastRunAt,
+    lastRunRequeued: state.lastRunRequeued,
+    lastRunReleased: state.lastRunReleased,
+    lastRunRecovered: state.lastRunRecovered,
+    lastError: state.lastError
+  };
+}
+
+
+
+module.exports = {
+  runRetrySweep,
+  requeueStaleEvents,
+  startRetryScheduler,
+  stopRetryScheduler,
+  getRetrySchedulerStatus
+};
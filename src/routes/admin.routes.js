@@ -2,7 +2,22 @@ const express = require('express');
 const router = express.Router();
 const Configuration = require('../models/Configuration');
 const AuditLog = require('../models/AuditLog');
+const Event = require('../models/Event');
+const Transaction = require('../models/Transaction');
+const ExchangeRate = require('../models/ExchangeRate');
+const validationSchemas = require('../validators/webhookSchemas');
+const mappingEngine = require('../services/mappingEngine');
+const transformationService = require('../services/transformationService');
+const orderingService = require('../services/orderingService');
+const currencyService = require('../services/currencyService');
 const sageX3Client = require('../services/sageX3Client');
+const webhookSecurityService = require('../services/webhookSecurityService');
+const webhookSecretService = require('../services/webhookSecretService');
+const { getQueueStats } = require('../queues/queueManager');
+const { getRetrySchedulerStatus } = require('../queues/retryScheduler');
+const { authorize } = require('../middleware/auth');
+const { BusinessRuleError, EncryptionKeyError } = require('../utils/errors');
+const { reloadKeys } = require('../utils/encryption');
 const logger = require('../utils/logger');
 
 /**
@@ -25,6 +40,10 @@ router.get('/status', async (req, res) => {
     const Event = require('../models/Event');
     const pendingEvents = await Event.countDocuments({ status: { $in: ['received', 'validated', 'transformed'] } });
     const failedEvents = await Event.countDocuments({ status: 'failed' });
+    const deadLetteredEvents = await Event.getDeadLetteredCount();
+    const queueStats = await getQueueStats();
+    const ordering = await orderingService.getStatus();
+    const webhooks = await webhookSecurityService.getStatus();
     
     res.json({
       success: true,
@@ -36,8 +55,14 @@ router.get('/status', async (req, res) => {
           database: dbStatus,
           queue: {
             pending: pendingEvents,
-            failed: failedEvents
-          }
+            failed: failedEvents,
+            deadLettered: deadLetteredEvents,
+            blocked: ordering.blocked,
+            jobs: queueStats,
+            retryScheduler: getRetrySchedulerStatus()
+          },
+          ordering,
+          webhooks
         }
       }
     });
@@ -56,7 +81,7 @@ router.get('/status', async (req, res) => {
  * GET /api/v1/admin/test-sage-connection
  * Test Sage X3 connection with detailed diagnostics
  */
-router.get('/test-sage-connection', async (req, res) => {
+router.get('/test-sage-connection', authorize('operator'), async (req, res) => {
   try {
     const diagnostics = {
       authMode: process.env.SAGE_X3_AUTH_MODE || 'not set',
@@ -108,7 +133,7 @@ router.get('/test-sage-connection', async (req, res) => {
  * POST /api/v1/admin/set-bearer-token
  * Manually set bearer token (for runtime configuration)
  */
-router.post('/set-bearer-token', async (req, res) => {
+router.post('/set-bearer-token', authorize('admin'), async (req, res) => {
   try {
     const { token } = req.body;
     
@@ -125,61 +150,54 @@ router.post('/set-bearer-token', async (req, res) => {
     // Test the connection
     try {
       await sageX3Client.getFolders();
-      
-      // Store in configuration for persistence
-      const Configuration = require('../models/Configuration');
-      await Configuration.findOneAndUpdate(
-        { key: 'sage.bearerToken' },
-        {
-          key: 'sage.bearerToken',
-          category: 'sage_x3',
-          value: token,
-          valueType: 'string',
-          description: 'Sage X3 Bearer Token',
-          sensitive: true,
-          encrypted: false,
-          lastModified: {
-            by: req.user?.id || 'admin',
-            at: new Date(),
-            reason: 'Bearer token updated via API'
-          }
-        },
-        { upsert: true, new: true }
-      );
-      
-      await AuditLog.logAction({
-        action: 'config.updated',
-        actor: {
-          type: 'user',
-          userId: req.user?.id || 'admin',
-          ipAddress: req.ip
-        },
-        details: {
-          action: 'bearer_token_updated',
-          message: 'Sage X3 bearer token updated and validated'
-        },
-        result: {
-          status: 'success',
-          message: 'Bearer token set and verified'
-        },
-        category: 'admin',
-        severity: 'warning'
-      });
-      
-      res.json({
-        success: true,
-        message: 'Bearer token set and verified successfully'
-      });
-      
     } catch (testError) {
-      res.status(400).json({
+      return res.status(400).json({
         success: false,
         error: 'Token set but connection test failed',
         details: testError.message
       });
     }
     
+    // Store in configuration for persistence (encrypted as a sensitive value)
+    await Configuration.setSensitiveConfig('sage.bearerToken', token, {
+      category: 'sage_x3',
+      description: 'Sage X3 Bearer Token',
+      userId: req.user?.id || 'admin',
+      reason: 'Bearer token updated via API'
+    });
+    
+    await AuditLog.logAction({
+      action: 'config.updated',
+      actor: {
+        type: 'user',
+        userId: req.user?.id || 'admin',
+        ipAddress: req.ip
+      },
+      details: {
+        action: 'bearer_token_updated',
+        message: 'Sage X3 bearer token updated and validated'
+      },
+      result: {
+        status: 'success',
+        message: 'Bearer token set and verified'
+      },
+      category: 'admin',
+      severity: 'warning'
+    });
+    
+    res.json({
+      success: true,
+      message: 'Bearer token set and verified successfully'
+    });
+    
   } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     logger.error('Error setting bearer token:', error);
     res.status(500).json({
       success: false,
@@ -193,7 +211,7 @@ router.post('/set-bearer-token', async (req, res) => {
  * GET /api/v1/admin/config
  * Get all configurations
  */
-router.get('/config', async (req, res) => {
+router.get('/config', authorize('admin'), async (req, res) => {
   try {
     const { category } = req.query;
     
@@ -206,7 +224,7 @@ router.get('/config', async (req, res) => {
     
     res.json({
       success: true,
-      data: configs
+      data: configs.map(config => config.toMasked())
     });
     
   } catch (error) {
@@ -222,7 +240,7 @@ router.get('/config', async (req, res) => {
  * PUT /api/v1/admin/config/:key
  * Update configuration value
  */
-router.put('/config/:key', async (req, res) => {
+router.put('/config/:key', authorize('admin'), async (req, res) => {
   try {
     const { value, reason } = req.body;
     const userId = req.user?.id || 'admin';
@@ -252,10 +270,13 @@ router.put('/config/:key', async (req, res) => {
         key: req.params.key,
         reason
       },
-      changeTracking: {
-        before: config.previousValues[config.previousValues.length - 1]?.value,
-        after: value
-      },
+      // Sensitive values never go into the audit trail
+      changeTracking: config.sensitive
+        ? { before: Configuration.MASK, after: Configuration.MASK }
+        : {
+          before: config.previousValues[config.previousValues.length - 1]?.value,
+          after: value
+        },
       result: {
         status: 'success',
         message: 'Configuration updated'
@@ -267,10 +288,17 @@ router.put('/config/:key', async (req, res) => {
     res.json({
       success: true,
       message: 'Configuration updated successfully',
-      data: config
+      data: config.toMasked()
     });
     
   } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     logger.error('Error updating configuration:', error);
     res.status(500).json({
       success: false,
@@ -279,11 +307,168 @@ router.put('/config/:key', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/admin/config/encryption
+ * Current encryption key and how many sensitive values each key protects
+ */
+router.get('/config/encryption', authorize('admin'), async (req, res) => {
+  try {
+    const status = await Configuration.getEncryptionStatus();
+    
+    res.json({
+      success: true,
+      data: status
+    });
+    
+  } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.error('Error fetching configuration encryption status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch configuration encryption status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/config/encryption/rotate
+ * Reload the encryption keys and re-encrypt sensitive values under the current one
+ * Put the new key first and keep the old one as previous until this completes.
+ */
+router.post('/config/encryption/rotate', authorize('admin'), async (req, res) => {
+  try {
+    reloadKeys();
+    const summary = await Configuration.reencryptAll();
+    
+    await AuditLog.logAction({
+      action: 'config.updated',
+      actor: {
+        type: 'user',
+        userId: req.user.id,
+        userName: req.user.name,
+        ipAddress: req.ip
+      },
+      details: {
+        operation: 'reencrypt',
+        ...summary
+      },
+      result: {
+        status: summary.failed.length > 0 ? 'warning' : 'success',
+        message: `Sensitive configuration re-encrypted under key ${summary.keyId}`
+      },
+      category: 'security',
+      severity: 'warning'
+    });
+    
+    res.status(summary.failed.length > 0 ? 207 : 200).json({
+      success: summary.failed.length === 0,
+      data: summary
+    });
+    
+  } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.error('Error re-encrypting configuration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-encrypt configuration',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/config/:key/reveal
+ * Decrypted value of a sensitive entry; a reason is required and audited
+ */
+router.post('/config/:key/reveal', authorize('admin'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to reveal a sensitive value'
+      });
+    }
+    
+    const config = await Configuration.findOne({ key: req.params.key });
+    
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Configuration not found'
+      });
+    }
+    
+    if (!config.sensitive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Configuration is not sensitive; its value is listed as is'
+      });
+    }
+    
+    const value = config.getValue();
+    
+    await AuditLog.logAction({
+      action: 'config.revealed',
+      actor: {
+        type: 'user',
+        userId: req.user.id,
+        userName: req.user.name,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      },
+      details: {
+        key: config.key,
+        reason
+      },
+      result: {
+        status: 'success',
+        message: `Sensitive configuration ${config.key} revealed`
+      },
+      category: 'security',
+      severity: 'warning'
+    });
+    
+    res.json({
+      success: true,
+      data: { key: config.key, value }
+    });
+    
+  } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.error('Error revealing configuration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reveal configuration'
+    });
+  }
+});
+
 /**
  * GET /api/v1/admin/audit
  * Get audit logs
  */
-router.get('/audit', async (req, res) => {
+router.get('/audit', authorize('finance-approver'), async (req, res) => {
   try {
     const {
       action,
@@ -324,7 +509,7 @@ router.get('/audit', async (req, res) => {
  * GET /api/v1/admin/audit/critical
  * Get critical events from audit log
  */
-router.get('/audit/critical', async (req, res) => {
+router.get('/audit/critical', authorize('finance-approver'), async (req, res) => {
   try {
     const { hours = 24 } = req.query;
     
@@ -350,7 +535,7 @@ router.get('/audit/critical', async (req, res) => {
  * POST /api/v1/admin/sage/authorize
  * Get Sage X3 authorization URL
  */
-router.post('/sage/authorize', (req, res) => {
+router.post('/sage/authorize', authorize('admin'), (req, res) => {
   try {
     const authUrl = sageX3Client.getAuthorizationUrl();
     
@@ -373,7 +558,7 @@ router.post('/sage/authorize', (req, res) => {
  * POST /api/v1/admin/sage/token
  * Exchange authorization code for tokens
  */
-router.post('/sage/token', async (req, res) => {
+router.post('/sage/token', authorize('admin'), async (req, res) => {
   try {
     const { code } = req.body;
     
@@ -386,20 +571,20 @@ router.post('/sage/token', async (req, res) => {
     
     const tokens = await sageX3Client.exchangeCodeForTokens(code);
     
-    // Store tokens securely (in production, encrypt these)
-    await Configuration.setConfig(
-      'sage.accessToken',
-      tokens.accessToken,
-      req.user?.id || 'admin',
-      'OAuth2 authorization completed'
-    );
+    // Stored encrypted as sensitive values
+    await Configuration.setSensitiveConfig('sage.accessToken', tokens.accessToken, {
+      category: 'sage_x3',
+      description: 'Sage X3 OAuth2 access token',
+      userId: req.user?.id || 'admin',
+      reason: 'OAuth2 authorization completed'
+    });
     
-    await Configuration.setConfig(
-      'sage.refreshToken',
-      tokens.refreshToken,
-      req.user?.id || 'admin',
-      'OAuth2 authorization completed'
-    );
+    await Configuration.setSensitiveConfig('sage.refreshToken', tokens.refreshToken, {
+      category: 'sage_x3',
+      description: 'Sage X3 OAuth2 refresh token',
+      userId: req.user?.id || 'admin',
+      reason: 'OAuth2 authorization completed'
+    });
     
     await AuditLog.logAction({
       action: 'config.updated',
@@ -426,6 +611,13 @@ router.post('/sage/token', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     logger.error('Error exchanging authorization code:', error);
     res.status(500).json({
       success: false,
@@ -434,4 +626,649 @@ router.post('/sage/token', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /api/v1/admin/mappings
+ * List the active field mapping for each event type
+ */
+router.get('/mappings', authorize('operator'), async (req, res) => {
+  try {
+    const mappings = await Promise.all(Object.keys(validationSchemas).map(async (eventType) => {
+      const config = await Configuration.findOne({ key: mappingEngine.getMappingKey(eventType), active: true })
+        .select('key version lastModified');
+      
+      return {
+        eventType,
+        key: mappingEngine.getMappingKey(eventType),
+        version: config ? config.version : 0,
+        source: config ? 'configured' : 'default',
+        lastModified: config?.lastModified
+      };
+    }));
+    
+    res.json({
+      success: true,
+      data: mappings
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching mappings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch mappings'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/mappings/:eventType
+ * Get the active mapping document and its version history
+ * Pass ?version=N to get the document as it was at that version.
+ */
+router.get('/mappings/:eventType', authorize('operator'), async (req, res) => {
+  try {
+    const { eventType } = req.params;
+    const mapping = await mappingEngine.getMapping(eventType);
+    
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: `No mapping for event type ${eventType}`
+      });
+    }
+    
+    const config = await Configuration.getConfigHistory(mapping.key);
+    const previousValues = config?.previousValues || [];
+    const history = previousValues.map((entry, index) => ({
+      version: mapping.version - (previousValues.length - index),
+      changedBy: entry.changedBy,
+      changedAt: entry.changedAt,
+      document: entry.value
+    }));
+    
+    if (req.query.version !== undefined) {
+      const version = parseInt(req.query.version);
+      const match = version === mapping.version
+        ? mapping
+        : history.find(entry => entry.version === version);
+      
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          error: `Version ${version} of the ${eventType} mapping not found`
+        });
+      }
+      
+      return res.json({
+        success: true,
+        data: { eventType, key: mapping.key, version, document: match.document }
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        eventType,
+        ...mapping,
+        lastModified: config?.lastModified,
+        history: history.map(({ document, ...entry }) => entry)
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch mapping'
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/admin/mappings/:eventType
+ * Replace the mapping document for an event type
+ * Takes effect for the next event transformed; no restart needed.
+ */
+router.put('/mappings/:eventType', authorize('admin'), async (req, res) => {
+  try {
+    const { eventType } = req.params;
+    const { mapping: document, reason } = req.body;
+    const userId = req.user.id;
+    
+    if (!validationSchemas[eventType]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown event type: ${eventType}`
+      });
+    }
+    
+    const errors = await mappingEngine.validate(document);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid mapping',
+        details: errors
+      });
+    }
+    
+    const key = mappingEngine.getMappingKey(eventType);
+    const previous = await Configuration.findOne({ key });
+    let config;
+    
+    if (previous) {
+      config = await previous.updateValue(document, userId, reason || 'Mapping updated via API');
+    } else {
+      config = await Configuration.create({
+        key,
+        category: 'mapping',
+        value: document,
+        valueType: 'object',
+        description: `Field mapping from HMS ${eventType} payloads to Sage X3`,
+        lastModified: { by: userId, at: new Date(), reason }
+      });
+    }
+    
+    await AuditLog.logAction({
+      action: 'config.updated',
+      actor: {
+        type: 'user',
+        userId,
+        userName: req.user.name,
+        ipAddress: req.ip
+      },
+      details: {
+        key,
+        eventType,
+        version: config.version,
+        reason
+      },
+      changeTracking: {
+        before: previous ? config.previousValues[config.previousValues.length - 1]?.value : undefined,
+        after: document
+      },
+      result: {
+        status: 'success',
+        message: `Mapping for ${eventType} updated to version ${config.version}`
+      },
+      category: 'admin',
+      severity: 'warning'
+    });
+    
+    res.json({
+      success: true,
+      message: `Mapping for ${eventType} updated to version ${config.version}`,
+      data: { eventType, key, version: config.version }
+    });
+    
+  } catch (error) {
+    logger.error('Error updating mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update mapping'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/mappings/:eventType/preview
+ * Transform a payload without saving anything
+ * Body: { eventId | payload, mapping? } - mapping defaults to the active one
+ */
+router.post('/mappings/:eventType/preview', authorize('operator'), async (req, res) => {
+  try {
+    const { eventType } = req.params;
+    const { eventId, mapping } = req.body;
+    let { payload } = req.body;
+    let context = {};
+    
+    if (eventId) {
+      const event = await Event.findByEventId(eventId);
+      if (!event || event.eventType !== eventType) {
+        return res.status(404).json({
+          success: false,
+          error: `No ${eventType} event ${eventId}`
+        });
+      }
+      payload = event.rawPayload;
+      context = { eventId: event.eventId, receivedAt: event.createdAt };
+    }
+    
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        error: 'eventId or payload is required'
+      });
+    }
+    
+    let document = mapping;
+    let version = null;
+    
+    if (document) {
+      const errors = await mappingEngine.validate(document);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid mapping',
+          details: errors
+        });
+      }
+    } else {
+      const active = await mappingEngine.getMapping(eventType);
+      if (!active) {
+        return res.status(404).json({
+          success: false,
+          error: `No mapping for event type ${eventType}`
+        });
+      }
+      document = active.document;
+      version = active.version;
+    }
+    
+    try {
+      const data = await transformationService.applyMapping(eventType, payload, document, context);
+      
+      res.json({
+        success: true,
+        data: { eventType, version, transformed: data }
+      });
+    } catch (error) {
+      res.status(422).json({
+        success: false,
+        error: 'Transformation failed',
+        details: error.message
+      });
+    }
+    
+  } catch (error) {
+    logger.error('Error previewing mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview mapping'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/exchange-rates
+ * Exchange rate history, newest first (?from=USD&to=NGN)
+ */
+router.get('/exchange-rates', authorize('operator'), async (req, res) => {
+  try {
+    const { from, to, limit = 100 } = req.query;
+    const [rates, currencyConfig] = await Promise.all([
+      ExchangeRate.getHistory({ fromCurrency: from, toCurrency: to, limit: parseInt(limit) }),
+      currencyService.getCurrencyConfig()
+    ]);
+
+    res.json({
+      success: true,
+      ledgerCurrency: currencyConfig.ledgerCurrency,
+      data: rates
+    });
+
+  } catch (error) {
+    logger.error('Error fetching exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exchange rates'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/exchange-rates/effective
+ * Rate a document in ?from currency dated ?date would be converted with
+ */
+router.get('/exchange-rates/effective', authorize('operator'), async (req, res) => {
+  try {
+    const { from, date } = req.query;
+    const at = date ? new Date(date) : new Date();
+
+    if (!from || isNaN(at.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'from currency and a valid date are required'
+      });
+    }
+
+    const context = await currencyService.resolve(from, at);
+
+    res.json({
+      success: true,
+      data: context
+    });
+
+  } catch (error) {
+    if (error instanceof BusinessRuleError) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error resolving exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve exchange rate'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/exchange-rates
+ * Add a rate effective from a date; toCurrency defaults to the ledger currency
+ */
+router.post('/exchange-rates', authorize('finance-approver'), async (req, res) => {
+  try {
+    const { fromCurrency, rate, effectiveFrom, source, notes } = req.body;
+    const { ledgerCurrency } = await currencyService.getCurrencyConfig();
+    const toCurrency = (req.body.toCurrency || ledgerCurrency).toUpperCase();
+
+    if (!fromCurrency || !(Number(rate) > 0) || !effectiveFrom || isNaN(new Date(effectiveFrom).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromCurrency, a positive rate and a valid effectiveFrom are required'
+      });
+    }
+
+    if (fromCurrency.toUpperCase() === toCurrency) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromCurrency and toCurrency must differ'
+      });
+    }
+
+    const existing = await ExchangeRate.findOne({
+      fromCurrency: fromCurrency.toUpperCase(),
+      toCurrency,
+      effectiveFrom: new Date(effectiveFrom)
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${existing.fromCurrency}/${toCurrency} rate is already effective from ${existing.effectiveFrom.toISOString()}`
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.create({
+      fromCurrency,
+      toCurrency,
+      rate: Number(rate),
+      effectiveFrom: new Date(effectiveFrom),
+      source,
+      notes,
+      createdBy: req.user.id
+    });
+
+    await AuditLog.logAction({
+      action: 'config.updated',
+      actor: {
+        type: 'user',
+        userId: req.user.id,
+        userName: req.user.name,
+        ipAddress: req.ip
+      },
+      details: {
+        key: 'exchangeRate',
+        fromCurrency: exchangeRate.fromCurrency,
+        toCurrency,
+        rate: exchangeRate.rate,
+        effectiveFrom: exchangeRate.effectiveFrom
+      },
+      result: {
+        status: 'success',
+        message: `${exchangeRate.fromCurrency}/${toCurrency} rate ${exchangeRate.rate} effective from ${exchangeRate.effectiveFrom.toISOString()}`
+      },
+      category: 'admin',
+      severity: 'info'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: exchangeRate
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error creating exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create exchange rate'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/admin/exchange-rates/:id
+ * Remove a rate that has not been used to post a document
+ */
+router.delete('/exchange-rates/:id', authorize('finance-approver'), async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exchange rate not found'
+      });
+    }
+
+    const used = await Transaction.exists({
+      'financialData.currency': exchangeRate.fromCurrency,
+      'financialData.ledgerCurrency': exchangeRate.toCurrency,
+      'financialData.exchangeRateDate': exchangeRate.effectiveFrom
+    });
+
+    if (used) {
+      return res.status(409).json({
+        success: false,
+        error: 'Exchange rate has been used for posted documents and cannot be deleted'
+      });
+    }
+
+    await exchangeRate.deleteOne();
+
+    await AuditLog.logAction({
+      action: 'config.updated',
+      actor: {
+        type: 'user',
+        userId: req.user.id,
+        userName: req.user.name,
+        ipAddress: req.ip
+      },
+      details: {
+        key: 'exchangeRate',
+        operation: 'delete',
+        fromCurrency: exchangeRate.fromCurrency,
+        toCurrency: exchangeRate.toCurrency,
+        rate: exchangeRate.rate,
+        effectiveFrom: exchangeRate.effectiveFrom
+      },
+      result: {
+        status: 'success',
+        message: `${exchangeRate.fromCurrency}/${exchangeRate.toCurrency} rate effective from ${exchangeRate.effectiveFrom.toISOString()} deleted`
+      },
+      category: 'admin',
+      severity: 'warning'
+    });
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete exchange rate'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/webhook-secrets
+ * Webhook signing secrets and their lifecycle status (values never returned)
+ */
+router.get('/webhook-secrets', authorize('admin'), async (req, res) => {
+  try {
+    const secrets = await webhookSecretService.listSecrets();
+
+    res.json({
+      success: true,
+      data: secrets
+    });
+
+  } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error listing webhook signing secrets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhook signing secrets'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/webhook-secrets
+ * Stage the secret the Indigo endpoint is about to switch to; accepted at once
+ */
+router.post('/webhook-secrets', authorize('admin'), async (req, res) => {
+  try {
+    const id = await webhookSecretService.stageSecret(req.body?.secret, {
+      id: req.user.id,
+      name: req.user.name,
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { id, status: 'next' }
+    });
+
+  } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof BusinessRuleError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error staging webhook signing secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stage webhook signing secret'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/webhook-secrets/rotate
+ * Activate the given (or staged) secret; the current one stays valid for graceHours
+ */
+router.post('/webhook-secrets/rotate', authorize('admin'), async (req, res) => {
+  try {
+    const { secret, graceHours } = req.body || {};
+    const result = await webhookSecretService.rotate({ secret, graceHours }, {
+      id: req.user.id,
+      name: req.user.name,
+      ipAddress: req.ip
+    });
+
+    logger.info(`Webhook signing secret rotated to ${result.id} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof BusinessRuleError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error rotating webhook signing secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook signing secret'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/webhook-secrets/:id/retire
+ * Stop accepting a previous or staged secret before its grace window ends
+ */
+router.post('/webhook-secrets/:id/retire', authorize('admin'), async (req, res) => {
+  try {
+    const retired = await webhookSecretService.retire(req.params.id, {
+      id: req.user.id,
+      name: req.user.name,
+      ipAddress: req.ip
+    });
+
+    if (!retired) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook signing secret not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook signing secret retired'
+    });
+
+  } catch (error) {
+    if (error instanceof EncryptionKeyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof BusinessRuleError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error retiring webhook signing secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retire webhook signing secret'
+    });
+  }
+});
+
+module.exports = router;
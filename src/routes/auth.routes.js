@@ -0,0 +1,396 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { authenticate, authorize, issueTokens, verifyRefreshToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// Slow down password guessing; failed attempts are also audited
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: parseInt(process.env.LOGIN_RATE_LIMIT || 20),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many login attempts, try again later' }
+});
+
+/**
+ * POST /api/v1/auth/login
+ * Exchange username and password for access and refresh tokens
+ */
+router.post('/login', loginLimiter, async (req, res) => {
+  const { username, password } = req.body || {};
+
+  try {
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username and password are required'
+      });
+    }
+
+    const user = await User.findActiveByUsername(username);
+    const valid = user ? await user.verifyPassword(String(password)) : false;
+
+    await AuditLog.logAction({
+      action: 'user.login',
+      actor: {
+        type: 'user',
+        userId: user ? user._id.toString() : undefined,
+        userName: String(username),
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      },
+      details: {
+        username: String(username),
+        method: 'password'
+      },
+      result: {
+        status: valid ? 'success' : 'failure',
+        message: valid ? 'Login succeeded' : 'Invalid credentials'
+      },
+      category: 'security',
+      severity: valid ? 'info' : 'warning'
+    });
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password'
+      });
+    }
+
+    await user.recordLogin();
+
+    res.json({
+      success: true,
+      data: {
+        ...issueTokens(user),
+        user: user.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error during login:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/auth/refresh
+ * Exchange a refresh token for a new token pair
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    let user;
+    try {
+      user = await verifyRefreshToken(refreshToken);
+    } catch (error) {
+      if (!(error instanceof jwt.JsonWebTokenError)) throw error;
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    await AuditLog.logAction({
+      action: 'user.login',
+      actor: {
+        type: 'user',
+        userId: user._id.toString(),
+        userName: user.username,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      },
+      details: {
+        username: user.username,
+        method: 'refresh_token'
+      },
+      result: {
+        status: 'success',
+        message: 'Session refreshed'
+      },
+      category: 'security',
+      severity: 'info'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...issueTokens(user),
+        user: user.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/auth/logout
+ * Revoke all refresh tokens for the current user
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user) {
+      await user.revokeTokens();
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    logger.error('Error during logout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/auth/me
+ * Get the current user
+ */
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        error: 'User no longer active'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching current user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch current user'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/auth/users
+ * List users
+ */
+router.get('/users', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+
+    res.json({
+      success: true,
+      data: users.map(user => user.toPublicJSON()),
+      roles: User.ROLES
+    });
+
+  } catch (error) {
+    logger.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/auth/users
+ * Create a user
+ */
+router.post('/users', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { username, name, email, role = 'viewer', password } = req.body || {};
+
+    if (!username || !name || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'username, name and password are required'
+      });
+    }
+
+    if (!User.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${User.ROLES.join(', ')}`
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    if (await User.findOne({ username: String(username).toLowerCase().trim() })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Username already exists'
+      });
+    }
+
+    const user = new User({ username, name, email, role, createdBy: req.user.id });
+    await user.setPassword(password);
+    await user.save();
+
+    await AuditLog.logAction({
+      action: 'user.action',
+      actor: {
+        type: 'user',
+        userId: req.user.id,
+        userName: req.user.username,
+        ipAddress: req.ip
+      },
+      details: {
+        action: 'user_created',
+        username: user.username,
+        role: user.role
+      },
+      result: {
+        status: 'success',
+        message: `User ${user.username} created`
+      },
+      category: 'security',
+      severity: 'warning'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    logger.error('Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create user'
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/auth/users/:userId
+ * Update role, status, name or password
+ */
+router.patch('/users/:userId', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { name, email, role, active, password } = req.body || {};
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (role !== undefined && !User.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${User.ROLES.join(', ')}`
+      });
+    }
+
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    if (user._id.toString() === req.user.id && (active === false || (role && role !== 'admin'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot demote or deactivate your own account'
+      });
+    }
+
+    const before = user.toPublicJSON();
+
+    if (name !== undefined) user.name = name;
+    if (email !== undefined) user.email = email;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) {
+      user.active = !!active;
+      if (!user.active) user.tokenVersion += 1;
+    }
+    if (password !== undefined) await user.setPassword(String(password));
+
+    await user.save();
+
+    await AuditLog.logAction({
+      action: 'user.action',
+      actor: {
+        type: 'user',
+        userId: req.user.id,
+        userName: req.user.username,
+        ipAddress: req.ip
+      },
+      details: {
+        action: 'user_updated',
+        username: user.username,
+        passwordChanged: password !== undefined
+      },
+      changeTracking: {
+        before,
+        after: user.toPublicJSON()
+      },
+      result: {
+        status: 'success',
+        message: `User ${user.username} updated`
+      },
+      category: 'security',
+      severity: 'warning'
+    });
+
+    res.json({
+      success: true,
+      data: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    logger.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user'
+    });
+  }
+});
+
+
+
+module.exports = router;
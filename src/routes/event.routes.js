@@ -3,7 +3,10 @@ const express = require('express');
 const router = express.Router();
 const Event = require('../models/Event');
 const AuditLog = require('../models/AuditLog');
-const { retryFailedEvent } = require('../queues/queueManager');
+const validationSchemas = require('../validators/webhookSchemas');
+const { retryFailedEvent, requeueDeadLetteredEvent, queueReplay } = require('../queues/queueManager');
+const { diffJson } = require('../utils/jsonDiff');
+const { authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 
@@ -105,7 +108,7 @@ router.get('/:eventId', async (req, res) => {
  * POST /api/v1/events/:eventId/retry
  * Manually retry a failed event
  */
-router.post('/:eventId/retry', async (req, res) => {
+router.post('/:eventId/retry', authorize('operator'), async (req, res) => {
   try {
     const event = await Event.findByEventId(req.params.eventId);
     
@@ -165,6 +168,407 @@ router.post('/:eventId/retry', async (req, res) => {
 
 
 
+/**
+ * POST /api/v1/events/:eventId/replay
+ * Correct a failed event's raw payload and reprocess it
+ * Body: { payload, reason, dryRun }. The corrected payload is validated
+ * against the event type's schema first; dryRun stops after validation.
+ */
+router.post('/:eventId/replay', authorize('operator'), async (req, res) => {
+  try {
+    const event = await Event.findByEventId(req.params.eventId);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+    
+    if (!['failed', 'dead_lettered'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only failed or dead-lettered events can be corrected'
+      });
+    }
+    
+    const { payload, reason, dryRun } = req.body;
+    
+    if (!payload || typeof payload !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'A corrected payload object is required'
+      });
+    }
+    
+    if (!dryRun && !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason for the correction is required'
+      });
+    }
+    
+    // Schema dry run
+    const schema = validationSchemas[event.eventType];
+    if (!schema) {
+      return res.status(409).json({
+        success: false,
+        error: `No validation schema for ${event.eventType}; the event cannot be replayed`
+      });
+    }
+    
+    const { error: validationError } = schema.validate(payload, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+    
+    if (validationError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Corrected payload failed validation',
+        errors: validationError.details.map(d => d.message)
+      });
+    }
+    
+    const diff = diffJson(event.rawPayload, payload);
+    
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: 'Corrected payload is valid',
+        data: { diff }
+      });
+    }
+    
+    if (diff.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Corrected payload is identical to the current payload'
+      });
+    }
+    
+    const userId = req.user?.id || 'admin';
+    const before = event.rawPayload;
+    const wasDeadLettered = event.status === 'dead_lettered';
+    
+    const revision = await event.applyPayloadCorrection(payload, diff, reason, userId);
+    
+    if (wasDeadLettered) {
+      event.set('triage.resolutionType', 'fixed_and_replayed');
+      event.set('triage.resolutionNote', reason);
+      event.set('triage.resolvedBy', userId);
+      event.set('triage.resolvedAt', new Date());
+      await event.save();
+    }
+    
+    await AuditLog.logAction({
+      action: 'manual.intervention',
+      eventId: event.eventId,
+      actor: {
+        type: 'user',
+        userId,
+        ipAddress: req.ip
+      },
+      details: {
+        action: 'payload_corrected',
+        eventType: event.eventType,
+        reason,
+        revision
+      },
+      changeTracking: {
+        before,
+        after: payload,
+        diff
+      },
+      result: {
+        status: 'success',
+        message: `Payload corrected (revision ${revision}) and queued for replay`
+      },
+      category: 'admin',
+      severity: 'warning'
+    });
+    
+    await queueReplay(event.eventId, `replay:${revision}`);
+    
+    res.json({
+      success: true,
+      message: 'Corrected payload accepted and queued for replay',
+      data: {
+        eventId: event.eventId,
+        revision,
+        diff
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error replaying corrected event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay event',
+      details: error.message
+    });
+  }
+});
+
+
+
+/**
+ * Write a manual.intervention audit entry for a triage action
+ */
+function logTriageAction(req, event, action, details, message) {
+  return AuditLog.logAction({
+    action: 'manual.intervention',
+    eventId: event.eventId,
+    actor: {
+      type: 'user',
+      userId: req.user?.id || 'admin',
+      ipAddress: req.ip
+    },
+    details: {
+      action,
+      eventType: event.eventType,
+      ...details
+    },
+    result: {
+      status: 'success',
+      message
+    },
+    category: 'admin',
+    severity: 'info'
+  });
+}
+
+
+
+/**
+ * POST /api/v1/events/:eventId/assign
+ * Assign a dead-lettered event to a user (omit assignee to unassign)
+ */
+router.post('/:eventId/assign', authorize('operator'), async (req, res) => {
+  try {
+    const event = await Event.findByEventId(req.params.eventId);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+    
+    if (event.status !== 'dead_lettered') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only dead-lettered events can be assigned'
+      });
+    }
+    
+    const { assignee } = req.body;
+    const previousAssignee = event.triage?.assignee || null;
+    
+    await event.assignTriage(assignee, req.user?.id || 'admin');
+    
+    await logTriageAction(
+      req,
+      event,
+      'dead_letter_assigned',
+      { assignee: assignee || null, previousAssignee },
+      assignee ? `Assigned to ${assignee}` : 'Assignment cleared'
+    );
+    
+    res.json({
+      success: true,
+      message: assignee ? 'Event assigned' : 'Event unassigned',
+      data: event.triage
+    });
+    
+  } catch (error) {
+    logger.error('Error assigning event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign event',
+      details: error.message
+    });
+  }
+});
+
+
+
+/**
+ * POST /api/v1/events/:eventId/notes
+ * Add a triage note to a dead-lettered or resolved event
+ */
+router.post('/:eventId/notes', authorize('operator'), async (req, res) => {
+  try {
+    const event = await Event.findByEventId(req.params.eventId);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+    
+    if (!['dead_lettered', 'resolved'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Notes can only be added to dead-lettered or resolved events'
+      });
+    }
+    
+    const { note } = req.body;
+    
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note is required'
+      });
+    }
+    
+    await event.addTriageNote(note, req.user?.id || 'admin');
+    
+    await logTriageAction(req, event, 'dead_letter_annotated', { note }, 'Triage note added');
+    
+    res.json({
+      success: true,
+      message: 'Note added',
+      data: event.triage
+    });
+    
+  } catch (error) {
+    logger.error('Error adding triage note:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add note',
+      details: error.message
+    });
+  }
+});
+
+
+
+/**
+ * POST /api/v1/events/:eventId/discard
+ * Close a dead-lettered event without replaying it
+ * resolutionType: 'discarded' (default) or 'handled_in_x3'
+ */
+router.post('/:eventId/discard', authorize('operator'), async (req, res) => {
+  try {
+    const event = await Event.findByEventId(req.params.eventId);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+    
+    if (event.status !== 'dead_lettered') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only dead-lettered events can be discarded'
+      });
+    }
+    
+    const { note, resolutionType = 'discarded' } = req.body;
+    
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        error: 'A resolution note is required'
+      });
+    }
+    
+    if (!['discarded', 'handled_in_x3'].includes(resolutionType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'resolutionType must be discarded or handled_in_x3'
+      });
+    }
+    
+    await event.resolveDeadLetter(resolutionType, note, req.user?.id || 'admin');
+    
+    await logTriageAction(
+      req,
+      event,
+      'dead_letter_resolved',
+      { resolutionType, note },
+      resolutionType === 'handled_in_x3' ? 'Marked as handled manually in Sage X3' : 'Event discarded'
+    );
+    
+    res.json({
+      success: true,
+      message: 'Event resolved',
+      data: {
+        eventId: event.eventId,
+        status: event.status,
+        triage: event.triage
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error discarding event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard event',
+      details: error.message
+    });
+  }
+});
+
+
+
+/**
+ * POST /api/v1/events/:eventId/requeue
+ * Replay a dead-lettered event after its cause has been fixed
+ */
+router.post('/:eventId/requeue', authorize('operator'), async (req, res) => {
+  try {
+    const event = await Event.findByEventId(req.params.eventId);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+    
+    if (event.status !== 'dead_lettered') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only dead-lettered events can be requeued'
+      });
+    }
+    
+    const note = req.body.note || 'Requeued from dead-letter queue';
+    
+    await logTriageAction(
+      req,
+      event,
+      'dead_letter_requeued',
+      { note, previousRetryCount: event.retryCount, deadLetterReason: event.deadLetterReason },
+      'Dead-lettered event requeued'
+    );
+    
+    await requeueDeadLetteredEvent(event.eventId, req.user?.id || 'admin', note);
+    
+    res.json({
+      success: true,
+      message: 'Event requeued',
+      eventId: event.eventId
+    });
+    
+  } catch (error) {
+    logger.error('Error requeueing event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to requeue event',
+      details: error.message
+    });
+  }
+});
+
+
+
 /**
  * GET /api/v1/events/stats/summary
  * Get event statistics
@@ -239,4 +643,41 @@ router.get('/failed/queue', async (req, res) => {
 
 
 
+/**
+ * GET /api/v1/events/dead-letter/queue
+ * Get dead-lettered events awaiting triage
+ * Filters: assignee, unassigned=true
+ */
+router.get('/dead-letter/queue', async (req, res) => {
+  try {
+    const { assignee, unassigned, limit = 100 } = req.query;
+    
+    const events = await Event.findDeadLettered(
+      { assignee, unassigned: unassigned === 'true' },
+      parseInt(limit)
+    );
+    
+    const unassignedCount = await Event.countDocuments({
+      status: 'dead_lettered',
+      'triage.assignee': { $in: [null, ''] }
+    });
+    
+    res.json({
+      success: true,
+      data: events,
+      total: events.length,
+      unassigned: unassignedCount
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching dead-letter queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dead-letter queue'
+    });
+  }
+});
+
+
+
 module.exports = router;
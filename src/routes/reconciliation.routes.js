@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const ReconciliationReport = require('../models/ReconciliationReport');
+const Transaction = require('../models/Transaction');
+const reconciliationService = require('../services/reconciliationService');
+const { getReconciliationSchedulerStatus } = require('../queues/reconciliationScheduler');
+const { authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * POST /api/v1/reconciliation/run
+ * Start a reconciliation run in the background
+ */
+router.post('/run', authorize('operator'), async (req, res) => {
+  try {
+    const { olderThanDays = 1, limit = 500 } = req.body || {};
+
+    if (reconciliationService.isRunning()) {
+      return res.status(409).json({
+        success: false,
+        error: 'A reconciliation run is already in progress'
+      });
+    }
+
+    const report = await reconciliationService.start({
+      trigger: 'user',
+      userId: req.user?.id || 'admin',
+      olderThanDays: parseInt(olderThanDays),
+      limit: parseInt(limit)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliation started',
+      data: {
+        reportId: report.reportId,
+        status: report.status,
+        startedAt: report.startedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error starting reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start reconciliation'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/reconciliation/status
+ * Get scheduler state and whether a run is in progress
+ */
+router.get('/status', (req, res) => {
+  res.json({
+    success: true,
+    data: getReconciliationSchedulerStatus()
+  });
+});
+
+/**
+ * GET /api/v1/reconciliation/reports
+ * List recent reports (summaries only)
+ */
+router.get('/reports', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const reports = await ReconciliationReport.findRecent(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: reports
+    });
+
+  } catch (error) {
+    logger.error('Error fetching reconciliation reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliation reports'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/reconciliation/reports/latest
+ * Get the most recent report with results that need attention
+ */
+router.get('/reports/latest', async (req, res) => {
+  try {
+    const report = await ReconciliationReport.getLatest();
+
+    if (!report) {
+      return res.json({
+        success: true,
+        data: null
+      });
+    }
+
+    const data = report.toObject();
+    data.results = data.results.filter(result => result.outcome !== 'matched');
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Error fetching latest reconciliation report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch latest reconciliation report'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/reconciliation/reports/:reportId
+ * Get a full report, optionally filtered by outcome
+ */
+router.get('/reports/:reportId', async (req, res) => {
+  try {
+    const { outcome } = req.query;
+    const report = await ReconciliationReport.findByReportId(req.params.reportId);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reconciliation report not found'
+      });
+    }
+
+    const data = report.toObject();
+    if (outcome) {
+      data.results = data.results.filter(result => result.outcome === outcome);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Error fetching reconciliation report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliation report'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/reconciliation/discrepancies
+ * List transactions whose last reconciliation did not match
+ */
+router.get('/discrepancies', async (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+    const transactions = await Transaction.findOpenDiscrepancies(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: transactions
+    });
+
+  } catch (error) {
+    logger.error('Error fetching reconciliation discrepancies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliation discrepancies'
+    });
+  }
+});
+
+
+
+module.exports = router;
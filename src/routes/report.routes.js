@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const financialReportService = require('../services/financialReportService');
+const dimensionService = require('../services/dimensionService');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/v1/reports/daily
+ * Daily control report: Indigo totals vs what reached Sage X3
+ * Query: date (YYYY-MM-DD, defaults to today), format (json|csv)
+ */
+router.get('/daily', async (req, res) => {
+  try {
+    const { date, format = 'json' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or csv'
+      });
+    }
+
+    let report;
+    try {
+      report = await financialReportService.generateDailyReport(date || undefined);
+    } catch (error) {
+      if (error.message.includes('YYYY-MM-DD')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      throw error;
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="financial-report-${report.date}.csv"`);
+      return res.send(financialReportService.toCsv(report));
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Error generating daily financial report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate daily financial report'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/reports/dimension-coverage
+ * Share of synced postings carrying each analytical dimension, with the
+ * consultants, categories and locations still unmapped
+ * Query: startDate, endDate (default: the last 30 days)
+ */
+router.get('/dimension-coverage', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const start = startDate ? new Date(startDate) : undefined;
+    const end = endDate ? new Date(endDate) : undefined;
+
+    if ([start, end].some(date => date && Number.isNaN(date.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'startDate and endDate must be valid dates'
+      });
+    }
+
+    const coverage = await dimensionService.getCoverage({ startDate: start, endDate: end });
+
+    res.json({
+      success: true,
+      data: coverage
+    });
+
+  } catch (error) {
+    logger.error('Error generating dimension coverage report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate dimension coverage report'
+    });
+  }
+});
+
+module.exports = router;
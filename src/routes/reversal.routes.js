@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const ReversalRequest = require('../models/ReversalRequest');
+const reversalService = require('../services/reversalService');
+const { authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/v1/reversals
+ * List reversal requests (pending by default)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'pending', limit = 100 } = req.query;
+
+    const query = status === 'all' ? {} : { status };
+    const requests = await ReversalRequest.find(query)
+      .sort({ requestedAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: requests,
+      pending: await ReversalRequest.getPendingCount()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching reversal requests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reversal requests'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/reversals/:requestId
+ * Get a single reversal request
+ */
+router.get('/:requestId', async (req, res) => {
+  try {
+    const request = await ReversalRequest.findByRequestId(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reversal request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+
+  } catch (error) {
+    logger.error('Error fetching reversal request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reversal request'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/reversals/:requestId/approve
+ * Approve a reversal and post the credit note to Sage X3
+ * Must be called by someone other than the requester.
+ */
+router.post('/:requestId/approve', authorize('finance-approver'), async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    const existing = await ReversalRequest.findByRequestId(req.params.requestId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reversal request not found'
+      });
+    }
+
+    if (existing.requestedBy.userId === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'A reversal must be approved by someone other than the requester'
+      });
+    }
+
+    const request = await ReversalRequest.claimForApproval(existing.requestId, req.user, note);
+
+    if (!request) {
+      return res.status(409).json({
+        success: false,
+        error: `Reversal request is ${existing.status} and cannot be approved`
+      });
+    }
+
+    try {
+      await reversalService.executeApprovedReversal(request, req.user, req.ip);
+    } catch (error) {
+      return res.status(502).json({
+        success: false,
+        error: 'Reversal approved but posting the credit note failed; it can be approved again',
+        details: error.message,
+        data: request
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reversal approved and posted to Sage X3',
+      data: request
+    });
+
+  } catch (error) {
+    logger.error('Error approving reversal:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve reversal'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/reversals/:requestId/reject
+ * Reject a pending reversal
+ * Must be called by someone other than the requester.
+ */
+router.post('/:requestId/reject', authorize('finance-approver'), async (req, res) => {
+  try {
+    const { note } = req.body || {};
+
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        error: 'A rejection note is required'
+      });
+    }
+
+    const request = await ReversalRequest.findByRequestId(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reversal request not found'
+      });
+    }
+
+    if (request.requestedBy.userId === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'A reversal must be rejected by someone other than the requester'
+      });
+    }
+
+    if (!['pending', 'failed'].includes(request.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Reversal request is ${request.status} and cannot be rejected`
+      });
+    }
+
+    await reversalService.rejectReversal(request, req.user, note, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Reversal rejected',
+      data: request
+    });
+
+  } catch (error) {
+    logger.error('Error rejecting reversal:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject reversal'
+    });
+  }
+});
+
+
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const stockLedgerService = require('../services/stockLedgerService');
+const { authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * Parse an optional date query/body value, rejecting garbage
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * GET /api/v1/stock/batches/near-expiry
+ * Batches with stock on hand expiring within ?days (default stock.nearExpiryDays), expired ones included
+ */
+router.get('/batches/near-expiry', async (req, res) => {
+  try {
+    const { days, locationId } = req.query;
+
+    if (days !== undefined && !(Number(days) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be a non-negative number'
+      });
+    }
+
+    const result = await stockLedgerService.getNearExpiry({
+      days: days !== undefined ? Number(days) : undefined,
+      locationId
+    });
+
+    res.json({
+      success: true,
+      data: result.batches,
+      days: result.days,
+      asOf: result.asOf,
+      total: result.batches.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching near-expiry batches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch near-expiry batches'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/stock/batches/recalled
+ * Recalled batches that still have stock on hand, with where it is
+ */
+router.get('/batches/recalled', async (req, res) => {
+  try {
+    const batches = await stockLedgerService.getRecalledOnHand({ locationId: req.query.locationId });
+
+    res.json({
+      success: true,
+      data: batches,
+      total: batches.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching recalled batches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recalled batches'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/stock/batches/:stockCode/:batchId/history
+ * Every movement of a batch with running balances per location
+ */
+router.get('/batches/:stockCode/:batchId/history', async (req, res) => {
+  try {
+    const history = await stockLedgerService.getBatchHistory(req.params.stockCode, req.params.batchId);
+
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found in the stock ledger'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    logger.error('Error fetching batch history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch batch history'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/stock/write-offs/expired
+ * Write off batches expired by asOf (default now) and post them to Sage X3
+ * Narrow with stockCode/batchId; dryRun lists what would be written off.
+ */
+router.post('/write-offs/expired', authorize('finance-approver'), async (req, res) => {
+  try {
+    const { asOf, stockCode, batchId, dryRun = false } = req.body || {};
+    const asOfDate = parseDate(asOf);
+
+    if (asOfDate === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'asOf must be a valid date'
+      });
+    }
+
+    const summary = await stockLedgerService.writeOffExpired(
+      { asOf: asOfDate, stockCode, batchId, dryRun: dryRun === true || dryRun === 'true' },
+      { id: req.user.id, name: req.user.name, ipAddress: req.ip }
+    );
+
+    res.status(summary.failed.length > 0 ? 207 : 200).json({
+      success: summary.failed.length === 0,
+      data: summary
+    });
+
+  } catch (error) {
+    logger.error('Error writing off expired stock:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to write off expired stock'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/stock/ledger/replay
+ * Record synced stock events in the ledger again (backfill or repair); idempotent
+ */
+router.post('/ledger/replay', authorize('admin'), async (req, res) => {
+  try {
+    const { since, until, limit } = req.body || {};
+    const sinceDate = parseDate(since);
+    const untilDate = parseDate(until);
+
+    if (sinceDate === null || untilDate === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'since and until must be valid dates'
+      });
+    }
+
+    const result = await stockLedgerService.replayEvents({
+      since: sinceDate,
+      until: untilDate,
+      ...(limit && { limit: parseInt(limit) })
+    });
+
+    logger.info(`Stock ledger replay by ${req.user.id}: ${result.events} events`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error replaying stock ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay stock ledger'
+    });
+  }
+});
+
+module.exports = router;
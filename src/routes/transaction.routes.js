@@ -3,7 +3,10 @@ const router = express.Router();
 const Transaction = require('../models/Transaction');
 const Event = require('../models/Event');
 const AuditLog = require('../models/AuditLog');
-const sageX3Client = require('../services/sageX3Client');
+const ReversalRequest = require('../models/ReversalRequest');
+const reversalService = require('../services/reversalService');
+const invoiceVersionService = require('../services/invoiceVersionService');
+const { authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 /**
@@ -107,9 +110,9 @@ router.get('/:transactionId', async (req, res) => {
 
 /**
  * POST /api/v1/transactions/:transactionId/reverse
- * Reverse a synced transaction
+ * Request a reversal; the credit note or payment reversal is posted once a different user approves it
  */
-router.post('/:transactionId/reverse', async (req, res) => {
+router.post('/:transactionId/reverse', authorize('operator'), async (req, res) => {
   try {
     const transaction = await Transaction.findOne({
       transactionId: req.params.transactionId
@@ -129,6 +132,13 @@ router.post('/:transactionId/reverse', async (req, res) => {
       });
     }
     
+    if (!reversalService.isReversible(transaction)) {
+      return res.status(400).json({
+        success: false,
+        error: `${transaction.eventType} transactions cannot be reversed`
+      });
+    }
+    
     const { reason } = req.body;
     
     if (!reason) {
@@ -138,93 +148,27 @@ router.post('/:transactionId/reverse', async (req, res) => {
       });
     }
     
-    // Post credit note to Sage X3
-    const creditNoteData = {
-      originalReference: transaction.sageX3Details.documentReference,
-      reason,
-      reversalDate: new Date().toISOString(),
-      amount: transaction.financialData?.amount || 0,
-      currency: transaction.financialData?.currency || 'NGN'
-    };
-    
-    const result = await sageX3Client.postCreditNote(creditNoteData);
-    
-    // Mark transaction as reversed
-    await transaction.markAsReversed(
-      reason,
-      result.documentReference,
-      req.user?.id || 'admin'
-    );
-    
-    // Mark original event as reversed
-    const event = await Event.findByEventId(transaction.eventId);
-    if (event) {
-      await event.markAsReversed(reason, transaction.transactionId);
+    const openRequest = await ReversalRequest.findOpenForTransaction(transaction.transactionId);
+    if (openRequest) {
+      return res.status(409).json({
+        success: false,
+        error: `A reversal request is already open for this transaction (${openRequest.requestId})`
+      });
     }
     
-    // Log reversal
-    await AuditLog.logAction({
-      action: 'transaction.reversed',
-      eventId: transaction.eventId,
-      transactionId: transaction.transactionId,
-      actor: {
-        type: 'user',
-        userId: req.user?.id || 'admin',
-        ipAddress: req.ip
-      },
-      details: {
-        reason,
-        originalDocRef: transaction.sageX3Details.documentReference,
-        reversalDocRef: result.documentReference
-      },
-      result: {
-        status: 'success',
-        message: 'Transaction reversed successfully'
-      },
-      category: 'reversal',
-      severity: 'warning'
-    });
-    
-    logger.info('Transaction reversed', {
-      transactionId: transaction.transactionId,
-      reason
-    });
+    const request = await reversalService.requestReversal(transaction, reason, req.user, req.ip);
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Transaction reversed successfully',
-      data: {
-        transactionId: transaction.transactionId,
-        reversalDocumentReference: result.documentReference
-      }
+      message: 'Reversal requested and awaiting approval',
+      data: request
     });
     
   } catch (error) {
-    logger.error('Error reversing transaction:', error);
-    
-    await AuditLog.logAction({
-      action: 'transaction.reversed',
-      transactionId: req.params.transactionId,
-      actor: {
-        type: 'user',
-        userId: req.user?.id || 'admin',
-        ipAddress: req.ip
-      },
-      details: {
-        error: error.message
-      },
-      result: {
-        status: 'failure',
-        message: 'Transaction reversal failed',
-        errorDetails: error.message
-      },
-      category: 'reversal',
-      severity: 'error'
-    });
-    
+    logger.error('Error requesting reversal:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to reverse transaction',
+      error: 'Failed to request reversal',
       details: error.message
     });
   }
@@ -234,7 +178,7 @@ router.post('/:transactionId/reverse', async (req, res) => {
  * POST /api/v1/transactions/:transactionId/verify
  * Mark transaction as verified
  */
-router.post('/:transactionId/verify', async (req, res) => {
+router.post('/:transactionId/verify', authorize('operator'), async (req, res) => {
   try {
     const transaction = await Transaction.findOne({
       transactionId: req.params.transactionId
@@ -359,4 +303,34 @@ router.get('/reversed/list', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/transactions/invoices/:invoiceId/versions
+ * Version history of an invoice: line changes and the adjustments posted for each
+ */
+router.get('/invoices/:invoiceId/versions', async (req, res) => {
+  try {
+    const versions = await invoiceVersionService.getHistory(req.params.invoiceId);
+    
+    if (versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No versions recorded for this invoice'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: versions,
+      total: versions.length
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching invoice versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice versions'
+    });
+  }
+});
+
 module.exports = router;
@@ -3,8 +3,8 @@ const router = express.Router();
 const Event = require('../models/Event');
 const AuditLog = require('../models/AuditLog');
 const { queueEvent } = require('../queues/queueManager');
+const webhookSecurityService = require('../services/webhookSecurityService');
 const {
-  verifyWebhookSignature,
   generateEventId,
   extractEventType,
   isDuplicateEvent,
@@ -101,20 +101,21 @@ router.post('/indigo', async (req, res) => {
     console.log('\n🔒 VERIFYING WEBHOOK SIGNATURE');
     console.log('─────────────────────────────────────────────────────────────────────');
     
-    const verified = verifyWebhookSignature(rawBody, headers);
+    const verification = await webhookSecurityService.verifyDelivery(rawBody, headers, { sourceIp: req.ip });
     
-    if (!verified) {
-      console.error('✗ Signature verification FAILED');
-      logger.webhook.warn('Webhook signature verification failed', {
-        ip: req.ip,
-        hasSvixId: !!headers['svix-id'],
-        hasSvixTimestamp: !!headers['svix-timestamp'],
-        hasSvixSignature: !!headers['svix-signature']
+    if (verification.reason) {
+      console.error('✗ Signature verification FAILED:', verification.reason);
+      await webhookSecurityService.recordRejection(verification, {
+        headers,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
       });
       
-      return res.status(401).json({
+      // A replayed delivery is well-formed; the others are not authenticated
+      return res.status(verification.reason === 'replay' ? 409 : 401).json({
         success: false,
-        error: 'Invalid webhook signature',
+        error: verification.message,
+        reason: verification.reason,
         debug: {
           hasSvixId: !!headers['svix-id'],
           hasSvixTimestamp: !!headers['svix-timestamp'],
@@ -123,6 +124,8 @@ router.post('/indigo', async (req, res) => {
       });
     }
     
+    const verified = verification.payload;
+    
     console.log('✓ Signature verification PASSED');
     console.log('Verified payload event:', verified?.event);
     
@@ -235,6 +238,7 @@ router.post('/indigo', async (req, res) => {
       rawPayload: payload,
       status: 'received',
       webhookSignature: headers['svix-signature'],
+      signingSecretId: verification.secretId,
       webhookTimestamp: new Date(parseInt(headers['svix-timestamp']) * 1000),
       sourceIp: req.ip,
       metadata: {
@@ -0,0 +1,298 @@
+const express = require('express');
+const router = express.Router();
+const CrossReference = require('../models/CrossReference');
+const AuditLog = require('../models/AuditLog');
+const { authorize } = require('../middleware/auth');
+const { parseCsv, toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const CSV_COLUMNS = ['entityType', 'sourceId', 'x3Code', 'description', 'active'];
+const MAX_IMPORT_ROWS = 10000;
+
+function logXrefChange(req, details, message) {
+  return AuditLog.logAction({
+    action: 'xref.updated',
+    actor: {
+      type: 'user',
+      userId: req.user.id,
+      userName: req.user.name,
+      ipAddress: req.ip
+    },
+    details,
+    result: { status: 'success', message },
+    category: 'admin',
+    severity: 'info'
+  });
+}
+
+/**
+ * Check one cross-reference row, returning the problem or null
+ */
+function validateRow(row) {
+  if (!CrossReference.ENTITY_TYPES.includes(row.entityType)) {
+    return `entityType must be one of ${CrossReference.ENTITY_TYPES.join(', ')}`;
+  }
+  if (!row.sourceId) {
+    return 'sourceId is required';
+  }
+  if (!row.x3Code) {
+    return 'x3Code is required';
+  }
+  return null;
+}
+
+/**
+ * GET /api/v1/xrefs
+ * List cross-references, filtered by entity type or a search on ids/codes
+ * Pass format=csv to export in the import format.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { entityType, search, active, format = 'json', limit = 100, skip = 0 } = req.query;
+
+    const query = {};
+    if (entityType) query.entityType = entityType;
+    if (active !== undefined) query.active = active === 'true';
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ sourceId: pattern }, { x3Code: pattern }, { description: pattern }];
+    }
+
+    if (format === 'csv') {
+      const entries = await CrossReference.find(query).sort({ entityType: 1, sourceId: 1 }).lean();
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="cross-references.csv"');
+      return res.send(toCsv(entries, CSV_COLUMNS));
+    }
+
+    const [entries, total, counts] = await Promise.all([
+      CrossReference.find(query)
+        .sort({ entityType: 1, sourceId: 1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip)),
+      CrossReference.countDocuments(query),
+      CrossReference.getCounts()
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      counts,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: (parseInt(skip) + parseInt(limit)) < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching cross-references:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cross-references'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/xrefs/:entityType/:sourceId
+ * Get the X3 code for one Indigo id
+ */
+router.get('/:entityType/:sourceId', async (req, res) => {
+  try {
+    const entry = await CrossReference.findBySource(req.params.entityType, req.params.sourceId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cross-reference not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('Error fetching cross-reference:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cross-reference'
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/xrefs/:entityType/:sourceId
+ * Create or update the X3 code for an Indigo id
+ * Use sourceId "*" for the code applied to ids without their own entry.
+ */
+router.put('/:entityType/:sourceId', authorize('operator'), async (req, res) => {
+  try {
+    const { entityType, sourceId } = req.params;
+    const { x3Code, description, active } = req.body;
+
+    const problem = validateRow({ entityType, sourceId, x3Code });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    const existing = await CrossReference.findBySource(entityType, sourceId);
+    const entry = existing || new CrossReference({ entityType, sourceId, createdBy: req.user.id });
+    const before = existing ? { x3Code: existing.x3Code, active: existing.active } : undefined;
+
+    entry.x3Code = x3Code;
+    if (description !== undefined) entry.description = description;
+    if (active !== undefined) entry.active = Boolean(active);
+    entry.updatedBy = req.user.id;
+    await entry.save();
+
+    await logXrefChange(req, {
+      operation: existing ? 'update' : 'create',
+      entityType,
+      sourceId,
+      before,
+      after: { x3Code: entry.x3Code, active: entry.active }
+    }, `Cross-reference ${entityType}:${sourceId} ${existing ? 'updated' : 'created'}`);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('Error saving cross-reference:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save cross-reference'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/xrefs/:entityType/:sourceId
+ * Remove a cross-reference
+ */
+router.delete('/:entityType/:sourceId', authorize('operator'), async (req, res) => {
+  try {
+    const { entityType, sourceId } = req.params;
+    const entry = await CrossReference.findOneAndDelete({ entityType, sourceId });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cross-reference not found'
+      });
+    }
+
+    await logXrefChange(req, {
+      operation: 'delete',
+      entityType,
+      sourceId,
+      before: { x3Code: entry.x3Code, active: entry.active }
+    }, `Cross-reference ${entityType}:${sourceId} deleted`);
+
+    res.json({
+      success: true,
+      message: 'Cross-reference deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting cross-reference:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete cross-reference'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/xrefs/import
+ * Bulk create/update from CSV with columns entityType,sourceId,x3Code[,description,active]
+ * Send text/csv, or JSON { csv }. ?entityType=... fills rows without one.
+ * Nothing is written if any row is invalid.
+ */
+router.post('/import', authorize('operator'), express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV content is required'
+      });
+    }
+
+    const rows = parseCsv(text).map(row => ({
+      entityType: row.entityType || req.query.entityType,
+      sourceId: row.sourceId,
+      x3Code: row.x3Code,
+      description: row.description || undefined,
+      active: !['false', '0', 'no'].includes(String(row.active).toLowerCase())
+    }));
+
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `CSV must contain between 1 and ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    // Line numbers count the header as line 1
+    const errors = rows
+      .map((row, index) => ({ line: index + 2, error: validateRow(row) }))
+      .filter(result => result.error);
+
+    const seen = new Set();
+    rows.forEach((row, index) => {
+      const key = `${row.entityType}:${row.sourceId}`;
+      if (seen.has(key)) {
+        errors.push({ line: index + 2, error: `Duplicate ${key}` });
+      }
+      seen.add(key);
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${errors.length} invalid row(s); nothing was imported`,
+        details: errors
+      });
+    }
+
+    const result = await CrossReference.upsertMany(rows, req.user.id);
+
+    await logXrefChange(req, {
+      operation: 'import',
+      rows: rows.length,
+      created: result.upsertedCount,
+      updated: result.modifiedCount,
+      entityTypes: [...new Set(rows.map(row => row.entityType))]
+    }, `Imported ${rows.length} cross-references`);
+
+    res.json({
+      success: true,
+      message: `Imported ${rows.length} cross-references`,
+      data: {
+        rows: rows.length,
+        created: result.upsertedCount,
+        updated: result.modifiedCount,
+        unchanged: rows.length - result.upsertedCount - result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error importing cross-references:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import cross-references'
+    });
+  }
+});
+
+module.exports = router;
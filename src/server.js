@@ -9,8 +9,20 @@ const webhookRoutes = require('./routes/webhook.routes');
 const adminRoutes = require('./routes/admin.routes');
 const eventRoutes = require('./routes/event.routes');
 const transactionRoutes = require('./routes/transaction.routes');
+const reconciliationRoutes = require('./routes/reconciliation.routes');
+const reportRoutes = require('./routes/report.routes');
+const authRoutes = require('./routes/auth.routes');
+const reversalRoutes = require('./routes/reversal.routes');
+const xrefRoutes = require('./routes/xref.routes');
+const stockRoutes = require('./routes/stock.routes');
+const { authenticate, authorize } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
-const { initializeQueues } = require('./queues/queueManager');
+const Configuration = require('./models/Configuration');
+const User = require('./models/User');
+const { initializeQueues, closeQueues } = require('./queues/queueManager');
+const { startRetryScheduler, stopRetryScheduler } = require('./queues/retryScheduler');
+const { startReconciliationScheduler, stopReconciliationScheduler } = require('./queues/reconciliationScheduler');
+const { checkKeys } = require('./utils/encryption');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -61,9 +73,17 @@ app.get('/health', (req, res) => {
 
 // API routes 
 app.use('/api/v1/webhooks', webhookRoutes); 
-app.use('/api/v1/admin', adminRoutes);
-app.use('/api/v1/events', eventRoutes);
-app.use('/api/v1/transactions', transactionRoutes);
+app.use('/api/v1/auth', authRoutes);
+
+// Everything below requires a signed-in user; routers enforce stricter roles per route
+app.use('/api/v1/admin', authenticate, authorize('viewer'), adminRoutes);
+app.use('/api/v1/events', authenticate, authorize('viewer'), eventRoutes);
+app.use('/api/v1/transactions', authenticate, authorize('viewer'), transactionRoutes);
+app.use('/api/v1/reconciliation', authenticate, authorize('viewer'), reconciliationRoutes);
+app.use('/api/v1/reports', authenticate, authorize('viewer'), reportRoutes);
+app.use('/api/v1/reversals', authenticate, authorize('viewer'), reversalRoutes);
+app.use('/api/v1/xrefs', authenticate, authorize('viewer'), xrefRoutes);
+app.use('/api/v1/stock', authenticate, authorize('viewer'), stockRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -77,6 +97,15 @@ app.use((req, res) => {
 // Global error handler
 app.use(errorHandler);
 
+// Sensitive configuration is encrypted at rest, so refuse to start without a key
+try {
+  logger.info(`Configuration encryption key loaded (key id ${checkKeys()})`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  logger.error('Configuration encryption key error:', error);
+  process.exit(1);
+}
+
 // MongoDB connection
 console.log('Connecting to MongoDB...');
 mongoose.connect(process.env.MONGO_URI, {
@@ -87,11 +116,28 @@ mongoose.connect(process.env.MONGO_URI, {
     console.log('✅ Connected to MongoDB successfully');
     logger.info('Connected to MongoDB');
     
+    // Seed default configuration (existing keys are left untouched)
+    Configuration.seedDefaults()
+      .catch(err => {
+        logger.error('Failed to seed default configuration:', err);
+      });
+    
+    // Create the first admin user from ADMIN_USERNAME / ADMIN_PASSWORD
+    User.seedAdminUser()
+      .then(user => {
+        if (user) logger.info(`Created initial admin user: ${user.username}`);
+      })
+      .catch(err => {
+        logger.error('Failed to seed admin user:', err);
+      });
+    
     // Initialize Bull queues after DB connection
     initializeQueues()
       .then(() => {
         console.log('✅ Job queues initialized');
         logger.info('Job queues initialized');
+        startRetryScheduler();
+        startReconciliationScheduler();
       })
       .catch(err => {
         console.error('❌ Failed to initialize queues:', err);
@@ -112,7 +158,14 @@ function gracefulShutdown() {
   console.log('Received shutdown signal, closing server gracefully...');
   logger.info('Received shutdown signal, closing server gracefully...');
   
-  mongoose.connection.close(false)
+  stopRetryScheduler();
+  stopReconciliationScheduler();
+  
+  closeQueues()
+    .catch(err => {
+      logger.error('Error closing queues:', err);
+    })
+    .then(() => mongoose.connection.close(false))
     .then(() => {
       console.log('MongoDB connection closed');
       logger.info('MongoDB connection closed');
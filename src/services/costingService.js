@@ -0,0 +1,403 @@
+const logger = require('../utils/logger');
+const Configuration = require('../models/Configuration');
+const CostLayer = require('../models/CostLayer');
+const StockBatch = require('../models/StockBatch');
+const StockValuation = require('../models/StockValuation');
+const sageX3Client = require('./sageX3Client');
+const currencyService = require('./currencyService');
+const dimensionService = require('./dimensionService');
+const { BusinessRuleError } = require('../utils/errors');
+const { roundAmount } = require('../utils/money');
+
+const COSTING_METHODS = ['fifo', 'weighted_average'];
+
+const DEFAULT_ACCOUNTS = {
+  inventory: '31000',
+  cogs: '60100',
+  wardConsumption: '60200'
+};
+
+// Unit costs keep four decimals; totals are rounded to the currency's two
+const roundUnitCost = (cost) => Math.round(cost * 10000) / 10000;
+
+class CostingService {
+  async getMethod() {
+    const method = await Configuration.getConfig('costing.method', 'fifo');
+    return COSTING_METHODS.includes(method) ? method : 'fifo';
+  }
+
+  async getAccounts() {
+    return { ...DEFAULT_ACCOUNTS, ...(await Configuration.getConfig('costing.accounts', {})) };
+  }
+
+  /**
+   * Open a cost layer for stock coming in; an event line opens at most one
+   */
+  async addLayer({ stockCode, batchId, itemId, unitCost, quantity, eventId, eventType, line = 0, receivedAt }) {
+    if (!(quantity > 0)) {
+      return null;
+    }
+
+    try {
+      return await CostLayer.create({
+        stockCode,
+        batchId,
+        itemId,
+        unitCost: roundUnitCost(unitCost || 0),
+        quantityReceived: quantity,
+        quantityRemaining: quantity,
+        eventId,
+        eventType,
+        line,
+        receivedAt
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Batch cost from the stock ledger, for quantity no layer covers (stock
+   * received before costing existed)
+   */
+  async getFallbackCost(stockCode, batchId) {
+    const batch = await StockBatch.findBatch(stockCode, batchId);
+    if (batch?.costPrice === undefined || batch?.costPrice === null) {
+      return { unitCost: null, itemId: batch?.itemId };
+    }
+
+    // The ledger keeps HMS subunits of the stock (ledger) currency
+    const currency = await currencyService.resolveUnits();
+    return { unitCost: currencyService.toMajor(batch.costPrice, currency), itemId: batch.itemId };
+  }
+
+  /**
+   * Weighted-average unit cost of an item over every batch with stock left
+   */
+  async getAverageCost(itemId, stockCode) {
+    const layers = await CostLayer.find({
+      ...(itemId ? { itemId } : { stockCode }),
+      quantityRemaining: { $gt: 0 }
+    }).select('unitCost quantityRemaining');
+
+    const quantity = layers.reduce((sum, layer) => sum + layer.quantityRemaining, 0);
+    if (quantity === 0) {
+      return null;
+    }
+
+    return layers.reduce((sum, layer) => sum + layer.unitCost * layer.quantityRemaining, 0) / quantity;
+  }
+
+  /**
+   * Cost of one outbound line and the layers it draws down
+   * Quantity is always taken from the batch's own layers, oldest first, so
+   * both methods keep layers in step with stock; only the price differs.
+   * @param {Map} drawnSoFar - layer id -> quantity earlier lines of the same movement took
+   */
+  async valueLine(line, method, drawnSoFar = new Map()) {
+    const layers = (await CostLayer.findOpen(line.stockCode, line.batchId))
+      .map(layer => {
+        layer.quantityRemaining -= drawnSoFar.get(String(layer._id)) || 0;
+        return layer;
+      })
+      .filter(layer => layer.quantityRemaining > 0);
+    const fallback = await this.getFallbackCost(line.stockCode, line.batchId);
+    const itemId = layers[0]?.itemId || fallback.itemId;
+
+    const drawn = [];
+    let remaining = line.quantity;
+    for (const layer of layers) {
+      if (remaining <= 0) break;
+      const quantity = Math.min(remaining, layer.quantityRemaining);
+      drawn.push({ layerId: layer._id, quantity, unitCost: layer.unitCost });
+      drawnSoFar.set(String(layer._id), (drawnSoFar.get(String(layer._id)) || 0) + quantity);
+      remaining -= quantity;
+    }
+
+    const shortfallCost = fallback.unitCost ?? layers[layers.length - 1]?.unitCost ?? null;
+    let totalCost;
+    let costMissing;
+
+    if (method === 'weighted_average') {
+      const average = await this.getAverageCost(itemId, line.stockCode) ?? shortfallCost;
+      costMissing = average === null;
+      totalCost = (average ?? 0) * line.quantity;
+    } else {
+      costMissing = remaining > 0 && shortfallCost === null;
+      totalCost = drawn.reduce((sum, entry) => sum + entry.quantity * entry.unitCost, 0) +
+        remaining * (shortfallCost ?? 0);
+    }
+
+    if (costMissing) {
+      logger.queue.warn(`No cost known for ${line.stockCode}/${line.batchId}; valued at zero`);
+    }
+
+    return {
+      line: line.line,
+      stockCode: line.stockCode,
+      batchId: line.batchId,
+      itemId,
+      quantity: line.quantity,
+      unitCost: line.quantity > 0 ? roundUnitCost(totalCost / line.quantity) : 0,
+      totalCost: roundAmount(totalCost),
+      costMissing,
+      layers: drawn
+    };
+  }
+
+  /**
+   * Value an outbound movement and draw down its layers, once per reference
+   * Calling again (a retry) returns the saved valuation, finishing the
+   * draw-down if a previous attempt stopped before it.
+   * @param {string} reference - Event id, or a key for API-initiated movements
+   * @param {object[]} lines - { line, stockCode, batchId, quantity }
+   * @param {object} options - { purpose, eventId, eventType }
+   */
+  async valueOutflow(reference, lines, { purpose, eventId, eventType }) {
+    let valuation = await StockValuation.findByReference(reference);
+
+    if (!valuation) {
+      const method = await this.getMethod();
+      const valued = [];
+      const drawnSoFar = new Map();
+      for (const line of lines.filter(entry => entry.quantity > 0)) {
+        valued.push(await this.valueLine(line, method, drawnSoFar));
+      }
+
+      valuation = await StockValuation.create({
+        reference,
+        eventId,
+        eventType,
+        purpose,
+        method,
+        lines: valued,
+        totalCost: roundAmount(valued.reduce((sum, line) => sum + line.totalCost, 0))
+      });
+    }
+
+    if (!valuation.consumed) {
+      for (const entry of valuation.lines.flatMap(line => line.layers)) {
+        await CostLayer.updateOne({ _id: entry.layerId }, { $inc: { quantityRemaining: -entry.quantity } });
+      }
+      valuation.consumed = true;
+      await valuation.save();
+    }
+
+    return valuation;
+  }
+
+  /**
+   * Undo a valuation whose movement never reached X3
+   */
+  async cancelValuation(reference) {
+    const valuation = await StockValuation.findByReference(reference);
+    if (!valuation || valuation.movementReference) {
+      return;
+    }
+
+    if (valuation.consumed) {
+      for (const entry of valuation.lines.flatMap(line => line.layers)) {
+        await CostLayer.updateOne({ _id: entry.layerId }, { $inc: { quantityRemaining: entry.quantity } });
+      }
+    }
+    await StockValuation.deleteOne({ _id: valuation._id });
+  }
+
+  /**
+   * Stock issue (sale or dispense) with the valuation's costs on each item
+   */
+  applyCosts(transformedData, valuation) {
+    const costs = new Map(valuation.lines.map(line => [line.line, line]));
+
+    return {
+      ...transformedData,
+      costingMethod: valuation.method,
+      totalCost: valuation.totalCost,
+      items: (transformedData.items || []).map((item, index) => ({
+        ...item,
+        unitCost: costs.get(index)?.unitCost ?? 0,
+        totalCost: costs.get(index)?.totalCost ?? 0
+      }))
+    };
+  }
+
+  /**
+   * Accounts a stock issue is journaled to
+   * Dispenses to a ward are ward consumption, charged to the ward's cost
+   * centre (a dimensions.rules location rule or costCentre cross-reference).
+   * Checked before the movement is posted so a missing mapping stops both.
+   * @throws {BusinessRuleError} - If a ward has no cost centre
+   */
+  async getExpenseTarget(event) {
+    const accounts = await this.getAccounts();
+    const recipient = event.rawPayload?.data?.to;
+    const isWard = event.eventType === 'stock.dispensed' && String(recipient?.type || '').toLowerCase() === 'ward';
+
+    if (!isWard) {
+      return { account: accounts.cogs, inventoryAccount: accounts.inventory };
+    }
+
+    const codes = await dimensionService.getLocationCostCentres([recipient.id]);
+    const costCentre = codes.get(String(recipient.id));
+    if (!costCentre) {
+      throw new BusinessRuleError(`No cost centre mapped for ward ${recipient.name || recipient.id}`, {
+        entityType: 'costCentre',
+        sourceId: recipient.id
+      });
+    }
+
+    return {
+      account: accounts.wardConsumption,
+      inventoryAccount: accounts.inventory,
+      costCentre,
+      ward: { id: recipient.id, name: recipient.name }
+    };
+  }
+
+  /**
+   * Post the COGS (or ward consumption) / inventory journal for a valued issue
+   * Posted once per valuation; nothing is posted for a zero cost.
+   */
+  async postIssueJournal(event, valuation, target) {
+    if (valuation.journalReference || !(valuation.totalCost > 0)) {
+      return valuation.journalReference || null;
+    }
+
+    const data = event.rawPayload?.data || {};
+    const currencyConfig = await currencyService.getCurrencyConfig();
+
+    const response = await sageX3Client.postJournal({
+      documentType: 'JOURNAL',
+      journalType: 'COGS',
+      reference: event.eventId,
+      sourceDocument: valuation.movementReference,
+      journalDate: data.timestamp || new Date().toISOString(),
+      currency: currencyConfig.ledgerCurrency,
+      description: `${event.eventType === 'stock.dispensed' ? 'Dispense' : 'Sale'} ${data.bill || data.id || ''}`.trim(),
+      costingMethod: valuation.method,
+      lines: [
+        ...valuation.lines.filter(line => line.totalCost > 0).map(line => ({
+          account: target.account,
+          costCentre: target.costCentre,
+          debit: line.totalCost,
+          credit: 0,
+          stockCode: line.stockCode,
+          batchId: line.batchId,
+          quantity: line.quantity
+        })),
+        {
+          account: target.inventoryAccount,
+          debit: 0,
+          credit: valuation.totalCost
+        }
+      ],
+      ...(target.ward && { ward: target.ward })
+    });
+
+    valuation.journalReference = response.documentReference;
+    valuation.journalPostedAt = new Date();
+    await valuation.save();
+
+    return valuation.journalReference;
+  }
+
+  /**
+   * Keep cost layers in step with a synced stock event
+   * Receipts and upward adjustments open layers, revaluations reprice what is
+   * left of the batch, and write-offs or downward adjustments draw it down.
+   * Sales and dispenses are valued (and drawn down) before they are posted.
+   */
+  async recordEvent(event) {
+    const data = event.rawPayload?.data || {};
+    const transformed = event.transformedPayload || {};
+    const receivedAt = data.timestamp ? new Date(data.timestamp) : event.createdAt || new Date();
+    const base = { eventId: event.eventId, eventType: event.eventType, receivedAt };
+
+    switch (event.eventType) {
+      case 'stock.created': {
+        const currency = await currencyService.resolveUnits(data.currency);
+        await this.addLayer({
+          ...base,
+          stockCode: data.code,
+          batchId: data.batchId,
+          itemId: data.item?.id,
+          unitCost: currencyService.toMajor(data.costPrice || 0, currency),
+          quantity: Number(data.quantity || 0)
+        });
+        break;
+      }
+
+      case 'stock.updated':
+      case 'stock.incremented':
+      case 'stock.archived':
+        await this.recordLines(event, transformed, base);
+        break;
+
+      case 'stock.returned': {
+        const items = transformed.items || [];
+        for (const [index, item] of items.entries()) {
+          if (!item.stockCode || !item.batchId) continue;
+          const lastCost = await StockValuation.findLastIssueCost(item.stockCode, item.batchId);
+          const fallback = await this.getFallbackCost(item.stockCode, item.batchId);
+          await this.addLayer({
+            ...base,
+            stockCode: item.stockCode,
+            batchId: item.batchId,
+            itemId: fallback.itemId,
+            unitCost: lastCost ?? fallback.unitCost ?? 0,
+            quantity: Number(item.quantity || 0),
+            line: index
+          });
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Layers for the adjustment lines of a stock record event
+   */
+  async recordLines(event, transformed, base) {
+    const { stockCode, batchId } = transformed;
+    if (!stockCode || !batchId) {
+      return;
+    }
+
+    const fallback = await this.getFallbackCost(stockCode, batchId);
+    const outbound = [];
+
+    for (const [index, line] of (transformed.lines || []).entries()) {
+      if (line.lineType === 'REVALUATION') {
+        await CostLayer.updateMany(
+          { stockCode, batchId, quantityRemaining: { $gt: 0 } },
+          { $set: { unitCost: roundUnitCost(line.unitCost) } }
+        );
+      } else if (line.direction === 'IN') {
+        await this.addLayer({
+          ...base,
+          stockCode,
+          batchId,
+          itemId: line.itemId || fallback.itemId,
+          unitCost: line.unitCost,
+          quantity: Number(line.quantity || 0),
+          line: index
+        });
+      } else if (line.direction === 'OUT') {
+        outbound.push({ line: index, stockCode, batchId, quantity: Number(line.quantity || 0) });
+      }
+    }
+
+    if (outbound.length > 0) {
+      await this.valueOutflow(event.eventId, outbound, {
+        purpose: event.eventType === 'stock.archived' ? 'write_off' : 'adjustment',
+        eventId: event.eventId,
+        eventType: event.eventType
+      });
+    }
+  }
+}
+
+module.exports = new CostingService();
@@ -0,0 +1,99 @@
+const Configuration = require('../models/Configuration');
+const ExchangeRate = require('../models/ExchangeRate');
+const { BusinessRuleError } = require('../utils/errors');
+
+// Used when currency.subunits has no entry for the currency
+const DEFAULT_DIVISOR = parseInt(process.env.SAGE_CURRENCY_DIVISOR || '100');
+
+class CurrencyService {
+  /**
+   * Ledger currency and per-currency subunit divisors from configuration
+   */
+  async getCurrencyConfig() {
+    const [ledgerCurrency, subunits] = await Promise.all([
+      Configuration.getConfig('currency.ledger', 'NGN'),
+      Configuration.getConfig('currency.subunits', {})
+    ]);
+
+    return {
+      ledgerCurrency: ledgerCurrency.toUpperCase(),
+      subunits: Object.fromEntries(
+        Object.entries(subunits || {}).map(([code, divisor]) => [code.toUpperCase(), Number(divisor)])
+      )
+    };
+  }
+
+  getDivisor(currency, config) {
+    return config.subunits[currency] || DEFAULT_DIVISOR;
+  }
+
+  /**
+   * Currency context for a document: divisors and the rate to the ledger currency
+   * @param {string} currency - Transaction currency, ledger currency when empty
+   * @param {Date} date - Document date the rate must be effective on
+   * @throws {BusinessRuleError} - If no rate is in effect for a foreign currency
+   */
+  async resolve(currency, date = new Date()) {
+    const config = await this.getCurrencyConfig();
+    const transactionCurrency = (currency || config.ledgerCurrency).toUpperCase();
+
+    const context = {
+      transactionCurrency,
+      ledgerCurrency: config.ledgerCurrency,
+      divisor: this.getDivisor(transactionCurrency, config),
+      ledgerDivisor: this.getDivisor(config.ledgerCurrency, config),
+      exchangeRate: 1,
+      exchangeRateDate: null
+    };
+
+    if (transactionCurrency === config.ledgerCurrency) {
+      return context;
+    }
+
+    const rate = await ExchangeRate.findRateAt(transactionCurrency, config.ledgerCurrency, date);
+    if (!rate) {
+      throw new BusinessRuleError(
+        `No ${transactionCurrency}/${config.ledgerCurrency} exchange rate effective on ${date.toISOString().slice(0, 10)}`,
+        { fromCurrency: transactionCurrency, toCurrency: config.ledgerCurrency, date }
+      );
+    }
+
+    return {
+      ...context,
+      exchangeRate: rate.rate,
+      exchangeRateDate: rate.effectiveFrom
+    };
+  }
+
+  /**
+   * Currency and subunit divisor for amounts that are not converted, such as
+   * stock costs; no exchange rate is looked up
+   * @param {string} currency - Ledger currency when empty
+   */
+  async resolveUnits(currency) {
+    const config = await this.getCurrencyConfig();
+    const transactionCurrency = (currency || config.ledgerCurrency).toUpperCase();
+
+    return {
+      transactionCurrency,
+      divisor: this.getDivisor(transactionCurrency, config)
+    };
+  }
+
+  /**
+   * Subunit amount in the transaction currency -> major units
+   */
+  toMajor(amount, context) {
+    return amount / context.divisor;
+  }
+
+  /**
+   * Subunit amount in the transaction currency -> major units of the ledger currency,
+   * rounded to the ledger currency's subunit
+   */
+  toLedger(amount, context) {
+    return Math.round(amount * context.exchangeRate * context.ledgerDivisor / context.divisor) / context.ledgerDivisor;
+  }
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,450 @@
+/**
+ * Built-in mapping documents, one per event type
+ * Seeded into Configuration as "mapping.<eventType>"; see mappingEngine for the format.
+ * Values under $.derived are computed in code by transformationService.
+ * Indigo patient, item, supplier and location ids are swapped for X3 codes (xref).
+ * Analytical dimensions (department, revenueLine, costCentre) come from dimensions.rules.
+ */
+
+const SYSTEM_OPERATOR = { id: 'system', name: 'System' };
+
+const eventDate = { source: '$.data.timestamp', default: '$now' };
+const operator = { source: '$.data.operator', default: SYSTEM_OPERATOR };
+const metadata = { source: '$.metadata', default: {} };
+const dimensions = { source: '$.derived.dimensions', optional: true };
+
+const variantFields = {
+  variantId: { source: '@.variant.id', when: '@.variant' },
+  variantTitle: { source: '@.variant.title', when: '@.variant' },
+  variantSku: { source: '@.variant.sku', when: '@.variant' }
+};
+
+const lineItemFields = {
+  lineNumber: { position: true },
+  itemCode: { source: ['@.variant.sku', '@.id'], xref: 'item', required: true },
+  itemDescription: '@.name',
+  quantity: '@.quantity',
+  unitPrice: { source: '@.price', transform: 'currency' },
+  lineTotal: { source: '@.total', transform: 'currency' },
+  itemId: '@.id',
+  itemType: { source: '@.type', default: 'unknown' },
+  taxCode: '@.tax.x3TaxCode',
+  taxRate: '@.tax.rate',
+  netAmount: { source: '@.tax.netAmount', transform: 'currency' },
+  taxAmount: { source: '@.tax.taxAmount', transform: 'currency' },
+  grossAmount: { source: '@.tax.grossAmount', transform: 'currency' },
+  dimensions: { source: '@.dimensions', optional: true }
+};
+
+// Per tax code totals; headerTaxAmount is tax computed on the code's total
+const taxSummary = {
+  source: '$.derived.tax.summary',
+  each: {
+    taxCode: '@.x3TaxCode',
+    rate: '@.rate',
+    netAmount: { source: '@.netAmount', transform: 'currency' },
+    taxAmount: { source: '@.taxAmount', transform: 'currency' },
+    grossAmount: { source: '@.grossAmount', transform: 'currency' },
+    headerTaxAmount: { source: '@.headerTaxAmount', transform: 'currency' },
+    roundingDifference: { source: '@.roundingDifference', transform: 'currency' }
+  }
+};
+
+// Transaction currency, ledger currency and the rate between them
+const currencyFields = {
+  currency: { source: '$.derived.currency.transactionCurrency', required: true },
+  ledgerCurrency: '$.derived.currency.ledgerCurrency',
+  exchangeRate: '$.derived.currency.exchangeRate',
+  exchangeRateDate: { source: '$.derived.currency.exchangeRateDate', optional: true }
+};
+
+const taxTotals = {
+  pricesIncludeTax: '$.derived.tax.pricesIncludeTax',
+  taxSummary,
+  taxRoundingDifference: { source: '$.derived.tax.roundingDifference', transform: 'currency' }
+};
+
+// Lines of a receivable; sourceLineNumber is the line's number on the whole invoice
+const receivableLineItems = (source) => ({
+  source,
+  each: {
+    ...lineItemFields,
+    sourceLineNumber: '@.lineNumber'
+  }
+});
+
+// The patient's own receivable on a sponsor-split invoice
+const patientPortion = {
+  when: '$.derived.split',
+  fields: {
+    invoiceNumber: '$.data.id',
+    lineItems: receivableLineItems('$.derived.split.patient.items'),
+    subtotal: { source: '$.derived.split.patient.netAmount', transform: 'currency' },
+    taxAmount: { source: '$.derived.split.patient.taxAmount', transform: 'currency' },
+    totalAmount: { source: '$.derived.split.patient.grossAmount', transform: 'currency' },
+    ledgerTotalAmount: '$.derived.split.patient.ledgerTotalAmount'
+  }
+};
+
+// One receivable per sponsor that covers part of the invoice
+const sponsorReceivables = {
+  source: '$.derived.split.sponsors',
+  each: {
+    sponsorId: '@.sponsorId',
+    sponsorName: '@.sponsorName',
+    customerReference: { source: '@.sponsorId', xref: 'sponsor', required: true },
+    invoiceNumber: '@.invoiceNumber',
+    coveragePercent: '@.coveragePercent',
+    lineItems: receivableLineItems('@.items'),
+    subtotal: { source: '@.netAmount', transform: 'currency' },
+    taxAmount: { source: '@.taxAmount', transform: 'currency' },
+    totalAmount: { source: '@.grossAmount', transform: 'currency' },
+    ledgerTotalAmount: '@.ledgerTotalAmount'
+  }
+};
+
+const invoiceMapping = {
+  fields: {
+    documentType: { value: 'SI' },
+    invoiceId: { source: '$.data.id', required: true },
+    invoiceNumber: { source: '$.data.id', required: true },
+    isProforma: { source: '$.data.proforma', default: false },
+    invoiceDate: eventDate,
+    customerReference: { source: '$.data.patient.mrn', xref: 'patient', required: true },
+    customerName: '$.data.patient.name',
+    customerId: '$.data.patient.id',
+    customerPhone: { source: '$.data.patient.phoneNumber', default: '' },
+    customerEmail: { source: '$.data.patient.email', default: '' },
+    lineItems: {
+      source: '$.derived.items',
+      each: {
+        ...lineItemFields,
+        ...variantFields,
+        consultantId: { source: '@.consultant.id', when: '@.consultant' },
+        consultantName: { source: '@.consultant.name', when: '@.consultant' }
+      }
+    },
+    subtotal: { source: '$.derived.tax.netAmount', transform: 'currency' },
+    taxAmount: { source: '$.derived.tax.taxAmount', transform: 'currency' },
+    totalAmount: { source: '$.derived.tax.grossAmount', transform: 'currency' },
+    ...taxTotals,
+    ...currencyFields,
+    dimensions,
+    ledgerTotalAmount: '$.derived.currency.ledgerTotalAmount',
+    ledgerTaxAmount: '$.derived.currency.ledgerTaxAmount',
+    patientPortion,
+    sponsorReceivables,
+    operator: '$.data.operator',
+    metadata
+  },
+  currency: { source: '$.data.currency' }
+};
+
+const cancellationMapping = (documentType, originalIdField) => ({
+  fields: {
+    documentType: { value: documentType },
+    [originalIdField]: { source: '$.data.id', required: true },
+    cancellationReason: '$.data.reason',
+    cancellationDate: eventDate,
+    operator: '$.data.operator',
+    metadata
+  }
+});
+
+const stockIssueItems = {
+  source: '$.data.stocks',
+  each: {
+    stockCode: '@.code',
+    batchId: '@.batchId',
+    quantity: '@.quantity'
+  }
+};
+
+// Header shared by the stock adjustments computed from the record's prior state
+const stockAdjustmentFields = {
+  stockId: { source: '$.data.id', required: true },
+  stockCode: '$.derived.stockCode',
+  batchId: '$.derived.batchId',
+  lines: '$.derived.lines',
+  noChange: '$.derived.noChange',
+  dimensions
+};
+
+const DEFAULT_MAPPINGS = {
+  'invoice.created': invoiceMapping,
+  'invoice.updated': invoiceMapping,
+  'invoice.cancelled': cancellationMapping('CN', 'originalInvoiceId'),
+
+  'payment.created': {
+    fields: {
+      documentType: { value: 'PAY' },
+      paymentId: { source: '$.data.id', required: true },
+      // Invoice the payment settles; without it, the patient's oldest open invoices
+      invoiceId: { source: '$.data.invoiceId', optional: true },
+      paymentDate: eventDate,
+      amount: { source: '$.derived.totalPaid', transform: 'currency', required: true },
+      patientAmount: { source: '$.derived.patientAmount', transform: 'currency' },
+      ...currencyFields,
+      ledgerAmount: '$.derived.currency.ledgerAmount',
+      paymentMethod: { source: '$.data.payments[0].method', lookup: 'paymentMethods', required: true },
+      paymentReference: { source: '$.data.payments[0].paymentReference', default: '' },
+      provider: { source: '$.data.payments[0].provider', default: '' },
+      customerReference: { source: '$.data.patient.mrn', xref: 'patient', required: true },
+      customerName: '$.data.patient.name',
+      customerId: '$.data.patient.id',
+      customerEmail: { source: '$.data.patient.email', default: '' },
+      customerPhone: { source: '$.data.patient.phoneNumber', default: '' },
+      lineItems: { source: '$.derived.items', each: lineItemFields },
+      taxAmount: { source: '$.derived.tax.taxAmount', transform: 'currency' },
+      ...taxTotals,
+      dimensions,
+      allPayments: {
+        source: '$.data.payments',
+        each: {
+          id: '@.id',
+          amount: { source: '@.amount', transform: 'currency' },
+          method: { source: '@.method', lookup: 'paymentMethods' },
+          reference: { source: '@.paymentReference', default: '' },
+          operator: { source: ['@.operator', '$.data.operator'] }
+        }
+      },
+      // Sponsor settlements, matched to the sponsor's receivable when posted
+      claims: {
+        source: '$.data.claims',
+        each: {
+          claimId: '@.id',
+          sponsorId: '@.sponsorId',
+          sponsorReference: { source: '@.sponsorId', xref: 'sponsor', required: true },
+          invoiceId: { source: '@.invoiceId', optional: true },
+          amount: { source: '@.amount', transform: 'currency' },
+          reference: { source: '@.reference', default: '' }
+        }
+      },
+      operator: { source: ['$.data.payments[0].operator', '$.data.operator'] },
+      metadata: {
+        source: '$.metadata',
+        fields: {
+          timestamp: '$.data.timestamp'
+        }
+      }
+    },
+    currency: { source: '$.data.currency' }
+  },
+  'payment.cancelled': cancellationMapping('PAY_REV', 'originalPaymentId'),
+
+  'item.created': {
+    fields: {
+      documentType: { value: 'ITEM' },
+      itemId: { source: '$.data.id', required: true },
+      itemName: '$.data.name',
+      itemType: { source: '$.data.type', lookup: 'itemTypes' },
+      categories: { source: '$.data.categories', each: { id: '@.id', name: '@.name' } },
+      productFamily: {
+        source: ['$.data.categories[*].id', '$.data.categories[*].name'],
+        lookup: 'productFamilies',
+        default: 'MISC'
+      },
+      unitOfSale: { source: '$.data.unitOfSale', default: '' },
+      unitOfPurchase: { source: '$.data.unitOfPurchase', default: '' },
+      salesUnit: { source: '$.data.unitOfSale', lookup: 'unitsOfMeasure', default: 'UN' },
+      purchaseUnit: { source: ['$.data.unitOfPurchase', '$.data.unitOfSale'], lookup: 'unitsOfMeasure', default: 'UN' },
+      attributes: { source: '$.data.attributes', default: {} },
+      status: { value: 'ACTIVE' },
+      createdDate: eventDate,
+      operator,
+      metadata
+    }
+  },
+  // Only fields present on the update are sent, so X3 keeps everything else
+  'item.updated': {
+    fields: {
+      documentType: { value: 'ITEM' },
+      itemId: { source: '$.data.id', required: true },
+      itemName: { source: '$.data.name', optional: true },
+      itemType: { source: '$.data.type', lookup: 'itemTypes', when: '$.data.type' },
+      categories: { source: '$.data.categories', each: { id: '@.id', name: '@.name' }, when: '$.data.categories' },
+      productFamily: {
+        source: ['$.data.categories[*].id', '$.data.categories[*].name'],
+        lookup: 'productFamilies',
+        default: 'MISC',
+        when: '$.data.categories'
+      },
+      attributes: { source: '$.data.attributes', optional: true },
+      updatedDate: eventDate,
+      operator,
+      metadata
+    }
+  },
+  'item.archived': {
+    fields: {
+      documentType: { value: 'ITEM' },
+      itemId: { source: '$.data.id', required: true },
+      status: { value: 'INACTIVE' },
+      reason: { source: '$.data.reason', default: '' },
+      archivedDate: eventDate,
+      operator,
+      metadata
+    }
+  },
+
+  'stock.created': {
+    fields: {
+      documentType: { value: 'STK_IN' },
+      stockId: { source: '$.data.id', required: true },
+      batchId: '$.data.batchId',
+      stockCode: { source: '$.data.code', required: true },
+      itemId: '$.data.item.id',
+      itemCode: { source: ['$.data.variant.sku', '$.data.item.id'], xref: 'item' },
+      itemName: '$.data.item.name',
+      quantity: '$.data.quantity',
+      costPrice: { source: '$.data.costPrice', transform: 'currency' },
+      totalValue: { source: '$.derived.totalValue', transform: 'currency' },
+      expiryDate: '$.data.expiryDate',
+      supplierId: { source: '$.data.supplier.id', xref: 'supplier' },
+      supplierName: '$.data.supplier.name',
+      variantId: { source: '$.data.variant.id', when: '$.data.variant' },
+      variantTitle: { source: '$.data.variant.title', when: '$.data.variant' },
+      variantSku: { source: '$.data.variant.sku', when: '$.data.variant' },
+      dimensions,
+      receiptDate: eventDate,
+      operator,
+      metadata: { source: '$.metadata', fields: { timestamp: '$.data.timestamp' } }
+    }
+  },
+  'stock.updated': {
+    fields: {
+      documentType: { value: 'STK_ADJ' },
+      movementType: '$.derived.movementType',
+      ...stockAdjustmentFields,
+      expiryDate: { source: '$.data.expiryDate', optional: true },
+      adjustmentDate: eventDate,
+      operator,
+      metadata
+    }
+  },
+  'stock.incremented': {
+    fields: {
+      documentType: { value: 'STK_IN' },
+      movementType: { value: 'RECEIPT' },
+      ...stockAdjustmentFields,
+      receiptDate: eventDate,
+      operator,
+      metadata
+    }
+  },
+  'stock.recalled': {
+    fields: {
+      documentType: { value: 'STK_QUAR' },
+      movementType: { value: 'QUARANTINE' },
+      ...stockAdjustmentFields,
+      fromStatus: { value: 'A' },
+      toStatus: { value: 'Q' },
+      reason: '$.data.reason',
+      recallDate: eventDate,
+      operator,
+      metadata
+    }
+  },
+  'stock.archived': {
+    fields: {
+      documentType: { value: 'STK_OUT' },
+      movementType: { value: 'WRITE_OFF' },
+      issueType: { value: 'WRITE_OFF' },
+      ...stockAdjustmentFields,
+      fromStatus: { source: '$.derived.quarantined', lookup: 'stockStatuses' },
+      reason: { source: '$.data.reason', default: 'archived' },
+      writeOffDate: eventDate,
+      operator,
+      metadata
+    },
+    lookups: {
+      stockStatuses: { true: 'Q', default: 'A' }
+    }
+  },
+  'stock.transferred': {
+    fields: {
+      documentType: { value: 'STK_TRF' },
+      fromLocation: { source: '$.data.from.id', xref: 'location' },
+      toLocation: { source: '$.data.to.id', xref: 'location' },
+      dimensions,
+      toDimensions: { source: '$.derived.toDimensions', optional: true },
+      comment: { source: '$.data.comment', default: '' },
+      transferDate: eventDate,
+      items: stockIssueItems,
+      operator,
+      metadata
+    }
+  },
+  'stock.sold': {
+    fields: {
+      documentType: { value: 'STK_OUT' },
+      issueType: { value: 'SALE' },
+      issueId: '$.data.id',
+      billId: '$.data.bill',
+      fromLocation: { source: '$.data.from.id', xref: 'location' },
+      dimensions,
+      issueDate: eventDate,
+      items: stockIssueItems,
+      operator,
+      metadata
+    }
+  },
+  'stock.dispensed': {
+    fields: {
+      documentType: { value: 'STK_OUT' },
+      issueType: { source: '$.data.purpose', transform: 'uppercase', default: 'DISPENSED' },
+      issueId: '$.data.id',
+      billId: { source: '$.data.bill', default: '' },
+      toRecipient: { source: '$.data.to', fields: { mrn: { source: '$.data.to.mrn', default: '' } } },
+      fromLocation: { source: '$.data.from.id', xref: 'location' },
+      dimensions,
+      toDimensions: { source: '$.derived.toDimensions', optional: true },
+      issueDate: eventDate,
+      items: stockIssueItems,
+      operator,
+      metadata
+    }
+  },
+  'stock.returned': {
+    fields: {
+      documentType: { value: 'STK_RET' },
+      returnId: '$.derived.returnId',
+      reason: { source: '$.data.reason', default: 'unspecified' },
+      fromLocation: { source: '$.data.from.id', xref: 'location', default: null },
+      toLocation: { source: '$.data.to.id', xref: 'location', default: null },
+      dimensions,
+      returnDate: eventDate,
+      items: {
+        source: '$.derived.items',
+        each: {
+          stockCode: { source: ['@.code', '@.stockCode'], default: 'UNKNOWN' },
+          batchId: { source: '@.batchId', default: null },
+          quantity: { source: '@.quantity', transform: 'number', default: 0 }
+        }
+      },
+      operator,
+      metadata
+    }
+  }
+};
+
+// Shared lookup tables, seeded as "mapping.<name>"
+const DEFAULT_LOOKUPS = {
+  paymentMethods: {
+    'wallet': 'WALLET',
+    'cash': 'CASH',
+    'pos': 'CARD',
+    'transfer': 'BANK_TRANSFER',
+    'cheque': 'CHEQUE',
+    'direct-lodgement': 'DIRECT_DEPOSIT',
+    'default': 'OTHER'
+  },
+  itemTypes: { product: 'STOCK', default: 'SERVICE' },
+  productFamilies: { default: 'MISC' },
+  unitsOfMeasure: { default: 'UN' }
+};
+
+module.exports = {
+  DEFAULT_MAPPINGS,
+  DEFAULT_LOOKUPS
+};
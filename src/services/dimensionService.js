@@ -0,0 +1,311 @@
+const Configuration = require('../models/Configuration');
+const CrossReference = require('../models/CrossReference');
+const StockBatch = require('../models/StockBatch');
+const Event = require('../models/Event');
+
+const DIMENSIONS = ['department', 'revenueLine', 'costCentre'];
+
+// Dimensions each kind of posting is expected to carry, for the coverage report
+const EXPECTED_DIMENSIONS = {
+  sales: ['department', 'revenueLine'],
+  stock: ['costCentre']
+};
+
+const SALES_EVENTS = ['invoice.created', 'invoice.updated', 'payment.created'];
+
+// Location a stock posting is charged to: where the stock leaves from or arrives at
+const STOCK_LOCATIONS = {
+  'stock.created': { from: 'location' },
+  'stock.transferred': { from: 'from', to: 'to' },
+  'stock.sold': { from: 'from' },
+  'stock.dispensed': { from: 'from', to: 'to' },
+  'stock.returned': { from: 'to', fallback: 'from' }
+};
+
+// Record-based events charge the batch's home location in the stock ledger
+const BATCH_EVENTS = ['stock.updated', 'stock.incremented', 'stock.recalled', 'stock.archived'];
+
+const COVERAGE_LIMIT = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (map) => Object.fromEntries(
+  Object.entries(map || {}).map(([key, value]) => [key.toLowerCase(), value])
+);
+
+// Rule tables match on id first, then name, case-insensitively
+const match = (table, entry) => {
+  if (!entry) return undefined;
+  if (typeof entry !== 'object') return table[String(entry).toLowerCase()];
+  return table[String(entry.id).toLowerCase()] || table[String(entry.name).toLowerCase()];
+};
+
+const describe = (entry) => (entry && typeof entry === 'object'
+  ? { key: String(entry.id ?? entry.name), name: entry.name }
+  : { key: String(entry) });
+
+class DimensionService {
+  /**
+   * Dimension rules from configuration, keys lowercased
+   */
+  async getRules() {
+    const rules = await Configuration.getConfig('dimensions.rules', {});
+    const { department = {}, revenueLine = {}, costCentre = {} } = rules || {};
+
+    return {
+      department: {
+        byConsultant: normalize(department.byConsultant),
+        bySource: normalize(department.bySource),
+        default: department.default || undefined
+      },
+      revenueLine: {
+        byCategory: normalize(revenueLine.byCategory),
+        byPosClassification: normalize(revenueLine.byPosClassification),
+        byItemType: normalize(revenueLine.byItemType),
+        default: revenueLine.default || undefined
+      },
+      costCentre: {
+        byLocation: normalize(costCentre.byLocation),
+        default: costCentre.default || undefined
+      }
+    };
+  }
+
+  /**
+   * Cost centre of each location with one mapped
+   * A dimensions.rules location rule wins over a costCentre cross-reference.
+   * The rules default is not applied, so callers can tell a location is unmapped.
+   * @returns {Promise<Map<string, string>>}
+   */
+  async getLocationCostCentres(locationIds, rules) {
+    const ids = [...new Set(locationIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return new Map();
+
+    const { costCentre } = rules || await this.getRules();
+    const codes = new Map();
+    for (const id of ids) {
+      const code = costCentre.byLocation[id.toLowerCase()];
+      if (code) codes.set(id, code);
+    }
+
+    const rest = ids.filter(id => !codes.has(id));
+    if (rest.length > 0) {
+      for (const [id, code] of await CrossReference.resolveMany('costCentre', rest)) {
+        codes.set(id, code);
+      }
+    }
+
+    return codes;
+  }
+
+  /**
+   * Dimensions of one sales line, and the source values no rule covered
+   * Department comes from the consultant, then the line's source; revenue line
+   * from the category, then POS classification, then item type; cost centre
+   * from the source location. Each falls back to its rule default.
+   * @returns {{ dimensions: object, unmapped: object[] }}
+   */
+  resolveItem(item, rules, costCentres) {
+    const dimensions = {};
+    const unmapped = [];
+
+    const department = match(rules.department.byConsultant, item.consultant) ||
+      match(rules.department.bySource, item.source);
+    if (department || rules.department.default) {
+      dimensions.department = department || rules.department.default;
+    }
+    if (!department) {
+      const entry = item.consultant || item.source;
+      if (entry) unmapped.push({ dimension: 'department', ...describe(entry) });
+    }
+
+    let revenueLine;
+    for (const category of item.categories || []) {
+      revenueLine = match(rules.revenueLine.byCategory, category);
+      if (revenueLine) break;
+    }
+    for (const classification of item.posClassifications || []) {
+      if (revenueLine) break;
+      revenueLine = match(rules.revenueLine.byPosClassification, classification);
+    }
+    revenueLine = revenueLine || match(rules.revenueLine.byItemType, item.type);
+    if (revenueLine || rules.revenueLine.default) {
+      dimensions.revenueLine = revenueLine || rules.revenueLine.default;
+    }
+    if (!revenueLine) {
+      const entry = item.categories?.[0] || item.posClassifications?.[0] || item.type;
+      if (entry) unmapped.push({ dimension: 'revenueLine', ...describe(entry) });
+    }
+
+    const costCentre = item.source?.id && costCentres.get(String(item.source.id));
+    if (costCentre || rules.costCentre.default) {
+      dimensions.costCentre = costCentre || rules.costCentre.default;
+    }
+
+    return { dimensions, unmapped };
+  }
+
+  /**
+   * Dimension values every line shares; these also go on the document header
+   */
+  commonDimensions(items) {
+    const common = {};
+    for (const dimension of DIMENSIONS) {
+      const values = new Set(items.map(item => item.dimensions?.[dimension]));
+      const [value] = values;
+      if (items.length > 0 && values.size === 1 && value) {
+        common[dimension] = value;
+      }
+    }
+    return Object.keys(common).length > 0 ? common : undefined;
+  }
+
+  /**
+   * Put resolved dimensions on every line of an invoice or payment
+   * @returns {Promise<{ items: object[], dimensions: object|undefined }>}
+   */
+  async applyToItems(items) {
+    const rules = await this.getRules();
+    const costCentres = await this.getLocationCostCentres(items.map(item => item.source?.id), rules);
+
+    const withDimensions = items.map(item => {
+      const { dimensions } = this.resolveItem(item, rules, costCentres);
+      return Object.keys(dimensions).length > 0 ? { ...item, dimensions } : item;
+    });
+
+    return { items: withDimensions, dimensions: this.commonDimensions(withDimensions) };
+  }
+
+  /**
+   * Cost centre dimensions of a stock posting
+   * toDimensions is the receiving side of a transfer or a dispense to a ward.
+   * @param {object} derived - Deriver result (stockCode/batchId for record-based events)
+   * @returns {Promise<{ dimensions?: object, toDimensions?: object }>}
+   */
+  async resolveStockPosting(eventType, payload, derived = {}) {
+    const data = payload?.data || {};
+    let fromLocation;
+    let toLocation;
+
+    if (BATCH_EVENTS.includes(eventType)) {
+      const batch = derived.stockCode && await StockBatch.findBatch(derived.stockCode, derived.batchId);
+      fromLocation = batch?.homeLocation?.id;
+    } else if (STOCK_LOCATIONS[eventType]) {
+      const sides = STOCK_LOCATIONS[eventType];
+      fromLocation = data[sides.from]?.id || (sides.fallback && data[sides.fallback]?.id);
+      toLocation = sides.to && data[sides.to]?.id;
+    } else {
+      return {};
+    }
+
+    const rules = await this.getRules();
+    const costCentres = await this.getLocationCostCentres([fromLocation, toLocation], rules);
+    const costCentreOf = (locationId) => {
+      const code = (locationId && costCentres.get(String(locationId))) || rules.costCentre.default;
+      return code ? { costCentre: code } : undefined;
+    };
+
+    return {
+      dimensions: costCentreOf(fromLocation),
+      // Only a mapped receiving location is worth posting
+      toDimensions: toLocation && costCentres.has(String(toLocation)) ? costCentreOf(toLocation) : undefined
+    };
+  }
+
+  /**
+   * Location a stock event's cost centre is taken from, for gap reporting
+   */
+  stockLocation(eventType, data) {
+    const sides = STOCK_LOCATIONS[eventType];
+    const location = sides && (data?.[sides.from] || (sides.fallback && data?.[sides.fallback]));
+    return location?.id ? location : undefined;
+  }
+
+  /**
+   * Share of posted lines that carried each expected dimension
+   * Sales lines are counted per invoice or payment line, stock postings per
+   * document. Values still unmapped under the current rules are listed so
+   * the rules can be completed.
+   * @param {object} options - { startDate, endDate } (default: the last 30 days)
+   */
+  async getCoverage({ startDate, endDate } = {}) {
+    const end = endDate || new Date();
+    const start = startDate || new Date(end.getTime() - 30 * DAY_MS);
+
+    const events = await Event.find({
+      status: 'synced',
+      eventType: { $in: [...SALES_EVENTS, ...Object.keys(STOCK_LOCATIONS), ...BATCH_EVENTS] },
+      createdAt: { $gte: start, $lte: end }
+    })
+      .select('eventType rawPayload transformedPayload')
+      .sort({ createdAt: -1 })
+      .limit(COVERAGE_LIMIT)
+      .lean();
+
+    const rules = await this.getRules();
+    const locations = events.flatMap(event => [
+      ...(event.rawPayload?.data?.items || []).map(item => item.source?.id),
+      this.stockLocation(event.eventType, event.rawPayload?.data)?.id
+    ]);
+    const costCentres = await this.getLocationCostCentres(locations, rules);
+
+    const coverage = Object.fromEntries(
+      Object.values(EXPECTED_DIMENSIONS).flat().map(dimension => [dimension, { lines: 0, resolved: 0, unmapped: new Map() }])
+    );
+    const count = (dimension, resolved, gap) => {
+      const entry = coverage[dimension];
+      entry.lines++;
+      if (resolved) {
+        entry.resolved++;
+        return;
+      }
+      if (!gap) return;
+      const current = entry.unmapped.get(gap.key) || { key: gap.key, name: gap.name, lines: 0 };
+      current.lines++;
+      entry.unmapped.set(gap.key, current);
+    };
+
+    const postings = { sales: 0, stock: 0 };
+
+    for (const event of events) {
+      const data = event.rawPayload?.data || {};
+      const posted = event.transformedPayload || {};
+
+      if (SALES_EVENTS.includes(event.eventType)) {
+        postings.sales++;
+        const items = data.items || [];
+        (posted.lineItems || []).forEach((line, index) => {
+          const gaps = items[index] ? this.resolveItem(items[index], rules, costCentres).unmapped : [];
+          for (const dimension of EXPECTED_DIMENSIONS.sales) {
+            count(dimension, Boolean(line.dimensions?.[dimension]), gaps.find(gap => gap.dimension === dimension));
+          }
+        });
+        continue;
+      }
+
+      if (posted.noChange) continue;
+      postings.stock++;
+      const location = this.stockLocation(event.eventType, data);
+      const gap = location && !costCentres.has(String(location.id)) ? describe(location) : undefined;
+      for (const dimension of EXPECTED_DIMENSIONS.stock) {
+        count(dimension, Boolean(posted.dimensions?.[dimension]), gap);
+      }
+    }
+
+    return {
+      startDate: start,
+      endDate: end,
+      events: events.length,
+      truncated: events.length === COVERAGE_LIMIT,
+      postings,
+      dimensions: Object.fromEntries(Object.entries(coverage).map(([dimension, entry]) => [dimension, {
+        lines: entry.lines,
+        resolved: entry.resolved,
+        coveragePercent: entry.lines > 0 ? Math.round((entry.resolved / entry.lines) * 10000) / 100 : null,
+        unmapped: [...entry.unmapped.values()].sort((a, b) => b.lines - a.lines)
+      }]))
+    };
+  }
+}
+
+module.exports = new DimensionService();
@@ -0,0 +1,437 @@
+const logger = require('../utils/logger');
+const Event = require('../models/Event');
+const Transaction = require('../models/Transaction');
+const transformationService = require('./transformationService');
+const mappingEngine = require('./mappingEngine');
+const currencyService = require('./currencyService');
+const { toCsv } = require('../utils/csv');
+
+const CATEGORY_BY_EVENT = {
+  'invoice.created': 'invoices',
+  'payment.created': 'payments',
+  'invoice.cancelled': 'cancellations',
+  'payment.cancelled': 'cancellations'
+};
+
+// Cancellations carry no amount; it comes from the event being cancelled
+const ORIGINAL_EVENT_BY_CANCELLATION = {
+  'invoice.cancelled': 'invoice.created',
+  'payment.cancelled': 'payment.created'
+};
+
+const OUTCOME_BY_STATUS = {
+  synced: 'synced',
+  reversed: 'reversed',
+  failed: 'failed',
+  dead_lettered: 'failed',
+  resolved: 'resolved',
+  received: 'pending',
+  validated: 'pending',
+  transformed: 'pending'
+};
+
+const OUTCOMES = ['synced', 'reversed', 'failed', 'resolved', 'pending'];
+
+// Transaction statuses of rows that reached X3
+const POSTED_STATUSES = ['synced', 'reversed'];
+
+// Variances below this are rounding noise
+const VARIANCE_TOLERANCE = 0.01;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = [
+  'scope', 'key',
+  'hmsCount', 'hmsAmount',
+  'syncedCount', 'syncedAmount',
+  'reversedCount', 'reversedAmount',
+  'failedCount', 'failedAmount',
+  'resolvedCount', 'resolvedAmount',
+  'pendingCount', 'pendingAmount',
+  'postedAmount', 'variance', 'flagged'
+];
+
+class FinancialReportService {
+  /**
+   * Start and end of a business day
+   * Indigo operates in WAT, so days start at 00:00 UTC+1 unless overridden.
+   * @param {string} date - YYYY-MM-DD
+   */
+  getDayWindow(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    if (!match) {
+      throw new Error('date must be in YYYY-MM-DD format');
+    }
+
+    const offsetMinutes = parseInt(process.env.REPORT_UTC_OFFSET_MINUTES || 60);
+    const start = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]) - offsetMinutes * 60000);
+
+    return {
+      start,
+      end: new Date(start.getTime() + DAY_MS),
+      offsetMinutes
+    };
+  }
+
+  /**
+   * Today's date in the reporting timezone
+   */
+  getToday() {
+    const offsetMinutes = parseInt(process.env.REPORT_UTC_OFFSET_MINUTES || 60);
+    return new Date(Date.now() + offsetMinutes * 60000).toISOString().slice(0, 10);
+  }
+
+  createTotals() {
+    const totals = { hms: { count: 0, amount: 0 }, posted: { amount: 0 } };
+    for (const outcome of OUTCOMES) {
+      totals[outcome] = { count: 0, amount: 0 };
+    }
+    return totals;
+  }
+
+  addToTotals(totals, outcome, amount, postedAmount, count = 1) {
+    totals.hms.count += count;
+    totals.hms.amount += amount;
+    totals[outcome].count += count;
+    totals[outcome].amount += amount;
+    totals.posted.amount += postedAmount;
+  }
+
+  finalizeTotals(totals) {
+    const round = value => Math.round(value * 100) / 100;
+
+    for (const key of Object.keys(totals)) {
+      totals[key].amount = round(totals[key].amount);
+    }
+
+    totals.variance = round(totals.hms.amount - totals.posted.amount);
+    totals.flagged = Math.abs(totals.variance) >= VARIANCE_TOLERANCE;
+    return totals;
+  }
+
+  /**
+   * Transaction that speaks for each event
+   * The row that posted wins; otherwise the latest attempt.
+   */
+  pickTransactions(transactions) {
+    const rank = (transaction) => [
+      POSTED_STATUSES.includes(transaction.status) ? 1 : 0,
+      transaction.attempts || 0,
+      new Date(transaction.updatedAt || 0).getTime()
+    ];
+    const isNewer = (a, b) => {
+      const [rankA, rankB] = [rank(a), rank(b)];
+      const index = rankA.findIndex((value, i) => value !== rankB[i]);
+      return index !== -1 && rankA[index] > rankB[index];
+    };
+
+    const byEvent = new Map();
+    for (const transaction of transactions) {
+      const current = byEvent.get(transaction.eventId);
+      if (!current || isNewer(transaction, current)) {
+        byEvent.set(transaction.eventId, transaction);
+      }
+    }
+
+    return byEvent;
+  }
+
+  /**
+   * Outcome of an event in X3 terms
+   */
+  getOutcome(event, transaction) {
+    if (event.reversed || transaction?.status === 'reversed') {
+      return 'reversed';
+    }
+    return OUTCOME_BY_STATUS[event.status] || 'pending';
+  }
+
+  /**
+   * Amount lines of an HMS payload, in base currency units
+   * Payments produce one line per tender so totals can be split by method.
+   */
+  getPayloadLines(eventType, payload, paymentMethods) {
+    const data = payload?.data || {};
+
+    if (eventType === 'invoice.created') {
+      const total = (data.items || []).reduce(
+        (sum, item) => sum + (item.total ?? (item.price * item.quantity)),
+        0
+      );
+      return [{ amount: transformationService.convertCurrency(total), operator: data.operator }];
+    }
+
+    if (eventType === 'payment.created') {
+      return (data.payments || []).map(payment => ({
+        amount: transformationService.convertCurrency(payment.amount),
+        paymentMethod: mappingEngine.lookupValue(paymentMethods, payment.method) || 'OTHER',
+        operator: payment.operator || data.operator
+      }));
+    }
+
+    return [];
+  }
+
+  /**
+   * Factor converting payload lines of a foreign-currency document to the ledger currency
+   * Uses the rate the posting used, or the rate effective on the document date if it never posted.
+   * @returns {Promise<number|null>} - null when no rate is available
+   */
+  async getLedgerScale(payload, transaction, date, currencyConfig) {
+    const currency = (payload?.data?.currency || currencyConfig.ledgerCurrency).toUpperCase();
+    if (currency === currencyConfig.ledgerCurrency) {
+      return 1;
+    }
+
+    let rate = transaction?.financialData?.exchangeRate;
+    if (rate === undefined) {
+      try {
+        rate = (await currencyService.resolve(currency, date)).exchangeRate;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return rate * transformationService.currencyDivisor / currencyService.getDivisor(currency, currencyConfig);
+  }
+
+  /**
+   * Load the events being cancelled, keyed by "<eventType>:<HMS id>"
+   */
+  async loadCancelledOriginals(cancellations) {
+    const originals = new Map();
+    if (cancellations.length === 0) {
+      return originals;
+    }
+
+    const conditions = Object.entries(ORIGINAL_EVENT_BY_CANCELLATION).map(([cancelType, originalType]) => ({
+      eventType: originalType,
+      'rawPayload.data.id': {
+        $in: cancellations
+          .filter(event => event.eventType === cancelType)
+          .map(event => event.rawPayload?.data?.id)
+      }
+    }));
+
+    const events = await Event.find({ $or: conditions })
+      .sort({ createdAt: 1 })
+      .select('eventType rawPayload');
+
+    for (const event of events) {
+      originals.set(`${event.eventType}:${event.rawPayload?.data?.id}`, event);
+    }
+
+    return originals;
+  }
+
+  /**
+   * Build the daily control report
+   * Compares what Indigo invoiced, collected and cancelled on the day with
+   * what reached Sage X3, by category, payment method and operator.
+   * @param {string} date - YYYY-MM-DD in the reporting timezone
+   */
+  async generateDailyReport(date = this.getToday()) {
+    const { start, end, offsetMinutes } = this.getDayWindow(date);
+
+    logger.info(`Generating daily financial report for ${date}`);
+
+    const events = await Event.find({
+      eventType: { $in: Object.keys(CATEGORY_BY_EVENT) },
+      createdAt: { $gte: start, $lt: end }
+    }).select('eventId eventType status reversed rawPayload createdAt');
+
+    const transactions = await Transaction.find({
+      eventId: { $in: events.map(event => event.eventId) }
+    }).select('eventId status financialData attempts updatedAt');
+
+    const transactionByEvent = this.pickTransactions(transactions);
+    const paymentMethods = await mappingEngine.getLookup('paymentMethods') || {};
+    const currencyConfig = await currencyService.getCurrencyConfig();
+    const originals = await this.loadCancelledOriginals(
+      events.filter(event => ORIGINAL_EVENT_BY_CANCELLATION[event.eventType])
+    );
+
+    const summary = {
+      invoices: this.createTotals(),
+      payments: this.createTotals(),
+      cancellations: this.createTotals()
+    };
+    const byPaymentMethod = new Map();
+    const byOperator = new Map();
+    const unmatchedCancellations = [];
+    const tax = { taxAmount: 0, roundingDifference: 0, documentsWithRoundingDifference: [] };
+    const unconvertedEvents = [];
+
+    for (const event of events) {
+      const category = CATEGORY_BY_EVENT[event.eventType];
+      const transaction = transactionByEvent.get(event.eventId);
+      const outcome = this.getOutcome(event, transaction);
+
+      let lines;
+      let sourcePayload = event.rawPayload;
+      if (category === 'cancellations') {
+        const originalType = ORIGINAL_EVENT_BY_CANCELLATION[event.eventType];
+        const original = originals.get(`${originalType}:${event.rawPayload?.data?.id}`);
+
+        if (!original) {
+          unmatchedCancellations.push(event.eventId);
+        }
+
+        // Amount and tenders of the original, attributed to the cancelling operator
+        sourcePayload = original?.rawPayload;
+        lines = (original ? this.getPayloadLines(originalType, original.rawPayload, paymentMethods) : [{ amount: 0 }])
+          .map(line => ({ ...line, operator: event.rawPayload?.data?.operator }));
+      } else {
+        lines = this.getPayloadLines(event.eventType, event.rawPayload, paymentMethods);
+      }
+
+      // Foreign-currency documents are compared in the ledger currency
+      const scale = await this.getLedgerScale(sourcePayload, transaction, event.createdAt, currencyConfig);
+      if (scale === null) {
+        unconvertedEvents.push(event.eventId);
+      } else if (scale !== 1) {
+        lines = lines.map(line => ({ ...line, amount: line.amount * scale }));
+      }
+
+      const eventAmount = lines.reduce((sum, line) => sum + line.amount, 0);
+
+      // What X3 holds for this event; failed and pending events posted nothing
+      let eventPosted = 0;
+      if ((outcome === 'synced' || outcome === 'reversed') && (!transaction || POSTED_STATUSES.includes(transaction.status))) {
+        eventPosted = transaction?.financialData?.ledgerAmount ?? transaction?.financialData?.amount ?? eventAmount;
+      }
+
+      this.addToTotals(summary[category], outcome, eventAmount, eventPosted);
+
+      // Tax posted on invoices, and where line tax and header tax disagree
+      if (category === 'invoices' && eventPosted && transaction?.financialData) {
+        const { taxAmount = 0, taxRoundingDifference = 0, exchangeRate = 1 } = transaction.financialData;
+        tax.taxAmount += taxAmount * exchangeRate;
+        tax.roundingDifference += taxRoundingDifference * exchangeRate;
+        if (taxRoundingDifference) {
+          tax.documentsWithRoundingDifference.push({
+            eventId: event.eventId,
+            invoiceNumber: transaction.financialData.invoiceNumber,
+            roundingDifference: taxRoundingDifference
+          });
+        }
+      }
+
+      for (const line of lines) {
+        const share = eventAmount > 0 ? line.amount / eventAmount : 1 / lines.length;
+        const linePosted = eventPosted * share;
+
+        if (category === 'payments' && line.paymentMethod) {
+          if (!byPaymentMethod.has(line.paymentMethod)) {
+            byPaymentMethod.set(line.paymentMethod, this.createTotals());
+          }
+          this.addToTotals(byPaymentMethod.get(line.paymentMethod), outcome, line.amount, linePosted);
+        }
+
+        const operatorId = line.operator?.id || 'unknown';
+        if (!byOperator.has(operatorId)) {
+          byOperator.set(operatorId, {
+            operatorId,
+            operatorName: line.operator?.name || 'Unknown',
+            invoices: this.createTotals(),
+            payments: this.createTotals(),
+            cancellations: this.createTotals()
+          });
+        }
+        this.addToTotals(byOperator.get(operatorId)[category], outcome, line.amount, linePosted);
+      }
+    }
+
+    const flags = [];
+    const flag = (scope, key, totals) => {
+      this.finalizeTotals(totals);
+      if (totals.flagged) {
+        flags.push({
+          scope,
+          key,
+          variance: totals.variance,
+          message: `${key}: ${totals.hms.amount} in Indigo, ${totals.posted.amount} in Sage X3`
+        });
+      }
+      return totals;
+    };
+
+    for (const [category, totals] of Object.entries(summary)) {
+      flag('category', category, totals);
+    }
+
+    const methods = [...byPaymentMethod.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([paymentMethod, totals]) => ({ paymentMethod, ...flag('payment_method', paymentMethod, totals) }));
+
+    const operators = [...byOperator.values()]
+      .sort((a, b) => a.operatorName.localeCompare(b.operatorName))
+      .map(operator => {
+        for (const category of Object.keys(summary)) {
+          flag('operator', `${operator.operatorName} ${category}`, operator[category]);
+        }
+        return operator;
+      });
+
+    const x3Postings = (await Transaction.getTransactionStats(start, end)).map(stat => ({
+      eventType: stat._id.eventType,
+      documentType: stat._id.documentType,
+      status: stat._id.status,
+      count: stat.count,
+      totalAmount: Math.round((stat.totalAmount || 0) * 100) / 100
+    }));
+
+    return {
+      date,
+      period: { start, end, utcOffsetMinutes: offsetMinutes },
+      generatedAt: new Date(),
+      currency: currencyConfig.ledgerCurrency,
+      unconvertedEvents,
+      balanced: flags.length === 0,
+      summary,
+      byPaymentMethod: methods,
+      byOperator: operators,
+      x3Postings,
+      tax: {
+        ...tax,
+        taxAmount: Math.round(tax.taxAmount * 100) / 100,
+        roundingDifference: Math.round(tax.roundingDifference * 100) / 100
+      },
+      unmatchedCancellations,
+      flags
+    };
+  }
+
+  /**
+   * Flatten a report into CSV rows
+   */
+  toCsv(report) {
+    const rows = [];
+    const push = (scope, key, totals) => {
+      const row = { scope, key, postedAmount: totals.posted.amount, variance: totals.variance, flagged: totals.flagged };
+      for (const bucket of ['hms', ...OUTCOMES]) {
+        row[`${bucket}Count`] = totals[bucket].count;
+        row[`${bucket}Amount`] = totals[bucket].amount;
+      }
+      rows.push(row);
+    };
+
+    for (const [category, totals] of Object.entries(report.summary)) {
+      push('category', category, totals);
+    }
+    for (const method of report.byPaymentMethod) {
+      push('payment_method', method.paymentMethod, method);
+    }
+    for (const operator of report.byOperator) {
+      for (const category of Object.keys(report.summary)) {
+        if (operator[category].hms.count > 0) {
+          push(`operator_${category}`, operator.operatorName, operator[category]);
+        }
+      }
+    }
+
+    return toCsv(rows, CSV_COLUMNS);
+  }
+}
+
+module.exports = new FinancialReportService();
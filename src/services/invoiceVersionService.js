@@ -0,0 +1,242 @@
+const InvoiceVersion = require('../models/InvoiceVersion');
+const { roundAmount } = require('../utils/money');
+
+// Line amounts compared between versions; all in base currency units
+const AMOUNT_FIELDS = ['lineTotal', 'netAmount', 'taxAmount', 'grossAmount'];
+
+// Stored versions hand back subdocuments; spread and compare plain objects
+const plain = (value) => (typeof value?.toObject === 'function' ? value.toObject() : value);
+
+class InvoiceVersionService {
+  /**
+   * Receivable documents of a transformed invoice, each with keyed lines
+   * A sponsor-split invoice has the patient portion plus one document per
+   * sponsor; otherwise the whole invoice is the patient's.
+   */
+  buildDocuments(transformedData) {
+    const { patientPortion, sponsorReceivables = [], ...header } = transformedData;
+
+    const parts = sponsorReceivables.length > 0
+      ? [
+        { ...header, ...patientPortion, receivableType: 'patient' },
+        ...sponsorReceivables.map(receivable => ({ ...header, ...receivable, receivableType: 'sponsor' }))
+      ]
+      : [{ ...header, receivableType: 'patient' }];
+
+    return parts.map(part => ({
+      invoiceNumber: part.invoiceNumber,
+      receivableType: part.receivableType,
+      sponsorId: part.sponsorId,
+      customerReference: part.customerReference,
+      totalAmount: part.totalAmount,
+      lines: this.keyLines(part.lineItems || [])
+    }));
+  }
+
+  /**
+   * Version lines keyed by item; repeated items are told apart by occurrence
+   */
+  keyLines(lineItems) {
+    const seen = new Map();
+
+    return lineItems.map(line => {
+      const base = `${line.itemId}:${line.itemCode}`;
+      const occurrence = (seen.get(base) || 0) + 1;
+      seen.set(base, occurrence);
+
+      return {
+        lineKey: `${base}#${occurrence}`,
+        itemId: line.itemId,
+        itemCode: line.itemCode,
+        description: line.itemDescription,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        lineTotal: line.lineTotal,
+        netAmount: line.netAmount,
+        taxAmount: line.taxAmount,
+        grossAmount: line.grossAmount,
+        taxCode: line.taxCode,
+        taxRate: line.taxRate,
+        dimensions: line.dimensions
+      };
+    });
+  }
+
+  /**
+   * Line-level changes between two versions of one receivable document
+   * @param {object|undefined} before - Document in the previous version
+   * @param {object|undefined} after - Document in the new version
+   */
+  diffDocument(before, after) {
+    const beforeLines = new Map((before?.lines || []).map(line => [line.lineKey, plain(line)]));
+    const afterLines = new Map((after?.lines || []).map(line => [line.lineKey, plain(line)]));
+
+    const added = [...afterLines.values()].filter(line => !beforeLines.has(line.lineKey));
+    const removed = [...beforeLines.values()].filter(line => !afterLines.has(line.lineKey));
+    const changed = [...afterLines.values()]
+      .filter(line => beforeLines.has(line.lineKey))
+      .map(line => ({ lineKey: line.lineKey, before: beforeLines.get(line.lineKey), after: line }))
+      .filter(({ before: old, after: current }) => old.quantity !== current.quantity ||
+        old.unitPrice !== current.unitPrice ||
+        AMOUNT_FIELDS.some(field => (old[field] || 0) !== (current[field] || 0)));
+
+    return {
+      invoiceNumber: (after || before).invoiceNumber,
+      added,
+      removed,
+      changed,
+      amountChange: roundAmount((after?.totalAmount || 0) - (before?.totalAmount || 0))
+    };
+  }
+
+  /**
+   * Adjustment lines for a document diff, split by direction
+   * Amounts are positive on both sides: increases go on a supplementary
+   * invoice, decreases on a credit note. A quantity change is the difference
+   * in quantity at the line's price; a price change is one unit of the difference.
+   * @returns {{ increases: object[], decreases: object[] }}
+   */
+  adjustmentLines(diff) {
+    const increases = diff.added.map(plain);
+    const decreases = diff.removed.map(plain);
+
+    for (const change of diff.changed) {
+      const before = plain(change.before);
+      const after = plain(change.after);
+      const delta = Object.fromEntries(
+        AMOUNT_FIELDS.map(field => [field, roundAmount((after[field] || 0) - (before[field] || 0))])
+      );
+      if (delta.grossAmount === 0) continue;
+
+      const sign = Math.sign(delta.grossAmount);
+      const samePrice = before.unitPrice === after.unitPrice && after.quantity !== before.quantity;
+      const line = {
+        ...after,
+        ...Object.fromEntries(AMOUNT_FIELDS.map(field => [field, roundAmount(delta[field] * sign)])),
+        quantity: samePrice ? Math.abs(after.quantity - before.quantity) : 1,
+        unitPrice: samePrice ? after.unitPrice : Math.abs(delta.lineTotal)
+      };
+
+      (sign > 0 ? increases : decreases).push(line);
+    }
+
+    return { increases, decreases };
+  }
+
+  /**
+   * Document fields for posting a set of adjustment lines
+   */
+  toPostedLines(lines) {
+    const lineItems = lines.map((line, index) => ({
+      lineNumber: index + 1,
+      itemCode: line.itemCode,
+      itemDescription: line.description,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      lineTotal: line.lineTotal,
+      itemId: line.itemId,
+      taxCode: line.taxCode,
+      taxRate: line.taxRate,
+      netAmount: line.netAmount,
+      taxAmount: line.taxAmount,
+      grossAmount: line.grossAmount,
+      ...(line.dimensions && { dimensions: plain(line.dimensions) })
+    }));
+
+    return {
+      lineItems,
+      subtotal: roundAmount(lines.reduce((sum, line) => sum + (line.netAmount || 0), 0)),
+      taxAmount: roundAmount(lines.reduce((sum, line) => sum + (line.taxAmount || 0), 0)),
+      totalAmount: roundAmount(lines.reduce((sum, line) => sum + (line.grossAmount || 0), 0))
+    };
+  }
+
+  /**
+   * Version being posted for an event: the pending one a failed attempt left,
+   * or a new one after the last synced version
+   */
+  async startVersion(event, transformedData, previous) {
+    const existing = await InvoiceVersion.findOne({ invoiceId: transformedData.invoiceId, eventId: event.eventId });
+    if (existing) {
+      return existing;
+    }
+
+    const documents = this.buildDocuments(transformedData).map(document => ({
+      ...document,
+      documentReference: previous?.documents.find(entry => entry.invoiceNumber === document.invoiceNumber)
+        ?.documentReference
+    }));
+
+    const diff = previous
+      ? [...new Set([...previous.documents, ...documents].map(document => document.invoiceNumber))]
+        .map(invoiceNumber => this.diffDocument(
+          previous.documents.find(document => document.invoiceNumber === invoiceNumber),
+          documents.find(document => document.invoiceNumber === invoiceNumber)
+        ))
+      : [];
+
+    return InvoiceVersion.create({
+      invoiceId: transformedData.invoiceId,
+      version: previous ? previous.version + 1 : 1,
+      eventId: event.eventId,
+      eventType: event.eventType,
+      documents,
+      totalAmount: transformedData.totalAmount,
+      currency: transformedData.currency,
+      diff
+    });
+  }
+
+  /**
+   * Record the first version of an invoice once it has been posted whole
+   * @param {object[]} receivables - Receivables recorded on the posting's transaction
+   */
+  async recordInitialVersion(event, transformedData, receivables, documentReference) {
+    const version = await this.startVersion(event, transformedData, null);
+
+    for (const document of version.documents) {
+      const receivable = receivables.find(entry => entry.invoiceNumber === document.invoiceNumber);
+      document.documentReference = receivable?.documentReference ||
+        (receivables.length === 0 ? documentReference : undefined);
+
+      if (document.documentReference && !version.adjustments.some(entry => entry.invoiceNumber === document.invoiceNumber)) {
+        version.adjustments.push({
+          type: 'initial',
+          invoiceNumber: document.invoiceNumber,
+          documentReference: document.documentReference,
+          amount: document.totalAmount,
+          postedAt: receivable?.postedAt || new Date()
+        });
+      }
+    }
+
+    version.status = 'synced';
+    return version.save();
+  }
+
+  async getLatest(invoiceId) {
+    return InvoiceVersion.findLatest(invoiceId);
+  }
+
+  /**
+   * Versions of an invoice with what changed and what was posted for each
+   */
+  async getHistory(invoiceId) {
+    const versions = await InvoiceVersion.getHistory(invoiceId);
+
+    return versions.map(version => ({
+      version: version.version,
+      eventId: version.eventId,
+      eventType: version.eventType,
+      status: version.status,
+      totalAmount: version.totalAmount,
+      currency: version.currency,
+      createdAt: version.createdAt,
+      documents: version.documents,
+      diff: version.diff,
+      adjustments: version.adjustments
+    }));
+  }
+}
+
+module.exports = new InvoiceVersionService();
@@ -0,0 +1,395 @@
+const Configuration = require('../models/Configuration');
+const CrossReference = require('../models/CrossReference');
+const { BusinessRuleError } = require('../utils/errors');
+const { DEFAULT_MAPPINGS, DEFAULT_LOOKUPS } = require('./defaultMappings');
+
+const MAPPING_KEY_PREFIX = 'mapping.';
+
+// Token accepted as a default: the time the event is transformed
+const NOW_TOKEN = '$now';
+
+const FIELD_OPTIONS = ['value', 'source', 'each', 'fields', 'lookup', 'xref', 'transform', 'default', 'required', 'optional', 'when', 'position'];
+
+/**
+ * Declarative field mapping from HMS payloads to Sage X3 documents
+ *
+ * A mapping document looks like:
+ *   {
+ *     fields: {
+ *       documentType: { value: 'SI' },
+ *       customerReference: { source: '$.data.patient.mrn', required: true },
+ *       itemCode: { source: ['@.variant.sku', '@.id'] },
+ *       paymentMethod: { source: '$.data.payments[0].method', lookup: 'paymentMethods' },
+ *       lineItems: { source: '$.data.items[*]', each: { ... } }
+ *     },
+ *     lookups: { name: { hmsValue: 'X3_VALUE', default: 'OTHER' } }
+ *   }
+ *
+ * "$" is the payload (with code-derived values under $.derived), "@" the current
+ * element inside "each". A list of sources takes the first one that is present.
+ * Lookups not defined inline are read from the "mapping.<name>" configuration.
+ * "xref: <entityType>" replaces an Indigo id with its X3 code from CrossReference.
+ * An optional top-level "currency" field spec picks the document currency.
+ */
+class MappingEngine {
+  constructor() {
+    this.transforms = {
+      uppercase: (value) => String(value).toUpperCase(),
+      lowercase: (value) => String(value).toLowerCase(),
+      trim: (value) => String(value).trim(),
+      string: (value) => String(value),
+      number: (value) => Number(value),
+      boolean: (value) => Boolean(value),
+      isoDate: (value) => new Date(value).toISOString()
+    };
+  }
+
+  /**
+   * Add a named value transform usable from mapping documents
+   * Transforms get (value, scope); scope.root.derived holds the derived values.
+   */
+  registerTransform(name, fn) {
+    this.transforms[name] = fn;
+  }
+
+  getMappingKey(eventType) {
+    return `${MAPPING_KEY_PREFIX}${eventType}`;
+  }
+
+  /**
+   * Active mapping for an event type
+   * Falls back to the built-in default (version 0) when none is stored.
+   */
+  async getMapping(eventType) {
+    const key = this.getMappingKey(eventType);
+    const config = await Configuration.findOne({ key, active: true });
+
+    if (config) {
+      return { key, version: config.version, document: config.value };
+    }
+
+    if (!DEFAULT_MAPPINGS[eventType]) {
+      return null;
+    }
+
+    return { key, version: 0, document: DEFAULT_MAPPINGS[eventType] };
+  }
+
+  /**
+   * Shared lookup table, keys lowercased for case-insensitive matching
+   */
+  async getLookup(name) {
+    const table = await Configuration.getConfig(`${MAPPING_KEY_PREFIX}${name}`, DEFAULT_LOOKUPS[name] || null);
+    return table ? this.normalizeLookup(table) : null;
+  }
+
+  normalizeLookup(table) {
+    return Object.fromEntries(
+      Object.entries(table || {}).map(([key, value]) => [key.toLowerCase(), value])
+    );
+  }
+
+  /**
+   * Value for the first candidate found in a lookup table, else its default
+   */
+  lookupValue(table, candidates) {
+    for (const candidate of [].concat(candidates)) {
+      if (candidate === undefined || candidate === null) continue;
+      const value = table[String(candidate).toLowerCase()];
+      if (value !== undefined) return value;
+    }
+    return table.default;
+  }
+
+  /**
+   * Load every lookup table a mapping document references
+   */
+  async loadLookups(document) {
+    const inline = document.lookups || {};
+    const names = new Set();
+    this.collectLookupNames(document.fields || {}, names);
+
+    const lookups = {};
+    for (const name of names) {
+      lookups[name] = inline[name] ? this.normalizeLookup(inline[name]) : await this.getLookup(name);
+    }
+    return lookups;
+  }
+
+  collectLookupNames(fields, names) {
+    for (const spec of Object.values(fields)) {
+      if (!spec || typeof spec !== 'object' || Array.isArray(spec)) continue;
+      if (spec.lookup) names.add(spec.lookup);
+      if (spec.each) this.collectLookupNames(spec.each, names);
+      if (spec.fields) this.collectLookupNames(spec.fields, names);
+    }
+  }
+
+  /**
+   * Resolve a "$.a.b[0].c" / "@.items[*].id" path
+   * A [*] segment fans out, so the result is an array.
+   */
+  resolvePath(path, root, current) {
+    const match = /^([$@])(.*)$/.exec(path);
+    if (!match) {
+      throw new Error(`Invalid source path "${path}": must start with $ or @`);
+    }
+
+    const segments = match[2].match(/\.[^.[\]]+|\[(\d+|\*)\]/g) || [];
+    let values = [match[1] === '$' ? root : current];
+    let fannedOut = false;
+
+    for (const segment of segments) {
+      const next = [];
+      for (const value of values) {
+        if (value === undefined || value === null) continue;
+
+        if (segment === '[*]') {
+          if (Array.isArray(value)) next.push(...value);
+          fannedOut = true;
+        } else if (segment.startsWith('[')) {
+          next.push(value[parseInt(segment.slice(1, -1))]);
+        } else {
+          next.push(value[segment.slice(1)]);
+        }
+      }
+      values = next;
+    }
+
+    return fannedOut ? values.filter(value => value !== undefined) : values[0];
+  }
+
+  isPresent(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+
+  /**
+   * Resolve one field spec to its output value (undefined when absent)
+   */
+  resolveField(name, spec, scope, missing) {
+    if (typeof spec === 'string') {
+      spec = { source: spec };
+    }
+
+    if (spec.when && !this.isPresent(this.resolvePath(spec.when, scope.root, scope.current))) {
+      return undefined;
+    }
+
+    let value;
+    if ('value' in spec) {
+      value = structuredClone(spec.value);
+    } else if (spec.position) {
+      value = scope.index + 1;
+    } else if (spec.source) {
+      const sources = [].concat(spec.source);
+
+      if (spec.lookup) {
+        // Lookups try every candidate, so ids and names can both be listed
+        const candidates = sources.flatMap(source => [].concat(this.resolvePath(source, scope.root, scope.current)));
+        value = this.lookupValue(scope.lookups[spec.lookup] || {}, candidates);
+      } else {
+        value = sources
+          .map(source => this.resolvePath(source, scope.root, scope.current))
+          .find(candidate => this.isPresent(candidate));
+      }
+    }
+
+    if (spec.each) {
+      value = [].concat(value ?? []).map((element, index) =>
+        this.mapFields(spec.each, { ...scope, current: element, index }, missing, `${name}[${index}].`)
+      );
+    } else if (spec.fields) {
+      const base = value && typeof value === 'object' ? value : {};
+      value = { ...base, ...this.mapFields(spec.fields, scope, missing, `${name}.`) };
+    }
+
+    if (this.isPresent(value) && spec.transform) {
+      for (const transformName of [].concat(spec.transform)) {
+        value = this.transforms[transformName](value, scope);
+      }
+    }
+
+    if (!this.isPresent(value) && spec.default !== undefined) {
+      value = spec.default === NOW_TOKEN ? new Date().toISOString() : structuredClone(spec.default);
+    }
+
+    if ((value === undefined || value === null) && spec.required) {
+      missing.push(name);
+    }
+
+    return value;
+  }
+
+  mapFields(fields, scope, missing, prefix = '') {
+    const output = {};
+
+    for (const [name, spec] of Object.entries(fields)) {
+      const value = this.resolveField(`${prefix}${name}`, spec, scope, missing);
+      if (value === undefined && typeof spec === 'object' && (spec.optional || spec.when)) continue;
+      output[name] = value;
+
+      // Swapped for the X3 code once every reference in the document is known
+      if (spec.xref && this.isPresent(value)) {
+        scope.xrefs.push({ entityType: spec.xref, sourceId: String(value), target: output, name });
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Resolve one field spec against a payload, before any values are derived
+   * @param {object} spec - field spec
+   * @param {object} payload - HMS webhook payload
+   * @param {object} inlineLookups - the document's own lookup tables
+   */
+  async evaluate(spec, payload, inlineLookups = {}) {
+    const lookups = await this.loadLookups({ fields: { value: spec }, lookups: inlineLookups });
+    const missing = [];
+    const value = this.resolveField('value', spec, {
+      root: { ...payload, derived: {} },
+      current: undefined,
+      index: 0,
+      lookups,
+      xrefs: []
+    }, missing);
+
+    if (missing.length > 0) {
+      throw new Error('Mapping produced no value for a required document setting');
+    }
+
+    return value;
+  }
+
+  /**
+   * Apply a mapping document to a payload
+   * @param {object} document - mapping document
+   * @param {object} payload - HMS webhook payload
+   * @param {object} derived - values computed in code, exposed as $.derived
+   * @returns {Promise<object>} - Sage X3 document
+   */
+  async apply(document, payload, derived = {}) {
+    const lookups = await this.loadLookups(document);
+    const missing = [];
+    const xrefs = [];
+    const output = this.mapFields(document.fields || {}, {
+      root: { ...payload, derived },
+      current: undefined,
+      index: 0,
+      lookups,
+      xrefs
+    }, missing);
+
+    if (missing.length > 0) {
+      throw new Error(`Mapping produced no value for required field(s): ${missing.join(', ')}`);
+    }
+
+    await this.applyCrossReferences(xrefs);
+
+    return output;
+  }
+
+  /**
+   * Replace Indigo ids with X3 codes, one query per entity type
+   * Every unmapped id is reported at once so they can all be added before a retry.
+   */
+  async applyCrossReferences(xrefs) {
+    const byType = new Map();
+    for (const xref of xrefs) {
+      if (!byType.has(xref.entityType)) byType.set(xref.entityType, []);
+      byType.get(xref.entityType).push(xref);
+    }
+
+    const unmapped = [];
+    for (const [entityType, references] of byType) {
+      const codes = await CrossReference.resolveMany(entityType, references.map(xref => xref.sourceId));
+
+      for (const xref of references) {
+        if (codes.has(xref.sourceId)) {
+          xref.target[xref.name] = codes.get(xref.sourceId);
+        } else if (!unmapped.some(key => key.entityType === entityType && key.sourceId === xref.sourceId)) {
+          unmapped.push({ entityType, sourceId: xref.sourceId });
+        }
+      }
+    }
+
+    if (unmapped.length > 0) {
+      throw new BusinessRuleError(
+        `No Sage X3 code mapped for: ${unmapped.map(key => `${key.entityType}:${key.sourceId}`).join(', ')}`,
+        { missingCrossReferences: unmapped }
+      );
+    }
+  }
+
+  /**
+   * Check a mapping document before it is stored
+   * @returns {Promise<string[]>} - problems found, empty when valid
+   */
+  async validate(document) {
+    const errors = [];
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      return ['Mapping must be an object'];
+    }
+    if (!document.fields || typeof document.fields !== 'object') {
+      return ['Mapping must have a "fields" object'];
+    }
+
+    const inline = document.lookups || {};
+    const sharedLookups = [];
+    const checkFields = (fields, prefix) => {
+      for (const [name, field] of Object.entries(fields)) {
+        const path = `${prefix}${name}`;
+        const spec = typeof field === 'string' ? { source: field } : field;
+
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+          errors.push(`${path}: must be a source path or a field object`);
+          continue;
+        }
+
+        const unknown = Object.keys(spec).filter(option => !FIELD_OPTIONS.includes(option));
+        if (unknown.length > 0) {
+          errors.push(`${path}: unknown option(s) ${unknown.join(', ')}`);
+        }
+        if (!('value' in spec) && !spec.source && !spec.fields && !spec.position) {
+          errors.push(`${path}: needs a value, source, fields or position`);
+        }
+
+        for (const source of [].concat(spec.source || [], spec.when || [])) {
+          if (typeof source !== 'string' || !/^[$@]/.test(source)) {
+            errors.push(`${path}: invalid source path "${source}"`);
+          }
+        }
+        for (const transformName of [].concat(spec.transform || [])) {
+          if (!this.transforms[transformName]) {
+            errors.push(`${path}: unknown transform "${transformName}"`);
+          }
+        }
+        if (spec.xref && !CrossReference.ENTITY_TYPES.includes(spec.xref)) {
+          errors.push(`${path}: unknown cross-reference type "${spec.xref}"`);
+        }
+        if (spec.lookup && !inline[spec.lookup] && !DEFAULT_LOOKUPS[spec.lookup]) {
+          sharedLookups.push({ path, name: spec.lookup });
+        }
+
+        if (spec.each) checkFields(spec.each, `${path}[].`);
+        if (spec.fields) checkFields(spec.fields, `${path}.`);
+      }
+    };
+
+    checkFields(document.fields, '');
+    if (document.currency !== undefined) {
+      checkFields({ currency: document.currency }, '(document).');
+    }
+
+    for (const { path, name } of sharedLookups) {
+      if (!(await Configuration.exists({ key: `${MAPPING_KEY_PREFIX}${name}`, active: true }))) {
+        errors.push(`${path}: unknown lookup "${name}"`);
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new MappingEngine();
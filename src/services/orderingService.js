@@ -0,0 +1,170 @@
+const Configuration = require('../models/Configuration');
+const Event = require('../models/Event');
+
+// Event that brings each kind of entity into existence
+const CREATION_EVENT_BY_ENTITY = {
+  invoice: 'invoice.created',
+  payment: 'payment.created',
+  item: 'item.created',
+  stock: 'stock.created',
+  batch: 'stock.created'
+};
+
+// Events that close an entity come after everything else on it
+const CLOSING_EVENTS = ['invoice.cancelled', 'payment.cancelled', 'item.archived', 'stock.archived'];
+
+// Statuses of an event still ahead in its entity's line
+const PENDING_STATUSES = ['received', 'blocked', 'validated', 'transformed', 'failed', 'dead_lettered'];
+
+// Statuses that satisfy a prerequisite
+const SETTLED_STATUSES = ['synced', 'reversed', 'resolved'];
+
+const DEFAULT_BLOCK_TIMEOUT_MS = 15 * 60 * 1000;
+
+class OrderingService {
+  async getBlockTimeoutMs() {
+    return Number(await Configuration.getConfig('ordering.blockTimeoutMs', DEFAULT_BLOCK_TIMEOUT_MS));
+  }
+
+  rank(event) {
+    if (Object.values(CREATION_EVENT_BY_ENTITY).includes(event.eventType)) return 0;
+    return CLOSING_EVENTS.includes(event.eventType) ? 2 : 1;
+  }
+
+  /**
+   * Causal order within an entity: creation first, closing last, then HMS time, then receipt
+   */
+  compare(a, b) {
+    const time = (date) => (date ? new Date(date).getTime() : 0);
+    return (this.rank(a) - this.rank(b)) ||
+      (time(a.sequenceAt) - time(b.sequenceAt)) ||
+      (time(a.createdAt) - time(b.createdAt));
+  }
+
+  /**
+   * What an event has to wait for, or null when it can be processed now
+   * An earlier event on the same entity still in the pipeline comes first;
+   * then the entity's creating event must have synced.
+   * @returns {Promise<object|null>} - { entityKey, waitingForEventId, waitingForEventType, reason }
+   */
+  async findBlocker(event) {
+    const keys = event.entityKeys || [];
+    if (keys.length === 0) {
+      return null;
+    }
+
+    const others = await Event.find({
+      entityKeys: { $in: keys },
+      eventId: { $ne: event.eventId },
+      status: { $in: PENDING_STATUSES }
+    }).select('eventId eventType status entityKeys sequenceAt createdAt');
+
+    const [ahead] = others.filter(other => this.compare(other, event) < 0)
+      .sort((a, b) => this.compare(a, b));
+
+    if (ahead) {
+      return {
+        entityKey: keys.find(key => ahead.entityKeys.includes(key)),
+        waitingForEventId: ahead.eventId,
+        waitingForEventType: ahead.eventType,
+        reason: `${ahead.eventType} ${ahead.eventId} is ${ahead.status}`
+      };
+    }
+
+    for (const key of keys) {
+      const creationType = CREATION_EVENT_BY_ENTITY[key.split(':')[0]];
+      if (!creationType || creationType === event.eventType) continue;
+
+      const created = await Event.exists({
+        eventType: creationType,
+        entityKeys: key,
+        status: { $in: SETTLED_STATUSES }
+      });
+
+      if (!created) {
+        return {
+          entityKey: key,
+          waitingForEventType: creationType,
+          reason: `${creationType} for ${key} has not synced`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Blocked events that can go now (their blocker cleared or they timed out), in causal order
+   * @param {string[]} entityKeys - limit to these entities; all blocked events when omitted
+   * @returns {Promise<Array<{ event: object, reason: string }>>}
+   */
+  async findReleasable(entityKeys, limit = 100) {
+    const blocked = await Event.findBlocked(entityKeys ? { entityKeys: { $in: entityKeys } } : {}, limit);
+    const now = new Date();
+    const releasable = [];
+
+    for (const event of blocked.sort((a, b) => this.compare(a, b))) {
+      if (event.blocking?.timeoutAt && event.blocking.timeoutAt <= now) {
+        releasable.push({ event, reason: 'timeout' });
+      } else if (!(await this.findBlocker(event))) {
+        releasable.push({ event, reason: 'clear' });
+      }
+    }
+
+    return releasable;
+  }
+
+  /**
+   * Blocked entities for the admin status route
+   * Entities are grouped by what they wait for; an entity is stuck when the
+   * event at its head has failed or its wait has run past the timeout.
+   */
+  async getStatus() {
+    const [blocked, timeoutMs] = await Promise.all([
+      Event.findBlocked({}, 500),
+      this.getBlockTimeoutMs()
+    ]);
+
+    const byEntity = new Map();
+    for (const event of blocked) {
+      const key = event.blocking?.entityKey || 'unknown';
+      if (!byEntity.has(key)) {
+        byEntity.set(key, {
+          entityKey: key,
+          waitingForEventId: event.blocking?.waitingForEventId,
+          waitingForEventType: event.blocking?.waitingForEventType,
+          reason: event.blocking?.reason,
+          blockedEvents: [],
+          oldestBlockedAt: event.blocking?.blockedAt,
+          timeoutAt: event.blocking?.timeoutAt
+        });
+      }
+      byEntity.get(key).blockedEvents.push({ eventId: event.eventId, eventType: event.eventType });
+    }
+
+    const headIds = [...byEntity.values()].map(entry => entry.waitingForEventId).filter(Boolean);
+    const heads = await Event.find({ eventId: { $in: headIds } }).select('eventId eventType status');
+    const headById = new Map(heads.map(head => [head.eventId, head]));
+    const now = new Date();
+
+    const entities = [...byEntity.values()].map(entry => {
+      const head = headById.get(entry.waitingForEventId);
+      return {
+        ...entry,
+        head: head ? { eventId: head.eventId, eventType: head.eventType, status: head.status } : undefined,
+        stuck: Boolean((head && ['failed', 'dead_lettered'].includes(head.status)) ||
+          (entry.timeoutAt && entry.timeoutAt <= now))
+      };
+    });
+
+    return {
+      blocked: blocked.length,
+      blockTimeoutMs: timeoutMs,
+      headOfLine: entities.filter(entity => entity.head),
+      waitingForPrerequisite: entities.filter(entity => !entity.head),
+      stuckEntities: entities.filter(entity => entity.stuck).map(entity => entity.entityKey)
+    };
+  }
+}
+
+module.exports = new OrderingService();
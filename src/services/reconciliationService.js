@@ -0,0 +1,349 @@
+const logger = require('../utils/logger');
+const Transaction = require('../models/Transaction');
+const Event = require('../models/Event');
+const AuditLog = require('../models/AuditLog');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const InvoiceVersion = require('../models/InvoiceVersion');
+const sageX3Client = require('./sageX3Client');
+const { roundAmount } = require('../utils/money');
+
+// Amounts are compared in base currency units; allow for float noise
+const AMOUNT_TOLERANCE = 0.01;
+
+// Worst outcome of a transaction's documents wins
+const OUTCOME_SEVERITY = ['matched', 'error', 'discrepancy', 'missing'];
+
+class ReconciliationService {
+  constructor() {
+    this.activeReportId = null;
+  }
+
+  /**
+   * Values we expect the X3 document to carry, from the Transaction
+   * and the transformed payload that was posted
+   */
+  getExpectedValues(transaction, transformedPayload) {
+    const financial = transaction.financialData || {};
+    const payload = transformedPayload || {};
+    const lines = payload.lineItems || payload.items;
+
+    return {
+      amount: financial.amount ?? payload.totalAmount ?? payload.amount,
+      currency: financial.currency ?? payload.currency,
+      customerReference: financial.customerReference ?? payload.customerReference,
+      lineCount: Array.isArray(lines) ? lines.length : undefined
+    };
+  }
+
+  /**
+   * Values found on the X3 document
+   * Field names differ between X3 endpoints, so common aliases are accepted
+   */
+  getActualValues(document) {
+    const doc = document?.data || document || {};
+    const lines = doc.lineItems || doc.lines || doc.items;
+
+    return {
+      amount: doc.totalAmount ?? doc.amount ?? doc.total,
+      currency: doc.currency ?? doc.currencyCode ?? doc.CUR,
+      customerReference: doc.customerReference ?? doc.customer ?? doc.BPCINV,
+      lineCount: Array.isArray(lines) ? lines.length : doc.lineCount
+    };
+  }
+
+  /**
+   * Compare expected and actual values
+   * Fields missing on either side are not compared
+   * @returns {{ comparedFields: string[], discrepancies: object[] }}
+   */
+  compare(expected, actual) {
+    const comparedFields = [];
+    const discrepancies = [];
+
+    for (const field of Object.keys(expected)) {
+      if (expected[field] === undefined || expected[field] === null) continue;
+      if (actual[field] === undefined || actual[field] === null) continue;
+
+      comparedFields.push(field);
+
+      let matches;
+      if (field === 'amount' || field === 'lineCount') {
+        matches = Math.abs(Number(expected[field]) - Number(actual[field])) < AMOUNT_TOLERANCE;
+      } else {
+        matches = String(expected[field]).trim().toUpperCase() === String(actual[field]).trim().toUpperCase();
+      }
+
+      if (!matches) {
+        discrepancies.push({ field, expected: expected[field], actual: actual[field] });
+      }
+    }
+
+    return { comparedFields, discrepancies };
+  }
+
+  /**
+   * X3 documents a transaction posted, each with the values it should carry
+   * Split invoices have one document per receivable, payments one per receipt
+   * and invoice edits add credit notes; anything else posted a single document.
+   * @returns {Promise<object[]>} - { documentReference, expected }; empty when no reference was recorded
+   */
+  async getPostedDocuments(transaction) {
+    const financial = transaction.financialData || {};
+    const documents = [];
+
+    for (const receivable of transaction.receivables || []) {
+      if (!receivable.documentReference) continue;
+      documents.push({
+        documentReference: receivable.documentReference,
+        expected: {
+          amount: receivable.amount,
+          currency: financial.currency,
+          customerReference: receivable.customerReference
+        }
+      });
+    }
+
+    const receipts = new Map();
+    for (const allocation of transaction.allocations || []) {
+      if (!allocation.documentReference) continue;
+      const receipt = receipts.get(allocation.documentReference) || {
+        documentReference: allocation.documentReference,
+        expected: { amount: 0, currency: financial.currency, customerReference: allocation.customerReference }
+      };
+      receipt.expected.amount = roundAmount(receipt.expected.amount + allocation.amount);
+      receipts.set(allocation.documentReference, receipt);
+    }
+    documents.push(...receipts.values());
+
+    // Credit notes of an invoice edit are only recorded on its version
+    if (transaction.eventType === 'invoice.updated') {
+      const version = await InvoiceVersion.findOne({ eventId: transaction.eventId }).select('adjustments');
+      for (const adjustment of version?.adjustments || []) {
+        if (adjustment.type !== 'credit_note' || !adjustment.documentReference) continue;
+        documents.push({
+          documentReference: adjustment.documentReference,
+          expected: { amount: adjustment.amount, currency: financial.currency }
+        });
+      }
+    }
+
+    if (documents.length > 0) {
+      return documents;
+    }
+
+    // The event ID stands in for the reference when nothing reached X3
+    const documentReference = transaction.sageX3Details?.documentReference;
+    if (!documentReference || documentReference === transaction.eventId) {
+      return [];
+    }
+
+    const event = await Event.findByEventId(transaction.eventId).select('transformedPayload');
+    return [{ documentReference, expected: this.getExpectedValues(transaction, event?.transformedPayload) }];
+  }
+
+  /**
+   * Check one X3 document against the values it should carry
+   */
+  async reconcileDocument({ documentReference, expected }) {
+    let document;
+    try {
+      document = await sageX3Client.getDocument(documentReference);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { documentReference, outcome: 'missing', comparedFields: [], discrepancies: [], error: 'Document not found in Sage X3' };
+      }
+      return { documentReference, outcome: 'error', comparedFields: [], discrepancies: [], error: error.message };
+    }
+
+    const { comparedFields, discrepancies } = this.compare(expected, this.getActualValues(document));
+
+    if (comparedFields.length === 0) {
+      return {
+        documentReference,
+        outcome: 'error',
+        comparedFields,
+        discrepancies: [],
+        error: 'No comparable fields on the Sage X3 document'
+      };
+    }
+
+    return {
+      documentReference,
+      outcome: discrepancies.length > 0 ? 'discrepancy' : 'matched',
+      comparedFields,
+      discrepancies
+    };
+  }
+
+  /**
+   * Reconcile a single transaction against each X3 document it posted
+   * Only a transaction flagged as having had no change to send may have posted
+   * nothing; any other without a document reference cannot be traced, so is missing.
+   */
+  async reconcileTransaction(transaction) {
+    const base = {
+      transactionId: transaction.transactionId,
+      eventId: transaction.eventId,
+      eventType: transaction.eventType,
+      documentReference: transaction.sageX3Details?.documentReference
+    };
+
+    const documents = await this.getPostedDocuments(transaction);
+    if (documents.length === 0) {
+      if (transaction.sageX3Details?.posted === false) {
+        return { ...base, outcome: 'matched', comparedFields: [], discrepancies: [] };
+      }
+      return {
+        ...base,
+        outcome: 'missing',
+        comparedFields: [],
+        discrepancies: [],
+        error: 'No Sage X3 document reference recorded for this transaction'
+      };
+    }
+
+    const results = [];
+    for (const document of documents) {
+      results.push(await this.reconcileDocument(document));
+    }
+
+    const outcome = results.reduce((worst, result) =>
+      OUTCOME_SEVERITY.indexOf(result.outcome) > OUTCOME_SEVERITY.indexOf(worst) ? result.outcome : worst, 'matched');
+    const errors = results.filter(result => result.error)
+      .map(result => (results.length > 1 ? `${result.documentReference}: ${result.error}` : result.error));
+
+    return {
+      ...base,
+      documentReference: documents[0].documentReference,
+      outcome,
+      comparedFields: [...new Set(results.flatMap(result => result.comparedFields))],
+      discrepancies: results.flatMap(result => result.discrepancies.map(discrepancy => ({
+        ...discrepancy,
+        documentReference: result.documentReference
+      }))),
+      ...(errors.length > 0 && { error: errors.join('; ') })
+    };
+  }
+
+  /**
+   * Create a report and reconcile in the background
+   * @param {object} options - { trigger, userId, olderThanDays, limit }
+   * @returns {Promise<object>} - The report, still in "running" status
+   */
+  async start(options = {}) {
+    const report = await this.createReport(options);
+
+    this.execute(report, options).catch(error => {
+      logger.error(`Background reconciliation failed: ${report.reportId}`, { error: error.message });
+    });
+
+    return report;
+  }
+
+  /**
+   * Create a report and wait for the reconciliation to finish
+   * @param {object} options - { trigger, userId, olderThanDays, limit }
+   * @returns {Promise<object>} - The completed report
+   */
+  async run(options = {}) {
+    const report = await this.createReport(options);
+    return this.execute(report, options);
+  }
+
+  async createReport({ trigger = 'scheduler', userId, olderThanDays = 1, limit = 500 } = {}) {
+    if (this.activeReportId) {
+      throw new Error(`Reconciliation already running (${this.activeReportId})`);
+    }
+
+    const reportId = `rec_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    this.activeReportId = reportId;
+
+    try {
+      const report = new ReconciliationReport({
+        reportId,
+        trigger,
+        triggeredBy: userId,
+        criteria: { olderThanDays, limit }
+      });
+      return await report.save();
+    } catch (error) {
+      this.activeReportId = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Walk unverified synced transactions and reconcile each one
+   * Matches are verified automatically; everything else is recorded on the
+   * report and on the Transaction for follow-up.
+   */
+  async execute(report, { userId, olderThanDays = 1, limit = 500 } = {}) {
+    logger.info(`Reconciliation started: ${report.reportId}`, { trigger: report.trigger, olderThanDays, limit });
+
+    try {
+      const transactions = await Transaction.findUnverifiedTransactions(olderThanDays).limit(limit);
+
+      for (const transaction of transactions) {
+        const result = await this.reconcileTransaction(transaction);
+        report.addResult(result);
+
+        await transaction.recordReconciliation(result.outcome, report.reportId, result.discrepancies);
+
+        if (result.outcome === 'matched') {
+          await transaction.markAsVerified('reconciliation');
+
+          await AuditLog.logAction({
+            action: 'transaction.verified',
+            eventId: transaction.eventId,
+            transactionId: transaction.transactionId,
+            actor: { type: 'scheduler' },
+            details: {
+              reportId: report.reportId,
+              documentReference: result.documentReference,
+              comparedFields: result.comparedFields
+            },
+            result: { status: 'success', message: 'Transaction verified by reconciliation' },
+            category: 'sync',
+            severity: 'info'
+          });
+        }
+      }
+
+      await report.complete();
+
+      const unresolved = report.summary.discrepancies + report.summary.missing;
+
+      await AuditLog.logAction({
+        action: 'reconciliation.completed',
+        actor: userId ? { type: 'user', userId } : { type: 'scheduler' },
+        details: {
+          reportId: report.reportId,
+          summary: report.summary
+        },
+        result: {
+          status: unresolved > 0 ? 'warning' : 'success',
+          message: `Reconciled ${report.summary.checked} transaction(s)`
+        },
+        category: 'sync',
+        severity: unresolved > 0 ? 'warning' : 'info'
+      });
+
+      logger.info(`Reconciliation completed: ${report.reportId}`, report.summary);
+      return report;
+
+    } catch (error) {
+      logger.error(`Reconciliation failed: ${report.reportId}`, { error: error.message });
+      await report.complete(error.message);
+      throw error;
+
+    } finally {
+      this.activeReportId = null;
+    }
+  }
+
+  isRunning() {
+    return !!this.activeReportId;
+  }
+}
+
+module.exports = new ReconciliationService();
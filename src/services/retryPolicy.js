@@ -0,0 +1,152 @@
+const Configuration = require('../models/Configuration');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// Network-level failures talking to Sage X3 that are worth retrying
+const TRANSIENT_ERROR_CODES = [
+  'ECONNABORTED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE'
+];
+
+// Error types recorded on the event that a retry cannot fix
+const PERMANENT_ERROR_TYPES = ['validation', 'transformation', 'business_rule'];
+
+/**
+ * Load retry limits from Configuration, falling back to the environment
+ */
+async function getRetryPolicy() {
+  const [maxAttempts, delayMs, exponentialBackoff, autoRetry] = await Promise.all([
+    Configuration.getConfig('retry.maxAttempts', parseInt(process.env.MAX_RETRY_ATTEMPTS || 3)),
+    Configuration.getConfig('retry.delayMs', parseInt(process.env.RETRY_DELAY_MS || 5000)),
+    Configuration.getConfig('retry.exponentialBackoff', process.env.RETRY_EXPONENTIAL_BACKOFF !== 'false'),
+    Configuration.getConfig('feature.autoRetry', process.env.ENABLE_AUTO_RETRY !== 'false')
+  ]);
+
+  return {
+    maxAttempts: Number(maxAttempts),
+    delayMs: Number(delayMs),
+    exponentialBackoff: !!exponentialBackoff,
+    autoRetry: !!autoRetry
+  };
+}
+
+/**
+ * Classify a processing error as transient or permanent
+ * @param {Error} error - Error thrown by the pipeline
+ * @param {string} errorType - Type of the error recorded on the event
+ * @returns {{ transient: boolean, reason: string }}
+ */
+function classifyError(error, errorType) {
+  if (PERMANENT_ERROR_TYPES.includes(errorType)) {
+    return { transient: false, reason: `${errorType} error` };
+  }
+
+  const status = error?.response?.status;
+
+  if (status) {
+    if (status >= 500 || status === 408 || status === 429) {
+      return { transient: true, reason: `Sage X3 responded ${status}` };
+    }
+    return { transient: false, reason: `Sage X3 rejected the document (${status})` };
+  }
+
+  if (TRANSIENT_ERROR_CODES.includes(error?.code) || /timeout/i.test(error?.message || '')) {
+    return { transient: true, reason: `Network error (${error.code || 'timeout'})` };
+  }
+
+  // Unknown system and Sage X3 errors (e.g. expired token) get the benefit of the doubt
+  return { transient: true, reason: `${errorType || 'system'} error` };
+}
+
+/**
+ * Compute the delay before the next attempt
+ * @param {object} policy - Result of getRetryPolicy()
+ * @param {number} retryCount - Retries already scheduled for the event
+ */
+function computeRetryDelay(policy, retryCount) {
+  if (!policy.exponentialBackoff) {
+    return policy.delayMs;
+  }
+  return policy.delayMs * Math.pow(2, retryCount);
+}
+
+/**
+ * Move an event to the dead-letter state
+ */
+async function deadLetterEvent(event, reason) {
+  await event.markAsDeadLettered(reason);
+
+  await AuditLog.logAction({
+    action: 'event.failed',
+    eventId: event.eventId,
+    actor: { type: 'scheduler' },
+    details: {
+      eventType: event.eventType,
+      retryCount: event.retryCount,
+      reason
+    },
+    result: { status: 'failure', message: 'Event moved to dead-letter queue' },
+    category: 'processing',
+    severity: 'error'
+  });
+
+  logger.queue.warn(`Event dead-lettered: ${event.eventId}`, { reason });
+}
+
+/**
+ * Decide what happens to an event after a failed processing attempt
+ * Transient errors are scheduled for a backoff retry until attempts run out;
+ * permanent errors and exhausted events are dead-lettered.
+ * @param {object} event - Failed Event document
+ * @param {Error} error - Error thrown by the pipeline
+ * @returns {Promise<{ action: string, delayMs?: number, reason: string }>}
+ */
+async function scheduleRetry(event, error) {
+  const policy = await getRetryPolicy();
+  const lastError = event.errors[event.errors.length - 1];
+  const classification = classifyError(error, lastError?.type);
+
+  event.failureClass = classification.transient ? 'transient' : 'permanent';
+
+  if (!policy.autoRetry) {
+    await event.save();
+    return { action: 'none', reason: 'Automatic retry disabled' };
+  }
+
+  if (!classification.transient) {
+    await deadLetterEvent(event, `Permanent failure: ${classification.reason}`);
+    return { action: 'dead_lettered', reason: classification.reason };
+  }
+
+  if (event.retryCount >= policy.maxAttempts) {
+    await deadLetterEvent(event, `Retry attempts exhausted (${policy.maxAttempts}): ${classification.reason}`);
+    return { action: 'dead_lettered', reason: 'Retry attempts exhausted' };
+  }
+
+  const delayMs = computeRetryDelay(policy, event.retryCount);
+  await event.incrementRetry(delayMs);
+
+  logger.queue.info(`Retry scheduled for ${event.eventId}`, {
+    attempt: event.retryCount,
+    maxAttempts: policy.maxAttempts,
+    delayMs,
+    reason: classification.reason
+  });
+
+  return { action: 'scheduled', delayMs, reason: classification.reason };
+}
+
+
+
+module.exports = {
+  getRetryPolicy,
+  classifyError,
+  computeRetryDelay,
+  deadLetterEvent,
+  scheduleRetry
+};
@@ -0,0 +1,153 @@
+const logger = require('../utils/logger');
+const Transaction = require('../models/Transaction');
+const Event = require('../models/Event');
+const AuditLog = require('../models/AuditLog');
+const ReversalRequest = require('../models/ReversalRequest');
+const { postReversal } = require('../queues/queueManager');
+
+class ReversalService {
+  /**
+   * Audit a step of the reversal workflow under the reversal category
+   */
+  logStep(action, request, user, ipAddress, result, severity = 'info', details = {}) {
+    return AuditLog.logAction({
+      action,
+      eventId: request.eventId,
+      transactionId: request.transactionId,
+      actor: {
+        type: 'user',
+        userId: user.id,
+        userName: user.name || user.username,
+        ipAddress
+      },
+      details: {
+        requestId: request.requestId,
+        reason: request.reason,
+        amount: request.amount,
+        currency: request.currency,
+        requestedBy: request.requestedBy?.userId,
+        ...details
+      },
+      result,
+      category: 'reversal',
+      severity
+    });
+  }
+
+  /**
+   * Store a reversal as a pending approval (maker step)
+   */
+  async requestReversal(transaction, reason, user, ipAddress) {
+    const request = await new ReversalRequest({
+      requestId: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      transactionId: transaction.transactionId,
+      eventId: transaction.eventId,
+      eventType: transaction.eventType,
+      documentReference: transaction.sageX3Details?.documentReference,
+      amount: transaction.financialData?.amount || 0,
+      currency: transaction.financialData?.currency || 'NGN',
+      reason,
+      requestedBy: {
+        userId: user.id,
+        userName: user.name || user.username
+      }
+    }).save();
+
+    await this.logStep('reversal.requested', request, user, ipAddress, {
+      status: 'success',
+      message: 'Reversal requested, awaiting approval'
+    }, 'warning');
+
+    logger.info('Reversal requested', { requestId: request.requestId, transactionId: request.transactionId });
+    return request;
+  }
+
+  /**
+   * Only invoices and payments have a credit note or payment reversal in X3
+   */
+  isReversible(transaction) {
+    return ['invoice', 'payment'].includes(transaction.sageX3Details?.documentType);
+  }
+
+  /**
+   * Approve a request and post the credit note or payment reversal (checker step)
+   * The request must already be claimed with ReversalRequest.claimForApproval.
+   */
+  async executeApprovedReversal(request, user, ipAddress) {
+    await this.logStep('reversal.approved', request, user, ipAddress, {
+      status: 'success',
+      message: 'Reversal approved'
+    }, 'warning', { note: request.decision?.note });
+
+    try {
+      const transaction = await Transaction.findOne({ transactionId: request.transactionId });
+
+      if (!transaction) {
+        throw new Error('Transaction not found');
+      }
+      if (transaction.reversed) {
+        throw new Error('Transaction already reversed');
+      }
+
+      // Same postings as a cancellation event: per receivable or per receipt
+      const result = await postReversal(transaction, { reason: request.reason });
+
+      await transaction.markAsReversed(request.reason, result.documentReference, request.requestedBy.userId, {
+        requestId: request.requestId,
+        approvedBy: user.id
+      });
+
+      const event = await Event.findByEventId(transaction.eventId);
+      if (event) {
+        await event.markAsReversed(request.reason, transaction.transactionId);
+      }
+
+      await request.markAsCompleted(result.documentReference);
+
+      await this.logStep('transaction.reversed', request, user, ipAddress, {
+        status: 'success',
+        message: 'Transaction reversed successfully'
+      }, 'warning', {
+        originalDocRef: request.documentReference,
+        reversalDocRef: result.documentReference,
+        approvedBy: user.id
+      });
+
+      logger.info('Transaction reversed', {
+        transactionId: request.transactionId,
+        requestId: request.requestId
+      });
+
+      return request;
+
+    } catch (error) {
+      logger.error(`Reversal ${request.requestId} failed:`, { error: error.message });
+
+      await request.markAsFailed(error.message);
+
+      await this.logStep('transaction.reversed', request, user, ipAddress, {
+        status: 'failure',
+        message: 'Transaction reversal failed',
+        errorDetails: error.message
+      }, 'error');
+
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending request (checker step)
+   */
+  async rejectReversal(request, user, note, ipAddress) {
+    await request.reject(user, note);
+
+    await this.logStep('reversal.rejected', request, user, ipAddress, {
+      status: 'success',
+      message: 'Reversal rejected'
+    }, 'info', { note });
+
+    return request;
+  }
+}
+
+module.exports = new ReversalService();
@@ -253,6 +253,42 @@ class SageX3Client {
     }
   }
   
+  /**
+   * Replace the lines of an invoice still in draft in Sage X3
+   * @param {string} documentReference - Sage X3 invoice reference
+   * @param {object} invoiceData - Transformed invoice data
+   */
+  async amendInvoice(documentReference, invoiceData) {
+    try {
+      const endpoint = `/dataingestion/${this.folder}/invoices/${encodeURIComponent(documentReference)}`;
+      
+      logger.sageX3.info('Amending draft invoice in Sage X3', {
+        endpoint,
+        invoiceId: invoiceData.invoiceId
+      });
+      
+      const response = await this.axiosInstance.put(endpoint, invoiceData);
+      
+      logger.sageX3.info('Successfully amended invoice in Sage X3', {
+        invoiceId: invoiceData.invoiceId,
+        documentReference
+      });
+      
+      return {
+        success: true,
+        documentReference: response.data.documentReference || documentReference,
+        documentType: 'invoice',
+        response: response.data
+      };
+    } catch (error) {
+      logger.sageX3.error('Failed to amend invoice:', {
+        error: error.response?.data || error.message,
+        documentReference
+      });
+      throw error;
+    }
+  }
+  
   /**
    * Post payment to Sage X3
    * @param {object} paymentData - Transformed payment data
@@ -288,6 +324,101 @@ class SageX3Client {
     }
   }
   
+  /**
+   * Create item in the Sage X3 item master
+   * @param {object} itemData - Transformed item data
+   */
+  async postItem(itemData) {
+    try {
+      const endpoint = `/dataingestion/${this.folder}/items`;
+      
+      logger.sageX3.info('Posting item to Sage X3', {
+        endpoint,
+        itemId: itemData.itemId
+      });
+      
+      const response = await this.axiosInstance.post(endpoint, itemData);
+      
+      logger.sageX3.info('Successfully posted item to Sage X3', {
+        itemId: itemData.itemId,
+        documentReference: response.data.documentReference
+      });
+      
+      return {
+        success: true,
+        documentReference: response.data.documentReference || response.data.id || itemData.itemId,
+        documentType: 'item',
+        response: response.data
+      };
+    } catch (error) {
+      logger.sageX3.error('Failed to post item:', {
+        error: error.response?.data || error.message,
+        itemId: itemData.itemId
+      });
+      throw error;
+    }
+  }
+  
+  /**
+   * Update an existing item in the Sage X3 item master
+   * @param {string} itemId - HMS item id
+   * @param {object} itemData - Fields to update
+   */
+  async updateItem(itemId, itemData) {
+    try {
+      const endpoint = `/dataingestion/${this.folder}/items/${encodeURIComponent(itemId)}`;
+      
+      logger.sageX3.info('Updating item in Sage X3', { endpoint, itemId });
+      
+      const response = await this.axiosInstance.put(endpoint, itemData);
+      
+      logger.sageX3.info('Successfully updated item in Sage X3', { itemId });
+      
+      return {
+        success: true,
+        documentReference: response.data.documentReference || response.data.id || itemId,
+        documentType: 'item',
+        response: response.data
+      };
+    } catch (error) {
+      logger.sageX3.error('Failed to update item:', {
+        error: error.response?.data || error.message,
+        itemId
+      });
+      throw error;
+    }
+  }
+  
+  /**
+   * Deactivate an item in the Sage X3 item master
+   * @param {string} itemId - HMS item id
+   * @param {object} archiveData - Reason and archive date
+   */
+  async archiveItem(itemId, archiveData) {
+    try {
+      const endpoint = `/dataingestion/${this.folder}/items/${encodeURIComponent(itemId)}/archive`;
+      
+      logger.sageX3.info('Archiving item in Sage X3', { endpoint, itemId });
+      
+      const response = await this.axiosInstance.post(endpoint, archiveData);
+      
+      logger.sageX3.info('Successfully archived item in Sage X3', { itemId });
+      
+      return {
+        success: true,
+        documentReference: response.data.documentReference || response.data.id || itemId,
+        documentType: 'item',
+        response: response.data
+      };
+    } catch (error) {
+      logger.sageX3.error('Failed to archive item:', {
+        error: error.response?.data || error.message,
+        itemId
+      });
+      throw error;
+    }
+  }
+  
   /**
    * Post stock movement to Sage X3
    * @param {object} stockData - Transformed stock data
@@ -321,6 +452,41 @@ class SageX3Client {
     }
   }
   
+  /**
+   * Post a general ledger journal to Sage X3
+   * @param {object} journalData - Journal header and balanced debit/credit lines
+   */
+  async postJournal(journalData) {
+    try {
+      const endpoint = `/dataingestion/${this.folder}/journals`;
+      
+      logger.sageX3.info('Posting journal to Sage X3', {
+        endpoint,
+        journalType: journalData.journalType,
+        reference: journalData.reference
+      });
+      
+      const response = await this.axiosInstance.post(endpoint, journalData);
+      
+      logger.sageX3.info('Successfully posted journal to Sage X3', {
+        documentReference: response.data.documentReference
+      });
+      
+      return {
+        success: true,
+        documentReference: response.data.documentReference || response.data.id,
+        documentType: 'journal',
+        response: response.data
+      };
+    } catch (error) {
+      logger.sageX3.error('Failed to post journal:', {
+        error: error.response?.data || error.message,
+        reference: journalData.reference
+      });
+      throw error;
+    }
+  }
+  
   /**
    * Post credit note (for reversals) to Sage X3
    * @param {object} creditNoteData - Credit note data
@@ -354,6 +520,39 @@ class SageX3Client {
     }
   }
   
+  /**
+   * Post payment reversal (for cancelled payments) to Sage X3
+   * @param {object} reversalData - Payment reversal data
+   */
+  async postPaymentReversal(reversalData) {
+    try {
+      const endpoint = `/dataingestion/${this.folder}/payment-reversals`;
+      
+      logger.sageX3.info('Posting payment reversal to Sage X3', {
+        endpoint,
+        originalReference: reversalData.originalReference
+      });
+      
+      const response = await this.axiosInstance.post(endpoint, reversalData);
+      
+      logger.sageX3.info('Successfully posted payment reversal to Sage X3', {
+        documentReference: response.data.documentReference
+      });
+      
+      return {
+        success: true,
+        documentReference: response.data.documentReference || response.data.id,
+        documentType: 'payment_reversal',
+        response: response.data
+      };
+    } catch (error) {
+      logger.sageX3.error('Failed to post payment reversal:', {
+        error: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+  
   /**
    * Get document details from Sage X3
    * @param {string} documentReference - Sage X3 document reference
@@ -0,0 +1,133 @@
+const logger = require('../utils/logger');
+const Configuration = require('../models/Configuration');
+const { roundedDivide } = require('../utils/money');
+
+// Coverage percentages are handled in basis points so shares stay in integers
+const BASIS_POINTS = 10000;
+
+class SponsorSplitService {
+  /**
+   * Split rules per sponsor id, with "default" for sponsors without their own
+   */
+  async getRules() {
+    return await Configuration.getConfig('sponsors.rules', {}) || {};
+  }
+
+  /**
+   * Whether a sponsor's rule covers an invoice line
+   * Categories match on id or name; no coveredCategories means every category.
+   */
+  coversItem(rule, item) {
+    const lower = (values) => (values || []).map(value => String(value).toLowerCase());
+    const categories = lower((item.categories || []).flatMap(category => [category.id, category.name]));
+    const matches = (list) => lower(list).some(entry => categories.includes(entry));
+
+    if (rule.coveredCategories?.length && !matches(rule.coveredCategories)) return false;
+    if (matches(rule.excludedCategories)) return false;
+    return !lower(rule.excludedItemTypes).includes(String(item.type).toLowerCase());
+  }
+
+  /**
+   * Portion of a taxed line; tax keeps the line's ratio of tax to gross
+   */
+  splitLine(item, lineNumber, grossAmount, taxAmount, pricesIncludeTax) {
+    const netAmount = grossAmount - taxAmount;
+
+    return {
+      ...item,
+      lineNumber,
+      total: pricesIncludeTax ? grossAmount : netAmount,
+      tax: { ...item.tax, netAmount, taxAmount, grossAmount }
+    };
+  }
+
+  summarize(items) {
+    return {
+      items,
+      netAmount: items.reduce((sum, item) => sum + item.tax.netAmount, 0),
+      taxAmount: items.reduce((sum, item) => sum + item.tax.taxAmount, 0),
+      grossAmount: items.reduce((sum, item) => sum + item.tax.grossAmount, 0)
+    };
+  }
+
+  /**
+   * Split taxed invoice lines between the patient's sponsors and the patient
+   * Sponsors are applied in rule priority (then payload order); each covers its
+   * percentage of what is still unpaid on a covered line, up to its per-invoice cap.
+   * @param {object[]} items - lines with .tax from taxService, amounts in subunits
+   * @param {object[]} sponsors - patient.sponsors from the HMS payload
+   * @param {object} options - { invoiceId, divisor, pricesIncludeTax }
+   * @returns {Promise<object|null>} - { patient, sponsors }, null when no sponsor covers anything
+   */
+  async computeSplit(items, sponsors, { invoiceId, divisor, pricesIncludeTax }) {
+    if (!sponsors?.length) {
+      return null;
+    }
+
+    const rules = await this.getRules();
+    const applicable = sponsors
+      .map((sponsor, index) => ({ sponsor, index, rule: rules[sponsor.id] ?? rules.default }))
+      .filter(({ sponsor, rule }) => {
+        if (!rule || rule.active === false) {
+          logger.transformation.warn(`No active split rule for sponsor ${sponsor.id}; the patient is billed its share`);
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => ((a.rule.priority ?? Infinity) - (b.rule.priority ?? Infinity)) || (a.index - b.index));
+
+    const portions = applicable.map(({ sponsor, rule }) => ({
+      sponsorId: String(sponsor.id),
+      sponsorName: sponsor.name,
+      invoiceNumber: `${invoiceId}-${sponsor.id}`,
+      coveragePercent: Number(rule.coveragePercent ?? 100),
+      rule,
+      remainingCap: rule.maxAmount !== undefined && rule.maxAmount !== null
+        ? Math.round(rule.maxAmount * divisor)
+        : Infinity,
+      items: []
+    }));
+
+    const patientItems = [];
+
+    items.forEach((item, index) => {
+      const lineNumber = index + 1;
+      let remaining = item.tax.grossAmount;
+      let remainingTax = item.tax.taxAmount;
+
+      for (const portion of portions) {
+        if (remaining <= 0 || !this.coversItem(portion.rule, item)) continue;
+
+        const basisPoints = Math.round(portion.coveragePercent * 100);
+        const share = Math.min(roundedDivide(remaining * basisPoints, BASIS_POINTS), portion.remainingCap);
+        if (share <= 0) continue;
+
+        const shareTax = roundedDivide(item.tax.taxAmount * share, item.tax.grossAmount);
+        portion.items.push(this.splitLine(item, lineNumber, share, shareTax, pricesIncludeTax));
+        portion.remainingCap -= share;
+        remaining -= share;
+        remainingTax -= shareTax;
+      }
+
+      // The patient gets what is left, so the portions always add up to the line
+      if (remaining > 0 || item.tax.grossAmount === 0) {
+        patientItems.push(this.splitLine(item, lineNumber, remaining, remainingTax, pricesIncludeTax));
+      }
+    });
+
+    const covered = portions.filter(portion => portion.items.length > 0);
+    if (covered.length === 0) {
+      return null;
+    }
+
+    return {
+      patient: this.summarize(patientItems),
+      sponsors: covered.map(({ rule, remainingCap, items: portionItems, ...portion }) => ({
+        ...portion,
+        ...this.summarize(portionItems)
+      }))
+    };
+  }
+}
+
+module.exports = new SponsorSplitService();
@@ -0,0 +1,589 @@
+const logger = require('../utils/logger');
+const Configuration = require('../models/Configuration');
+const CrossReference = require('../models/CrossReference');
+const AuditLog = require('../models/AuditLog');
+const Event = require('../models/Event');
+const StockBatch = require('../models/StockBatch');
+const StockMovement = require('../models/StockMovement');
+const StockValuation = require('../models/StockValuation');
+const sageX3Client = require('./sageX3Client');
+const costingService = require('./costingService');
+
+const DEFAULT_NEAR_EXPIRY_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Events that move quantity by code/batch, with the movement they record
+const ISSUE_MOVEMENTS = {
+  'stock.dispensed': 'dispense',
+  'stock.sold': 'sale'
+};
+
+const batchKey = (stockCode, batchId) => `${stockCode}|${batchId}`;
+
+class StockLedgerService {
+  async getNearExpiryDays() {
+    return Number(await Configuration.getConfig('stock.nearExpiryDays', DEFAULT_NEAR_EXPIRY_DAYS));
+  }
+
+  /**
+   * Record a synced stock event in the batch ledger
+   * Safe to call again for the same event: movements are keyed by event and line.
+   * Absolute quantity changes (stock takes, receipts into an existing record)
+   * are booked at the batch's home location, since the HMS sends them per record.
+   */
+  async recordEvent(event) {
+    const data = event.rawPayload?.data || {};
+    const transformed = event.transformedPayload || {};
+    const context = {
+      eventId: event.eventId,
+      eventType: event.eventType,
+      occurredAt: data.timestamp ? new Date(data.timestamp) : event.createdAt || new Date(),
+      documentReference: event.syncResult?.documentReference
+    };
+
+    switch (event.eventType) {
+      case 'stock.created':
+        return this.recordReceipt(data, context);
+      case 'stock.updated':
+      case 'stock.incremented':
+        return this.recordAdjustment(data, transformed, context);
+      case 'stock.transferred':
+        return this.recordTransfer(data, context);
+      case 'stock.dispensed':
+      case 'stock.sold':
+        return this.recordIssue(data, context);
+      case 'stock.returned':
+        return this.recordReturn(data, transformed, context);
+      case 'stock.recalled':
+        return this.recordRecall(data, transformed, context);
+      case 'stock.archived':
+        return this.recordArchive(data, transformed, context);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Record synced stock events again, oldest first
+   * Fills the ledger from history (stock synced before it existed) or after a
+   * ledger update failed; events already recorded are not counted twice.
+   * @param {object} options - { since, until, limit }
+   */
+  async replayEvents({ since, until, limit = 5000 } = {}) {
+    const events = await Event.find({
+      eventType: { $regex: /^stock\./ },
+      status: 'synced',
+      ...((since || until) && {
+        createdAt: { ...(since && { $gte: since }), ...(until && { $lte: until }) }
+      })
+    }).sort({ createdAt: 1 }).limit(limit);
+
+    const result = { events: events.length, movements: 0, failed: [] };
+    for (const event of events) {
+      try {
+        result.movements += (await this.recordEvent(event)).length;
+      } catch (error) {
+        result.failed.push({ eventId: event.eventId, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Batch for a code/batch pair, created bare when the ledger has not seen it
+   * (stock received before the ledger existed)
+   */
+  async ensureBatch(stockCode, batchId, fields = {}) {
+    return StockBatch.findOneAndUpdate(
+      { stockCode, batchId },
+      { $setOnInsert: { stockCode, batchId, status: 'available', ...fields } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Batch of a stock record; events keyed by stock id carry its code and batch
+   * in the transformed payload (derived from the record's prior state)
+   */
+  async findRecordBatch(data, transformed) {
+    const batch = await StockBatch.findOne({ stockId: data.id });
+    if (batch || !transformed.stockCode || !transformed.batchId) {
+      return batch;
+    }
+
+    return this.ensureBatch(transformed.stockCode, transformed.batchId, { stockId: data.id });
+  }
+
+  /**
+   * Insert movements, skipping any an earlier run already recorded
+   */
+  async addMovements(movements) {
+    const entries = movements.filter(movement => movement.quantity !== 0);
+    if (entries.length === 0) {
+      return [];
+    }
+
+    try {
+      await StockMovement.insertMany(entries, { ordered: false });
+    } catch (error) {
+      const duplicatesOnly = (error.writeErrors || []).length > 0 &&
+        error.writeErrors.every(writeError => (writeError.code ?? writeError.err?.code) === 11000);
+      if (!duplicatesOnly) {
+        throw error;
+      }
+    }
+
+    const touched = [...new Set(entries.map(entry => batchKey(entry.stockCode, entry.batchId)))];
+    await Promise.all(touched.map(key => {
+      const [stockCode, batchId] = key.split('|');
+      return StockBatch.updateOne({ stockCode, batchId }, { $max: { lastMovementAt: entries[0].occurredAt } });
+    }));
+
+    return entries;
+  }
+
+  movement(context, fields) {
+    return {
+      eventId: context.eventId,
+      eventType: context.eventType,
+      occurredAt: context.occurredAt,
+      documentReference: context.documentReference,
+      line: 0,
+      ...fields
+    };
+  }
+
+  async recordReceipt(data, context) {
+    const location = data.location?.id
+      ? { id: data.location.id, name: data.location.name }
+      : { id: StockMovement.UNASSIGNED_LOCATION };
+
+    await StockBatch.updateOne(
+      { stockCode: data.code, batchId: data.batchId },
+      {
+        $set: {
+          stockId: data.id,
+          itemId: data.item?.id,
+          itemName: data.item?.name,
+          variantSku: data.variant?.sku,
+          supplier: data.supplier,
+          homeLocation: location,
+          expiryDate: data.expiryDate ? new Date(data.expiryDate) : undefined,
+          costPrice: data.costPrice,
+          receivedAt: context.occurredAt
+        },
+        $setOnInsert: { status: 'available' }
+      },
+      { upsert: true }
+    );
+
+    return this.addMovements([this.movement(context, {
+      stockCode: data.code,
+      batchId: data.batchId,
+      locationId: location.id,
+      locationName: location.name,
+      movementType: 'receipt',
+      quantity: Number(data.quantity || 0),
+      counterparty: data.supplier
+    })]);
+  }
+
+  async recordAdjustment(data, transformed, context) {
+    const batch = await this.findRecordBatch(data, transformed);
+    if (!batch) {
+      logger.queue.warn(`Stock ${data.id} is not in the batch ledger; ${context.eventType} not recorded`, {
+        eventId: context.eventId
+      });
+      return [];
+    }
+
+    const updates = {};
+    if (data.expiryDate !== undefined) updates.expiryDate = data.expiryDate ? new Date(data.expiryDate) : null;
+    if (data.costPrice !== undefined) updates.costPrice = data.costPrice;
+    if (Object.keys(updates).length > 0) {
+      await StockBatch.updateOne({ _id: batch._id }, { $set: updates });
+    }
+
+    const location = batch.homeLocation?.id ? batch.homeLocation : { id: StockMovement.UNASSIGNED_LOCATION };
+    const movements = (transformed.lines || [])
+      .map((line, index) => ({ line, index }))
+      .filter(({ line }) => line.lineType === 'RECEIPT' || line.lineType === 'QUANTITY_ADJUSTMENT')
+      .map(({ line, index }) => this.movement(context, {
+        stockCode: batch.stockCode,
+        batchId: batch.batchId,
+        locationId: location.id,
+        locationName: location.name,
+        movementType: line.lineType === 'RECEIPT' ? 'receipt' : 'adjustment',
+        quantity: (line.direction === 'OUT' ? -1 : 1) * Number(line.quantity || 0),
+        line: index
+      }));
+
+    return this.addMovements(movements);
+  }
+
+  async recordTransfer(data, context) {
+    const movements = [];
+
+    for (const [index, stock] of (data.stocks || []).entries()) {
+      await this.ensureBatch(stock.code, stock.batchId);
+      const shared = { stockCode: stock.code, batchId: stock.batchId, line: index, reference: data.id, reason: data.comment };
+
+      movements.push(
+        this.movement(context, {
+          ...shared,
+          locationId: data.from.id,
+          locationName: data.from.name,
+          movementType: 'transfer_out',
+          quantity: -Number(stock.quantity || 0),
+          counterparty: data.to
+        }),
+        this.movement(context, {
+          ...shared,
+          locationId: data.to.id,
+          locationName: data.to.name,
+          movementType: 'transfer_in',
+          quantity: Number(stock.quantity || 0),
+          counterparty: data.from
+        })
+      );
+    }
+
+    return this.addMovements(movements);
+  }
+
+  async recordIssue(data, context) {
+    const movements = [];
+    const valuation = await StockValuation.findByReference(context.eventId);
+    const costs = new Map((valuation?.lines || []).map(line => [line.line, line]));
+
+    for (const [index, stock] of (data.stocks || []).entries()) {
+      await this.ensureBatch(stock.code, stock.batchId);
+      movements.push(this.movement(context, {
+        stockCode: stock.code,
+        batchId: stock.batchId,
+        locationId: data.from?.id || StockMovement.UNASSIGNED_LOCATION,
+        locationName: data.from?.name,
+        movementType: ISSUE_MOVEMENTS[context.eventType],
+        quantity: -Number(stock.quantity || 0),
+        unitCost: costs.get(index)?.unitCost,
+        totalCost: costs.get(index)?.totalCost,
+        line: index,
+        reference: data.bill || data.id,
+        reason: data.purpose,
+        counterparty: data.to ? { id: data.to.id, name: data.to.name } : undefined
+      }));
+    }
+
+    return this.addMovements(movements);
+  }
+
+  // Returns go back to the location named on the return, else the batch's home location
+  async recordReturn(data, transformed, context) {
+    const movements = [];
+    const items = transformed.items || data.stocks || [];
+
+    for (const [index, item] of items.entries()) {
+      const stockCode = item.stockCode || item.code;
+      if (!stockCode || !item.batchId) continue;
+
+      const batch = await this.ensureBatch(stockCode, item.batchId);
+      const location = data.to?.id ? data.to : (batch.homeLocation?.id ? batch.homeLocation : { id: StockMovement.UNASSIGNED_LOCATION });
+
+      movements.push(this.movement(context, {
+        stockCode,
+        batchId: item.batchId,
+        locationId: location.id,
+        locationName: location.name,
+        movementType: 'return',
+        quantity: Number(item.quantity || 0),
+        line: index,
+        reference: data.id,
+        reason: data.reason,
+        counterparty: data.from?.id ? { id: data.from.id, name: data.from.name } : undefined
+      }));
+    }
+
+    return this.addMovements(movements);
+  }
+
+  async recordRecall(data, transformed, context) {
+    const batch = await this.findRecordBatch(data, transformed);
+    if (!batch) {
+      return [];
+    }
+
+    await StockBatch.updateOne({ _id: batch._id }, {
+      $set: {
+        status: 'quarantined',
+        recall: { reason: data.reason, recalledAt: context.occurredAt, eventId: context.eventId }
+      }
+    });
+
+    return [];
+  }
+
+  // Archiving writes off whatever the batch still has, wherever it is
+  async recordArchive(data, transformed, context) {
+    const batch = await this.findRecordBatch(data, transformed);
+    if (!batch) {
+      return [];
+    }
+
+    await StockBatch.updateOne({ _id: batch._id }, { $set: { status: 'archived' } });
+
+    const onHand = await StockMovement.getOnHand({ stockCode: batch.stockCode, batchId: batch.batchId });
+    return this.addMovements(onHand.filter(entry => entry.quantity > 0).map(entry => this.movement(context, {
+      stockCode: batch.stockCode,
+      batchId: batch.batchId,
+      locationId: entry.locationId,
+      locationName: entry.locationName,
+      movementType: 'write_off',
+      quantity: -entry.quantity,
+      reason: data.reason || 'archived'
+    })));
+  }
+
+  /**
+   * Batches joined with what they have on hand, keeping those with stock left
+   */
+  async withOnHand(batches, locationId) {
+    if (batches.length === 0) {
+      return [];
+    }
+
+    const onHand = await StockMovement.getOnHand({
+      stockCode: { $in: [...new Set(batches.map(batch => batch.stockCode))] },
+      ...(locationId && { locationId })
+    });
+
+    const byBatch = new Map();
+    for (const entry of onHand.filter(row => row.quantity > 0)) {
+      const key = batchKey(entry.stockCode, entry.batchId);
+      if (!byBatch.has(key)) byBatch.set(key, []);
+      byBatch.get(key).push({ locationId: entry.locationId, locationName: entry.locationName, quantity: entry.quantity });
+    }
+
+    return batches
+      .filter(batch => byBatch.has(batchKey(batch.stockCode, batch.batchId)))
+      .map(batch => {
+        const locations = byBatch.get(batchKey(batch.stockCode, batch.batchId));
+        return {
+          stockCode: batch.stockCode,
+          batchId: batch.batchId,
+          stockId: batch.stockId,
+          itemId: batch.itemId,
+          itemName: batch.itemName,
+          supplier: batch.supplier,
+          expiryDate: batch.expiryDate,
+          status: batch.status,
+          recall: batch.status === 'quarantined' ? batch.recall : undefined,
+          quantityOnHand: locations.reduce((sum, entry) => sum + entry.quantity, 0),
+          locations
+        };
+      });
+  }
+
+  /**
+   * One batch: its details, every movement with the running balance at its
+   * location, and what is on hand where
+   */
+  async getBatchHistory(stockCode, batchId) {
+    const batch = await StockBatch.findBatch(stockCode, batchId);
+    if (!batch) {
+      return null;
+    }
+
+    const movements = await StockMovement.getHistory(stockCode, batchId);
+    const balances = new Map();
+
+    const history = movements.map(movement => {
+      const balance = (balances.get(movement.locationId) || 0) + movement.quantity;
+      balances.set(movement.locationId, balance);
+
+      return {
+        occurredAt: movement.occurredAt,
+        movementType: movement.movementType,
+        locationId: movement.locationId,
+        locationName: movement.locationName,
+        quantity: movement.quantity,
+        balanceAtLocation: balance,
+        eventId: movement.eventId,
+        eventType: movement.eventType,
+        reference: movement.reference,
+        reason: movement.reason,
+        counterparty: movement.counterparty,
+        documentReference: movement.documentReference,
+        recordedBy: movement.recordedBy
+      };
+    });
+
+    const onHand = [...balances.entries()]
+      .filter(([, quantity]) => quantity !== 0)
+      .map(([locationId, quantity]) => ({
+        locationId,
+        locationName: history.filter(entry => entry.locationId === locationId).pop()?.locationName,
+        quantity
+      }));
+
+    return {
+      batch,
+      quantityOnHand: onHand.reduce((sum, entry) => sum + entry.quantity, 0),
+      onHand,
+      movements: history
+    };
+  }
+
+  /**
+   * Batches with stock on hand that expire within the window (expired ones included)
+   * @param {object} options - { days, locationId, asOf }
+   */
+  async getNearExpiry({ days, locationId, asOf = new Date() } = {}) {
+    const window = days ?? await this.getNearExpiryDays();
+    const cutoff = new Date(asOf.getTime() + window * DAY_MS);
+
+    const batches = await StockBatch.find({
+      status: { $ne: 'archived' },
+      expiryDate: { $ne: null, $lte: cutoff }
+    }).sort({ expiryDate: 1 });
+
+    const results = await this.withOnHand(batches, locationId);
+
+    return {
+      asOf,
+      days: window,
+      batches: results.map(batch => ({
+        ...batch,
+        daysToExpiry: Math.ceil((batch.expiryDate - asOf) / DAY_MS),
+        expired: batch.expiryDate <= asOf
+      }))
+    };
+  }
+
+  /**
+   * Recalled batches that still have stock somewhere
+   */
+  async getRecalledOnHand({ locationId } = {}) {
+    const batches = await StockBatch.find({ status: 'quarantined' }).sort({ 'recall.recalledAt': -1 });
+    return this.withOnHand(batches, locationId);
+  }
+
+  /**
+   * Write off expired batches still on hand and post the write-offs to X3
+   * One X3 document per batch, with a line per location holding stock.
+   * A batch that fails to post is reported and left on hand.
+   * @param {object} options - { asOf, stockCode, batchId, dryRun }
+   * @param {object} user - Who asked for the write-off
+   */
+  async writeOffExpired({ asOf = new Date(), stockCode, batchId, dryRun = false } = {}, user = {}) {
+    const batches = await StockBatch.find({
+      status: { $ne: 'archived' },
+      expiryDate: { $ne: null, $lte: asOf },
+      ...(stockCode && { stockCode }),
+      ...(batchId && { batchId })
+    }).sort({ expiryDate: 1 });
+
+    const expired = await this.withOnHand(batches);
+    const summary = { asOf, dryRun, writtenOff: [], failed: [] };
+
+    if (dryRun || expired.length === 0) {
+      summary.writtenOff = expired;
+      return summary;
+    }
+
+    const locationCodes = await CrossReference.resolveMany(
+      'location',
+      expired.flatMap(batch => batch.locations.map(location => location.locationId))
+    );
+
+    for (const batch of expired) {
+      const reference = `expiry:${batch.stockCode}:${batch.batchId}:${asOf.toISOString()}`;
+
+      try {
+        const valuation = await costingService.valueOutflow(
+          reference,
+          batch.locations.map((location, index) => ({
+            line: index,
+            stockCode: batch.stockCode,
+            batchId: batch.batchId,
+            quantity: location.quantity
+          })),
+          { purpose: 'write_off' }
+        );
+
+        const response = await sageX3Client.postStockMovement({
+          documentType: 'STK_OUT',
+          movementType: 'WRITE_OFF',
+          issueType: 'EXPIRY',
+          stockCode: batch.stockCode,
+          batchId: batch.batchId,
+          expiryDate: batch.expiryDate,
+          fromStatus: batch.status === 'quarantined' ? 'Q' : 'A',
+          reason: 'expired',
+          writeOffDate: asOf,
+          costingMethod: valuation.method,
+          totalCost: valuation.totalCost,
+          lines: batch.locations.map((location, index) => ({
+            lineType: 'WRITE_OFF',
+            stockCode: batch.stockCode,
+            batchId: batch.batchId,
+            itemId: batch.itemId,
+            location: locationCodes.get(String(location.locationId)) ?? location.locationId,
+            quantity: location.quantity,
+            unitCost: valuation.lines[index]?.unitCost ?? 0,
+            value: valuation.lines[index]?.totalCost ?? 0,
+            direction: 'OUT'
+          })),
+          operator: { id: user.id, name: user.name }
+        });
+
+        valuation.movementReference = response.documentReference;
+        await valuation.save();
+
+        await this.addMovements(batch.locations.map((location, index) => ({
+          stockCode: batch.stockCode,
+          batchId: batch.batchId,
+          locationId: location.locationId,
+          locationName: location.locationName,
+          movementType: 'write_off',
+          quantity: -location.quantity,
+          unitCost: valuation.lines[index]?.unitCost,
+          totalCost: valuation.lines[index]?.totalCost,
+          reason: 'expired',
+          documentReference: response.documentReference,
+          occurredAt: new Date(),
+          recordedBy: user.id
+        })));
+
+        await AuditLog.logAction({
+          action: 'stock.written_off',
+          actor: { type: 'user', userId: user.id, userName: user.name, ipAddress: user.ipAddress },
+          details: {
+            stockCode: batch.stockCode,
+            batchId: batch.batchId,
+            expiryDate: batch.expiryDate,
+            quantity: batch.quantityOnHand,
+            totalCost: valuation.totalCost,
+            locations: batch.locations,
+            documentReference: response.documentReference
+          },
+          result: { status: 'success', message: `Expired batch ${batch.batchId} written off` },
+          category: 'sync',
+          severity: 'warning'
+        });
+
+        summary.writtenOff.push({ ...batch, totalCost: valuation.totalCost, documentReference: response.documentReference });
+      } catch (error) {
+        await costingService.cancelValuation(reference).catch(() => {});
+        logger.sageX3.error(`Expiry write-off failed for ${batch.stockCode}/${batch.batchId}:`, {
+          error: error.response?.data || error.message
+        });
+        summary.failed.push({ stockCode: batch.stockCode, batchId: batch.batchId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new StockLedgerService();
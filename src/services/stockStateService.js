@@ -0,0 +1,132 @@
+const Event = require('../models/Event');
+const StockMovement = require('../models/StockMovement');
+
+// Events that carry the stock record's id and set or change its state
+const STOCK_RECORD_EVENTS = ['stock.created', 'stock.updated', 'stock.incremented', 'stock.recalled', 'stock.archived'];
+
+// Events that move quantity by code/batch rather than by stock id
+const QUANTITY_SIGN_BY_EVENT = {
+  'stock.sold': -1,
+  'stock.dispensed': -1,
+  'stock.returned': 1
+};
+
+class StockStateService {
+  /**
+   * Rebuild the last state of a stock record that Sage X3 has seen
+   * Folds synced events for the record, then applies synced sales, dispenses and
+   * returns of the same code/batch since the last absolute quantity.
+   * @param {string} stockId - HMS stock id
+   * @param {object} options - { before: Date, excludeEventId: string }
+   * @returns {Promise<object|null>} - null when the record never reached X3
+   */
+  async getStockState(stockId, { before = new Date(), excludeEventId } = {}) {
+    const events = await Event.find({
+      eventType: { $in: STOCK_RECORD_EVENTS },
+      'rawPayload.data.id': stockId,
+      status: 'synced',
+      createdAt: { $lt: before },
+      ...(excludeEventId && { eventId: { $ne: excludeEventId } })
+    }).sort({ createdAt: 1 });
+
+    if (events.length === 0) {
+      return null;
+    }
+
+    const state = {
+      stockId,
+      quantity: 0,
+      costPrice: 0,
+      status: 'available',
+      quantitySetAt: null
+    };
+
+    for (const event of events) {
+      const data = event.rawPayload.data;
+
+      switch (event.eventType) {
+        case 'stock.created':
+          Object.assign(state, {
+            code: data.code,
+            batchId: data.batchId,
+            itemId: data.item?.id,
+            itemName: data.item?.name,
+            expiryDate: data.expiryDate,
+            quantity: data.quantity,
+            costPrice: data.costPrice,
+            quantitySetAt: event.createdAt
+          });
+          break;
+        case 'stock.updated':
+          if (data.quantity !== undefined) {
+            state.quantity = data.quantity;
+            state.quantitySetAt = event.createdAt;
+          }
+          if (data.costPrice !== undefined) state.costPrice = data.costPrice;
+          if (data.expiryDate !== undefined) state.expiryDate = data.expiryDate;
+          break;
+        case 'stock.incremented':
+          state.quantity = data.newQuantity;
+          state.quantitySetAt = event.createdAt;
+          break;
+        case 'stock.recalled':
+          state.status = 'quarantined';
+          break;
+        case 'stock.archived':
+          state.status = 'archived';
+          state.quantity = 0;
+          state.quantitySetAt = event.createdAt;
+          break;
+      }
+    }
+
+    if (state.code && state.batchId && state.status !== 'archived') {
+      state.quantity += await this.getMovementsSince(state, before, excludeEventId);
+      state.quantity -= await this.getWrittenOffSince(state, before);
+    }
+
+    return state;
+  }
+
+  /**
+   * Net quantity moved out of (or back into) a batch since its quantity was last set
+   */
+  async getMovementsSince(state, before, excludeEventId) {
+    const movements = await Event.find({
+      eventType: { $in: Object.keys(QUANTITY_SIGN_BY_EVENT) },
+      'rawPayload.data.stocks': { $elemMatch: { code: state.code, batchId: state.batchId } },
+      status: 'synced',
+      createdAt: { $gt: state.quantitySetAt, $lt: before },
+      ...(excludeEventId && { eventId: { $ne: excludeEventId } })
+    }).select('eventType rawPayload');
+
+    let net = 0;
+    for (const event of movements) {
+      for (const stock of event.rawPayload.data.stocks || []) {
+        if (stock.code === state.code && stock.batchId === state.batchId) {
+          net += QUANTITY_SIGN_BY_EVENT[event.eventType] * Number(stock.quantity || 0);
+        }
+      }
+    }
+
+    return net;
+  }
+
+  /**
+   * Quantity of the batch written off as expired through the bridge (not an
+   * HMS event) since its quantity was last set; X3 has already booked it
+   */
+  async getWrittenOffSince(state, before) {
+    const writeOffs = await StockMovement.find({
+      stockCode: state.code,
+      batchId: state.batchId,
+      movementType: 'write_off',
+      eventId: { $exists: false },
+      occurredAt: { $gt: state.quantitySetAt, $lt: before }
+    }).select('quantity');
+
+    return writeOffs.reduce((sum, movement) => sum - movement.quantity, 0);
+  }
+}
+
+module.exports = new StockStateService();
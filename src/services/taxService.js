@@ -0,0 +1,160 @@
+const logger = require('../utils/logger');
+const Configuration = require('../models/Configuration');
+const CrossReference = require('../models/CrossReference');
+const { BusinessRuleError } = require('../utils/errors');
+const { roundedDivide } = require('../utils/money');
+
+const PRICING_MODES = ['inclusive', 'exclusive'];
+
+// Rates are handled in basis points so every computation stays in integers
+const BASIS_POINTS = 10000;
+
+class TaxService {
+  /**
+   * Tax codes, assignment rules and pricing mode from configuration
+   */
+  async getTaxConfig() {
+    const [codes, assignment, pricingMode] = await Promise.all([
+      Configuration.getConfig('tax.codes', {}),
+      Configuration.getConfig('tax.assignment', {}),
+      Configuration.getConfig('tax.pricingMode', 'inclusive')
+    ]);
+
+    const normalize = (map) => Object.fromEntries(
+      Object.entries(map || {}).map(([key, value]) => [key.toLowerCase(), value])
+    );
+
+    return {
+      codes,
+      byCategory: normalize(assignment.byCategory),
+      byItemType: normalize(assignment.byItemType),
+      defaultCode: assignment.default,
+      pricingMode: PRICING_MODES.includes(pricingMode) ? pricingMode : 'inclusive'
+    };
+  }
+
+  /**
+   * Pick the tax code for a line
+   * Item cross-reference first, then category, then item type, then the default.
+   */
+  assignTaxCode(item, config, itemOverrides) {
+    const override = itemOverrides.get(String(item.variant?.sku)) || itemOverrides.get(String(item.id));
+    if (override) return override;
+
+    for (const category of item.categories || []) {
+      const code = config.byCategory[String(category.id).toLowerCase()] ||
+        config.byCategory[String(category.name).toLowerCase()];
+      if (code) return code;
+    }
+
+    return config.byItemType[String(item.type).toLowerCase()] || config.defaultCode;
+  }
+
+  /**
+   * Split a line amount into net, tax and gross (all in subunits)
+   */
+  computeLine(amount, rateBasisPoints, pricingMode) {
+    if (pricingMode === 'inclusive') {
+      const netAmount = roundedDivide(amount * BASIS_POINTS, BASIS_POINTS + rateBasisPoints);
+      return { netAmount, taxAmount: amount - netAmount, grossAmount: amount };
+    }
+
+    const taxAmount = roundedDivide(amount * rateBasisPoints, BASIS_POINTS);
+    return { netAmount: amount, taxAmount, grossAmount: amount + taxAmount };
+  }
+
+  /**
+   * Compute tax for every line of a document and the per-code summary
+   * Line tax is what gets posted; the summary also computes tax on each code's
+   * total so the rounding difference between the two can be reported.
+   * @param {object[]} items - HMS items with `total` in subunits
+   * @returns {Promise<object>} - { items (with .tax), pricingMode, summary, net/tax/grossAmount, roundingDifference }
+   */
+  async computeDocument(items) {
+    const config = await this.getTaxConfig();
+
+    const overrideIds = items.flatMap(item => [item.id, item.variant?.sku].filter(Boolean));
+    const itemOverrides = overrideIds.length > 0
+      ? await CrossReference.resolveMany('taxCode', overrideIds, { wildcard: false })
+      : new Map();
+
+    const unknown = new Set();
+    const summaryByCode = new Map();
+
+    const taxedItems = items.map(item => {
+      const taxCode = this.assignTaxCode(item, config, itemOverrides);
+      const definition = config.codes[taxCode];
+
+      if (!definition) {
+        unknown.add(`${taxCode || '(none)'} for item ${item.id}`);
+        return item;
+      }
+
+      const rateBasisPoints = Math.round(Number(definition.rate || 0) * 100);
+      const amounts = this.computeLine(Math.round(item.total), rateBasisPoints, config.pricingMode);
+
+      if (!summaryByCode.has(taxCode)) {
+        summaryByCode.set(taxCode, {
+          taxCode,
+          x3TaxCode: definition.x3Code || taxCode,
+          rate: Number(definition.rate || 0),
+          rateBasisPoints,
+          netAmount: 0,
+          taxAmount: 0,
+          grossAmount: 0
+        });
+      }
+      const summary = summaryByCode.get(taxCode);
+      summary.netAmount += amounts.netAmount;
+      summary.taxAmount += amounts.taxAmount;
+      summary.grossAmount += amounts.grossAmount;
+
+      return {
+        ...item,
+        tax: {
+          taxCode,
+          x3TaxCode: definition.x3Code || taxCode,
+          rate: Number(definition.rate || 0),
+          ...amounts
+        }
+      };
+    });
+
+    if (unknown.size > 0) {
+      throw new BusinessRuleError(
+        `No tax code configured: ${[...unknown].join(', ')}`,
+        { unknownTaxCodes: [...unknown] }
+      );
+    }
+
+    const summary = [...summaryByCode.values()].map(({ rateBasisPoints, ...entry }) => {
+      const base = config.pricingMode === 'inclusive' ? entry.grossAmount : entry.netAmount;
+      const headerTaxAmount = this.computeLine(base, rateBasisPoints, config.pricingMode).taxAmount;
+      return { ...entry, headerTaxAmount, roundingDifference: headerTaxAmount - entry.taxAmount };
+    });
+
+    const total = (key) => summary.reduce((sum, entry) => sum + entry[key], 0);
+    const result = {
+      items: taxedItems,
+      pricingMode: config.pricingMode,
+      pricesIncludeTax: config.pricingMode === 'inclusive',
+      summary,
+      netAmount: total('netAmount'),
+      taxAmount: total('taxAmount'),
+      grossAmount: total('grossAmount'),
+      roundingDifference: total('roundingDifference')
+    };
+
+    if (result.roundingDifference !== 0) {
+      logger.transformation.warn('Tax rounding difference between line and header totals', {
+        roundingDifference: result.roundingDifference,
+        byCode: summary.filter(entry => entry.roundingDifference !== 0)
+          .map(entry => ({ taxCode: entry.taxCode, roundingDifference: entry.roundingDifference }))
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new TaxService();
@@ -1,303 +1,317 @@
-
 const logger = require('../utils/logger');
+const mappingEngine = require('./mappingEngine');
+const stockStateService = require('./stockStateService');
+const taxService = require('./taxService');
+const currencyService = require('./currencyService');
+const sponsorSplitService = require('./sponsorSplitService');
+const dimensionService = require('./dimensionService');
+const { BusinessRuleError } = require('../utils/errors');
 
 class TransformationService {
   constructor() {
     this.currencyDivisor = parseInt(process.env.SAGE_CURRENCY_DIVISOR || '100');
+    // Amounts are in subunits of the document currency when one was derived, else the ledger's
+    mappingEngine.registerTransform('currency', (amount, scope) =>
+      amount / (scope.root.derived.currency?.divisor || this.currencyDivisor)
+    );
   }
   
   convertCurrency(amount) {
     return amount / this.currencyDivisor;
   }
   
-  transformInvoiceCreated(payload) {
-    const { data } = payload;
-    const lineItems = data.items.map((item, index) => ({
-      lineNumber: index + 1,
-      itemCode: item.variant?.sku || item.id,
-      itemDescription: item.name,
-      quantity: item.quantity,
-      unitPrice: this.convertCurrency(item.price),
-      lineTotal: this.convertCurrency(item.total || (item.price * item.quantity)),
-      itemId: item.id,
-      itemType: item.type || 'unknown',
-      ...(item.variant && {
-        variantId: item.variant.id,
-        variantTitle: item.variant.title,
-        variantSku: item.variant.sku
-      }),
-      ...(item.consultant && {
-        consultantId: item.consultant.id,
-        consultantName: item.consultant.name
-      })
+  /**
+   * Currency, subunit divisor and ledger rate in effect on the document date
+   */
+  resolveCurrency(payload, context) {
+    const documentDate = new Date(payload.data.timestamp);
+    const date = isNaN(documentDate) ? (context.receivedAt || new Date()) : documentDate;
+    return currencyService.resolve(context.currencyCode, date);
+  }
+  
+  /*
+   * Derivers compute what a mapping cannot express (totals, prior stock state).
+   * Their result is available to the mapping document as $.derived.
+   */
+  
+  // HMS only sends a line total on some items
+  withLineTotals(items) {
+    return (items || []).map(item => ({
+      ...item,
+      total: item.total || (item.price * item.quantity)
     }));
+  }
+  
+  // Lines carry their tax under item.tax and dimensions under item.dimensions; totals come from the lines
+  async deriveInvoiceTotals(payload, context) {
+    const currency = await this.resolveCurrency(payload, context);
+    const { items: taxedItems, ...tax } = await taxService.computeDocument(this.withLineTotals(payload.data.items));
+    const { items, dimensions } = await dimensionService.applyToItems(taxedItems);
     
-    const totalAmount = lineItems.reduce((sum, item) => sum + item.lineTotal, 0);
+    // Sponsored patients get one receivable per covering sponsor plus their own portion
+    const split = await sponsorSplitService.computeSplit(items, payload.data.patient?.sponsors, {
+      invoiceId: payload.data.id,
+      divisor: currency.divisor,
+      pricesIncludeTax: tax.pricesIncludeTax
+    });
+    const withLedgerTotal = (portion) => ({
+      ...portion,
+      ledgerTotalAmount: currencyService.toLedger(portion.grossAmount, currency)
+    });
     
     return {
-      documentType: 'SI',
-      invoiceId: data.id,
-      invoiceNumber: data.id,
-      isProforma: data.proforma || false,
-      invoiceDate: data.timestamp || new Date().toISOString(),
-      customerReference: data.patient.mrn,
-      customerName: data.patient.name,
-      customerId: data.patient.id,
-      customerPhone: data.patient.phoneNumber || '',
-      customerEmail: data.patient.email || '',
-      lineItems,
-      subtotal: totalAmount,
-      taxAmount: 0,
-      totalAmount,
-      currency: 'NGN',
-      operator: data.operator,
-      metadata: payload.metadata || {}
+      items,
+      tax,
+      dimensions,
+      split: split && {
+        patient: withLedgerTotal(split.patient),
+        sponsors: split.sponsors.map(withLedgerTotal)
+      },
+      currency: {
+        ...currency,
+        ledgerTotalAmount: currencyService.toLedger(tax.grossAmount, currency),
+        ledgerTaxAmount: currencyService.toLedger(tax.taxAmount, currency)
+      }
     };
   }
   
-  transformInvoiceUpdated(payload) {
-    return this.transformInvoiceCreated({
-      event: 'invoice.created',
-      data: { ...payload.data, proforma: true },
-      metadata: payload.metadata
-    });
+  // Claims are the part of the tenders a sponsor paid; the rest is the patient's
+  async derivePaymentTotals(payload, context) {
+    const currency = await this.resolveCurrency(payload, context);
+    const { items: taxedItems, ...tax } = await taxService.computeDocument(this.withLineTotals(payload.data.items));
+    const { items, dimensions } = await dimensionService.applyToItems(taxedItems);
+    const totalPaid = (payload.data.payments || []).reduce((sum, p) => sum + p.amount, 0);
+    const claimsTotal = (payload.data.claims || []).reduce((sum, claim) => sum + claim.amount, 0);
+    
+    if (claimsTotal > totalPaid) {
+      throw new BusinessRuleError(
+        `Claims total ${claimsTotal} exceeds the amount paid ${totalPaid}`,
+        { claimsTotal, totalPaid }
+      );
+    }
+    
+    return {
+      items,
+      tax,
+      dimensions,
+      totalPaid,
+      patientAmount: totalPaid - claimsTotal,
+      currency: {
+        ...currency,
+        ledgerAmount: currencyService.toLedger(totalPaid, currency)
+      }
+    };
   }
   
-  transformInvoiceCancelled(payload) {
+  async deriveStockValue(payload, context) {
     return {
-      documentType: 'CN',
-      originalInvoiceId: payload.data.id,
-      cancellationReason: payload.data.reason,
-      cancellationDate: payload.data.timestamp || new Date().toISOString(),
-      operator: payload.data.operator,
-      metadata: payload.metadata || {}
+      totalValue: payload.data.costPrice * payload.data.quantity,
+      currency: await currencyService.resolveUnits(context.currencyCode)
     };
   }
   
-  // Payment transformation for actual payload structure
-  transformPaymentCreated(payload) {
-    const { data } = payload;
+  deriveReturnItems(payload) {
+    if (!payload?.data) {
+      throw new Error('Invalid payload: missing data object');
+    }
     
-    // Items, patient, operator are directly in data (NOT in invoice object)
-    const lineItems = data.items.map((item, index) => ({
-      lineNumber: index + 1,
-      itemCode: item.variant?.sku || item.id,
-      itemDescription: item.name,
-      quantity: item.quantity,
-      unitPrice: this.convertCurrency(item.price),
-      lineTotal: this.convertCurrency(item.total || (item.price * item.quantity)),
-      itemId: item.id,
-      itemType: item.type || 'unknown'
-    }));
+    const data = payload.data;
     
-    const primaryPayment = data.payments[0];
-    const totalPaid = data.payments.reduce((sum, p) => sum + p.amount, 0);
+    // Normalize possible stock array sources
+    const items = data.stocks || data.items || data.returnItems || [];
+    
+    if (!Array.isArray(items)) {
+      throw new Error('Invalid payload: stock items must be an array');
+    }
     
     return {
-      documentType: 'PAY',
-      paymentId: data.id,
-      paymentDate: data.timestamp || new Date().toISOString(),
-      amount: this.convertCurrency(totalPaid),
-      currency: 'NGN',
-      paymentMethod: this.mapPaymentMethod(primaryPayment.method),
-      paymentReference: primaryPayment.paymentReference || '',
-      provider: primaryPayment.provider || '',
-      
-      // Customer details from data.patient (not data.invoice.patient)
-      customerReference: data.patient.mrn,
-      customerName: data.patient.name,
-      customerId: data.patient.id,
-      customerEmail: data.patient.email || '',
-      customerPhone: data.patient.phoneNumber || '',
-      
-      lineItems,
-      
-      allPayments: data.payments.map(p => ({
-        id: p.id,
-        amount: this.convertCurrency(p.amount),
-        method: this.mapPaymentMethod(p.method),
-        reference: p.paymentReference || '',
-        operator: p.operator || data.operator
-      })),
-      
-      operator: primaryPayment.operator || data.operator,
-      metadata: { 
-        ...payload.metadata, 
-        claims: data.claims || [], 
-        timestamp: data.timestamp 
-      }
+      items,
+      returnId: data.id || `RET_${Date.now()}`
     };
   }
   
-  mapPaymentMethod(hmsMethod) {
-    const map = {
-      'wallet': 'WALLET', 'cash': 'CASH', 'pos': 'CARD',
-      'transfer': 'BANK_TRANSFER', 'cheque': 'CHEQUE',
-      'direct-lodgement': 'DIRECT_DEPOSIT'
-    };
-    return map[hmsMethod] || 'OTHER';
+  /**
+   * Last state of a stock record as X3 knows it
+   * Adjustments are posted as deltas, so without it nothing can be computed.
+   */
+  async getPriorStockState(stockId, context) {
+    const state = await stockStateService.getStockState(stockId, {
+      before: context.receivedAt || new Date(),
+      excludeEventId: context.eventId
+    });
+    
+    if (!state) {
+      throw new Error(`Stock ${stockId} has no synced stock.created event; cannot compute the adjustment`);
+    }
+    
+    return state;
   }
   
-  transformPaymentCancelled(payload) {
+  // Stock costs are subunits of the stock currency (the ledger's unless the mapping names one)
+  buildStockLine(state, lineType, quantity, costPrice, currency) {
     return {
-      documentType: 'PAY_REV',
-      originalPaymentId: payload.data.id,
-      cancellationReason: payload.data.reason,
-      cancellationDate: payload.data.timestamp || new Date().toISOString(),
-      operator: payload.data.operator,
-      metadata: payload.metadata || {}
+      lineType,
+      stockCode: state.code,
+      batchId: state.batchId,
+      itemId: state.itemId,
+      quantity,
+      unitCost: currencyService.toMajor(costPrice, currency),
+      value: currencyService.toMajor(costPrice * quantity, currency)
     };
   }
   
-  transformItemCreated(payload) {
+  // Stock take / manual edit: post the difference, and revalue if the cost changed
+  async deriveStockUpdate(payload, context) {
     const { data } = payload;
+    const state = await this.getPriorStockState(data.id, context);
+    const currency = await currencyService.resolveUnits(context.currencyCode);
+    const lines = [];
+    
+    const quantityDelta = data.quantity !== undefined ? data.quantity - state.quantity : 0;
+    if (quantityDelta !== 0) {
+      lines.push({
+        ...this.buildStockLine(state, 'QUANTITY_ADJUSTMENT', Math.abs(quantityDelta), data.costPrice ?? state.costPrice, currency),
+        direction: quantityDelta > 0 ? 'IN' : 'OUT',
+        previousQuantity: state.quantity,
+        newQuantity: data.quantity
+      });
+    }
+    
+    if (data.costPrice !== undefined && data.costPrice !== state.costPrice) {
+      const quantity = data.quantity ?? state.quantity;
+      lines.push({
+        ...this.buildStockLine(state, 'REVALUATION', quantity, data.costPrice, currency),
+        previousUnitCost: currencyService.toMajor(state.costPrice, currency),
+        revaluationAmount: currencyService.toMajor((data.costPrice - state.costPrice) * quantity, currency)
+      });
+    }
+    
     return {
-      documentType: 'ITEM',
-      itemId: data.id,
-      itemName: data.name,
-      itemType: data.type === 'product' ? 'STOCK' : 'SERVICE',
-      categories: (data.categories || []).map(cat => ({ id: cat.id, name: cat.name })),
-      unitOfSale: data.unitOfSale || '',
-      unitOfPurchase: data.unitOfPurchase || '',
-      attributes: data.attributes || {},
-      createdDate: data.timestamp || new Date().toISOString(),
-      operator: data.operator || { id: 'system', name: 'System' },
-      metadata: payload.metadata || {}
+      stockCode: state.code,
+      batchId: state.batchId,
+      currency,
+      movementType: lines[0]?.lineType === 'REVALUATION' ? 'REVALUATION' : 'ADJUSTMENT',
+      lines,
+      noChange: lines.length === 0
     };
   }
   
-  transformStockCreated(payload) {
+  // Additional receipt into an existing batch
+  async deriveStockIncrement(payload, context) {
     const { data } = payload;
+    const state = await this.getPriorStockState(data.id, context);
+    const currency = await currencyService.resolveUnits(context.currencyCode);
+    const lines = [{
+      ...this.buildStockLine(state, 'RECEIPT', data.quantityAdded, state.costPrice, currency),
+      direction: 'IN'
+    }];
+    
+    // HMS reports the resulting quantity; correct any drift the receipt alone would not explain
+    const drift = data.newQuantity - (state.quantity + data.quantityAdded);
+    if (drift !== 0) {
+      lines.push({
+        ...this.buildStockLine(state, 'QUANTITY_ADJUSTMENT', Math.abs(drift), state.costPrice, currency),
+        direction: drift > 0 ? 'IN' : 'OUT',
+        previousQuantity: state.quantity + data.quantityAdded,
+        newQuantity: data.newQuantity
+      });
+    }
+    
     return {
-      documentType: 'STK_IN',
-      stockId: data.id,
-      batchId: data.batchId,
-      stockCode: data.code,
-      itemId: data.item.id,
-      itemName: data.item.name,
-      quantity: data.quantity,
-      costPrice: this.convertCurrency(data.costPrice),
-      totalValue: this.convertCurrency(data.costPrice * data.quantity),
-      expiryDate: data.expiryDate,
-      supplierId: data.supplier.id,
-      supplierName: data.supplier.name,
-      ...(data.variant && {
-        variantId: data.variant.id,
-        variantTitle: data.variant.title,
-        variantSku: data.variant.sku
-      }),
-      receiptDate: data.timestamp || new Date().toISOString(),
-      operator: data.operator || { id: 'system', name: 'System' },
-      metadata: { ...payload.metadata, timestamp: data.timestamp }
+      stockCode: state.code,
+      batchId: state.batchId,
+      currency,
+      lines,
+      noChange: data.quantityAdded === 0 && drift === 0
     };
   }
   
-  transformStockTransferred(payload) {
+  // Recall: move the remaining batch quantity from available to quarantine status
+  async deriveStockRecall(payload, context) {
+    const state = await this.getPriorStockState(payload.data.id, context);
+    const currency = await currencyService.resolveUnits(context.currencyCode);
+    const quantity = Math.max(state.quantity, 0);
+    
     return {
-      documentType: 'STK_TRF',
-      fromLocation: payload.data.from,
-      toLocation: payload.data.to,
-      comment: payload.data.comment || '',
-      transferDate: payload.data.timestamp || new Date().toISOString(),
-      items: payload.data.stocks.map(s => ({ stockCode: s.code, batchId: s.batchId, quantity: s.quantity })),
-      operator: payload.data.operator || { id: 'system', name: 'System' },
-      metadata: payload.metadata || {}
+      stockCode: state.code,
+      batchId: state.batchId,
+      currency,
+      lines: quantity > 0 ? [this.buildStockLine(state, 'STATUS_CHANGE', quantity, state.costPrice, currency)] : [],
+      noChange: quantity === 0 || state.status === 'quarantined'
     };
   }
   
-  transformStockSold(payload) {
+  // Archive: write off whatever quantity is left (quarantined stock included)
+  async deriveStockWriteOff(payload, context) {
+    const state = await this.getPriorStockState(payload.data.id, context);
+    const currency = await currencyService.resolveUnits(context.currencyCode);
+    const quantity = Math.max(state.quantity, 0);
+    
     return {
-      documentType: 'STK_OUT',
-      issueType: 'SALE',
-      issueId: payload.data.id,
-      billId: payload.data.bill,
-      fromLocation: payload.data.from,
-      issueDate: payload.data.timestamp || new Date().toISOString(),
-      items: payload.data.stocks.map(s => ({ stockCode: s.code, batchId: s.batchId, quantity: s.quantity })),
-      operator: payload.data.operator || { id: 'system', name: 'System' },
-      metadata: payload.metadata || {}
+      stockCode: state.code,
+      batchId: state.batchId,
+      currency,
+      quarantined: state.status === 'quarantined',
+      lines: quantity > 0 ? [{ ...this.buildStockLine(state, 'WRITE_OFF', quantity, state.costPrice, currency), direction: 'OUT' }] : [],
+      noChange: quantity === 0
     };
   }
   
-  transformStockDispensed(payload) {
-    return {
-      documentType: 'STK_OUT',
-      issueType: payload.data.purpose?.toUpperCase() || 'DISPENSED',
-      issueId: payload.data.id,
-      billId: payload.data.bill || '',
-      toRecipient: { ...payload.data.to, mrn: payload.data.to.mrn || '' },
-      fromLocation: payload.data.from,
-      issueDate: payload.data.timestamp || new Date().toISOString(),
-      items: payload.data.stocks.map(s => ({ stockCode: s.code, batchId: s.batchId, quantity: s.quantity })),
-      operator: payload.data.operator || { id: 'system', name: 'System' },
-      metadata: payload.metadata || {}
+  /**
+   * Run the event type's deriver, then apply a mapping document
+   */
+  async applyMapping(eventType, payload, document, context = {}) {
+    const derivers = {
+      'invoice.created': this.deriveInvoiceTotals,
+      'invoice.updated': this.deriveInvoiceTotals,
+      'payment.created': this.derivePaymentTotals,
+      'stock.created': this.deriveStockValue,
+      'stock.updated': this.deriveStockUpdate,
+      'stock.incremented': this.deriveStockIncrement,
+      'stock.recalled': this.deriveStockRecall,
+      'stock.archived': this.deriveStockWriteOff,
+      'stock.returned': this.deriveReturnItems
     };
+    
+    // Document currency comes from the mapping when it says so, else the payload
+    const currencyCode = document.currency !== undefined
+      ? await mappingEngine.evaluate(document.currency, payload, document.lookups)
+      : payload?.data?.currency;
+    
+    const deriver = derivers[eventType];
+    const derived = deriver ? await deriver.call(this, payload, { ...context, currencyCode }) : {};
+    
+    // Stock postings are charged to the cost centre of the location involved
+    if (eventType.startsWith('stock.')) {
+      Object.assign(derived, await dimensionService.resolveStockPosting(eventType, payload, derived));
+    }
+    
+    return mappingEngine.apply(document, payload, derived);
   }
   
- transformStockReturned(payload) {
-  if (!payload?.data) {
-    throw new Error('Invalid payload: missing data object');
-  }
-
-  const data = payload.data;
-
-  // Normalize possible stock array sources
-  const stockArray =
-    data.stocks ||
-    data.items ||
-    data.returnItems ||
-    [];
-
-  if (!Array.isArray(stockArray)) {
-    throw new Error('Invalid payload: stock items must be an array');
-  }
-
-  return {
-    documentType: 'STK_RET',
-    returnId: data.id || `RET_${Date.now()}`,
-    reason: data.reason || 'unspecified',
-    fromLocation: data.from || null,
-    toLocation: data.to || null,
-    returnDate: data.timestamp || new Date().toISOString(),
-
-    items: stockArray.map(s => ({
-      stockCode: s.code || s.stockCode || 'UNKNOWN',
-      batchId: s.batchId || null,
-      quantity: Number(s.quantity || 0)
-    })),
-
-    operator: data.operator || { id: 'system', name: 'System' },
-    metadata: payload.metadata || {}
-  };
-}
-
-  
-  transform(eventType, payload) {
+  /**
+   * Transform an HMS payload with the active mapping for its event type
+   * @returns {Promise<object>} - { data, mapping: { key, version } }; version 0 is the built-in default
+   */
+  async transform(eventType, payload, context = {}) {
     logger.transformation.info(`Transforming event: ${eventType}`);
     
     try {
-      const transformers = {
-        'invoice.created': this.transformInvoiceCreated,
-        'invoice.updated': this.transformInvoiceUpdated,
-        'invoice.cancelled': this.transformInvoiceCancelled,
-        'payment.created': this.transformPaymentCreated,
-        'payment.cancelled': this.transformPaymentCancelled,
-        'item.created': this.transformItemCreated,
-        'stock.created': this.transformStockCreated,
-        'stock.transferred': this.transformStockTransferred,
-        'stock.sold': this.transformStockSold,
-        'stock.dispensed': this.transformStockDispensed,
-        'stock.returned': this.transformStockReturned
-      };
-      
-      const transformer = transformers[eventType];
-      if (!transformer) {
+      const mapping = await mappingEngine.getMapping(eventType);
+      if (!mapping) {
         throw new Error(`Unsupported event type: ${eventType}`);
       }
       
-      const transformed = transformer.call(this, payload);
-      logger.transformation.info(`Successfully transformed event: ${eventType}`);
-      return transformed;
+      const data = await this.applyMapping(eventType, payload, mapping.document, context);
+      
+      logger.transformation.info(`Successfully transformed event: ${eventType}`, {
+        mappingVersion: mapping.version
+      });
+      
+      return {
+        data,
+        mapping: { key: mapping.key, version: mapping.version }
+      };
       
     } catch (error) {
       logger.transformation.error(`Transformation failed for ${eventType}:`, error);
@@ -306,4 +320,4 @@ class TransformationService {
   }
 }
 
-module.exports = new TransformationService();
\ No newline at end of file
+module.exports = new TransformationService();
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const Configuration = require('../models/Configuration');
+const AuditLog = require('../models/AuditLog');
+const { BusinessRuleError } = require('../utils/errors');
+const { fingerprint } = require('../utils/encryption');
+
+// One sensitive (so encrypted) Configuration entry per secret: "webhook.signingSecrets.<id>"
+// Lifecycle: next (staged ahead of a rotation) -> active -> previous (accepted
+// until its grace ends) -> retired
+const KEY_PREFIX = 'webhook.signingSecrets.';
+
+const DEFAULT_GRACE_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Secrets are read on every delivery; changes made here clear the cache at once
+const CACHE_TTL_MS = 30 * 1000;
+
+// Used until the first secret is stored in Configuration
+const ENV_SECRET_ID = 'env';
+
+class WebhookSecretService {
+  constructor() {
+    this.cache = null;
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+
+  async getGraceHours() {
+    const hours = Number(await Configuration.getConfig('webhook.secretGraceHours', DEFAULT_GRACE_HOURS));
+    return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GRACE_HOURS;
+  }
+
+  /**
+   * Stored secret entries, newest first (retired ones included)
+   */
+  async findEntries() {
+    return Configuration.find({ key: { $regex: `^${KEY_PREFIX.replace(/\./g, '\\.')}` } }).sort({ createdAt: -1 });
+  }
+
+  idOf(entry) {
+    return entry.key.slice(KEY_PREFIX.length);
+  }
+
+  isValid(value, now = new Date()) {
+    if (value.status === 'active' || value.status === 'next') return true;
+    return value.status === 'previous' && new Date(value.graceUntil) > now;
+  }
+
+  /**
+   * Secrets a delivery may be signed with, decrypted
+   * Active and staged secrets always, previous ones until their grace ends.
+   * Falls back to SVIX_WEBHOOK_SECRET while nothing is stored.
+   * @returns {Promise<object[]>} - { id, status, secret }
+   */
+  async getValidSecrets(now = new Date()) {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.secrets.filter(entry => entry.validUntil === undefined || entry.validUntil > now);
+    }
+
+    const entries = await this.findEntries();
+    const secrets = [];
+
+    let stored = false;
+
+    for (const entry of entries) {
+      if (!entry.active) continue;
+      try {
+        const value = entry.getValue();
+        stored = stored || value.status === 'active';
+        if (!this.isValid(value, now)) continue;
+
+        secrets.push({
+          id: this.idOf(entry),
+          status: value.status,
+          secret: value.secret,
+          validUntil: value.status === 'previous' ? new Date(value.graceUntil) : undefined
+        });
+      } catch (error) {
+        logger.webhook.error(`Cannot decrypt webhook signing secret ${this.idOf(entry)}: ${error.message}`);
+      }
+    }
+
+    if (!stored && process.env.SVIX_WEBHOOK_SECRET) {
+      secrets.push({ id: ENV_SECRET_ID, status: 'active', secret: process.env.SVIX_WEBHOOK_SECRET });
+    }
+
+    this.cache = { secrets, expiresAt: Date.now() + CACHE_TTL_MS };
+    return secrets;
+  }
+
+  /**
+   * Secrets without their values, for the admin listing
+   */
+  async listSecrets(now = new Date()) {
+    const entries = await this.findEntries();
+    const listed = entries.map(entry => {
+      const { secret, ...value } = entry.getValue();
+      return {
+        id: this.idOf(entry),
+        ...value,
+        valid: entry.active && this.isValid(value, now)
+      };
+    });
+
+    const stored = listed.some(entry => entry.valid && entry.status === 'active');
+    if (!stored && process.env.SVIX_WEBHOOK_SECRET) {
+      listed.unshift({
+        id: ENV_SECRET_ID,
+        status: 'active',
+        fingerprint: fingerprint(process.env.SVIX_WEBHOOK_SECRET),
+        valid: true,
+        source: 'environment'
+      });
+    }
+
+    return listed;
+  }
+
+  assertSecretFormat(secret) {
+    if (typeof secret !== 'string' || !secret.startsWith('whsec_') || secret.length < 20) {
+      throw new BusinessRuleError('Signing secret must be a Svix secret starting with "whsec_"');
+    }
+  }
+
+  /**
+   * Store a secret entry; Configuration encrypts it as a sensitive value
+   */
+  async storeSecret(secret, value, user) {
+    const id = `sec_${crypto.randomBytes(6).toString('hex')}`;
+
+    await Configuration.create({
+      key: `${KEY_PREFIX}${id}`,
+      category: 'security',
+      value: {
+        ...value,
+        secret,
+        fingerprint: fingerprint(secret),
+        createdAt: new Date(),
+        createdBy: user.id
+      },
+      valueType: 'object',
+      description: 'Svix signing secret for the Indigo HMS webhook endpoint',
+      sensitive: true,
+      lastModified: { by: user.id, at: new Date(), reason: `Signing secret ${value.status}` }
+    });
+
+    return id;
+  }
+
+  async updateStatus(entry, changes, user, reason) {
+    await entry.updateValue({ ...entry.getValue(), ...changes }, user.id, reason);
+  }
+
+  /**
+   * Stage the secret the endpoint will be switched to; it is accepted right away
+   * so deliveries signed with it pass before the rotation is completed.
+   */
+  async stageSecret(secret, user) {
+    this.assertSecretFormat(secret);
+
+    const entries = await this.findEntries();
+    if (entries.some(entry => entry.active && entry.getValue().status === 'next')) {
+      throw new BusinessRuleError('A secret is already staged; rotate to it or retire it first');
+    }
+    this.assertNotKnown(entries, secret);
+
+    const id = await this.storeSecret(secret, { status: 'next' }, user);
+    await this.audit('stage', { id, fingerprint: fingerprint(secret) }, user);
+    this.clearCache();
+
+    return id;
+  }
+
+  assertNotKnown(entries, secret) {
+    const print = fingerprint(secret);
+    if (entries.some(entry => entry.active && entry.getValue().fingerprint === print)) {
+      throw new BusinessRuleError('This secret is already stored');
+    }
+  }
+
+  /**
+   * Make a new secret active; the current one stays valid for the grace window
+   * Uses the given secret, else the staged one. A secret still read from the
+   * environment is stored as previous so deliveries signed with it keep passing.
+   * @param {object} options - { secret, graceHours }
+   */
+  async rotate({ secret, graceHours } = {}, user) {
+    const entries = await this.findEntries();
+    const staged = entries.find(entry => entry.active && entry.getValue().status === 'next');
+
+    if (!secret && !staged) {
+      throw new BusinessRuleError('No secret given and none staged');
+    }
+    if (secret) {
+      this.assertSecretFormat(secret);
+      this.assertNotKnown(entries, secret);
+    }
+
+    const grace = graceHours !== undefined ? Number(graceHours) : await this.getGraceHours();
+    if (!Number.isFinite(grace) || grace < 0) {
+      throw new BusinessRuleError('graceHours must be a non-negative number');
+    }
+
+    const now = new Date();
+    const graceUntil = new Date(now.getTime() + grace * HOUR_MS);
+    const current = entries.filter(entry => entry.active && entry.getValue().status === 'active');
+
+    for (const entry of current) {
+      await this.updateStatus(entry, { status: 'previous', graceUntil }, user, 'Rotated out');
+    }
+    if (current.length === 0 && process.env.SVIX_WEBHOOK_SECRET) {
+      await this.storeSecret(process.env.SVIX_WEBHOOK_SECRET, { status: 'previous', graceUntil }, user);
+    }
+
+    let id;
+    if (secret) {
+      id = await this.storeSecret(secret, { status: 'active', activatedAt: now }, user);
+    } else {
+      id = this.idOf(staged);
+      await this.updateStatus(staged, { status: 'active', activatedAt: now }, user, 'Rotated in');
+    }
+
+    await this.audit('rotate', {
+      id,
+      fingerprint: secret ? fingerprint(secret) : staged.getValue().fingerprint,
+      fromStaged: !secret,
+      previous: current.map(entry => this.idOf(entry)),
+      graceUntil
+    }, user);
+    this.clearCache();
+
+    return { id, graceUntil };
+  }
+
+  /**
+   * Stop accepting a previous or staged secret before its time
+   * The active secret cannot be retired; rotate away from it first.
+   * @returns {Promise<boolean>} - False when no such secret
+   */
+  async retire(id, user) {
+    const entry = await Configuration.findOne({ key: `${KEY_PREFIX}${id}` });
+    if (!entry) {
+      return false;
+    }
+    if (entry.getValue().status === 'active') {
+      throw new BusinessRuleError('The active secret cannot be retired; rotate to a new one first');
+    }
+    if (entry.getValue().status === 'retired') {
+      throw new BusinessRuleError('Secret is already retired');
+    }
+
+    const wasStatus = entry.getValue().status;
+    entry.active = false;
+    await this.updateStatus(entry, { status: 'retired', retiredAt: new Date(), retiredBy: user.id }, user, 'Retired');
+    await this.audit('retire', { id, fingerprint: entry.getValue().fingerprint, wasStatus }, user);
+    this.clearCache();
+
+    return true;
+  }
+
+  async audit(operation, details, user) {
+    await AuditLog.logAction({
+      action: 'config.updated',
+      actor: {
+        type: 'user',
+        userId: user.id,
+        userName: user.name,
+        ipAddress: user.ipAddress
+      },
+      details: {
+        key: 'webhook.signingSecrets',
+        operation,
+        ...details
+      },
+      result: {
+        status: 'success',
+        message: `Webhook signing secret ${details.id}: ${operation}`
+      },
+      category: 'security',
+      severity: 'warning'
+    });
+  }
+}
+
+module.exports = new WebhookSecretService();
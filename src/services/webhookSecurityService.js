@@ -0,0 +1,125 @@
+const logger = require('../utils/logger');
+const Configuration = require('../models/Configuration');
+const AuditLog = require('../models/AuditLog');
+const WebhookReceipt = require('../models/WebhookReceipt');
+const webhookSecretService = require('./webhookSecretService');
+const { REJECTION_REASONS, verifyWebhookSignature } = require('../utils/webhookHelper');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const REJECTION_MESSAGES = {
+  missing_headers: 'Missing Svix headers',
+  not_configured: 'Webhook secret not configured',
+  bad_signature: 'Invalid webhook signature',
+  stale: 'Webhook timestamp outside the allowed window',
+  replay: 'Webhook delivery already received'
+};
+
+class WebhookSecurityService {
+  constructor() {
+    this.resetCounters();
+  }
+
+  resetCounters() {
+    this.rejections = Object.fromEntries(REJECTION_REASONS.map(reason => [reason, 0]));
+    this.countingSince = new Date();
+    this.lastRejection = null;
+  }
+
+  /**
+   * Allowed distance between svix-timestamp and our clock, in seconds
+   */
+  async getToleranceSeconds() {
+    const tolerance = Number(await Configuration.getConfig('webhook.timestampTolerance', DEFAULT_TOLERANCE_SECONDS));
+    return Number.isFinite(tolerance) && tolerance > 0 ? tolerance : DEFAULT_TOLERANCE_SECONDS;
+  }
+
+  /**
+   * Check a delivery's signature, timestamp window and that it was not seen before
+   * The delivery is remembered for twice the tolerance: anything older is stale.
+   * @param {string} rawBody - Body exactly as received
+   * @param {object} headers - svix-id, svix-timestamp, svix-signature
+   * @returns {Promise<object>} - { payload, secretId } when accepted, else { reason, message, details }
+   */
+  async verifyDelivery(rawBody, headers, { sourceIp, now = Date.now() } = {}) {
+    const secrets = await webhookSecretService.getValidSecrets(new Date(now));
+    const result = verifyWebhookSignature(rawBody, headers, secrets);
+    if (result.reason) {
+      return this.rejection(result.reason);
+    }
+
+    const tolerance = await this.getToleranceSeconds();
+    const timestamp = parseInt(headers['svix-timestamp'], 10);
+    const skewSeconds = Math.round(now / 1000) - timestamp;
+
+    if (Math.abs(skewSeconds) > tolerance) {
+      return this.rejection('stale', { skewSeconds, toleranceSeconds: tolerance });
+    }
+
+    const firstSeen = await WebhookReceipt.recordDelivery(headers['svix-id'], timestamp, tolerance * 2, sourceIp);
+    if (!firstSeen) {
+      return this.rejection('replay');
+    }
+
+    return { payload: result.payload, secretId: result.secretId };
+  }
+
+  rejection(reason, details = {}) {
+    return { reason, message: REJECTION_MESSAGES[reason], details };
+  }
+
+  /**
+   * Count a rejected delivery and audit it under the security category
+   * Audit failures are logged, never thrown, so the sender still gets its answer.
+   */
+  async recordRejection(rejection, { headers = {}, ipAddress, userAgent } = {}) {
+    this.rejections[rejection.reason] = (this.rejections[rejection.reason] || 0) + 1;
+    this.lastRejection = { reason: rejection.reason, at: new Date(), ipAddress };
+
+    logger.webhook.warn(`Webhook rejected: ${rejection.reason}`, {
+      svixId: headers['svix-id'],
+      ipAddress,
+      ...rejection.details
+    });
+
+    try {
+      await AuditLog.logAction({
+        action: 'webhook.rejected',
+        actor: {
+          type: 'webhook',
+          ipAddress,
+          userAgent
+        },
+        details: {
+          reason: rejection.reason,
+          svixId: headers['svix-id'] || null,
+          svixTimestamp: headers['svix-timestamp'] || null,
+          ...rejection.details
+        },
+        result: {
+          status: 'failure',
+          message: rejection.message
+        },
+        category: 'security',
+        severity: rejection.reason === 'not_configured' ? 'critical' : 'warning'
+      });
+    } catch (error) {
+      logger.webhook.error('Failed to audit webhook rejection:', error);
+    }
+  }
+
+  /**
+   * Rejection counters since the process started, for /admin/status
+   */
+  async getStatus() {
+    return {
+      toleranceSeconds: await this.getToleranceSeconds(),
+      since: this.countingSince,
+      rejections: { ...this.rejections },
+      totalRejected: Object.values(this.rejections).reduce((sum, count) => sum + count, 0),
+      lastRejection: this.lastRejection
+    };
+  }
+}
+
+module.exports = new WebhookSecurityService();
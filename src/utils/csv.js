@@ -0,0 +1,96 @@
+/**
+ * Serialize rows to CSV (RFC 4180 quoting)
+ * @param {object[]} rows - Row objects
+ * @param {Array<string|{ key: string, header: string }>} columns - Columns in output order
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const normalized = columns.map(column =>
+    typeof column === 'string' ? { key: column, header: column } : column
+  );
+
+  const lines = [normalized.map(column => escapeCsvValue(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(normalized.map(column => escapeCsvValue(row[column.key])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into row objects keyed by the header line
+ * Header names are trimmed; blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {object[]}
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const rows = records.filter(values => values.some(value => value.trim() !== ''));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map(header => header.trim());
+  return rows.slice(1).map(values =>
+    Object.fromEntries(headers.map((header, index) => [header, (values[index] ?? '').trim()]))
+  );
+}
+
+
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { EncryptionKeyError } = require('./errors');
+
+/**
+ * Envelope encryption (AES-256-GCM) for secrets kept in Configuration
+ * Each value gets its own data key, which is wrapped with the master key.
+ * Master keys come from CONFIG_ENCRYPTION_KEY_FILE, a JSON file
+ * { "current": "<key>", "previous": ["<key>", ...] }, or else from
+ * CONFIG_ENCRYPTION_KEY plus comma-separated CONFIG_ENCRYPTION_PREVIOUS_KEYS.
+ * A key is 32 bytes as base64 or hex, or any passphrase (hashed to 32 bytes).
+ * New values always use the current key; previous keys only decrypt, until
+ * stored values are re-encrypted.
+ *
+ * Stored as "enc:v2:<key id>:<wrapped data key>:<iv>:<auth tag>:<ciphertext>",
+ * the wrapped key being "<iv>.<auth tag>.<ciphertext>", all base64.
+ * Values from before envelopes, "enc:v1:<iv>:<auth tag>:<ciphertext>" directly
+ * under a master key, can still be decrypted; they are never written.
+ */
+
+const PREFIX = 'enc:v2:';
+const LEGACY_PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+let keyring = null;
+
+function parseKey(raw) {
+  if (/^[0-9a-f]{64}$/i.test(raw)) {
+    return Buffer.from(raw, 'hex');
+  }
+  const decoded = Buffer.from(raw, 'base64');
+  if (decoded.length === KEY_BYTES) {
+    return decoded;
+  }
+  return crypto.createHash('sha256').update(raw).digest();
+}
+
+// Key ids are derived from the key, so nothing else has to be configured
+function keyIdOfKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+/**
+ * Current and previous master keys, loaded once
+ */
+function getKeyring() {
+  if (keyring) return keyring;
+
+  let current;
+  let previous;
+  if (process.env.CONFIG_ENCRYPTION_KEY_FILE) {
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(process.env.CONFIG_ENCRYPTION_KEY_FILE, 'utf8'));
+    } catch (error) {
+      throw new EncryptionKeyError(`Cannot read CONFIG_ENCRYPTION_KEY_FILE: ${error.message}`);
+    }
+    current = file.current;
+    previous = file.previous || [];
+  } else {
+    current = process.env.CONFIG_ENCRYPTION_KEY;
+    previous = (process.env.CONFIG_ENCRYPTION_PREVIOUS_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+  }
+
+  if (!current) {
+    throw new EncryptionKeyError('No configuration encryption key: set CONFIG_ENCRYPTION_KEY or CONFIG_ENCRYPTION_KEY_FILE');
+  }
+
+  const keys = [current, ...previous].map(parseKey).map(key => ({ id: keyIdOfKey(key), key }));
+  keyring = { current: keys[0], byId: new Map(keys.map(entry => [entry.id, entry.key])) };
+  return keyring;
+}
+
+/**
+ * Load the keys now, so a missing key stops the server at startup
+ * @returns {string} - Current key id
+ * @throws {EncryptionKeyError}
+ */
+function checkKeys() {
+  return getKeyring().current.id;
+}
+
+/**
+ * Read the keys again (after the key file or environment changed)
+ */
+function reloadKeys() {
+  keyring = null;
+  return getKeyring().current.id;
+}
+
+function getCurrentKeyId() {
+  return getKeyring().current.id;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64'));
+}
+
+function open(key, [iv, tag, ciphertext]) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && (value.startsWith(PREFIX) || value.startsWith(LEGACY_PREFIX));
+}
+
+function isLegacy(value) {
+  return typeof value === 'string' && value.startsWith(LEGACY_PREFIX);
+}
+
+/**
+ * Master key id a value is encrypted under (legacy values do not record one)
+ */
+function keyIdOf(value) {
+  return isEncrypted(value) && !isLegacy(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Encrypt a string under a fresh data key wrapped with the current master key
+ * @returns {string} - Encoded envelope
+ */
+function encrypt(plaintext) {
+  const { current } = getKeyring();
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+
+  const wrappedKey = seal(current.key, dataKey).join('.');
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return `${PREFIX}${current.id}:${wrappedKey}:${sealed.join(':')}`;
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @throws {Error} - If the value is malformed, tampered with or under an unknown key
+ */
+function decrypt(value) {
+  if (!isEncrypted(value)) {
+    throw new Error('Value is not encrypted');
+  }
+
+  if (isLegacy(value)) {
+    return decryptLegacy(value);
+  }
+
+  const [keyId, wrappedKey, ...sealed] = value.slice(PREFIX.length).split(':');
+  const masterKey = getKeyring().byId.get(keyId);
+  if (!masterKey) {
+    throw new EncryptionKeyError(`Encryption key ${keyId} is not configured`);
+  }
+
+  const dataKey = open(masterKey, wrappedKey.split('.'));
+  return open(dataKey, sealed).toString('utf8');
+}
+
+/**
+ * Legacy values name no key: try each configured one, current first
+ */
+function decryptLegacy(value) {
+  const sealed = value.slice(LEGACY_PREFIX.length).split(':');
+
+  for (const key of getKeyring().byId.values()) {
+    try {
+      return open(key, sealed).toString('utf8');
+    } catch (error) {
+      // Authentication fails under any other key
+    }
+  }
+
+  throw new EncryptionKeyError('No configured encryption key decrypts this legacy value');
+}
+
+/**
+ * Short, non-reversible identifier of a secret for listings and audit entries
+ */
+function fingerprint(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex').slice(0, 12);
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  isLegacy,
+  keyIdOf,
+  getCurrentKeyId,
+  checkKeys,
+  reloadKeys,
+  fingerprint
+};
@@ -0,0 +1,33 @@
+/**
+ * A processing failure that retrying will not fix
+ * (e.g. a cancellation for a document that never reached Sage X3).
+ * The type matches Event error types so it is recorded and dead-lettered as such.
+ */
+class BusinessRuleError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BusinessRuleError';
+    this.type = 'business_rule';
+    this.statusCode = 422;
+    this.details = details;
+  }
+}
+
+/**
+ * The configuration encryption key is missing or does not match a stored value
+ * A deployment problem, not a bad request: the server cannot store or read secrets.
+ */
+class EncryptionKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionKeyError';
+    this.statusCode = 503;
+  }
+}
+
+
+
+module.exports = {
+  BusinessRuleError,
+  EncryptionKeyError
+};
@@ -0,0 +1,64 @@
+/**
+ * Compute a structural diff between two JSON values
+ * Paths use dot notation with [index] for array elements, e.g. data.items[0].price
+ * @param {*} before - Original value
+ * @param {*} after - Updated value
+ * @returns {Array<{ path: string, op: 'added'|'removed'|'changed', before?: *, after?: * }>}
+ */
+function diffJson(before, after, path = '') {
+  if (isEqual(before, after)) {
+    return [];
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    const length = Math.max(before.length, after.length);
+
+    for (let i = 0; i < length; i++) {
+      const childPath = `${path}[${i}]`;
+      if (i >= before.length) {
+        changes.push({ path: childPath, op: 'added', after: after[i] });
+      } else if (i >= after.length) {
+        changes.push({ path: childPath, op: 'removed', before: before[i] });
+      } else {
+        changes.push(...diffJson(before[i], after[i], childPath));
+      }
+    }
+
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const key of keys) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (!(key in before)) {
+        changes.push({ path: childPath, op: 'added', after: after[key] });
+      } else if (!(key in after)) {
+        changes.push({ path: childPath, op: 'removed', before: before[key] });
+      } else {
+        changes.push(...diffJson(before[key], after[key], childPath));
+      }
+    }
+
+    return changes;
+  }
+
+  return [{ path: path || '$', op: 'changed', before, after }];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+
+
+module.exports = {
+  diffJson
+};
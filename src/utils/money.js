@@ -0,0 +1,19 @@
+/**
+ * Divide integers and round half away from zero
+ * Amounts are in currency subunits, so results are exact and repeatable.
+ */
+function roundedDivide(numerator, denominator) {
+  const sign = Math.sign(numerator) * Math.sign(denominator) || 1;
+  const n = Math.abs(numerator);
+  const d = Math.abs(denominator);
+  return sign * Math.floor((2 * n + d) / (2 * d));
+}
+
+/**
+ * Round a base-unit amount to two decimals, clearing floating point residue from sums
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = { roundedDivide, roundAmount };
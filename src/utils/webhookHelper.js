@@ -1,26 +1,26 @@
 
+const crypto = require('crypto');
 const { Webhook } = require('svix');
 const logger = require('./logger');
 
-
+// Why a delivery was turned away; counted and audited per reason
+const REJECTION_REASONS = ['missing_headers', 'not_configured', 'bad_signature', 'stale', 'replay'];
 
 /**
  * Verify webhook signature from Indigo HMS via Svix
+ * Only the signature is checked here: svix's own verify() enforces a fixed
+ * five-minute timestamp window, so the window is checked by the caller.
+ * Any of the given secrets may have signed it (several are valid during a rotation).
  * @param {string} payload - Stringified JSON payload
  * @param {object} headers - Request headers containing svix-id, svix-timestamp, svix-signature
- * @returns {object|null} - Verified payload object or null if invalid
+ * @param {object[]} secrets - { id, secret } currently accepted
+ * @returns {object} - { payload, secretId } when valid, else { reason } (one of REJECTION_REASONS)
  */
-function verifyWebhookSignature(payload, headers) {
+function verifyWebhookSignature(payload, headers, secrets) {
   try {
-    const secret = process.env.SVIX_WEBHOOK_SECRET;
-    
-    if (!secret) {
-      logger.webhook.error('SVIX_WEBHOOK_SECRET not configured');
-      return null;
-    }
-    
-    if (!secret.startsWith('whsec_')) {
-      logger.webhook.warn('SVIX_WEBHOOK_SECRET should start with "whsec_"');
+    if (!secrets || secrets.length === 0) {
+      logger.webhook.error('No webhook signing secret configured');
+      return { reason: 'not_configured' };
     }
     
     // Extract Svix headers
@@ -35,33 +35,48 @@ function verifyWebhookSignature(payload, headers) {
         hasSvixTimestamp: !!svixTimestamp,
         hasSvixSignature: !!svixSignature
       });
-      return null;
+      return { reason: 'missing_headers' };
+    }
+    
+    const timestamp = parseInt(svixTimestamp, 10);
+    if (!Number.isFinite(timestamp)) {
+      logger.webhook.warn('Invalid svix-timestamp header', { svixId });
+      return { reason: 'bad_signature' };
     }
     
-    // Create Svix webhook verifier
-    const wh = new Webhook(secret);
+    // Signed content is "<svix-id>.<svix-timestamp>.<body>"; the header lists "v1,<base64>" entries
+    const signatures = svixSignature.split(' ')
+      .map(entry => entry.split(','))
+      .filter(([version, signature]) => version === 'v1' && signature)
+      .map(([, signature]) => Buffer.from(signature));
     
-    // Verify the webhook signature
-    const verified = wh.verify(payload, {
-      'svix-id': svixId,
-      'svix-timestamp': svixTimestamp,
-      'svix-signature': svixSignature
+    const matched = secrets.find(({ secret }) => {
+      const expected = Buffer.from(new Webhook(secret).sign(svixId, new Date(timestamp * 1000), payload).split(',')[1]);
+      return signatures.some(signature => signature.length === expected.length && crypto.timingSafeEqual(signature, expected));
     });
     
+    if (!matched) {
+      logger.webhook.error('Webhook signature verification failed', { svixId, secretsTried: secrets.length });
+      return { reason: 'bad_signature' };
+    }
+    
+    const verified = JSON.parse(payload);
+    
     logger.webhook.info('Webhook signature verified successfully', {
       svixId,
-      eventType: verified.event
+      eventType: verified.event,
+      secretId: matched.id
     });
     
-    return verified;
+    return { payload: verified, secretId: matched.id };
     
   } catch (error) {
-    // Svix throws an error if verification fails
+    // A malformed secret or body ends up here
     logger.webhook.error('Webhook signature verification failed:', {
       error: error.message,
       type: error.constructor.name
     });
-    return null;
+    return { reason: 'bad_signature' };
   }
 }
 
@@ -176,6 +191,7 @@ function sanitizePayload(payload) {
 
 
 module.exports = {
+  REJECTION_REASONS,
   verifyWebhookSignature,
   generateEventId,
   extractEventType,
@@ -10,6 +10,23 @@ const operatorSchema = Joi.object({
   name: Joi.string().required()
 });
 
+// Insurer/HMO covering the patient; split rules are configured per sponsor id
+const sponsorSchema = Joi.object({
+  id: Joi.string().required(),
+  name: Joi.string().allow('', null).optional(),
+  type: Joi.string().allow('', null).optional(),
+  membershipNumber: Joi.string().allow('', null).optional()
+}).unknown(true);
+
+// Part of a payment settled by a sponsor against its receivable
+const claimSchema = Joi.object({
+  id: Joi.string().optional(),
+  sponsorId: Joi.string().required(),
+  invoiceId: Joi.string().optional(),
+  amount: Joi.number().min(0).required(),
+  reference: Joi.string().allow('', null).optional()
+}).unknown(true);
+
 const patientSchema = Joi.object({
   id: Joi.string().required(),
   name: Joi.string().required(),
@@ -18,7 +35,7 @@ const patientSchema = Joi.object({
   email: Joi.string().email().allow('', null).optional(),
   gender: Joi.string().allow('', null).optional(),
   owing: Joi.number().allow(null).optional(),
-  sponsors: Joi.array().optional(),
+  sponsors: Joi.array().items(sponsorSchema).optional(),
   admission: Joi.object().optional()
 });
 
@@ -83,6 +100,7 @@ const invoiceCreatedSchema = Joi.object({
   event: Joi.string().valid('invoice.created').required(),
   data: Joi.object({
     id: Joi.string().required(),
+    currency: Joi.string().length(3).uppercase().optional(),
     proforma: Joi.boolean().optional(),
     items: Joi.array().items(itemSchema).min(1).required(),
     patient: patientSchema.required(),
@@ -96,6 +114,7 @@ const invoiceUpdatedSchema = Joi.object({
   event: Joi.string().valid('invoice.updated').required(),
   data: Joi.object({
     id: Joi.string().required(),
+    currency: Joi.string().length(3).uppercase().optional(),
     proforma: Joi.boolean().optional(),
     items: Joi.array().items(itemSchema).min(1).required(),
     patient: patientSchema.required(),
@@ -124,8 +143,10 @@ const paymentCreatedSchema = Joi.object({
   event: Joi.string().valid('payment.created').required(),
   data: Joi.object({
     id: Joi.string().required(),
+    currency: Joi.string().length(3).uppercase().optional(),
     timestamp: Joi.string().optional(),
-    claims: Joi.array().optional(),
+    invoiceId: Joi.string().optional(),
+    claims: Joi.array().items(claimSchema).optional(),
     
     // CORRECTED: Items, patient, operator are directly in data (NOT in invoice object)
     items: Joi.array().items(itemSchema).min(1).required(),
@@ -227,6 +248,7 @@ const stockCreatedSchema = Joi.object({
       id: Joi.string().required(),
       name: Joi.string().required()
     }).required(),
+    location: locationSchema.optional(),
     variant: Joi.object({
       id: Joi.string(),
       title: Joi.string(),
@@ -0,0 +1,130 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+const { authenticate, authorize, hasRole, issueTokens } = require('../../src/middleware/auth');
+const authRoutes = require('../../src/routes/auth.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/auth', authRoutes);
+app.get('/protected', authenticate, authorize('operator'), (req, res) => res.json({ user: req.user }));
+
+const originalSecret = process.env.JWT_SECRET;
+
+async function createUser(fields = {}) {
+  const user = new User({ username: 'ada', name: 'Ada', role: 'operator', ...fields });
+  await user.setPassword('correct horse battery');
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+}
+
+// findById is awaited directly or through .select()
+function storeUser(user) {
+  const query = {
+    select: () => query,
+    then: (resolve, reject) => Promise.resolve(user).then(resolve, reject)
+  };
+  jest.spyOn(User, 'findById').mockReturnValue(query);
+}
+
+describe('auth', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterAll(() => {
+    if (originalSecret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = originalSecret;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks roles from viewer to admin', () => {
+    expect(hasRole('admin', 'operator')).toBe(true);
+    expect(hasRole('operator', 'operator')).toBe(true);
+    expect(hasRole('viewer', 'operator')).toBe(false);
+    expect(hasRole('unknown', 'viewer')).toBe(false);
+  });
+
+  it('issues tokens on a valid login and audits failed attempts', async () => {
+    const user = await createUser();
+    jest.spyOn(User, 'findActiveByUsername').mockResolvedValue(user);
+
+    const rejected = await request(app).post('/api/v1/auth/login').send({ username: 'ada', password: 'wrong password' });
+
+    expect(rejected.status).toBe(401);
+    expect(AuditLog.logAction).toHaveBeenLastCalledWith(expect.objectContaining({
+      action: 'user.login',
+      result: expect.objectContaining({ status: 'failure' }),
+      severity: 'warning'
+    }));
+
+    const accepted = await request(app).post('/api/v1/auth/login').send({ username: 'ada', password: 'correct horse battery' });
+
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data.user).toMatchObject({ username: 'ada', role: 'operator' });
+    expect(jwt.verify(accepted.body.data.accessToken, 'test-secret')).toMatchObject({ type: 'access', sub: user._id.toString() });
+    expect(user.lastLoginAt).toBeInstanceOf(Date);
+  });
+
+  it('reloads the user on each request, so deactivation and role changes apply at once', async () => {
+    const user = await createUser();
+    const { accessToken } = issueTokens(user);
+    const call = () => request(app).get('/protected').set('authorization', `Bearer ${accessToken}`);
+    storeUser(user);
+
+    const allowed = await call();
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.user).toMatchObject({ id: user._id.toString(), role: 'operator' });
+
+    user.role = 'viewer';
+    expect((await call()).status).toBe(403);
+
+    user.active = false;
+    const deactivated = await call();
+    expect(deactivated.status).toBe(401);
+    expect(deactivated.body.error).toBe('User is no longer active');
+  });
+
+  it('rejects missing, refresh-type and expired access tokens', async () => {
+    const user = await createUser();
+    storeUser(user);
+    const { refreshToken } = issueTokens(user);
+    const expired = jwt.sign({ type: 'access' }, 'test-secret', { subject: user._id.toString(), expiresIn: -10 });
+
+    expect((await request(app).get('/protected')).status).toBe(401);
+
+    const wrongType = await request(app).get('/protected').set('authorization', `Bearer ${refreshToken}`);
+    expect(wrongType.status).toBe(401);
+    expect(wrongType.body.error).toBe('Invalid access token');
+
+    const stale = await request(app).get('/protected').set('authorization', `Bearer ${expired}`);
+    expect(stale.status).toBe(401);
+    expect(stale.body.error).toBe('Access token expired');
+  });
+
+  it('refreshes a session until the refresh token is revoked', async () => {
+    const user = await createUser();
+    storeUser(user);
+    const { refreshToken } = issueTokens(user);
+    const refresh = () => request(app).post('/api/v1/auth/refresh').send({ refreshToken });
+
+    const refreshed = await refresh();
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.data.accessToken).toEqual(expect.any(String));
+
+    await user.revokeTokens();
+
+    const revoked = await refresh();
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.error).toBe('Invalid or expired refresh token');
+  });
+});
@@ -0,0 +1,147 @@
+const Event = require('../../src/models/Event');
+const Transaction = require('../../src/models/Transaction');
+const AuditLog = require('../../src/models/AuditLog');
+const Configuration = require('../../src/models/Configuration');
+const sageX3Client = require('../../src/services/sageX3Client');
+const { processEvent, postReversal } = require('../../src/queues/queueManager');
+
+const query = result => ({
+  select: () => query(result),
+  sort: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+function synced(fields = {}) {
+  const transaction = new Transaction({
+    transactionId: 'txn_invoice',
+    eventId: 'evt_invoice',
+    eventType: 'invoice.created',
+    status: 'synced',
+    sageX3Details: { documentType: 'invoice', documentReference: 'SIH-1' },
+    financialData: { amount: 100, currency: 'NGN', invoiceNumber: 'INV1' },
+    receivables: [
+      { documentReference: 'SIH-1', invoiceNumber: 'INV1', amount: 60, creditedAmount: 20 },
+      { documentReference: 'SIH-2', invoiceNumber: 'INV1-HMO', amount: 40 }
+    ],
+    ...fields
+  });
+  jest.spyOn(transaction, 'save').mockResolvedValue(transaction);
+  return transaction;
+}
+
+function cancellation() {
+  const event = new Event({
+    eventId: 'evt_cancel',
+    eventType: 'invoice.cancelled',
+    source: 'indigo-hms',
+    rawPayload: { event: 'invoice.cancelled', data: { id: 'INV1' } },
+    transformedPayload: { originalInvoiceId: 'INV1', cancellationReason: 'Duplicate', cancellationDate: '2026-10-01' },
+    status: 'transformed'
+  });
+  jest.spyOn(event, 'save').mockResolvedValue(event);
+  return event;
+}
+
+// Serves the original invoice event and transaction to the cancellation lookups
+function storeOriginal(event, original) {
+  const originalEvent = new Event({ eventId: 'evt_invoice', eventType: 'invoice.created', source: 'indigo-hms', rawPayload: {}, status: 'synced' });
+  jest.spyOn(originalEvent, 'save').mockResolvedValue(originalEvent);
+  jest.spyOn(Event, 'findByEventId').mockImplementation(async eventId => (
+    { evt_cancel: event, evt_invoice: originalEvent }[eventId]
+  ));
+  jest.spyOn(Event, 'find').mockReturnValue(query(original ? [originalEvent] : []));
+  jest.spyOn(Transaction, 'find').mockReturnValue(query(original ? [original] : []));
+  jest.spyOn(Transaction, 'findOne').mockReturnValue(query(null));
+  jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  return originalEvent;
+}
+
+describe('cancellation posting', () => {
+  let credited;
+
+  beforeEach(() => {
+    credited = {};
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+    jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => defaultValue);
+    jest.spyOn(Transaction, 'updateOne').mockImplementation(async (filter, update) => {
+      const reference = filter['receivables.documentReference'];
+      credited[reference] = (credited[reference] || 0) + update.$inc['receivables.$.creditedAmount'];
+      return {};
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('credits what is still open on each receivable of the invoice', async () => {
+    const original = synced();
+    jest.spyOn(Transaction, 'find').mockReturnValue(query([original]));
+    const postCreditNote = jest.spyOn(sageX3Client, 'postCreditNote')
+      .mockResolvedValueOnce({ success: true, documentReference: 'CN-1' })
+      .mockResolvedValueOnce({ success: true, documentReference: 'CN-2' });
+
+    const response = await postReversal(original, { reason: 'Billed twice' });
+
+    expect(postCreditNote.mock.calls.map(([data]) => [data.originalReference, data.amount, data.reason]))
+      .toEqual([['SIH-1', 40, 'Billed twice'], ['SIH-2', 40, 'Billed twice']]);
+    expect(credited).toEqual({ 'SIH-1': 40, 'SIH-2': 40 });
+    expect(response).toMatchObject({ documentReference: 'CN-1', reversals: ['CN-1', 'CN-2'] });
+  });
+
+  it('posts nothing for an invoice that has already been fully credited', async () => {
+    const original = synced();
+    original.receivables.forEach(receivable => { receivable.creditedAmount = receivable.amount; });
+    jest.spyOn(Transaction, 'find').mockReturnValue(query([original]));
+    const postCreditNote = jest.spyOn(sageX3Client, 'postCreditNote');
+
+    const response = await postReversal(original, { reason: 'Billed twice' });
+
+    expect(postCreditNote).not.toHaveBeenCalled();
+    expect(response).toMatchObject({ posted: false, documentReference: null });
+  });
+
+  it('refuses to reverse transactions that are not invoices or payments', async () => {
+    await expect(postReversal({ eventType: 'stock.received', transactionId: 'txn_stock' }, { reason: 'x' }))
+      .rejects.toMatchObject({ type: 'business_rule', message: 'stock.received transactions cannot be reversed' });
+  });
+
+  it('posts a credit note for an invoice.cancelled event, links both transactions and marks the original reversed', async () => {
+    const event = cancellation();
+    const original = synced();
+    const originalEvent = storeOriginal(event, original);
+    jest.spyOn(sageX3Client, 'postCreditNote')
+      .mockResolvedValueOnce({ success: true, documentReference: 'CN-1' })
+      .mockResolvedValueOnce({ success: true, documentReference: 'CN-2' });
+
+    const result = await processEvent('evt_cancel');
+
+    expect(result.status).toBe('synced');
+    const cancellationTransaction = Transaction.prototype.save.mock.contexts.at(-1);
+    expect(cancellationTransaction).toMatchObject({
+      eventId: 'evt_cancel',
+      status: 'synced',
+      reversalOf: 'txn_invoice',
+      sageX3Details: { documentType: 'credit_note', documentReference: 'CN-1' }
+    });
+    expect(original).toMatchObject({
+      reversed: true,
+      reversalDetails: { reason: 'Duplicate', reversalDocumentReference: 'CN-1', reversalTransactionId: cancellationTransaction.transactionId }
+    });
+    expect(originalEvent.status).toBe('reversed');
+  });
+
+  it('fails an invoice.cancelled event whose invoice never reached Sage X3 with a business-rule error', async () => {
+    const event = cancellation();
+    storeOriginal(event, null);
+    const postCreditNote = jest.spyOn(sageX3Client, 'postCreditNote');
+
+    await expect(processEvent('evt_cancel')).rejects.toThrow('Cannot post invoice.cancelled: INV1 was never synced to Sage X3');
+
+    expect(postCreditNote).not.toHaveBeenCalled();
+    expect(event.status).toBe('dead_lettered');
+    expect(event.errors.at(-1)).toMatchObject({ type: 'business_rule' });
+  });
+});
@@ -0,0 +1,210 @@
+const Configuration = require('../../src/models/Configuration');
+const CostLayer = require('../../src/models/CostLayer');
+const StockBatch = require('../../src/models/StockBatch');
+const StockValuation = require('../../src/models/StockValuation');
+const costingService = require('../../src/services/costingService');
+const dimensionService = require('../../src/services/dimensionService');
+const sageX3Client = require('../../src/services/sageX3Client');
+const { BusinessRuleError } = require('../../src/utils/errors');
+
+// Cost layers in receipt order, served to findOpen and the average cost query
+function storeLayers(layers, batchCostPrice) {
+  jest.spyOn(CostLayer, 'findOpen').mockImplementation(async (stockCode, batchId) =>
+    layers.filter(layer => layer.stockCode === stockCode && layer.batchId === batchId && layer.quantityRemaining > 0)
+      .map(layer => ({ ...layer }))
+  );
+  jest.spyOn(CostLayer, 'find').mockImplementation(filter => ({
+    select: async () => layers.filter(layer =>
+      (filter.itemId ? layer.itemId === filter.itemId : layer.stockCode === filter.stockCode) && layer.quantityRemaining > 0
+    )
+  }));
+  jest.spyOn(CostLayer, 'updateOne').mockImplementation(async (filter, update) => {
+    layers.find(layer => layer._id === filter._id).quantityRemaining += update.$inc.quantityRemaining;
+    return {};
+  });
+  jest.spyOn(StockBatch, 'findBatch').mockResolvedValue(
+    batchCostPrice === undefined ? null : { costPrice: batchCostPrice, itemId: 'ITEM1' }
+  );
+  return layers;
+}
+
+const layer = (_id, batchId, unitCost, quantityRemaining) => ({
+  _id, stockCode: 'PCM500', batchId, itemId: 'ITEM1', unitCost, quantityRemaining
+});
+
+const line = (index, batchId, quantity) => ({ line: index, stockCode: 'PCM500', batchId, quantity });
+
+function useMethod(method) {
+  jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => (key === 'costing.method' ? method : defaultValue));
+}
+
+describe('costingService', () => {
+  beforeEach(() => {
+    useMethod('fifo');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('valueLine', () => {
+    it('values FIFO from the oldest layers of the batch', async () => {
+      storeLayers([layer('L1', 'B1', 5, 10), layer('L2', 'B1', 6, 10)]);
+
+      const valued = await costingService.valueLine(line(0, 'B1', 15), 'fifo');
+
+      expect(valued).toMatchObject({ quantity: 15, unitCost: 5.3333, totalCost: 80, costMissing: false });
+      expect(valued.layers).toEqual([
+        { layerId: 'L1', quantity: 10, unitCost: 5 },
+        { layerId: 'L2', quantity: 5, unitCost: 6 }
+      ]);
+    });
+
+    it('values quantity no layer covers at the batch cost from the ledger', async () => {
+      storeLayers([layer('L1', 'B1', 5, 4)], 700);
+
+      const valued = await costingService.valueLine(line(0, 'B1', 10), 'fifo');
+
+      // 4 at 5.00 from the layer, 6 at the batch's 7.00
+      expect(valued).toMatchObject({ totalCost: 62, unitCost: 6.2, costMissing: false });
+    });
+
+    it('values at zero and flags the line when no cost is known', async () => {
+      storeLayers([]);
+
+      await expect(costingService.valueLine(line(0, 'B1', 3), 'fifo'))
+        .resolves.toMatchObject({ totalCost: 0, unitCost: 0, costMissing: true, layers: [] });
+    });
+
+    it('prices at the item\'s weighted average across batches but draws down the batch\'s own layers', async () => {
+      storeLayers([layer('L1', 'B1', 5, 10), layer('L2', 'B2', 8, 20)]);
+
+      const valued = await costingService.valueLine(line(0, 'B1', 6), 'weighted_average');
+
+      // (10 x 5 + 20 x 8) / 30 = 7
+      expect(valued).toMatchObject({ unitCost: 7, totalCost: 42 });
+      expect(valued.layers).toEqual([{ layerId: 'L1', quantity: 6, unitCost: 5 }]);
+    });
+
+    it('does not draw on what earlier lines of the same movement already took', async () => {
+      storeLayers([layer('L1', 'B1', 5, 10), layer('L2', 'B1', 6, 10)]);
+      const drawnSoFar = new Map();
+
+      await costingService.valueLine(line(0, 'B1', 8), 'fifo', drawnSoFar);
+      const second = await costingService.valueLine(line(1, 'B1', 4), 'fifo', drawnSoFar);
+
+      expect(second.layers).toEqual([
+        { layerId: 'L1', quantity: 2, unitCost: 5 },
+        { layerId: 'L2', quantity: 2, unitCost: 6 }
+      ]);
+      expect(second.totalCost).toBe(22);
+    });
+  });
+
+  describe('valueOutflow', () => {
+    function storeValuations() {
+      const valuations = new Map();
+      jest.spyOn(StockValuation, 'findByReference').mockImplementation(async reference => valuations.get(reference) || null);
+      jest.spyOn(StockValuation, 'create').mockImplementation(async fields => {
+        const valuation = { ...fields, consumed: false, save: jest.fn().mockResolvedValue() };
+        valuations.set(fields.reference, valuation);
+        return valuation;
+      });
+      jest.spyOn(StockValuation, 'deleteOne').mockImplementation(async () => {
+        valuations.clear();
+        return {};
+      });
+      return valuations;
+    }
+
+    it('draws the layers down once, however often the movement is valued', async () => {
+      const layers = storeLayers([layer('L1', 'B1', 5, 10), layer('L2', 'B1', 6, 10)]);
+      storeValuations();
+
+      const valuation = await costingService.valueOutflow('evt_1', [line(0, 'B1', 12), line(1, 'B1', 0)], { purpose: 'issue' });
+      const again = await costingService.valueOutflow('evt_1', [line(0, 'B1', 12)], { purpose: 'issue' });
+
+      expect(again).toBe(valuation);
+      expect(valuation).toMatchObject({ method: 'fifo', totalCost: 62, consumed: true });
+      expect(valuation.lines).toHaveLength(1);
+      expect(layers.map(entry => entry.quantityRemaining)).toEqual([0, 8]);
+    });
+
+    it('puts the stock back when a valuation whose movement never posted is cancelled', async () => {
+      const layers = storeLayers([layer('L1', 'B1', 5, 10)]);
+      storeValuations();
+
+      await costingService.valueOutflow('expiry:B1', [line(0, 'B1', 4)], { purpose: 'write_off' });
+      await costingService.cancelValuation('expiry:B1');
+
+      expect(layers[0].quantityRemaining).toBe(10);
+      await expect(StockValuation.findByReference('expiry:B1')).resolves.toBeNull();
+    });
+  });
+
+  describe('COGS journal', () => {
+    const issue = (eventType, to) => ({
+      eventId: 'evt_1',
+      eventType,
+      rawPayload: { data: { id: 'DSP1', bill: 'BILL-9', timestamp: '2026-10-01T09:00:00Z', to } }
+    });
+    const valuation = () => ({
+      method: 'fifo',
+      movementReference: 'MVT-1',
+      totalCost: 62,
+      lines: [{ line: 0, stockCode: 'PCM500', batchId: 'B1', quantity: 12, unitCost: 5.1667, totalCost: 62 }],
+      save: jest.fn().mockResolvedValue()
+    });
+
+    it('expenses dispenses to a ward to ward consumption on the ward\'s cost centre', async () => {
+      jest.spyOn(dimensionService, 'getLocationCostCentres').mockResolvedValue(new Map([['W1', 'CC-WARD1']]));
+      const event = issue('stock.dispensed', { id: 'W1', name: 'Ward 1', type: 'Ward' });
+      const postJournal = jest.spyOn(sageX3Client, 'postJournal').mockResolvedValue({ documentReference: 'JNL-1' });
+      const valued = valuation();
+
+      const target = await costingService.getExpenseTarget(event);
+      const reference = await costingService.postIssueJournal(event, valued, target);
+
+      expect(target).toEqual({ account: '60200', inventoryAccount: '31000', costCentre: 'CC-WARD1', ward: { id: 'W1', name: 'Ward 1' } });
+      expect(reference).toBe('JNL-1');
+      expect(postJournal).toHaveBeenCalledWith(expect.objectContaining({
+        journalType: 'COGS',
+        sourceDocument: 'MVT-1',
+        description: 'Dispense BILL-9',
+        lines: [
+          { account: '60200', costCentre: 'CC-WARD1', debit: 62, credit: 0, stockCode: 'PCM500', batchId: 'B1', quantity: 12 },
+          { account: '31000', debit: 0, credit: 62 }
+        ]
+      }));
+
+      await costingService.postIssueJournal(event, valued, target);
+      expect(postJournal).toHaveBeenCalledTimes(1);
+    });
+
+    it('books sales to COGS and refuses a ward dispense with no cost centre', async () => {
+      jest.spyOn(dimensionService, 'getLocationCostCentres').mockResolvedValue(new Map());
+
+      await expect(costingService.getExpenseTarget(issue('stock.sold'))).resolves.toEqual({ account: '60100', inventoryAccount: '31000' });
+
+      const ward = costingService.getExpenseTarget(issue('stock.dispensed', { id: 'W2', name: 'Ward 2', type: 'ward' }));
+      await expect(ward).rejects.toThrow(BusinessRuleError);
+      await expect(ward).rejects.toThrow('No cost centre mapped for ward Ward 2');
+    });
+  });
+
+  it('attaches unit and total cost to each issued item', () => {
+    const costed = costingService.applyCosts(
+      { items: [{ stockCode: 'PCM500' }, { stockCode: 'AMX250' }] },
+      { method: 'weighted_average', totalCost: 10, lines: [{ line: 1, unitCost: 2.5, totalCost: 10 }] }
+    );
+
+    expect(costed).toEqual({
+      costingMethod: 'weighted_average',
+      totalCost: 10,
+      items: [
+        { stockCode: 'PCM500', unitCost: 0, totalCost: 0 },
+        { stockCode: 'AMX250', unitCost: 2.5, totalCost: 10 }
+      ]
+    });
+  });
+});
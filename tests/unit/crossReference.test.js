@@ -0,0 +1,122 @@
+const express = require('express');
+const request = require('supertest');
+const CrossReference = require('../../src/models/CrossReference');
+const AuditLog = require('../../src/models/AuditLog');
+const mappingEngine = require('../../src/services/mappingEngine');
+const { parseCsv, toCsv } = require('../../src/utils/csv');
+const xrefRoutes = require('../../src/routes/xref.routes');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'user-1', name: 'Ada', role: 'operator' };
+  next();
+});
+app.use('/api/v1/xrefs', xrefRoutes);
+
+function storeEntries(entries) {
+  jest.spyOn(CrossReference, 'find').mockImplementation(filter => ({
+    select: () => Promise.resolve(entries.filter(entry =>
+      entry.entityType === filter.entityType && filter.sourceId.$in.includes(entry.sourceId)
+    ))
+  }));
+}
+
+describe('csv', () => {
+  it('round-trips quoted values, commas and line breaks', () => {
+    const rows = [{ sourceId: 'MRN-1', description: 'Ward "A", bed 2' }, { sourceId: 'MRN-2', description: 'two\nlines' }];
+
+    const text = toCsv(rows, ['sourceId', 'description']);
+
+    expect(text).toBe('sourceId,description\r\nMRN-1,"Ward ""A"", bed 2"\r\nMRN-2,"two\nlines"\r\n');
+    expect(parseCsv(text)).toEqual(rows);
+  });
+
+  it('trims headers and values and skips blank lines', () => {
+    expect(parseCsv(' entityType , sourceId\n\npatient , MRN-1 \n')).toEqual([{ entityType: 'patient', sourceId: 'MRN-1' }]);
+    expect(parseCsv('')).toEqual([]);
+  });
+});
+
+describe('cross-references', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resolves ids to X3 codes, falling back to the wildcard entry unless told not to', async () => {
+    storeEntries([
+      { entityType: 'location', sourceId: 'LOC1', x3Code: 'SITE1' },
+      { entityType: 'location', sourceId: '*', x3Code: 'MAIN' }
+    ]);
+
+    const codes = await CrossReference.resolveMany('location', ['LOC1', 'LOC2', 'LOC1']);
+    const exact = await CrossReference.resolveMany('location', ['LOC1', 'LOC2'], { wildcard: false });
+
+    expect([...codes]).toEqual([['LOC1', 'SITE1'], ['LOC2', 'MAIN']]);
+    expect([...exact]).toEqual([['LOC1', 'SITE1']]);
+  });
+
+  it('swaps mapped ids for X3 codes during transformation and lists every unmapped key', async () => {
+    storeEntries([{ entityType: 'patient', sourceId: 'MRN-1', x3Code: 'BP001' }]);
+    const document = {
+      fields: {
+        customerReference: { source: '$.data.patient.mrn', xref: 'patient' },
+        lines: { source: '$.data.items[*]', each: { itemCode: { source: '@.sku', xref: 'item' } } }
+      }
+    };
+
+    await expect(mappingEngine.apply(document, { data: { patient: { mrn: 'MRN-1' } } }))
+      .resolves.toEqual({ customerReference: 'BP001', lines: [] });
+
+    const failing = mappingEngine.apply(document, { data: { patient: { mrn: 'MRN-2' }, items: [{ sku: 'A' }, { sku: 'A' }, { sku: 'B' }] } });
+
+    await expect(failing).rejects.toMatchObject({
+      type: 'business_rule',
+      message: 'No Sage X3 code mapped for: patient:MRN-2, item:A, item:B',
+      details: {
+        missingCrossReferences: [
+          { entityType: 'patient', sourceId: 'MRN-2' },
+          { entityType: 'item', sourceId: 'A' },
+          { entityType: 'item', sourceId: 'B' }
+        ]
+      }
+    });
+  });
+
+  it('imports a CSV in bulk, taking the entity type from the query when the column is missing', async () => {
+    const upsertMany = jest.spyOn(CrossReference, 'upsertMany').mockResolvedValue({ upsertedCount: 1, modifiedCount: 1 });
+
+    const response = await request(app)
+      .post('/api/v1/xrefs/import?entityType=supplier')
+      .set('content-type', 'text/csv')
+      .send('sourceId,x3Code,active\nSUP1,FRN001,\nSUP2,FRN002,false\n');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ rows: 2, created: 1, updated: 1, unchanged: 0 });
+    expect(upsertMany).toHaveBeenCalledWith([
+      { entityType: 'supplier', sourceId: 'SUP1', x3Code: 'FRN001', description: undefined, active: true },
+      { entityType: 'supplier', sourceId: 'SUP2', x3Code: 'FRN002', description: undefined, active: false }
+    ], 'user-1');
+  });
+
+  it('imports nothing when any row is invalid or duplicated', async () => {
+    const upsertMany = jest.spyOn(CrossReference, 'upsertMany');
+
+    const response = await request(app)
+      .post('/api/v1/xrefs/import')
+      .set('content-type', 'text/csv')
+      .send('entityType,sourceId,x3Code\npatient,MRN-1,BP001\nplanet,MRN-2,BP002\npatient,MRN-3,\npatient,MRN-1,BP009\n');
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([
+      { line: 3, error: expect.stringContaining('entityType must be one of') },
+      { line: 4, error: 'x3Code is required' },
+      { line: 5, error: 'Duplicate patient:MRN-1' }
+    ]);
+    expect(upsertMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+const Configuration = require('../../src/models/Configuration');
+const CrossReference = require('../../src/models/CrossReference');
+const ExchangeRate = require('../../src/models/ExchangeRate');
+const currencyService = require('../../src/services/currencyService');
+const dimensionService = require('../../src/services/dimensionService');
+const transformationService = require('../../src/services/transformationService');
+const { BusinessRuleError } = require('../../src/utils/errors');
+
+const CONFIG = {
+  'currency.ledger': 'ngn',
+  'currency.subunits': { usd: 100, jpy: 1 }
+};
+
+const usdRate = { rate: 1500.5, effectiveFrom: new Date('2026-09-01') };
+
+describe('currencyService', () => {
+  beforeEach(() => {
+    jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => CONFIG[key] ?? defaultValue);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('needs no rate for the ledger currency', async () => {
+    const findRateAt = jest.spyOn(ExchangeRate, 'findRateAt');
+
+    const context = await currencyService.resolve(undefined);
+
+    expect(context).toEqual({
+      transactionCurrency: 'NGN',
+      ledgerCurrency: 'NGN',
+      divisor: 100,
+      ledgerDivisor: 100,
+      exchangeRate: 1,
+      exchangeRateDate: null
+    });
+    expect(findRateAt).not.toHaveBeenCalled();
+  });
+
+  it('uses the rate in effect on the document date and each currency\'s own divisor', async () => {
+    const findRateAt = jest.spyOn(ExchangeRate, 'findRateAt').mockResolvedValue(usdRate);
+    const date = new Date('2026-10-01');
+
+    const usd = await currencyService.resolve('usd', date);
+
+    expect(findRateAt).toHaveBeenCalledWith('USD', 'NGN', date);
+    expect(usd).toMatchObject({ transactionCurrency: 'USD', divisor: 100, exchangeRate: 1500.5, exchangeRateDate: usdRate.effectiveFrom });
+    expect(currencyService.toMajor(12345, usd)).toBe(123.45);
+    // 123.45 USD at 1500.5 is 185236.725 NGN, rounded to the kobo
+    expect(currencyService.toLedger(12345, usd)).toBe(185236.73);
+
+    const jpy = await currencyService.resolve('JPY', date);
+    expect(currencyService.toMajor(500, jpy)).toBe(500);
+  });
+
+  it('fails with a business-rule error when no rate is in effect', async () => {
+    jest.spyOn(ExchangeRate, 'findRateAt').mockResolvedValue(null);
+
+    const resolving = currencyService.resolve('USD', new Date('2026-10-01T10:00:00Z'));
+
+    await expect(resolving).rejects.toThrow(BusinessRuleError);
+    await expect(resolving).rejects.toThrow('No USD/NGN exchange rate effective on 2026-10-01');
+  });
+
+  it('resolves units for stock costs without looking up a rate', async () => {
+    const findRateAt = jest.spyOn(ExchangeRate, 'findRateAt');
+
+    await expect(currencyService.resolveUnits('jpy')).resolves.toEqual({ transactionCurrency: 'JPY', divisor: 1 });
+    expect(findRateAt).not.toHaveBeenCalled();
+  });
+
+  it('posts a foreign-currency payment with its transaction and ledger amounts and the rate used', async () => {
+    jest.spyOn(ExchangeRate, 'findRateAt').mockResolvedValue(usdRate);
+    jest.spyOn(Configuration, 'findOne').mockResolvedValue(null);
+    jest.spyOn(CrossReference, 'resolveMany').mockImplementation(async (entityType, ids) => new Map(ids.map(id => [id, id])));
+    jest.spyOn(dimensionService, 'applyToItems').mockImplementation(async items => ({ items, dimensions: {} }));
+
+    const { data } = await transformationService.transform('payment.created', {
+      event: 'payment.created',
+      data: {
+        id: 'PAY1',
+        currency: 'USD',
+        timestamp: '2026-10-01T09:00:00Z',
+        patient: { mrn: 'MRN-1' },
+        payments: [{ method: 'cash', amount: 10000 }],
+        items: []
+      }
+    });
+
+    expect(data).toMatchObject({
+      amount: 100,
+      currency: 'USD',
+      ledgerCurrency: 'NGN',
+      exchangeRate: 1500.5,
+      ledgerAmount: 150050
+    });
+    expect(ExchangeRate.findRateAt).toHaveBeenCalledWith('USD', 'NGN', new Date('2026-10-01T09:00:00Z'));
+  });
+});
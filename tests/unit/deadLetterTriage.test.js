@@ -0,0 +1,146 @@
+jest.mock('../../src/queues/queueManager', () => ({
+  retryFailedEvent: jest.fn(),
+  requeueDeadLetteredEvent: jest.fn().mockResolvedValue({ success: true }),
+  queueReplay: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Event = require('../../src/models/Event');
+const AuditLog = require('../../src/models/AuditLog');
+const MemoryQueue = require('../../src/queues/memoryQueue');
+const { requeueDeadLetteredEvent } = require('../../src/queues/queueManager');
+const eventRoutes = require('../../src/routes/event.routes');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'operator-1', role: 'operator' };
+  next();
+});
+app.use('/api/v1/events', eventRoutes);
+
+function storeEvent(fields = {}) {
+  const event = new Event({
+    eventId: 'evt_1',
+    eventType: 'invoice.created',
+    source: 'indigo-hms',
+    rawPayload: {},
+    status: 'dead_lettered',
+    retryCount: 3,
+    deadLetterReason: 'Retry attempts exhausted (3)',
+    ...fields
+  });
+  jest.spyOn(event, 'save').mockResolvedValue(event);
+  jest.spyOn(Event, 'findByEventId').mockResolvedValue(event);
+  return event;
+}
+
+describe('dead-letter triage', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    requeueDeadLetteredEvent.mockClear();
+  });
+
+  it('assigns, annotates and discards a dead-lettered event, auditing each step', async () => {
+    const event = storeEvent();
+
+    await request(app).post('/api/v1/events/evt_1/assign').send({ assignee: 'ada' }).expect(200);
+    await request(app).post('/api/v1/events/evt_1/notes').send({ note: 'Customer code missing in X3' }).expect(200);
+    const discarded = await request(app).post('/api/v1/events/evt_1/discard')
+      .send({ note: 'Posted by hand', resolutionType: 'handled_in_x3' })
+      .expect(200);
+
+    expect(discarded.body.data.status).toBe('resolved');
+    expect(event.triage).toMatchObject({
+      assignee: 'ada',
+      assignedBy: 'operator-1',
+      resolutionType: 'handled_in_x3',
+      resolutionNote: 'Posted by hand',
+      resolvedBy: 'operator-1'
+    });
+    expect(event.triage.notes.map(note => [note.note, note.by])).toEqual([['Customer code missing in X3', 'operator-1']]);
+    expect(AuditLog.logAction.mock.calls.map(([entry]) => entry.details.action))
+      .toEqual(['dead_letter_assigned', 'dead_letter_annotated', 'dead_letter_resolved']);
+  });
+
+  it('only triages dead-lettered events, and needs a note to close one', async () => {
+    storeEvent({ status: 'failed' });
+    await request(app).post('/api/v1/events/evt_1/assign').send({ assignee: 'ada' }).expect(400);
+    await request(app).post('/api/v1/events/evt_1/requeue').send({}).expect(400);
+
+    storeEvent();
+    await request(app).post('/api/v1/events/evt_1/discard').send({}).expect(400);
+    await request(app).post('/api/v1/events/evt_1/discard').send({ note: 'x', resolutionType: 'ignored' }).expect(400);
+
+    expect(AuditLog.logAction).not.toHaveBeenCalled();
+  });
+
+  it('requeues a dead-lettered event with a note', async () => {
+    storeEvent();
+
+    await request(app).post('/api/v1/events/evt_1/requeue').send({ note: 'Customer created' }).expect(200);
+
+    expect(requeueDeadLetteredEvent).toHaveBeenCalledWith('evt_1', 'operator-1', 'Customer created');
+    expect(AuditLog.logAction.mock.calls[0][0].details).toMatchObject({
+      action: 'dead_letter_requeued',
+      previousRetryCount: 3,
+      deadLetterReason: 'Retry attempts exhausted (3)'
+    });
+  });
+
+  it('clears an earlier resolution when an event is dead-lettered again, keeping assignee and notes', async () => {
+    const event = storeEvent({ status: 'failed' });
+    event.set('triage', {
+      assignee: 'ada',
+      notes: [{ note: 'first look', by: 'ada', at: new Date() }],
+      resolutionType: 'fixed_and_replayed',
+      resolvedBy: 'ada'
+    });
+
+    await event.markAsDeadLettered('Permanent failure: validation error');
+
+    expect(event.status).toBe('dead_lettered');
+    expect(event.triage.assignee).toBe('ada');
+    expect(event.triage.notes).toHaveLength(1);
+    expect(event.triage.resolutionType).toBeUndefined();
+    expect(event.triage.resolvedBy).toBeUndefined();
+  });
+});
+
+describe('requeueDeadLetteredEvent', () => {
+  const requested = process.env.QUEUE_BACKEND;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (requested === undefined) {
+      delete process.env.QUEUE_BACKEND;
+    } else {
+      process.env.QUEUE_BACKEND = requested;
+    }
+  });
+
+  it('resets the retry count and resolution, then queues a replay', async () => {
+    process.env.QUEUE_BACKEND = 'memory';
+    const queueManager = jest.requireActual('../../src/queues/queueManager');
+    const add = jest.spyOn(MemoryQueue.prototype, 'add').mockResolvedValue({});
+    const event = storeEvent();
+
+    await expect(queueManager.requeueDeadLetteredEvent('evt_1', 'operator-1', 'Customer created'))
+      .resolves.toEqual({ success: true, eventId: 'evt_1', status: 'received' });
+
+    expect(event).toMatchObject({ status: 'received', retryCount: 0, retryScheduledFor: undefined });
+    expect(event.triage).toMatchObject({ resolutionType: 'fixed_and_replayed', resolutionNote: 'Customer created' });
+    expect(add).toHaveBeenCalledWith(
+      { eventId: 'evt_1', replay: expect.stringMatching(/^requeue:\d+$/) },
+      { jobId: expect.stringMatching(/^evt_1:requeue:\d+$/) }
+    );
+    await expect(queueManager.requeueDeadLetteredEvent('evt_1', 'operator-1'))
+      .rejects.toThrow('Event is not dead-lettered (current: received)');
+    await queueManager.closeQueues();
+  });
+});
@@ -0,0 +1,118 @@
+const Configuration = require('../../src/models/Configuration');
+const CrossReference = require('../../src/models/CrossReference');
+const StockBatch = require('../../src/models/StockBatch');
+const Event = require('../../src/models/Event');
+const dimensionService = require('../../src/services/dimensionService');
+
+const RULES = {
+  department: { byConsultant: { 'DR-1': 'CARDIO' }, bySource: { Laboratory: 'LAB' }, default: 'GEN' },
+  revenueLine: { byCategory: { Consultation: 'REV-CONS' }, byPosClassification: { drugs: 'REV-PHARM' }, byItemType: { service: 'REV-SVC' } },
+  costCentre: { byLocation: { 'LOC-PH': 'CC-PHARM' }, default: 'CC-MAIN' }
+};
+
+function configure(crossReferences = new Map()) {
+  jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => (key === 'dimensions.rules' ? RULES : defaultValue));
+  jest.spyOn(CrossReference, 'resolveMany').mockImplementation(async (entityType, ids) =>
+    new Map(ids.filter(id => crossReferences.has(id)).map(id => [id, crossReferences.get(id)]))
+  );
+}
+
+describe('dimensionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resolves department, revenue line and cost centre for each line, with rule defaults', async () => {
+    configure(new Map([['LOC-LAB', 'CC-LAB']]));
+
+    const { items, dimensions } = await dimensionService.applyToItems([
+      { id: '1', consultant: { id: 'dr-1', name: 'Dr Ade' }, categories: [{ id: 'c1', name: 'consultation' }], source: { id: 'LOC-LAB' } },
+      { id: '2', source: { id: 'LOC-X', name: 'Laboratory' }, posClassifications: ['Drugs'] },
+      { id: '3', type: 'service', consultant: { id: 'DR-9', name: 'Dr Bello' } }
+    ]);
+
+    expect(items.map(item => item.dimensions)).toEqual([
+      { department: 'CARDIO', revenueLine: 'REV-CONS', costCentre: 'CC-LAB' },
+      { department: 'LAB', revenueLine: 'REV-PHARM', costCentre: 'CC-MAIN' },
+      { department: 'GEN', revenueLine: 'REV-SVC', costCentre: 'CC-MAIN' }
+    ]);
+    // Nothing is shared by every line, so the header carries no dimensions
+    expect(dimensions).toBeUndefined();
+  });
+
+  it('puts dimensions every line shares on the document header', async () => {
+    configure();
+
+    const { dimensions } = await dimensionService.applyToItems([
+      { id: '1', consultant: { id: 'DR-1' }, type: 'service' },
+      { id: '2', consultant: { id: 'DR-1' }, type: 'service' }
+    ]);
+
+    expect(dimensions).toEqual({ department: 'CARDIO', revenueLine: 'REV-SVC', costCentre: 'CC-MAIN' });
+  });
+
+  it('reports the source values no rule covered', () => {
+    const rules = {
+      department: { byConsultant: {}, bySource: {} },
+      revenueLine: { byCategory: {}, byPosClassification: {}, byItemType: {} },
+      costCentre: { byLocation: {} }
+    };
+
+    const { dimensions, unmapped } = dimensionService.resolveItem(
+      { consultant: { id: 'DR-9', name: 'Dr Bello' }, categories: [{ id: 'c7', name: 'Imaging' }] },
+      rules,
+      new Map()
+    );
+
+    expect(dimensions).toEqual({});
+    expect(unmapped).toEqual([
+      { dimension: 'department', key: 'DR-9', name: 'Dr Bello' },
+      { dimension: 'revenueLine', key: 'c7', name: 'Imaging' }
+    ]);
+  });
+
+  it('charges stock postings to the cost centre of the location involved', async () => {
+    configure(new Map([['LOC-W1', 'CC-WARD1']]));
+    jest.spyOn(StockBatch, 'findBatch').mockResolvedValue({ homeLocation: { id: 'LOC-PH' } });
+
+    await expect(dimensionService.resolveStockPosting('stock.transferred', { data: { from: { id: 'LOC-PH' }, to: { id: 'LOC-W1' } } }))
+      .resolves.toEqual({ dimensions: { costCentre: 'CC-PHARM' }, toDimensions: { costCentre: 'CC-WARD1' } });
+    await expect(dimensionService.resolveStockPosting('stock.sold', { data: { from: { id: 'LOC-X' }, to: { id: 'LOC-Y' } } }))
+      .resolves.toEqual({ dimensions: { costCentre: 'CC-MAIN' }, toDimensions: undefined });
+    await expect(dimensionService.resolveStockPosting('stock.recalled', { data: { id: 'STK1' } }, { stockCode: 'PCM500', batchId: 'B1' }))
+      .resolves.toEqual({ dimensions: { costCentre: 'CC-PHARM' }, toDimensions: undefined });
+    expect(StockBatch.findBatch).toHaveBeenCalledWith('PCM500', 'B1');
+  });
+
+  it('reports the share of posted lines carrying each dimension and what is left unmapped', async () => {
+    configure();
+    jest.spyOn(Event, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ limit: () => ({ lean: async () => [
+        {
+          eventType: 'invoice.created',
+          rawPayload: { data: { items: [{ consultant: { id: 'DR-1' }, type: 'service' }, { consultant: { id: 'DR-9', name: 'Dr Bello' }, categories: [{ id: 'c7', name: 'Imaging' }] }] } },
+          transformedPayload: { lineItems: [
+            { dimensions: { department: 'CARDIO', revenueLine: 'REV-SVC' } },
+            { dimensions: { department: 'GEN' } }
+          ] }
+        },
+        {
+          eventType: 'stock.sold',
+          rawPayload: { data: { from: { id: 'LOC-Q', name: 'Theatre store' } } },
+          // Posted before any cost centre rule existed
+          transformedPayload: { dimensions: {} }
+        },
+        { eventType: 'stock.updated', rawPayload: { data: {} }, transformedPayload: { noChange: true } }
+      ] }) }) })
+    });
+
+    const coverage = await dimensionService.getCoverage({ startDate: new Date('2026-10-01'), endDate: new Date('2026-10-31') });
+
+    expect(coverage).toMatchObject({ events: 3, truncated: false, postings: { sales: 1, stock: 1 } });
+    expect(coverage.dimensions).toEqual({
+      department: { lines: 2, resolved: 2, coveragePercent: 100, unmapped: [] },
+      revenueLine: { lines: 2, resolved: 1, coveragePercent: 50, unmapped: [{ key: 'c7', name: 'Imaging', lines: 1 }] },
+      costCentre: { lines: 1, resolved: 0, coveragePercent: 0, unmapped: [{ key: 'LOC-Q', name: 'Theatre store', lines: 1 }] }
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const encryption = require('../../src/utils/encryption');
+const Configuration = require('../../src/models/Configuration');
+const { EncryptionKeyError } = require('../../src/utils/errors');
+
+const KEY_VARIABLES = ['CONFIG_ENCRYPTION_KEY', 'CONFIG_ENCRYPTION_KEY_FILE', 'CONFIG_ENCRYPTION_PREVIOUS_KEYS'];
+
+function useKeys({ current, previous = [], file } = {}) {
+  KEY_VARIABLES.forEach(name => delete process.env[name]);
+  if (current) process.env.CONFIG_ENCRYPTION_KEY = current;
+  if (previous.length > 0) process.env.CONFIG_ENCRYPTION_PREVIOUS_KEYS = previous.join(',');
+  if (file) process.env.CONFIG_ENCRYPTION_KEY_FILE = file;
+  try {
+    encryption.reloadKeys();
+  } catch (error) {
+    // Tests without a key check the error themselves
+  }
+}
+
+// "enc:v1:" values were AES-256-GCM directly under the master key (passphrases hashed)
+function legacyEncrypt(passphrase, plaintext) {
+  const key = crypto.createHash('sha256').update(passphrase).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return `enc:v1:${[iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':')}`;
+}
+
+const saved = Object.fromEntries(KEY_VARIABLES.map(name => [name, process.env[name]]));
+
+afterAll(() => {
+  KEY_VARIABLES.forEach(name => {
+    if (saved[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = saved[name];
+    }
+  });
+});
+
+describe('encryption', () => {
+  it('round-trips values under the current key with a fresh envelope each time', () => {
+    useKeys({ current: crypto.randomBytes(32).toString('base64') });
+
+    const first = encryption.encrypt('whsec_secret');
+    const second = encryption.encrypt('whsec_secret');
+
+    expect(first).toMatch(/^enc:v2:/);
+    expect(first).not.toBe(second);
+    expect(encryption.keyIdOf(first)).toBe(encryption.getCurrentKeyId());
+    expect(encryption.decrypt(first)).toBe('whsec_secret');
+    expect(encryption.decrypt(encryption.encrypt(''))).toBe('');
+  });
+
+  it('decrypts with a previous key after rotation and encrypts with the new one', () => {
+    useKeys({ current: 'old passphrase' });
+    const oldKeyId = encryption.getCurrentKeyId();
+    const stored = encryption.encrypt('token');
+
+    useKeys({ current: crypto.randomBytes(32).toString('hex'), previous: ['old passphrase'] });
+
+    expect(encryption.decrypt(stored)).toBe('token');
+    expect(encryption.keyIdOf(stored)).toBe(oldKeyId);
+    expect(encryption.keyIdOf(encryption.encrypt('token'))).not.toBe(oldKeyId);
+  });
+
+  it('reads keys from CONFIG_ENCRYPTION_KEY_FILE', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-keys-'));
+    const file = path.join(dir, 'keys.json');
+    fs.writeFileSync(file, JSON.stringify({ current: 'file key', previous: ['older key'] }));
+
+    try {
+      useKeys({ current: 'older key' });
+      const stored = encryption.encrypt('token');
+
+      useKeys({ current: 'ignored', file });
+      expect(encryption.decrypt(stored)).toBe('token');
+      expect(encryption.getCurrentKeyId()).not.toBe(encryption.keyIdOf(stored));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('decrypts legacy v1 values under any configured key', () => {
+    useKeys({ current: 'new passphrase', previous: ['old passphrase'] });
+    const legacy = legacyEncrypt('old passphrase', 'whsec_legacy');
+
+    expect(encryption.isEncrypted(legacy)).toBe(true);
+    expect(encryption.isLegacy(legacy)).toBe(true);
+    expect(encryption.keyIdOf(legacy)).toBeNull();
+    expect(encryption.decrypt(legacy)).toBe('whsec_legacy');
+
+    useKeys({ current: 'new passphrase' });
+    expect(() => encryption.decrypt(legacy)).toThrow(EncryptionKeyError);
+  });
+
+  it('rejects values under an unknown key and tampered values', () => {
+    useKeys({ current: 'first' });
+    const stored = encryption.encrypt('token');
+
+    useKeys({ current: 'second' });
+    expect(() => encryption.decrypt(stored)).toThrow(EncryptionKeyError);
+
+    useKeys({ current: 'first' });
+    const parts = stored.split(':');
+    const ciphertext = Buffer.from(parts[parts.length - 1], 'base64');
+    ciphertext[0] ^= 1;
+    parts[parts.length - 1] = ciphertext.toString('base64');
+    expect(() => encryption.decrypt(parts.join(':'))).toThrow();
+    expect(() => encryption.decrypt('plain')).toThrow('Value is not encrypted');
+  });
+
+  it('fails with EncryptionKeyError when no key is configured', () => {
+    useKeys({});
+
+    expect(() => encryption.checkKeys()).toThrow(EncryptionKeyError);
+    expect(() => encryption.encrypt('token')).toThrow('No configuration encryption key');
+
+    useKeys({ file: path.join(os.tmpdir(), 'missing-config-keys.json') });
+    expect(() => encryption.checkKeys()).toThrow(/Cannot read CONFIG_ENCRYPTION_KEY_FILE/);
+  });
+});
+
+describe('Configuration sensitive values', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads webhook secrets stored with a legacy inner secret', () => {
+    useKeys({ current: 'passphrase' });
+    const config = new Configuration({
+      key: 'webhook.signingSecrets.s1',
+      value: encryption.encrypt(JSON.stringify({ status: 'active', secret: legacyEncrypt('passphrase', 'whsec_1') })),
+      sensitive: true
+    });
+
+    expect(config.getValue()).toEqual({ status: 'active', secret: 'whsec_1' });
+  });
+
+  it('re-encrypts every value under the current key and migrates legacy ciphertext', async () => {
+    useKeys({ current: 'old passphrase' });
+    const configs = [
+      new Configuration({ key: 'sage.bearerToken', value: legacyEncrypt('old passphrase', 'token'), sensitive: true }),
+      new Configuration({
+        key: 'webhook.signingSecrets.s1',
+        value: encryption.encrypt(JSON.stringify({ status: 'active', secret: legacyEncrypt('old passphrase', 'whsec_1') })),
+        sensitive: true
+      }),
+      new Configuration({ key: 'webhook.signingSecrets.s2', value: encryption.encrypt(JSON.stringify({ status: 'next' })), sensitive: true }),
+      new Configuration({ key: 'sage.clientSecret', value: 'plain', sensitive: true })
+    ];
+    useKeys({ current: 'new passphrase', previous: ['old passphrase'] });
+
+    jest.spyOn(Configuration, 'find').mockResolvedValue(configs);
+    const updateOne = jest.spyOn(Configuration, 'updateOne').mockResolvedValue({});
+
+    const summary = await Configuration.reencryptAll();
+
+    expect(summary).toMatchObject({ checked: 4, migratedLegacy: 2, reencrypted: 1, encryptedPlaintext: 1, unchanged: 0, failed: [] });
+    const values = updateOne.mock.calls.map(([, update]) => update.$set.value);
+    values.forEach(value => expect(encryption.keyIdOf(value)).toBe(encryption.getCurrentKeyId()));
+
+    // Nothing needs the old key any more
+    useKeys({ current: 'new passphrase' });
+    expect(values.map(value => JSON.parse(encryption.decrypt(value)))).toEqual([
+      'token',
+      { status: 'active', secret: 'whsec_1' },
+      { status: 'next' },
+      'plain'
+    ]);
+  });
+});
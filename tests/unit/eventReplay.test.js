@@ -0,0 +1,127 @@
+jest.mock('../../src/queues/queueManager', () => ({
+  retryFailedEvent: jest.fn(),
+  requeueDeadLetteredEvent: jest.fn(),
+  queueReplay: jest.fn().mockResolvedValue()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Event = require('../../src/models/Event');
+const AuditLog = require('../../src/models/AuditLog');
+const validationSchemas = require('../../src/validators/webhookSchemas');
+const { queueReplay } = require('../../src/queues/queueManager');
+const { diffJson } = require('../../src/utils/jsonDiff');
+const eventRoutes = require('../../src/routes/event.routes');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'user-1', role: req.get('x-test-role') || 'operator' };
+  next();
+});
+app.use('/api/v1/events', eventRoutes);
+
+const rawPayload = { event: 'test.replayed', data: { id: 'INV1', items: [{ sku: 'A', price: 100 }] } };
+const corrected = { event: 'test.replayed', data: { id: 'INV1', items: [{ sku: 'A', price: 120 }], note: 'fixed' } };
+
+function storeEvent(fields = {}) {
+  const event = new Event({
+    eventId: 'evt_1',
+    eventType: 'test.replayed',
+    source: 'indigo-hms',
+    rawPayload,
+    status: 'failed',
+    ...fields
+  });
+  jest.spyOn(event, 'save').mockResolvedValue(event);
+  jest.spyOn(Event, 'findByEventId').mockResolvedValue(event);
+  return event;
+}
+
+const replay = (body, role) => request(app).post('/api/v1/events/evt_1/replay').set('x-test-role', role || 'operator').send(body);
+
+describe('diffJson', () => {
+  it('lists changed, added and removed values by path', () => {
+    expect(diffJson(
+      { a: 1, items: [{ price: 100 }, { price: 5 }], gone: true },
+      { a: 1, items: [{ price: 120 }], added: 'x' }
+    )).toEqual([
+      { path: 'items[0].price', op: 'changed', before: 100, after: 120 },
+      { path: 'items[1]', op: 'removed', before: { price: 5 } },
+      { path: 'gone', op: 'removed', before: true },
+      { path: 'added', op: 'added', after: 'x' }
+    ]);
+    expect(diffJson({ a: [1] }, { a: [1] })).toEqual([]);
+  });
+});
+
+describe('POST /api/v1/events/:eventId/replay', () => {
+  beforeEach(() => {
+    validationSchemas['test.replayed'] = {
+      validate: payload => (payload.data?.id ? {} : { error: { details: [{ message: '"data.id" is required' }] } })
+    };
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    delete validationSchemas['test.replayed'];
+    jest.restoreAllMocks();
+    queueReplay.mockClear();
+  });
+
+  it('records the correction and its diff in the audit change tracking, then queues a replay', async () => {
+    const event = storeEvent();
+
+    const response = await replay({ payload: corrected, reason: 'Price was wrong' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ eventId: 'evt_1', revision: 1 });
+    expect(event.rawPayload).toEqual(corrected);
+    expect(event.originalPayload).toEqual(rawPayload);
+    expect(event.status).toBe('received');
+
+    const [audit] = AuditLog.logAction.mock.calls[0];
+    expect(audit.changeTracking).toEqual({
+      before: rawPayload,
+      after: corrected,
+      diff: diffJson(rawPayload, corrected)
+    });
+    expect(audit.details).toMatchObject({ action: 'payload_corrected', reason: 'Price was wrong', revision: 1 });
+    expect(queueReplay).toHaveBeenCalledWith('evt_1', 'replay:1');
+  });
+
+  it('validates without saving on a dry run', async () => {
+    const event = storeEvent();
+
+    const response = await replay({ payload: corrected, dryRun: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.diff).toEqual(diffJson(rawPayload, corrected));
+    expect(event.save).not.toHaveBeenCalled();
+    expect(queueReplay).not.toHaveBeenCalled();
+  });
+
+  it('rejects payloads that fail validation or change nothing', async () => {
+    storeEvent();
+
+    const invalid = await replay({ payload: { event: 'test.replayed', data: {} }, reason: 'x' });
+    const identical = await replay({ payload: rawPayload, reason: 'x' });
+
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.errors).toEqual(['"data.id" is required']);
+    expect(identical.status).toBe(400);
+    expect(AuditLog.logAction).not.toHaveBeenCalled();
+  });
+
+  it('refuses events that are not failed, event types without a schema, and viewers', async () => {
+    storeEvent({ status: 'synced' });
+    expect((await replay({ payload: corrected, reason: 'x' })).status).toBe(400);
+
+    storeEvent({ eventType: 'test.unknown' });
+    const unknown = await replay({ payload: corrected, reason: 'x' });
+    expect(unknown.status).toBe(409);
+    expect(unknown.body.error).toBe('No validation schema for test.unknown; the event cannot be replayed');
+
+    expect((await replay({ payload: corrected, reason: 'x' }, 'viewer')).status).toBe(403);
+  });
+});
@@ -0,0 +1,123 @@
+const Event = require('../../src/models/Event');
+const Transaction = require('../../src/models/Transaction');
+const Configuration = require('../../src/models/Configuration');
+const financialReportService = require('../../src/services/financialReportService');
+
+const query = result => {
+  const chain = { select: () => chain, sort: () => chain, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  return chain;
+};
+
+const event = (eventId, eventType, status, data) => ({
+  eventId,
+  eventType,
+  status,
+  reversed: status === 'reversed',
+  createdAt: new Date('2026-03-01T10:00:00Z'),
+  rawPayload: { data }
+});
+
+const transaction = (eventId, status, amount, extra = {}) => ({
+  eventId,
+  status,
+  financialData: { amount, currency: 'NGN', ...extra },
+  attempts: 1,
+  updatedAt: new Date('2026-03-01T10:05:00Z')
+});
+
+const cashier = { id: 'op1', name: 'Ada' };
+
+function storeDay(events, transactions, originals = []) {
+  jest.spyOn(Event, 'find')
+    .mockReturnValueOnce(query(events))
+    .mockReturnValueOnce(query(originals));
+  jest.spyOn(Transaction, 'find').mockReturnValue(query(transactions));
+  jest.spyOn(Transaction, 'getTransactionStats').mockResolvedValue([]);
+  jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => defaultValue);
+}
+
+describe('financialReportService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('starts the business day at midnight in the reporting timezone', () => {
+    const { start, end } = financialReportService.getDayWindow('2026-03-01');
+
+    expect(start.toISOString()).toBe('2026-02-28T23:00:00.000Z');
+    expect(end.toISOString()).toBe('2026-03-01T23:00:00.000Z');
+    expect(() => financialReportService.getDayWindow('01/03/2026')).toThrow('date must be in YYYY-MM-DD format');
+  });
+
+  it('lets the attempt that posted speak for an event, else the latest attempt', () => {
+    const posted = { ...transaction('evt_1', 'synced', 100), attempts: 1 };
+    const retried = { ...transaction('evt_1', 'failed', 100), attempts: 2 };
+    const first = { ...transaction('evt_2', 'failed', 50), attempts: 1 };
+    const second = { ...transaction('evt_2', 'failed', 50), attempts: 2 };
+
+    const picked = financialReportService.pickTransactions([posted, retried, second, first]);
+
+    expect(picked.get('evt_1')).toBe(posted);
+    expect(picked.get('evt_2')).toBe(second);
+  });
+
+  it('compares Indigo totals with what reached Sage X3 and flags the variance', async () => {
+    storeDay(
+      [
+        event('inv_1', 'invoice.created', 'synced', { operator: cashier, items: [{ total: 10000 }] }),
+        event('inv_2', 'invoice.created', 'failed', { operator: cashier, items: [{ price: 2500, quantity: 2 }] }),
+        event('pay_1', 'payment.created', 'synced', {
+          operator: cashier,
+          payments: [{ method: 'cash', amount: 3000 }, { method: 'pos', amount: 2000 }]
+        })
+      ],
+      [
+        transaction('inv_1', 'synced', 100),
+        // A failed attempt recorded its amount but posted nothing
+        transaction('inv_2', 'failed', 50),
+        transaction('pay_1', 'synced', 50)
+      ]
+    );
+
+    const report = await financialReportService.generateDailyReport('2026-03-01');
+
+    expect(report.summary.invoices).toMatchObject({
+      hms: { count: 2, amount: 150 },
+      synced: { count: 1, amount: 100 },
+      failed: { count: 1, amount: 50 },
+      posted: { amount: 100 },
+      variance: 50,
+      flagged: true
+    });
+    expect(report.summary.payments).toMatchObject({ hms: { amount: 50 }, posted: { amount: 50 }, flagged: false });
+    expect(report.byPaymentMethod.map(({ paymentMethod, hms, posted }) => [paymentMethod, hms.amount, posted.amount]))
+      .toEqual([['CARD', 20, 20], ['CASH', 30, 30]]);
+    expect(report.byOperator[0]).toMatchObject({ operatorId: 'op1', operatorName: 'Ada' });
+    expect(report.balanced).toBe(false);
+    expect(report.flags.map(entry => [entry.scope, entry.key])).toEqual([
+      ['category', 'invoices'],
+      ['operator', 'Ada invoices']
+    ]);
+  });
+
+  it('takes a cancellation\'s amount from the event it cancels', async () => {
+    storeDay(
+      [
+        event('cnl_1', 'invoice.cancelled', 'synced', { id: 'INV1', operator: cashier }),
+        event('cnl_2', 'payment.cancelled', 'failed', { id: 'PAY9' })
+      ],
+      [transaction('cnl_1', 'synced', 80)],
+      [{ eventType: 'invoice.created', rawPayload: { data: { id: 'INV1', items: [{ total: 8000 }] } } }]
+    );
+
+    const report = await financialReportService.generateDailyReport('2026-03-01');
+
+    expect(report.summary.cancellations).toMatchObject({
+      hms: { count: 2, amount: 80 },
+      synced: { count: 1, amount: 80 },
+      failed: { count: 1, amount: 0 },
+      posted: { amount: 80 }
+    });
+    expect(report.unmatchedCancellations).toEqual(['cnl_2']);
+  });
+});
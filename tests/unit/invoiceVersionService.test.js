@@ -0,0 +1,73 @@
+const invoiceVersionService = require('../../src/services/invoiceVersionService');
+
+const lineItem = (itemId, quantity, unitPrice) => ({
+  itemId,
+  itemCode: `ITEM-${itemId}`,
+  itemDescription: `Item ${itemId}`,
+  quantity,
+  unitPrice,
+  lineTotal: quantity * unitPrice,
+  netAmount: quantity * unitPrice,
+  taxAmount: 0,
+  grossAmount: quantity * unitPrice
+});
+
+const document = (lineItems) => invoiceVersionService.buildDocuments({
+  invoiceNumber: 'INV1',
+  customerReference: 'PAT1',
+  totalAmount: lineItems.reduce((sum, line) => sum + line.grossAmount, 0),
+  lineItems
+})[0];
+
+describe('invoiceVersionService', () => {
+  it('keys repeated items by occurrence', () => {
+    const { lines } = document([lineItem('1', 1, 10), lineItem('1', 2, 10), lineItem('2', 1, 5)]);
+
+    expect(lines.map(line => line.lineKey)).toEqual(['1:ITEM-1#1', '1:ITEM-1#2', '2:ITEM-2#1']);
+  });
+
+  it('diffs added, removed and changed lines between versions', () => {
+    const before = document([lineItem('1', 2, 10), lineItem('2', 1, 5), lineItem('3', 1, 7)]);
+    const after = document([lineItem('1', 3, 10), lineItem('3', 1, 7), lineItem('4', 1, 12)]);
+
+    const diff = invoiceVersionService.diffDocument(before, after);
+
+    expect(diff.invoiceNumber).toBe('INV1');
+    expect(diff.added.map(line => line.lineKey)).toEqual(['4:ITEM-4#1']);
+    expect(diff.removed.map(line => line.lineKey)).toEqual(['2:ITEM-2#1']);
+    expect(diff.changed.map(change => change.lineKey)).toEqual(['1:ITEM-1#1']);
+    expect(diff.amountChange).toBe(17);
+  });
+
+  it('turns a diff into supplementary invoice and credit note lines', () => {
+    const before = document([lineItem('1', 2, 10), lineItem('2', 1, 5), lineItem('3', 1, 7)]);
+    const after = document([lineItem('1', 3, 10), lineItem('2', 1, 5), lineItem('3', 1, 4)]);
+
+    const { increases, decreases } = invoiceVersionService.adjustmentLines(
+      invoiceVersionService.diffDocument(before, after)
+    );
+
+    // A quantity change is the extra units at the same price
+    expect(increases).toHaveLength(1);
+    expect(increases[0]).toMatchObject({ itemId: '1', quantity: 1, unitPrice: 10, lineTotal: 10, grossAmount: 10 });
+    // A price change is one unit of the difference, positive on the credit note
+    expect(decreases).toHaveLength(1);
+    expect(decreases[0]).toMatchObject({ itemId: '3', quantity: 1, unitPrice: 3, lineTotal: 3, grossAmount: 3 });
+
+    expect(invoiceVersionService.toPostedLines(decreases)).toMatchObject({
+      lineItems: [{ lineNumber: 1, itemCode: 'ITEM-3', quantity: 1, unitPrice: 3 }],
+      totalAmount: 3
+    });
+  });
+
+  it('credits every line of a receivable document dropped from the invoice', () => {
+    const before = document([lineItem('1', 1, 10.1), lineItem('2', 1, 0.2)]);
+
+    const diff = invoiceVersionService.diffDocument(before, undefined);
+    const { increases, decreases } = invoiceVersionService.adjustmentLines(diff);
+
+    expect(diff.amountChange).toBe(-10.3);
+    expect(increases).toEqual([]);
+    expect(invoiceVersionService.toPostedLines(decreases).totalAmount).toBe(10.3);
+  });
+});
@@ -0,0 +1,106 @@
+const Event = require('../../src/models/Event');
+const Transaction = require('../../src/models/Transaction');
+const AuditLog = require('../../src/models/AuditLog');
+const Configuration = require('../../src/models/Configuration');
+const sageX3Client = require('../../src/services/sageX3Client');
+const transformationService = require('../../src/services/transformationService');
+const { processEvent } = require('../../src/queues/queueManager');
+
+const LOOKUPS = {
+  'mapping.productFamilies': { 'cat-drugs': 'PHARM', default: 'MISC' },
+  'mapping.unitsOfMeasure': { tablet: 'TAB', box: 'BOX', default: 'UN' }
+};
+
+const item = (event, data) => ({
+  event,
+  data: { id: 'ITEM1', timestamp: '2026-10-01T09:00:00Z', ...data }
+});
+
+function itemEvent(eventType, transformedPayload) {
+  const event = new Event({
+    eventId: `evt_${eventType}`,
+    eventType,
+    source: 'indigo-hms',
+    rawPayload: item(eventType, {}),
+    transformedPayload,
+    status: 'transformed'
+  });
+  jest.spyOn(event, 'save').mockResolvedValue(event);
+  jest.spyOn(Event, 'findByEventId').mockResolvedValue(event);
+  return event;
+}
+
+describe('item master sync', () => {
+  beforeEach(() => {
+    jest.spyOn(Configuration, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => LOOKUPS[key] ?? defaultValue);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('maps HMS categories and units to X3 product families and units of measure', async () => {
+    const { data } = await transformationService.transform('item.created', item('item.created', {
+      name: 'Paracetamol 500mg',
+      type: 'product',
+      categories: [{ id: 'cat-drugs', name: 'Drugs' }],
+      unitOfSale: 'Tablet'
+    }));
+
+    expect(data).toMatchObject({
+      documentType: 'ITEM',
+      itemId: 'ITEM1',
+      itemType: 'STOCK',
+      productFamily: 'PHARM',
+      salesUnit: 'TAB',
+      purchaseUnit: 'TAB',
+      status: 'ACTIVE'
+    });
+  });
+
+  it('sends only the fields present on an item update', async () => {
+    const { data } = await transformationService.transform('item.updated', item('item.updated', { name: 'Paracetamol 1g' }));
+
+    expect(data).toMatchObject({ documentType: 'ITEM', itemId: 'ITEM1', itemName: 'Paracetamol 1g' });
+    expect(data).not.toHaveProperty('productFamily');
+    expect(data).not.toHaveProperty('itemType');
+    expect(data).not.toHaveProperty('categories');
+  });
+
+  it('deactivates an archived item', async () => {
+    const { data } = await transformationService.transform('item.archived', item('item.archived', { reason: 'Discontinued' }));
+
+    expect(data).toMatchObject({ itemId: 'ITEM1', status: 'INACTIVE', reason: 'Discontinued' });
+  });
+
+  describe('posting', () => {
+    beforeEach(() => {
+      jest.spyOn(Transaction, 'findOne').mockReturnValue({ sort: () => Promise.resolve(null) });
+      jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+    });
+
+    it('archives an item.archived event\'s item in X3', async () => {
+      itemEvent('item.archived', { itemId: 'ITEM1', status: 'INACTIVE', reason: 'Discontinued' });
+      const archiveItem = jest.spyOn(sageX3Client, 'archiveItem').mockResolvedValue({ success: true, documentReference: 'ITEM1' });
+
+      const result = await processEvent('evt_item.archived');
+
+      expect(result.status).toBe('synced');
+      expect(archiveItem).toHaveBeenCalledWith('ITEM1', expect.objectContaining({ reason: 'Discontinued' }));
+    });
+
+    it('fails an update for an item X3 does not have with a business-rule error', async () => {
+      const event = itemEvent('item.updated', { itemId: 'ITEM1', itemName: 'Paracetamol 1g' });
+      jest.spyOn(sageX3Client, 'updateItem').mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+
+      await expect(processEvent('evt_item.updated')).rejects.toThrow('Item ITEM1 does not exist in Sage X3; sync its item.created event first');
+
+      expect(event.errors.at(-1)).toMatchObject({ type: 'business_rule' });
+      expect(event.status).toBe('dead_lettered');
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const Configuration = require('../../src/models/Configuration');
+const mappingEngine = require('../../src/services/mappingEngine');
+const transformationService = require('../../src/services/transformationService');
+
+const payload = {
+  event: 'test.mapped',
+  data: {
+    id: 'INV1',
+    patient: { mrn: 'MRN-7' },
+    payments: [{ method: 'POS' }],
+    items: [
+      { id: 'I1', variant: { sku: 'SKU-1' }, total: 1500 },
+      { id: 'I2', total: 250 }
+    ]
+  }
+};
+
+describe('mappingEngine', () => {
+  beforeEach(() => {
+    jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => defaultValue);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('maps sources, lists, lookups, defaults and transforms into a document', async () => {
+    const document = await mappingEngine.apply({
+      fields: {
+        documentType: { value: 'SI' },
+        invoiceId: { source: '$.data.id', required: true },
+        customerReference: { source: '$.data.patient.mrn', transform: 'lowercase' },
+        paymentMethod: { source: '$.data.payments[0].method', lookup: 'paymentMethods' },
+        total: '$.derived.total',
+        comment: { source: '$.data.comment', default: 'none' },
+        note: { source: '$.data.note', optional: true },
+        lines: {
+          source: '$.data.items[*]',
+          each: {
+            lineNumber: { position: true },
+            itemCode: { source: ['@.variant.sku', '@.id'] },
+            amount: { source: '@.total', transform: 'number' }
+          }
+        }
+      }
+    }, payload, { total: 1750 });
+
+    expect(document).toEqual({
+      documentType: 'SI',
+      invoiceId: 'INV1',
+      customerReference: 'mrn-7',
+      paymentMethod: 'CARD',
+      total: 1750,
+      comment: 'none',
+      lines: [
+        { lineNumber: 1, itemCode: 'SKU-1', amount: 1500 },
+        { lineNumber: 2, itemCode: 'I2', amount: 250 }
+      ]
+    });
+  });
+
+  it('prefers a document\'s inline lookup over the shared table and falls back to its default', async () => {
+    const document = await mappingEngine.apply({
+      fields: {
+        method: { source: '$.data.payments[0].method', lookup: 'paymentMethods' },
+        family: { source: '$.data.items[*].id', lookup: 'families' },
+        patientFamily: { source: '$.data.patient.mrn', lookup: 'families' }
+      },
+      lookups: {
+        paymentMethods: { pos: 'POS_TERMINAL' },
+        families: { I2: 'SURG', default: 'MISC' }
+      }
+    }, payload);
+
+    expect(document).toEqual({ method: 'POS_TERMINAL', family: 'SURG', patientFamily: 'MISC' });
+  });
+
+  it('skips fields whose "when" path is absent', async () => {
+    const document = await mappingEngine.apply({
+      fields: {
+        mrn: { source: '$.data.patient.mrn', when: '$.data.patient' },
+        sponsor: { source: '$.data.sponsor.id', when: '$.data.sponsor' }
+      }
+    }, payload);
+
+    expect(document).toEqual({ mrn: 'MRN-7' });
+  });
+
+  it('lists every required field the payload does not provide', async () => {
+    await expect(mappingEngine.apply({
+      fields: {
+        invoiceId: { source: '$.data.invoiceId', required: true },
+        lines: { source: '$.data.items[*]', each: { code: { source: '@.code', required: true } } }
+      }
+    }, payload)).rejects.toThrow('Mapping produced no value for required field(s): invoiceId, lines[0].code, lines[1].code');
+  });
+
+  it('uses the stored mapping when one is active, else the built-in default as version 0', async () => {
+    jest.spyOn(Configuration, 'findOne').mockResolvedValue(null).mockResolvedValueOnce({ version: 3, value: { fields: {} } });
+
+    await expect(mappingEngine.getMapping('invoice.created'))
+      .resolves.toEqual({ key: 'mapping.invoice.created', version: 3, document: { fields: {} } });
+    await expect(mappingEngine.getMapping('invoice.created'))
+      .resolves.toMatchObject({ key: 'mapping.invoice.created', version: 0 });
+    await expect(mappingEngine.getMapping('unknown.event')).resolves.toBeNull();
+  });
+
+  it('reports the mapping version that produced a transformed event', async () => {
+    jest.spyOn(Configuration, 'findOne').mockResolvedValue({
+      version: 2,
+      value: { fields: { documentType: { value: 'ITEM' }, itemId: '$.data.id' } }
+    });
+
+    const result = await transformationService.transform('item.archived', { event: 'item.archived', data: { id: 'ITEM1' } });
+
+    expect(result).toEqual({
+      data: { documentType: 'ITEM', itemId: 'ITEM1' },
+      mapping: { key: 'mapping.item.archived', version: 2 }
+    });
+  });
+
+  it('rejects mapping documents with unknown options, paths, transforms or lookups', async () => {
+    jest.spyOn(Configuration, 'exists').mockResolvedValue(null);
+
+    const errors = await mappingEngine.validate({
+      fields: {
+        a: { source: 'data.id' },
+        b: { source: '$.data.id', transform: 'shout' },
+        c: { source: '$.data.id', lookup: 'colours' },
+        d: { source: '$.data.id', xref: 'planet', colour: 'red' },
+        e: {}
+      }
+    });
+
+    expect(errors).toEqual([
+      'a: invalid source path "data.id"',
+      'b: unknown transform "shout"',
+      'd: unknown option(s) colour',
+      'd: unknown cross-reference type "planet"',
+      'e: needs a value, source, fields or position',
+      'c: unknown lookup "colours"'
+    ]);
+    await expect(mappingEngine.validate({ fields: { id: '$.data.id' } })).resolves.toEqual([]);
+  });
+});
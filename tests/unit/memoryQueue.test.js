@@ -0,0 +1,84 @@
+const MemoryQueue = require('../../src/queues/memoryQueue');
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('MemoryQueue', () => {
+  it('runs jobs in order, no more at once than the concurrency', async () => {
+    const queue = new MemoryQueue('test');
+    const started = [];
+    const release = [];
+    queue.process(2, job => {
+      started.push(job.data.n);
+      return new Promise(resolve => release.push(resolve));
+    });
+
+    await Promise.all([1, 2, 3].map(n => queue.add({ n })));
+    await settle();
+
+    expect(started).toEqual([1, 2]);
+    expect(await queue.getJobCounts()).toMatchObject({ waiting: 1, active: 2 });
+
+    release.shift()();
+    await settle();
+    expect(started).toEqual([1, 2, 3]);
+    await queue.close();
+  });
+
+  it('ignores a job whose id is still queued, as Bull does, but not once it has finished', async () => {
+    const queue = new MemoryQueue('test');
+    const handled = [];
+    const completed = new Promise(resolve => queue.on('completed', resolve));
+
+    await queue.add({ n: 1 }, { jobId: 'event-1' });
+    await queue.add({ n: 2 }, { jobId: 'event-1' });
+    queue.process(job => handled.push(job.data.n));
+    await completed;
+
+    await queue.add({ n: 3 }, { jobId: 'event-1' });
+    await settle();
+
+    expect(handled).toEqual([1, 3]);
+    expect(await queue.getJobCounts()).toMatchObject({ completed: 2, failed: 0 });
+    await queue.close();
+  });
+
+  it('reports failed jobs and keeps processing', async () => {
+    const queue = new MemoryQueue('test');
+    const failed = new Promise(resolve => queue.on('failed', (job, error) => resolve([job, error])));
+    queue.process(job => {
+      if (job.data.fail) throw new Error('boom');
+    });
+
+    await queue.add({ fail: true });
+    const [job, error] = await failed;
+    await queue.add({ fail: false });
+    await settle();
+
+    expect(error.message).toBe('boom');
+    expect(job.failedReason).toBe('boom');
+    expect(await queue.getJobCounts()).toMatchObject({ completed: 1, failed: 1 });
+    await queue.close();
+  });
+
+  it('holds delayed jobs until their delay passes and drops them on close', async () => {
+    jest.useFakeTimers();
+    const queue = new MemoryQueue('test');
+    const handled = [];
+    queue.process(job => handled.push(job.data.n));
+
+    await queue.add({ n: 1 }, { delay: 1000 });
+    expect(await queue.getJobCounts()).toMatchObject({ delayed: 1, waiting: 0 });
+
+    jest.advanceTimersByTime(1000);
+    expect(await queue.getJobCounts()).toMatchObject({ delayed: 0 });
+
+    await queue.add({ n: 2 }, { delay: 1000 });
+    await queue.close();
+    jest.advanceTimersByTime(1000);
+    jest.useRealTimers();
+    await settle();
+
+    expect(handled).toEqual([1]);
+    await expect(queue.add({ n: 3 })).rejects.toThrow('Queue test is closed');
+  });
+});
@@ -0,0 +1,124 @@
+const Event = require('../../src/models/Event');
+const Configuration = require('../../src/models/Configuration');
+const orderingService = require('../../src/services/orderingService');
+const { processEvent } = require('../../src/queues/queueManager');
+
+const event = (eventId, eventType, status, fields = {}) => ({
+  eventId,
+  eventType,
+  status,
+  entityKeys: ['invoice:INV1'],
+  sequenceAt: new Date('2026-10-01T09:00:00Z'),
+  createdAt: new Date('2026-10-01T09:00:05Z'),
+  ...fields
+});
+
+// Answers the ordering queries from an in-memory list of events
+function storeEvents(events) {
+  const matches = filter => events.filter(stored =>
+    (!filter.entityKeys || [].concat(filter.entityKeys.$in || filter.entityKeys).some(key => stored.entityKeys.includes(key))) &&
+    (!filter.eventId?.$ne || stored.eventId !== filter.eventId.$ne) &&
+    (!filter.eventType || stored.eventType === filter.eventType) &&
+    (!filter.status || filter.status.$in.includes(stored.status))
+  );
+  jest.spyOn(Event, 'find').mockImplementation(filter => ({ select: () => Promise.resolve(matches(filter)) }));
+  jest.spyOn(Event, 'exists').mockImplementation(async filter => (matches(filter).length > 0 ? { _id: 'x' } : null));
+  jest.spyOn(Event, 'findBlocked').mockImplementation(async () => events.filter(stored => stored.status === 'blocked'));
+}
+
+describe('orderingService', () => {
+  beforeEach(() => {
+    jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => defaultValue);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('orders creation first and closing last, then by HMS time, then by receipt', () => {
+    const later = { sequenceAt: new Date('2026-10-01T10:00:00Z') };
+    const sorted = [
+      event('e4', 'invoice.cancelled', 'received', { sequenceAt: new Date('2026-10-01T08:00:00Z') }),
+      event('e3', 'invoice.updated', 'received', later),
+      event('e2', 'invoice.updated', 'received'),
+      event('e1', 'invoice.created', 'received', later),
+      event('e0', 'invoice.updated', 'received', { createdAt: new Date('2026-10-01T09:00:01Z') })
+    ].sort((a, b) => orderingService.compare(a, b));
+
+    expect(sorted.map(entry => entry.eventId)).toEqual(['e1', 'e0', 'e2', 'e3', 'e4']);
+  });
+
+  it('holds an event behind an earlier event on the same entity that is still in the pipeline', async () => {
+    storeEvents([event('evt_create', 'invoice.created', 'failed')]);
+
+    await expect(orderingService.findBlocker(event('evt_update', 'invoice.updated', 'received'))).resolves.toEqual({
+      entityKey: 'invoice:INV1',
+      waitingForEventId: 'evt_create',
+      waitingForEventType: 'invoice.created',
+      reason: 'invoice.created evt_create is failed'
+    });
+  });
+
+  it('holds an event until its entity\'s creating event has synced', async () => {
+    storeEvents([]);
+
+    await expect(orderingService.findBlocker(event('evt_update', 'invoice.updated', 'received'))).resolves.toEqual({
+      entityKey: 'invoice:INV1',
+      waitingForEventType: 'invoice.created',
+      reason: 'invoice.created for invoice:INV1 has not synced'
+    });
+  });
+
+  it('lets an event go once everything ahead of it has settled', async () => {
+    storeEvents([
+      event('evt_create', 'invoice.created', 'synced'),
+      event('evt_cancel', 'invoice.cancelled', 'received')
+    ]);
+
+    await expect(orderingService.findBlocker(event('evt_update', 'invoice.updated', 'received'))).resolves.toBeNull();
+    await expect(orderingService.findBlocker(event('evt_create', 'invoice.created', 'received'))).resolves.toBeNull();
+    await expect(orderingService.findBlocker(event('evt_x', 'invoice.updated', 'received', { entityKeys: [] }))).resolves.toBeNull();
+  });
+
+  it('releases blocked events whose blocker cleared or whose wait timed out, in causal order', async () => {
+    const past = new Date(Date.now() - 1000);
+    const future = new Date(Date.now() + 60000);
+    storeEvents([
+      event('evt_create', 'invoice.created', 'synced'),
+      event('evt_cancel', 'invoice.cancelled', 'blocked', { blocking: { timeoutAt: future } }),
+      event('evt_update', 'invoice.updated', 'blocked', { blocking: { timeoutAt: future } }),
+      event('evt_pay', 'payment.created', 'blocked', { entityKeys: ['invoice:INV9'], blocking: { timeoutAt: past } }),
+      event('evt_edit', 'invoice.updated', 'blocked', { entityKeys: ['invoice:INV9'], blocking: { timeoutAt: future } })
+    ]);
+
+    const releasable = await orderingService.findReleasable();
+
+    // The cancellation still waits behind the update, which has not synced yet
+    expect(releasable.map(({ event: released, reason }) => [released.eventId, reason])).toEqual([
+      ['evt_pay', 'timeout'],
+      ['evt_update', 'clear']
+    ]);
+  });
+
+  it('blocks a received event in the pipeline instead of validating it', async () => {
+    storeEvents([event('evt_create', 'invoice.created', 'transformed')]);
+    const update = new Event({
+      eventId: 'evt_update',
+      eventType: 'invoice.updated',
+      source: 'indigo-hms',
+      rawPayload: { event: 'invoice.updated', data: { id: 'INV1' } },
+      entityKeys: ['invoice:INV1'],
+      sequenceAt: new Date('2026-10-01T09:00:00Z'),
+      status: 'received'
+    });
+    jest.spyOn(update, 'save').mockResolvedValue(update);
+    jest.spyOn(Event, 'findByEventId').mockResolvedValue(update);
+
+    const result = await processEvent('evt_update');
+
+    expect(result.status).toBe('blocked');
+    expect(update.blocking).toMatchObject({ waitingForEventId: 'evt_create', entityKey: 'invoice:INV1' });
+    expect(update.blocking.timeoutAt - update.blocking.blockedAt).toBe(15 * 60 * 1000);
+    expect(update.validationResult?.validatedAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,111 @@
+const Transaction = require('../../src/models/Transaction');
+const sageX3Client = require('../../src/services/sageX3Client');
+const { allocateAmount, postReversal } = require('../../src/queues/queueManager');
+
+const open = (documentReference, outstanding) => ({ receivable: { documentReference }, outstanding });
+
+describe('allocateAmount', () => {
+  it('settles open receivables in order and puts the rest on account', () => {
+    const receivables = [open('INV-1', 30), open('INV-2', 50)];
+
+    const { allocations, onAccount } = allocateAmount(100, receivables);
+
+    expect(allocations.map(({ receivable, amount }) => [receivable.documentReference, amount]))
+      .toEqual([['INV-1', 30], ['INV-2', 50]]);
+    expect(onAccount).toBe(20);
+    expect(receivables.map(entry => entry.outstanding)).toEqual([0, 0]);
+  });
+
+  it('part-pays the receivable the amount runs out on and leaves later ones open', () => {
+    const receivables = [open('INV-1', 30), open('INV-2', 50), open('INV-3', 10)];
+
+    const { allocations, onAccount } = allocateAmount(45, receivables);
+
+    expect(allocations.map(({ receivable, amount }) => [receivable.documentReference, amount]))
+      .toEqual([['INV-1', 30], ['INV-2', 15]]);
+    expect(onAccount).toBe(0);
+    expect(receivables.map(entry => entry.outstanding)).toEqual([0, 35, 10]);
+  });
+
+  it('shares the outstanding balances between successive tenders', () => {
+    const receivables = [open('INV-1', 0.3), open('INV-2', 0.2)];
+
+    const first = allocateAmount(0.1, receivables);
+    const second = allocateAmount(0.5, receivables);
+
+    expect(first.allocations.map(({ amount }) => amount)).toEqual([0.1]);
+    expect(second.allocations.map(({ amount }) => amount)).toEqual([0.2, 0.2]);
+    expect(second.onAccount).toBe(0.1);
+  });
+
+  it('puts everything on account when nothing is open', () => {
+    expect(allocateAmount(25, [])).toEqual({ allocations: [], onAccount: 25 });
+  });
+});
+
+describe('postReversal of a payment', () => {
+  // Applies the updates postReversal makes to the stored payment and invoice receivables
+  function storeTransactions(payment, settled) {
+    jest.spyOn(Transaction, 'updateOne').mockImplementation(async (filter, update, options) => {
+      if (filter._id === payment._id) {
+        const receipt = options.arrayFilters[0]['receipt.documentReference'];
+        payment.allocations
+          .filter(allocation => allocation.documentReference === receipt)
+          .forEach(allocation => { allocation.reversalReference = update.$set['allocations.$[receipt].reversalReference']; });
+      } else {
+        const invoice = filter['receivables.documentReference'];
+        settled[invoice] = (settled[invoice] || 0) + update.$inc['receivables.$.settledAmount'];
+      }
+      return {};
+    });
+  }
+
+  const payment = () => ({
+    _id: 'payment-1',
+    eventType: 'payment.created',
+    transactionId: 'TXN-1',
+    sageX3Payload: { paymentId: 'PAY1' },
+    financialData: { amount: 80, currency: 'NGN' },
+    allocations: [
+      { documentReference: 'RCPT-1', invoiceDocumentReference: 'INV-1', amount: 30 },
+      { documentReference: 'RCPT-1', invoiceDocumentReference: 'INV-2', amount: 20 },
+      { documentReference: 'RCPT-2', invoiceDocumentReference: 'INV-3', amount: 30 }
+    ]
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reverses each receipt once when a retry follows a failure on the second receipt', async () => {
+    const original = payment();
+    const settled = {};
+    storeTransactions(original, settled);
+    const postPaymentReversal = jest.spyOn(sageX3Client, 'postPaymentReversal')
+      .mockResolvedValueOnce({ success: true, documentReference: 'REV-1' })
+      .mockRejectedValueOnce(new Error('Sage X3 unavailable'))
+      .mockResolvedValueOnce({ success: true, documentReference: 'REV-2' });
+
+    await expect(postReversal(original, { reason: 'Refund' })).rejects.toThrow('Sage X3 unavailable');
+    const response = await postReversal(original, { reason: 'Refund' });
+
+    expect(postPaymentReversal.mock.calls.map(([data]) => [data.originalReference, data.amount]))
+      .toEqual([['RCPT-1', 50], ['RCPT-2', 30], ['RCPT-2', 30]]);
+    expect(settled).toEqual({ 'INV-1': -30, 'INV-2': -20, 'INV-3': -30 });
+    expect(response.reversals).toEqual(['REV-1', 'REV-2']);
+    expect(original.allocations.map(allocation => allocation.reversalReference)).toEqual(['REV-1', 'REV-1', 'REV-2']);
+  });
+
+  it('posts nothing once every receipt has been reversed', async () => {
+    const original = payment();
+    original.allocations.forEach(allocation => { allocation.reversalReference = `REV-${allocation.documentReference}`; });
+    storeTransactions(original, {});
+    const postPaymentReversal = jest.spyOn(sageX3Client, 'postPaymentReversal');
+
+    const response = await postReversal(original, { reason: 'Refund' });
+
+    expect(postPaymentReversal).not.toHaveBeenCalled();
+    expect(Transaction.updateOne).not.toHaveBeenCalled();
+    expect(response).toMatchObject({ posted: false, documentReference: 'REV-RCPT-1', reversals: ['REV-RCPT-1', 'REV-RCPT-2'] });
+  });
+});
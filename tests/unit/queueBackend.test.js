@@ -0,0 +1,76 @@
+const mockQueues = [];
+
+jest.mock('bull', () => jest.fn().mockImplementation(name => {
+  const queue = {
+    name,
+    client: { ping: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:6379')) },
+    on: jest.fn(),
+    close: jest.fn().mockResolvedValue()
+  };
+  mockQueues.push(queue);
+  return queue;
+}));
+
+// A fresh queueManager (and backend choice) per test, with the modules it uses
+function loadQueueManager() {
+  const loaded = {};
+  jest.isolateModules(() => {
+    loaded.logger = require('../../src/utils/logger');
+    loaded.MemoryQueue = require('../../src/queues/memoryQueue');
+    loaded.queueManager = require('../../src/queues/queueManager');
+  });
+  return loaded;
+}
+
+describe('queue backend selection', () => {
+  const requested = process.env.QUEUE_BACKEND;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mockQueues.length = 0;
+    if (requested === undefined) {
+      delete process.env.QUEUE_BACKEND;
+    } else {
+      process.env.QUEUE_BACKEND = requested;
+    }
+  });
+
+  it('falls back to in-process queues when Redis cannot be reached, and says so loudly', async () => {
+    delete process.env.QUEUE_BACKEND;
+    const { queueManager, logger } = loadQueueManager();
+    const logged = jest.spyOn(logger.queue, 'error').mockImplementation(() => {});
+
+    await expect(queueManager.initializeQueues()).resolves.toEqual({ backend: 'memory' });
+
+    expect(mockQueues).toHaveLength(2);
+    mockQueues.forEach(queue => expect(queue.close).toHaveBeenCalled());
+    expect(logged).toHaveBeenCalledWith('Redis queues unavailable, falling back to in-process queues', {
+      error: 'connect ECONNREFUSED 127.0.0.1:6379'
+    });
+    expect(await queueManager.getQueueStats()).toMatchObject({ backend: 'memory' });
+    await queueManager.closeQueues();
+  });
+
+  it('does not try Redis when QUEUE_BACKEND=memory', async () => {
+    process.env.QUEUE_BACKEND = 'memory';
+    const { queueManager } = loadQueueManager();
+
+    await expect(queueManager.initializeQueues()).resolves.toEqual({ backend: 'memory' });
+    expect(mockQueues).toHaveLength(0);
+    await queueManager.closeQueues();
+  });
+
+  it('gives every enqueue of an event its own job', async () => {
+    process.env.QUEUE_BACKEND = 'memory';
+    const { queueManager, MemoryQueue } = loadQueueManager();
+    const add = jest.spyOn(MemoryQueue.prototype, 'add').mockResolvedValue({});
+    jest.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(2000);
+
+    await queueManager.queueEvent('evt_1');
+    await queueManager.queueEvent('evt_1');
+
+    expect(add.mock.calls.map(([data, opts]) => [data.eventId, opts.jobId]))
+      .toEqual([['evt_1', 'evt_1:process:1000'], ['evt_1', 'evt_1:process:2000']]);
+    await queueManager.closeQueues();
+  });
+});
@@ -0,0 +1,115 @@
+const Event = require('../../src/models/Event');
+const sageX3Client = require('../../src/services/sageX3Client');
+const reconciliationService = require('../../src/services/reconciliationService');
+
+function storeDocuments(documents) {
+  jest.spyOn(sageX3Client, 'getDocument').mockImplementation(async reference => {
+    if (!documents[reference]) {
+      throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+    }
+    return documents[reference];
+  });
+}
+
+function storeTransformedPayload(transformedPayload) {
+  jest.spyOn(Event, 'findByEventId').mockReturnValue({ select: () => Promise.resolve({ transformedPayload }) });
+}
+
+const transaction = (fields) => ({
+  transactionId: 'TXN-1',
+  eventId: 'evt_1',
+  eventType: 'invoice.created',
+  financialData: { amount: 150, currency: 'NGN', customerReference: 'PAT1' },
+  ...fields
+});
+
+describe('reconciliationService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('compare', () => {
+    it('compares only fields present on both sides, amounts within a cent and codes case-insensitively', () => {
+      const { comparedFields, discrepancies } = reconciliationService.compare(
+        { amount: 100, currency: 'ngn', customerReference: 'PAT1', lineCount: undefined },
+        reconciliationService.getActualValues({ data: { total: 100.004, CUR: 'NGN ', BPCINV: 'PAT2', lines: [{}] } })
+      );
+
+      expect(comparedFields).toEqual(['amount', 'currency', 'customerReference']);
+      expect(discrepancies).toEqual([{ field: 'customerReference', expected: 'PAT1', actual: 'PAT2' }]);
+    });
+  });
+
+  describe('reconcileTransaction', () => {
+    it('checks every receivable of a split invoice against its own amount', async () => {
+      storeDocuments({
+        'INV-P': { totalAmount: 50, currency: 'NGN', customerReference: 'PAT1' },
+        'INV-S': { totalAmount: 90, currency: 'NGN', customerReference: 'HMO1' }
+      });
+
+      const result = await reconciliationService.reconcileTransaction(transaction({
+        sageX3Details: { documentReference: 'INV-P' },
+        receivables: [
+          { documentReference: 'INV-P', amount: 50, customerReference: 'PAT1' },
+          { documentReference: 'INV-S', amount: 100, customerReference: 'HMO1' }
+        ]
+      }));
+
+      expect(result.outcome).toBe('discrepancy');
+      expect(result.discrepancies).toEqual([{ field: 'amount', expected: 100, actual: 90, documentReference: 'INV-S' }]);
+    });
+
+    it('reports the worst outcome across a payment\'s receipts', async () => {
+      storeDocuments({ 'PAY-1': { amount: 30, currency: 'NGN', customerReference: 'PAT1' } });
+
+      const result = await reconciliationService.reconcileTransaction(transaction({
+        eventType: 'payment.created',
+        allocations: [
+          { documentReference: 'PAY-1', amount: 20, customerReference: 'PAT1' },
+          { documentReference: 'PAY-1', amount: 10, customerReference: 'PAT1' },
+          { documentReference: 'PAY-2', amount: 40, customerReference: 'PAT1' }
+        ]
+      }));
+
+      expect(result.outcome).toBe('missing');
+      expect(result.error).toBe('PAY-2: Document not found in Sage X3');
+    });
+
+    it('compares a single document with the transformed payload', async () => {
+      storeDocuments({ 'STK-1': { amount: 150, currency: 'NGN', items: [{}, {}] } });
+      storeTransformedPayload({ lineItems: [{}, {}] });
+
+      const result = await reconciliationService.reconcileTransaction(transaction({
+        eventType: 'stock.updated',
+        sageX3Details: { documentReference: 'STK-1', posted: true }
+      }));
+
+      expect(result).toMatchObject({ outcome: 'matched', comparedFields: ['amount', 'currency', 'lineCount'] });
+    });
+
+    it('matches a transaction with no change to send without looking it up', async () => {
+      storeDocuments({});
+
+      const result = await reconciliationService.reconcileTransaction(transaction({
+        eventType: 'stock.updated',
+        sageX3Details: { documentReference: 'evt_1', posted: false }
+      }));
+
+      expect(result).toMatchObject({ outcome: 'matched', comparedFields: [] });
+      expect(sageX3Client.getDocument).not.toHaveBeenCalled();
+    });
+
+    it('reports a posted transaction without a document reference as missing', async () => {
+      storeDocuments({});
+
+      for (const sageX3Details of [{ documentReference: 'evt_1', posted: true }, { documentReference: 'evt_1' }, undefined]) {
+        const result = await reconciliationService.reconcileTransaction(transaction({ sageX3Details }));
+
+        expect(result).toMatchObject({
+          outcome: 'missing',
+          error: 'No Sage X3 document reference recorded for this transaction'
+        });
+      }
+    });
+  });
+});
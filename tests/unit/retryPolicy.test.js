@@ -0,0 +1,107 @@
+const Event = require('../../src/models/Event');
+const AuditLog = require('../../src/models/AuditLog');
+const Configuration = require('../../src/models/Configuration');
+const { classifyError, computeRetryDelay, scheduleRetry } = require('../../src/services/retryPolicy');
+
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+const networkError = code => Object.assign(new Error(`connect ${code}`), { code });
+
+function configureRetry(overrides = {}) {
+  const configs = {
+    'retry.maxAttempts': 3,
+    'retry.delayMs': 1000,
+    'retry.exponentialBackoff': true,
+    'feature.autoRetry': true,
+    ...overrides
+  };
+  jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => configs[key] ?? defaultValue);
+}
+
+function failedEvent(errorType, retryCount = 0) {
+  const event = new Event({ eventId: 'evt_1', eventType: 'invoice.created', source: 'indigo-hms', status: 'failed', retryCount });
+  event.errors.push({ type: errorType, message: 'failed', occurredAt: new Date() });
+  jest.spyOn(event, 'save').mockResolvedValue(event);
+  return event;
+}
+
+describe('classifyError', () => {
+  it.each([
+    ['a 5xx from Sage X3', httpError(503), 'sage_api', true],
+    ['a timeout response', httpError(408), 'sage_api', true],
+    ['rate limiting', httpError(429), 'sage_api', true],
+    ['a network failure', networkError('ECONNRESET'), 'sage_api', true],
+    ['an axios timeout', new Error('timeout of 30000ms exceeded'), 'sage_api', true],
+    ['an unknown system error', new Error('Cannot read properties of undefined'), 'system', true],
+    ['a rejected document', httpError(400), 'sage_api', false],
+    ['a validation error', new Error('"amount" is required'), 'validation', false],
+    ['a transformation error', new Error('No mapping'), 'transformation', false],
+    ['a business rule error, whatever the response', httpError(503), 'business_rule', false]
+  ])('treats %s as transient: %s', (name, error, errorType, transient) => {
+    expect(classifyError(error, errorType).transient).toBe(transient);
+  });
+});
+
+describe('computeRetryDelay', () => {
+  it('doubles the delay per retry with exponential backoff, else keeps it fixed', () => {
+    const policy = { delayMs: 1000, exponentialBackoff: true };
+
+    expect([0, 1, 2].map(retryCount => computeRetryDelay(policy, retryCount))).toEqual([1000, 2000, 4000]);
+    expect(computeRetryDelay({ ...policy, exponentialBackoff: false }, 2)).toBe(1000);
+  });
+});
+
+describe('scheduleRetry', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('schedules a transient failure after the backoff delay', async () => {
+    configureRetry();
+    const event = failedEvent('sage_api', 1);
+    const before = Date.now();
+
+    const outcome = await scheduleRetry(event, httpError(502));
+
+    expect(outcome).toEqual({ action: 'scheduled', delayMs: 2000, reason: 'Sage X3 responded 502' });
+    expect(event.retryCount).toBe(2);
+    expect(event.failureClass).toBe('transient');
+    expect(event.retryScheduledFor.getTime()).toBeGreaterThanOrEqual(before + 2000);
+  });
+
+  it('dead-letters permanent failures at once', async () => {
+    configureRetry();
+    const event = failedEvent('business_rule');
+
+    const outcome = await scheduleRetry(event, new Error('Invoice was never synced'));
+
+    expect(outcome.action).toBe('dead_lettered');
+    expect(event.status).toBe('dead_lettered');
+    expect(event.failureClass).toBe('permanent');
+    expect(event.deadLetterReason).toBe('Permanent failure: business_rule error');
+    expect(AuditLog.logAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'event.failed', eventId: 'evt_1' }));
+  });
+
+  it('dead-letters transient failures once the attempts run out', async () => {
+    configureRetry({ 'retry.maxAttempts': 2 });
+    const event = failedEvent('sage_api', 2);
+
+    const outcome = await scheduleRetry(event, networkError('ETIMEDOUT'));
+
+    expect(outcome).toEqual({ action: 'dead_lettered', reason: 'Retry attempts exhausted' });
+    expect(event.deadLetterReason).toBe('Retry attempts exhausted (2): Network error (ETIMEDOUT)');
+    expect(event.retryScheduledFor).toBeUndefined();
+  });
+
+  it('only classifies the failure when automatic retry is off', async () => {
+    configureRetry({ 'feature.autoRetry': false });
+    const event = failedEvent('sage_api');
+
+    await expect(scheduleRetry(event, httpError(500))).resolves.toEqual({ action: 'none', reason: 'Automatic retry disabled' });
+    expect(event.status).toBe('failed');
+    expect(event.retryCount).toBe(0);
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../../src/queues/queueManager', () => ({
+  initializeQueues: jest.fn().mockResolvedValue({ backend: 'redis' }),
+  queueEvent: jest.fn(),
+  queueRetry: jest.fn().mockResolvedValue(),
+  releaseBlockedEvents: jest.fn().mockResolvedValue(0)
+}));
+
+const Event = require('../../src/models/Event');
+const AuditLog = require('../../src/models/AuditLog');
+const Configuration = require('../../src/models/Configuration');
+const { queueRetry } = require('../../src/queues/queueManager');
+const { runRetrySweep, getRetrySchedulerStatus } = require('../../src/queues/retryScheduler');
+
+const due = (eventId, retryCount) => ({
+  _id: `id-${eventId}`,
+  eventId,
+  eventType: 'payment.created',
+  retryCount,
+  retryScheduledFor: new Date(Date.now() - 1000)
+});
+
+describe('runRetrySweep', () => {
+  beforeEach(() => {
+    jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => defaultValue);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+    // No stranded in-flight events
+    jest.spyOn(Event, 'find').mockReturnValue({ sort() { return this; }, limit: () => Promise.resolve([]) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueRetry.mockClear();
+  });
+
+  it('claims each due failed event and queues its retry', async () => {
+    const events = [due('evt_1', 1), due('evt_2', 2)];
+    jest.spyOn(Event, 'findRetryableEvents').mockResolvedValue(events);
+    jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(async filter => events.find(event => event._id === filter._id));
+
+    await expect(runRetrySweep()).resolves.toBe(2);
+
+    expect(Event.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'id-evt_1', status: 'failed', retryScheduledFor: events[0].retryScheduledFor },
+      { $set: { status: 'received', updatedAt: expect.any(Date) }, $unset: { retryScheduledFor: 1 } },
+      { new: true }
+    );
+    expect(queueRetry.mock.calls).toEqual([['evt_1', 1], ['evt_2', 2]]);
+    expect(getRetrySchedulerStatus()).toMatchObject({ lastRunRequeued: 2, lastError: null });
+  });
+
+  it('skips events another sweep claimed first', async () => {
+    jest.spyOn(Event, 'findRetryableEvents').mockResolvedValue([due('evt_1', 1)]);
+    jest.spyOn(Event, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(runRetrySweep()).resolves.toBe(0);
+    expect(queueRetry).not.toHaveBeenCalled();
+  });
+
+  it('requeues nothing while automatic retry is off', async () => {
+    Configuration.getConfig.mockImplementation(async (key, defaultValue) => (key === 'feature.autoRetry' ? false : defaultValue));
+    jest.spyOn(Event, 'findRetryableEvents');
+
+    await expect(runRetrySweep()).resolves.toBe(0);
+    expect(Event.findRetryableEvents).not.toHaveBeenCalled();
+  });
+});
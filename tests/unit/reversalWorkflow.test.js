@@ -0,0 +1,150 @@
+jest.mock('../../src/queues/queueManager', () => ({
+  postReversal: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Transaction = require('../../src/models/Transaction');
+const Event = require('../../src/models/Event');
+const AuditLog = require('../../src/models/AuditLog');
+const ReversalRequest = require('../../src/models/ReversalRequest');
+const { postReversal } = require('../../src/queues/queueManager');
+const transactionRoutes = require('../../src/routes/transaction.routes');
+const reversalRoutes = require('../../src/routes/reversal.routes');
+
+const USERS = {
+  maker: { id: 'user-1', name: 'Maker', role: 'finance-approver' },
+  checker: { id: 'user-2', name: 'Checker', role: 'finance-approver' },
+  viewer: { id: 'user-3', name: 'Viewer', role: 'viewer' }
+};
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = USERS[req.get('x-test-user')];
+  next();
+});
+app.use('/api/v1/transactions', transactionRoutes);
+app.use('/api/v1/reversals', reversalRoutes);
+
+function storeTransaction() {
+  const transaction = new Transaction({
+    transactionId: 'txn_1',
+    eventId: 'evt_1',
+    eventType: 'invoice.created',
+    status: 'synced',
+    sageX3Details: { documentType: 'invoice', documentReference: 'SIH-1' },
+    financialData: { amount: 5000, currency: 'NGN' }
+  });
+  jest.spyOn(transaction, 'save').mockResolvedValue(transaction);
+  jest.spyOn(Transaction, 'findOne').mockResolvedValue(transaction);
+  return transaction;
+}
+
+// Keeps the request the maker stores and applies the claim's filter to it
+function storeRequests() {
+  const stored = {};
+  jest.spyOn(ReversalRequest.prototype, 'save').mockImplementation(function() {
+    stored.request = this;
+    return Promise.resolve(this);
+  });
+  jest.spyOn(ReversalRequest, 'findOpenForTransaction').mockImplementation(async () => (
+    ['pending', 'approved', 'failed'].includes(stored.request?.status) ? stored.request : null
+  ));
+  jest.spyOn(ReversalRequest, 'findByRequestId').mockImplementation(async () => stored.request || null);
+  jest.spyOn(ReversalRequest, 'claimForApproval').mockImplementation(async (requestId, user, note) => {
+    const pending = stored.request;
+    if (!['pending', 'failed'].includes(pending.status) || pending.requestedBy.userId === user.id) {
+      return null;
+    }
+    pending.status = 'approved';
+    pending.decision = { userId: user.id, userName: user.name, note, decidedAt: new Date() };
+    return pending;
+  });
+  return stored;
+}
+
+const as = (user, call) => call.set('x-test-user', user);
+const requestReversal = user => as(user, request(app).post('/api/v1/transactions/txn_1/reverse').send({ reason: 'Billed twice' }));
+const approve = (user, requestId) => as(user, request(app).post(`/api/v1/reversals/${requestId}/approve`).send({ note: 'ok' }));
+
+describe('reversal maker-checker workflow', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+    jest.spyOn(Event, 'findByEventId').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    postReversal.mockReset();
+  });
+
+  it('holds a requested reversal for approval by a different user, then posts it', async () => {
+    const transaction = storeTransaction();
+    const stored = storeRequests();
+    postReversal.mockResolvedValue({ success: true, documentReference: 'CN-1' });
+
+    const requested = await requestReversal('maker');
+
+    expect(requested.status).toBe(202);
+    expect(stored.request).toMatchObject({ status: 'pending', amount: 5000, documentReference: 'SIH-1' });
+    expect(postReversal).not.toHaveBeenCalled();
+    expect((await requestReversal('checker')).status).toBe(409);
+
+    const selfApproved = await approve('maker', stored.request.requestId);
+    expect(selfApproved.status).toBe(403);
+    expect(stored.request.status).toBe('pending');
+
+    expect((await approve('viewer', stored.request.requestId)).status).toBe(403);
+
+    const approved = await approve('checker', stored.request.requestId);
+
+    expect(approved.status).toBe(200);
+    expect(postReversal).toHaveBeenCalledWith(transaction, { reason: 'Billed twice' });
+    expect(stored.request).toMatchObject({
+      status: 'completed',
+      decision: { userId: 'user-2' },
+      result: { reversalDocumentReference: 'CN-1' }
+    });
+    expect(transaction).toMatchObject({
+      reversed: true,
+      reversalDetails: { reversedBy: 'user-1', approvedBy: 'user-2', reversalDocumentReference: 'CN-1' }
+    });
+    expect(AuditLog.logAction.mock.calls.map(([entry]) => entry.action))
+      .toEqual(['reversal.requested', 'reversal.approved', 'transaction.reversed']);
+  });
+
+  it('leaves a failed posting approvable again', async () => {
+    const transaction = storeTransaction();
+    const stored = storeRequests();
+    postReversal.mockRejectedValueOnce(new Error('X3 unavailable'))
+      .mockResolvedValueOnce({ success: true, documentReference: 'CN-1' });
+
+    await requestReversal('maker');
+    const failed = await approve('checker', stored.request.requestId);
+
+    expect(failed.status).toBe(502);
+    expect(stored.request).toMatchObject({ status: 'failed', result: { error: 'X3 unavailable' } });
+    expect(transaction.reversed).toBe(false);
+
+    expect((await approve('checker', stored.request.requestId)).status).toBe(200);
+    expect(stored.request.status).toBe('completed');
+    expect(transaction.reversed).toBe(true);
+  });
+
+  it('requires a rejection note and keeps the requester from rejecting', async () => {
+    storeTransaction();
+    const stored = storeRequests();
+    await requestReversal('maker');
+    const reject = (user, body) => as(user, request(app).post(`/api/v1/reversals/${stored.request.requestId}/reject`).send(body));
+
+    expect((await reject('checker', {})).status).toBe(400);
+    expect((await reject('maker', { note: 'No' })).status).toBe(403);
+
+    const rejected = await reject('checker', { note: 'Not a duplicate' });
+
+    expect(rejected.status).toBe(200);
+    expect(stored.request).toMatchObject({ status: 'rejected', decision: { userId: 'user-2', note: 'Not a duplicate' } });
+    expect((await approve('checker', stored.request.requestId)).status).toBe(409);
+  });
+});
@@ -0,0 +1,80 @@
+const Configuration = require('../../src/models/Configuration');
+const sponsorSplitService = require('../../src/services/sponsorSplitService');
+
+function configureRules(rules) {
+  jest.spyOn(Configuration, 'getConfig').mockResolvedValue(rules);
+}
+
+const line = (id, grossAmount, taxAmount, extra = {}) => ({
+  id,
+  type: 'drug',
+  total: grossAmount,
+  tax: { taxCode: 'VAT', netAmount: grossAmount - taxAmount, taxAmount, grossAmount },
+  ...extra
+});
+
+const options = { invoiceId: 'INV1', divisor: 100, pricesIncludeTax: true };
+
+describe('sponsorSplitService.computeSplit', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies sponsors in priority order, within their caps, and bills the patient the rest', async () => {
+    configureRules({
+      HMO1: { coveragePercent: 80, priority: 1, excludedItemTypes: ['cosmetic'] },
+      default: { coveragePercent: 100, maxAmount: 50, priority: 2 }
+    });
+
+    const split = await sponsorSplitService.computeSplit(
+      [line('1', 10000, 700), line('2', 5000, 0, { type: 'cosmetic' })],
+      [{ id: 'INS2', name: 'Insurer Two' }, { id: 'HMO1', name: 'HMO One' }],
+      options
+    );
+
+    expect(split.sponsors.map(sponsor => sponsor.sponsorId)).toEqual(['HMO1', 'INS2']);
+    expect(split.sponsors[0]).toMatchObject({
+      invoiceNumber: 'INV1-HMO1',
+      coveragePercent: 80,
+      grossAmount: 8000,
+      taxAmount: 560,
+      netAmount: 7440
+    });
+    // The default rule's 50.00 cap takes the rest of line 1, then 30.00 of line 2
+    expect(split.sponsors[1]).toMatchObject({ invoiceNumber: 'INV1-INS2', grossAmount: 5000, taxAmount: 140 });
+    expect(split.sponsors[1].items.map(item => [item.lineNumber, item.tax.grossAmount])).toEqual([[1, 2000], [2, 3000]]);
+    expect(split.patient.items.map(item => [item.lineNumber, item.tax.grossAmount])).toEqual([[2, 2000]]);
+    expect(split.patient.grossAmount + split.sponsors[0].grossAmount + split.sponsors[1].grossAmount).toBe(15000);
+  });
+
+  it('keeps each line\'s tax whole across the portions', async () => {
+    configureRules({ HMO1: { coveragePercent: 50 } });
+
+    const split = await sponsorSplitService.computeSplit([line('1', 999, 99)], [{ id: 'HMO1' }], options);
+
+    expect(split.sponsors[0].items[0].tax).toMatchObject({ grossAmount: 500, taxAmount: 50, netAmount: 450 });
+    expect(split.patient.items[0].tax).toMatchObject({ grossAmount: 499, taxAmount: 49, netAmount: 450 });
+  });
+
+  it('only covers the categories a rule lists, and uses net totals for tax-exclusive prices', async () => {
+    configureRules({ HMO1: { coveredCategories: ['Consultation'] } });
+
+    const split = await sponsorSplitService.computeSplit(
+      [line('1', 1075, 75, { categories: [{ id: 'c1', name: 'consultation' }] }), line('2', 2150, 150)],
+      [{ id: 'HMO1' }],
+      { ...options, pricesIncludeTax: false }
+    );
+
+    expect(split.sponsors[0].items).toHaveLength(1);
+    expect(split.sponsors[0].items[0]).toMatchObject({ lineNumber: 1, total: 1000 });
+    expect(split.patient.items).toHaveLength(1);
+    expect(split.patient.items[0]).toMatchObject({ lineNumber: 2, total: 2000 });
+  });
+
+  it('returns null when no sponsor has an active rule', async () => {
+    configureRules({ HMO1: { coveragePercent: 100, active: false } });
+
+    await expect(sponsorSplitService.computeSplit([line('1', 1000, 0)], [{ id: 'HMO1' }], options)).resolves.toBeNull();
+    await expect(sponsorSplitService.computeSplit([line('1', 1000, 0)], [], options)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../../src/queues/queueManager', () => ({
+  initializeQueues: jest.fn(),
+  queueEvent: jest.fn().mockResolvedValue(),
+  queueRetry: jest.fn().mockResolvedValue(),
+  releaseBlockedEvents: jest.fn().mockResolvedValue(0)
+}));
+
+const Event = require('../../src/models/Event');
+const AuditLog = require('../../src/models/AuditLog');
+const Configuration = require('../../src/models/Configuration');
+const queueManager = require('../../src/queues/queueManager');
+const { requeueStaleEvents, runRetrySweep } = require('../../src/queues/retryScheduler');
+
+const MINUTE_MS = 60 * 1000;
+
+function storeEvents(events) {
+  const query = { sort: () => query, limit: () => Promise.resolve(events) };
+  jest.spyOn(Event, 'find').mockReturnValue(query);
+}
+
+const stale = (eventId, status, minutesAgo) => ({
+  _id: `id-${eventId}`,
+  eventId,
+  eventType: 'invoice.created',
+  status,
+  updatedAt: new Date(Date.now() - minutesAgo * MINUTE_MS)
+});
+
+describe('stranded event recovery', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+    jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(async filter => ({
+      eventId: filter._id.replace('id-', ''),
+      eventType: 'invoice.created',
+      status: filter.status
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('requeues in-flight events last updated before the cutoff, claiming each by its updatedAt', async () => {
+    const events = [stale('evt_1', 'received', 30), stale('evt_2', 'transformed', 20)];
+    storeEvents(events);
+    const cutoff = new Date(Date.now() - 15 * MINUTE_MS);
+
+    await expect(requeueStaleEvents(cutoff)).resolves.toBe(2);
+
+    expect(Event.find).toHaveBeenCalledWith({
+      status: { $in: ['received', 'validated', 'transformed'] },
+      updatedAt: { $lt: cutoff }
+    });
+    expect(Event.findOneAndUpdate.mock.calls[1][0]).toEqual({
+      _id: 'id-evt_2', status: 'transformed', updatedAt: events[1].updatedAt
+    });
+    expect(queueManager.queueEvent.mock.calls).toEqual([['evt_1'], ['evt_2']]);
+    expect(AuditLog.logAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'event.requeued', eventId: 'evt_2' }));
+  });
+
+  it('leaves events another sweep or a worker touched in the meantime', async () => {
+    storeEvents([stale('evt_1', 'validated', 30)]);
+    Event.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(requeueStaleEvents(new Date())).resolves.toBe(0);
+    expect(queueManager.queueEvent).not.toHaveBeenCalled();
+  });
+
+  it('treats everything from before startup as stranded on the in-process backend', async () => {
+    storeEvents([]);
+    jest.spyOn(Event, 'findRetryableEvents').mockResolvedValue([]);
+    jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => defaultValue);
+
+    queueManager.initializeQueues.mockResolvedValue({ backend: 'memory' });
+    await runRetrySweep();
+    const memoryCutoff = Event.find.mock.calls[0][0].updatedAt.$lt;
+
+    queueManager.initializeQueues.mockResolvedValue({ backend: 'redis' });
+    await runRetrySweep();
+    const redisCutoff = Event.find.mock.calls[1][0].updatedAt.$lt;
+
+    // Shortly after startup: startup time on memory, STALE_EVENT_AFTER_MS ago (15 min by default) on Redis
+    expect(Date.now() - memoryCutoff.getTime()).toBeLessThan(MINUTE_MS);
+    expect(Date.now() - redisCutoff.getTime()).toBeGreaterThanOrEqual(15 * MINUTE_MS);
+  });
+});
@@ -0,0 +1,130 @@
+const Event = require('../../src/models/Event');
+const StockMovement = require('../../src/models/StockMovement');
+const Configuration = require('../../src/models/Configuration');
+const stockStateService = require('../../src/services/stockStateService');
+const dimensionService = require('../../src/services/dimensionService');
+const transformationService = require('../../src/services/transformationService');
+
+const priorState = (fields = {}) => ({
+  stockId: 'STK1',
+  code: 'PCM500',
+  batchId: 'B1',
+  itemId: 'ITEM1',
+  quantity: 10,
+  costPrice: 500,
+  status: 'available',
+  ...fields
+});
+
+const stockEvent = (event, data) => ({
+  event,
+  data: { id: 'STK1', timestamp: '2026-10-01T09:00:00Z', ...data }
+});
+
+async function transform(eventType, data, state = priorState()) {
+  jest.spyOn(stockStateService, 'getStockState').mockResolvedValue(state);
+  const { data: document } = await transformationService.transform(eventType, stockEvent(eventType, data), { eventId: 'evt_1' });
+  return document;
+}
+
+const lineSummary = lines => lines.map(line => [line.lineType, line.direction, line.quantity, line.unitCost]);
+
+describe('stock adjustment transformers', () => {
+  beforeEach(() => {
+    jest.spyOn(Configuration, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => defaultValue);
+    jest.spyOn(dimensionService, 'resolveStockPosting').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('posts a stock update as the quantity difference and revalues a cost change', async () => {
+    const document = await transform('stock.updated', { quantity: 7, costPrice: 600 });
+
+    expect(document).toMatchObject({ documentType: 'STK_ADJ', movementType: 'ADJUSTMENT', stockCode: 'PCM500', noChange: false });
+    expect(lineSummary(document.lines)).toEqual([
+      ['QUANTITY_ADJUSTMENT', 'OUT', 3, 6],
+      ['REVALUATION', undefined, 7, 6]
+    ]);
+    expect(document.lines[0]).toMatchObject({ previousQuantity: 10, newQuantity: 7 });
+    expect(document.lines[1]).toMatchObject({ previousUnitCost: 5, revaluationAmount: 7 });
+  });
+
+  it('flags an update that changes neither quantity nor cost as no change', async () => {
+    const document = await transform('stock.updated', { quantity: 10, costPrice: 500, expiryDate: '2027-01-01' });
+
+    expect(document).toMatchObject({ lines: [], noChange: true, expiryDate: '2027-01-01' });
+  });
+
+  it('receives an increment and corrects drift against the reported new quantity', async () => {
+    const document = await transform('stock.incremented', { quantityAdded: 5, newQuantity: 16 });
+
+    expect(document).toMatchObject({ documentType: 'STK_IN', movementType: 'RECEIPT' });
+    expect(lineSummary(document.lines)).toEqual([
+      ['RECEIPT', 'IN', 5, 5],
+      ['QUANTITY_ADJUSTMENT', 'IN', 1, 5]
+    ]);
+  });
+
+  it('quarantines what is left of a recalled batch, once', async () => {
+    const document = await transform('stock.recalled', { reason: 'Supplier recall' });
+
+    expect(document).toMatchObject({ documentType: 'STK_QUAR', fromStatus: 'A', toStatus: 'Q', noChange: false });
+    expect(lineSummary(document.lines)).toEqual([['STATUS_CHANGE', undefined, 10, 5]]);
+
+    const again = await transform('stock.recalled', { reason: 'Supplier recall' }, priorState({ status: 'quarantined' }));
+    expect(again.noChange).toBe(true);
+  });
+
+  it('writes off the remaining quantity of an archived batch from its current status', async () => {
+    const document = await transform('stock.archived', {}, priorState({ status: 'quarantined', quantity: 4 }));
+
+    expect(document).toMatchObject({ documentType: 'STK_OUT', movementType: 'WRITE_OFF', fromStatus: 'Q', reason: 'archived' });
+    expect(lineSummary(document.lines)).toEqual([['WRITE_OFF', 'OUT', 4, 5]]);
+  });
+
+  it('cannot compute an adjustment for stock that never reached X3', async () => {
+    await expect(transform('stock.updated', { quantity: 3 }, null))
+      .rejects.toThrow('Stock STK1 has no synced stock.created event; cannot compute the adjustment');
+  });
+});
+
+describe('stockStateService.getStockState', () => {
+  const synced = (eventType, data, createdAt) => ({ eventType, rawPayload: { data }, createdAt: new Date(createdAt) });
+  const chain = result => ({
+    sort: () => Promise.resolve(result),
+    select: () => Promise.resolve(result)
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('folds the record\'s synced events, then the sales and returns since its quantity was last set', async () => {
+    jest.spyOn(Event, 'find')
+      .mockReturnValueOnce(chain([
+        synced('stock.created', { id: 'STK1', code: 'PCM500', batchId: 'B1', quantity: 10, costPrice: 500 }, '2026-10-01'),
+        synced('stock.updated', { id: 'STK1', costPrice: 550 }, '2026-10-02'),
+        synced('stock.incremented', { id: 'STK1', newQuantity: 20 }, '2026-10-03')
+      ]))
+      .mockReturnValueOnce(chain([
+        synced('stock.sold', { stocks: [{ code: 'PCM500', batchId: 'B1', quantity: 6 }, { code: 'OTHER', batchId: 'B1', quantity: 9 }] }),
+        synced('stock.returned', { stocks: [{ code: 'PCM500', batchId: 'B1', quantity: 1 }] })
+      ]));
+    jest.spyOn(StockMovement, 'find').mockReturnValue(chain([{ quantity: -2 }]));
+
+    const state = await stockStateService.getStockState('STK1', { excludeEventId: 'evt_9' });
+
+    expect(state).toMatchObject({ code: 'PCM500', batchId: 'B1', costPrice: 550, status: 'available', quantity: 13 });
+    expect(Event.find.mock.calls[1][0].createdAt.$gt).toEqual(new Date('2026-10-03'));
+    expect(Event.find.mock.calls[0][0].eventId).toEqual({ $ne: 'evt_9' });
+  });
+
+  it('returns null for a record with no synced events', async () => {
+    jest.spyOn(Event, 'find').mockReturnValue(chain([]));
+
+    await expect(stockStateService.getStockState('STK1')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,249 @@
+const AuditLog = require('../../src/models/AuditLog');
+const Configuration = require('../../src/models/Configuration');
+const CrossReference = require('../../src/models/CrossReference');
+const StockBatch = require('../../src/models/StockBatch');
+const StockMovement = require('../../src/models/StockMovement');
+const StockValuation = require('../../src/models/StockValuation');
+const costingService = require('../../src/services/costingService');
+const sageX3Client = require('../../src/services/sageX3Client');
+const stockLedgerService = require('../../src/services/stockLedgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MOVEMENT_KEY = ['eventId', 'stockCode', 'batchId', 'locationId', 'movementType', 'line'];
+
+const sameBatch = (filter, entry) =>
+  (!filter.stockCode || (filter.stockCode.$in ? filter.stockCode.$in.includes(entry.stockCode) : filter.stockCode === entry.stockCode)) &&
+  (!filter.batchId || filter.batchId === entry.batchId);
+
+// Keeps batches and movements in memory, with the unique movement index enforced
+function storeLedger() {
+  const batches = [];
+  const movements = [];
+  const findBatch = filter => batches.find(batch =>
+    (filter._id ? batch._id === filter._id : true) &&
+    (filter.stockId ? batch.stockId === filter.stockId : true) &&
+    sameBatch(filter, batch)
+  );
+  const upsertBatch = (filter, update, options = {}) => {
+    let batch = findBatch(filter);
+    if (!batch && options.upsert) {
+      batch = { _id: `batch-${batches.length + 1}`, ...filter, ...update.$setOnInsert };
+      batches.push(batch);
+    }
+    if (batch) Object.assign(batch, update.$set);
+    return batch || null;
+  };
+
+  jest.spyOn(StockBatch, 'findOneAndUpdate').mockImplementation(async (filter, update, options) => upsertBatch(filter, update, options));
+  jest.spyOn(StockBatch, 'updateOne').mockImplementation(async (filter, update, options) => {
+    upsertBatch(filter, update, options);
+    return {};
+  });
+  jest.spyOn(StockBatch, 'findOne').mockImplementation(async filter => findBatch(filter) || null);
+  jest.spyOn(StockBatch, 'find').mockImplementation(filter => ({
+    sort: async () => batches.filter(batch =>
+      (!filter.status?.$ne || batch.status !== filter.status.$ne) &&
+      (typeof filter.status !== 'string' || batch.status === filter.status) &&
+      (!filter.expiryDate || (batch.expiryDate && batch.expiryDate <= filter.expiryDate.$lte)) &&
+      sameBatch(filter, batch)
+    )
+  }));
+
+  jest.spyOn(StockMovement, 'insertMany').mockImplementation(async entries => {
+    const writeErrors = [];
+    for (const entry of entries) {
+      const key = MOVEMENT_KEY.map(field => entry[field] ?? 0).join('|');
+      if (entry.eventId && movements.some(stored => MOVEMENT_KEY.map(field => stored[field] ?? 0).join('|') === key)) {
+        writeErrors.push({ code: 11000 });
+      } else {
+        movements.push({ ...entry });
+      }
+    }
+    if (writeErrors.length > 0) throw Object.assign(new Error('E11000 duplicate key'), { writeErrors });
+    return entries;
+  });
+  jest.spyOn(StockMovement, 'getOnHand').mockImplementation(async (match = {}) => {
+    const rows = new Map();
+    for (const movement of movements.filter(entry => sameBatch(match, entry) && (!match.locationId || entry.locationId === match.locationId))) {
+      const key = `${movement.stockCode}|${movement.batchId}|${movement.locationId}`;
+      const row = rows.get(key) || { stockCode: movement.stockCode, batchId: movement.batchId, locationId: movement.locationId, quantity: 0 };
+      row.locationName = movement.locationName;
+      row.quantity += movement.quantity;
+      rows.set(key, row);
+    }
+    return [...rows.values()];
+  });
+  jest.spyOn(StockMovement, 'getHistory').mockImplementation(async (stockCode, batchId) =>
+    movements.filter(movement => movement.stockCode === stockCode && movement.batchId === batchId)
+  );
+
+  return { batches, movements };
+}
+
+const stockEvent = (eventId, eventType, data) => ({
+  eventId,
+  eventType,
+  rawPayload: { data: { timestamp: '2026-10-01T09:00:00Z', ...data } },
+  transformedPayload: {},
+  syncResult: { documentReference: `X3-${eventId}` }
+});
+
+const pharmacy = { id: 'LOC-PH', name: 'Pharmacy' };
+const ward = { id: 'LOC-W1', name: 'Ward 1' };
+
+const received = (code, batchId, quantity, expiryDate) => stockEvent(`evt_${batchId}`, 'stock.created', {
+  id: `STK-${batchId}`,
+  code,
+  batchId,
+  quantity,
+  costPrice: 500,
+  expiryDate,
+  location: pharmacy,
+  supplier: { id: 'SUP1', name: 'Emzor' }
+});
+
+describe('stockLedgerService', () => {
+  beforeEach(() => {
+    jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => defaultValue);
+    jest.spyOn(StockValuation, 'findByReference').mockResolvedValue(null);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('tracks each batch per location through receipt, transfer and dispense, counting a replayed event once', async () => {
+    storeLedger();
+    const transfer = stockEvent('evt_trf', 'stock.transferred', {
+      id: 'TRF1', from: pharmacy, to: ward, stocks: [{ code: 'PCM500', batchId: 'B1', quantity: 30 }]
+    });
+    const dispense = stockEvent('evt_disp', 'stock.dispensed', {
+      id: 'DSP1', from: ward, stocks: [{ code: 'PCM500', batchId: 'B1', quantity: 4 }]
+    });
+
+    await stockLedgerService.recordEvent(received('PCM500', 'B1', 100, '2027-06-30'));
+    await stockLedgerService.recordEvent(transfer);
+    await stockLedgerService.recordEvent(dispense);
+    await stockLedgerService.recordEvent(dispense);
+
+    const history = await stockLedgerService.getBatchHistory('PCM500', 'B1');
+
+    expect(history.batch).toMatchObject({ stockId: 'STK-B1', supplier: { id: 'SUP1' }, homeLocation: { id: 'LOC-PH' } });
+    expect(history.quantityOnHand).toBe(96);
+    expect(history.onHand).toEqual([
+      { locationId: 'LOC-PH', locationName: 'Pharmacy', quantity: 70 },
+      { locationId: 'LOC-W1', locationName: 'Ward 1', quantity: 26 }
+    ]);
+    expect(history.movements.map(entry => [entry.movementType, entry.locationId, entry.quantity, entry.balanceAtLocation])).toEqual([
+      ['receipt', 'LOC-PH', 100, 100],
+      ['transfer_out', 'LOC-PH', -30, 70],
+      ['transfer_in', 'LOC-W1', 30, 30],
+      ['dispense', 'LOC-W1', -4, 26]
+    ]);
+  });
+
+  it('quarantines a recalled batch and writes off what is left when it is archived', async () => {
+    const { batches, movements } = storeLedger();
+    await stockLedgerService.recordEvent(received('PCM500', 'B1', 100, '2027-06-30'));
+    await stockLedgerService.recordEvent(stockEvent('evt_trf', 'stock.transferred', {
+      id: 'TRF1', from: pharmacy, to: ward, stocks: [{ code: 'PCM500', batchId: 'B1', quantity: 30 }]
+    }));
+
+    await stockLedgerService.recordEvent(stockEvent('evt_recall', 'stock.recalled', { id: 'STK-B1', reason: 'Supplier recall' }));
+    const recalled = await stockLedgerService.getRecalledOnHand();
+
+    expect(recalled).toEqual([expect.objectContaining({
+      stockCode: 'PCM500', batchId: 'B1', status: 'quarantined', quantityOnHand: 100, recall: expect.objectContaining({ reason: 'Supplier recall' })
+    })]);
+
+    await stockLedgerService.recordEvent(stockEvent('evt_archive', 'stock.archived', { id: 'STK-B1' }));
+
+    expect(batches[0].status).toBe('archived');
+    expect(movements.filter(entry => entry.movementType === 'write_off').map(entry => [entry.locationId, entry.quantity]))
+      .toEqual([['LOC-PH', -70], ['LOC-W1', -30]]);
+    await expect(stockLedgerService.getRecalledOnHand()).resolves.toEqual([]);
+  });
+
+  it('lists batches with stock on hand that expire within the window', async () => {
+    storeLedger();
+    const asOf = new Date('2026-10-01T00:00:00Z');
+    await stockLedgerService.recordEvent(received('PCM500', 'EXPIRED', 10, '2026-09-20T00:00:00Z'));
+    await stockLedgerService.recordEvent(received('PCM500', 'SOON', 10, '2026-10-31T00:00:00Z'));
+    await stockLedgerService.recordEvent(received('PCM500', 'LATER', 10, '2027-06-30T00:00:00Z'));
+    await stockLedgerService.recordEvent(received('PCM500', 'EMPTY', 0, '2026-10-10T00:00:00Z'));
+
+    const nearExpiry = await stockLedgerService.getNearExpiry({ asOf });
+
+    expect(nearExpiry.days).toBe(90);
+    expect(nearExpiry.batches.map(batch => [batch.batchId, batch.daysToExpiry, batch.expired])).toEqual([
+      ['EXPIRED', -11, true],
+      ['SOON', 30, false]
+    ]);
+  });
+
+  it('uses the configured near-expiry window', async () => {
+    storeLedger();
+    Configuration.getConfig.mockImplementation(async (key, defaultValue) => (key === 'stock.nearExpiryDays' ? 30 : defaultValue));
+    const asOf = new Date('2026-10-01T00:00:00Z');
+    await stockLedgerService.recordEvent(received('PCM500', 'B1', 10, new Date(asOf.getTime() + 45 * DAY_MS).toISOString()));
+
+    await expect(stockLedgerService.getNearExpiry({ asOf })).resolves.toMatchObject({ days: 30, batches: [] });
+  });
+
+  describe('writeOffExpired', () => {
+    const asOf = new Date('2026-10-01T00:00:00Z');
+
+    beforeEach(() => {
+      jest.spyOn(CrossReference, 'resolveMany').mockResolvedValue(new Map([['LOC-PH', 'SITE-PH']]));
+      jest.spyOn(costingService, 'valueOutflow').mockImplementation(async (reference, lines) => ({
+        method: 'fifo',
+        totalCost: lines.reduce((sum, line) => sum + line.quantity * 5, 0),
+        lines: lines.map(line => ({ line: line.line, unitCost: 5, totalCost: line.quantity * 5 })),
+        save: jest.fn().mockResolvedValue()
+      }));
+      jest.spyOn(costingService, 'cancelValuation').mockResolvedValue();
+    });
+
+    it('posts one X3 write-off per expired batch with a line per location, then books it in the ledger', async () => {
+      const { movements } = storeLedger();
+      await stockLedgerService.recordEvent(received('PCM500', 'B1', 10, '2026-09-20T00:00:00Z'));
+      await stockLedgerService.recordEvent(stockEvent('evt_trf', 'stock.transferred', {
+        id: 'TRF1', from: pharmacy, to: ward, stocks: [{ code: 'PCM500', batchId: 'B1', quantity: 4 }]
+      }));
+      const postStockMovement = jest.spyOn(sageX3Client, 'postStockMovement').mockResolvedValue({ success: true, documentReference: 'WO-1' });
+
+      const preview = await stockLedgerService.writeOffExpired({ asOf, dryRun: true });
+      expect(preview.writtenOff.map(batch => batch.quantityOnHand)).toEqual([10]);
+      expect(postStockMovement).not.toHaveBeenCalled();
+
+      const summary = await stockLedgerService.writeOffExpired({ asOf }, { id: 'user-1', name: 'Ada' });
+
+      expect(postStockMovement).toHaveBeenCalledWith(expect.objectContaining({
+        movementType: 'WRITE_OFF',
+        issueType: 'EXPIRY',
+        totalCost: 50,
+        lines: [
+          expect.objectContaining({ location: 'SITE-PH', quantity: 6, unitCost: 5, value: 30 }),
+          expect.objectContaining({ location: 'LOC-W1', quantity: 4, unitCost: 5, value: 20 })
+        ]
+      }));
+      expect(summary).toMatchObject({ failed: [], writtenOff: [{ batchId: 'B1', totalCost: 50, documentReference: 'WO-1' }] });
+      expect(movements.filter(entry => entry.movementType === 'write_off').map(entry => [entry.locationId, entry.quantity, entry.documentReference]))
+        .toEqual([['LOC-PH', -6, 'WO-1'], ['LOC-W1', -4, 'WO-1']]);
+      expect(AuditLog.logAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'stock.written_off' }));
+    });
+
+    it('leaves a batch on hand and releases its valuation when X3 rejects the write-off', async () => {
+      const { movements } = storeLedger();
+      await stockLedgerService.recordEvent(received('PCM500', 'B1', 10, '2026-09-20T00:00:00Z'));
+      jest.spyOn(sageX3Client, 'postStockMovement').mockRejectedValue(new Error('Period closed'));
+
+      const summary = await stockLedgerService.writeOffExpired({ asOf });
+
+      expect(summary).toMatchObject({ writtenOff: [], failed: [{ stockCode: 'PCM500', batchId: 'B1', error: 'Period closed' }] });
+      expect(costingService.cancelValuation).toHaveBeenCalledWith(`expiry:PCM500:B1:${asOf.toISOString()}`);
+      expect(movements.some(entry => entry.movementType === 'write_off')).toBe(false);
+    });
+  });
+});
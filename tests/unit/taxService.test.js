@@ -0,0 +1,93 @@
+const Configuration = require('../../src/models/Configuration');
+const CrossReference = require('../../src/models/CrossReference');
+const taxService = require('../../src/services/taxService');
+const { BusinessRuleError } = require('../../src/utils/errors');
+
+const TAX_CODES = {
+  VAT: { rate: 7.5, x3Code: 'NGVAT' },
+  EXEMPT: { rate: 0 }
+};
+
+function configure({ pricingMode = 'inclusive', assignment = {}, overrides = new Map() } = {}) {
+  const configs = {
+    'tax.codes': TAX_CODES,
+    'tax.assignment': { byItemType: { service: 'EXEMPT' }, default: 'VAT', ...assignment },
+    'tax.pricingMode': pricingMode
+  };
+  jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => configs[key] ?? defaultValue);
+  jest.spyOn(CrossReference, 'resolveMany').mockResolvedValue(overrides);
+}
+
+const item = (id, total, extra = {}) => ({ id, total, type: 'product', ...extra });
+
+describe('taxService.computeDocument', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('extracts tax from tax-inclusive line totals', async () => {
+    configure({ pricingMode: 'inclusive' });
+
+    const result = await taxService.computeDocument([item('1', 10750)]);
+
+    expect(result.pricesIncludeTax).toBe(true);
+    expect(result.items[0].tax).toMatchObject({
+      taxCode: 'VAT',
+      x3TaxCode: 'NGVAT',
+      rate: 7.5,
+      netAmount: 10000,
+      taxAmount: 750,
+      grossAmount: 10750
+    });
+    expect(result).toMatchObject({ netAmount: 10000, taxAmount: 750, grossAmount: 10750, roundingDifference: 0 });
+  });
+
+  it('adds tax on top of tax-exclusive line totals', async () => {
+    configure({ pricingMode: 'exclusive' });
+
+    const result = await taxService.computeDocument([item('1', 10000)]);
+
+    expect(result.pricesIncludeTax).toBe(false);
+    expect(result.items[0].tax).toMatchObject({ netAmount: 10000, taxAmount: 750, grossAmount: 10750 });
+  });
+
+  it('assigns codes by item override, then category, then item type, then default', async () => {
+    configure({
+      assignment: { byCategory: { vaccines: 'EXEMPT' } },
+      overrides: new Map([['SKU-9', 'EXEMPT']])
+    });
+
+    const result = await taxService.computeDocument([
+      item('1', 1000, { variant: { sku: 'SKU-9' } }),
+      item('2', 1000, { categories: [{ id: 'c1', name: 'Vaccines' }] }),
+      item('3', 1000, { type: 'service' }),
+      item('4', 1075)
+    ]);
+
+    expect(result.items.map(line => line.tax.taxCode)).toEqual(['EXEMPT', 'EXEMPT', 'EXEMPT', 'VAT']);
+    expect(CrossReference.resolveMany).toHaveBeenCalledWith('taxCode', ['1', 'SKU-9', '2', '3', '4'], { wildcard: false });
+    expect(result.summary.map(entry => [entry.taxCode, entry.grossAmount])).toEqual([['EXEMPT', 3000], ['VAT', 1075]]);
+  });
+
+  it('reports the difference between line tax and tax on the code total', async () => {
+    configure({ pricingMode: 'exclusive' });
+
+    const result = await taxService.computeDocument([item('1', 100), item('2', 100), item('3', 100)]);
+
+    // 7.5 rounds up to 8 on each line; 22.5 rounds up to 23 on the total
+    expect(result.taxAmount).toBe(24);
+    expect(result.summary[0]).toMatchObject({ taxAmount: 24, headerTaxAmount: 23, roundingDifference: -1 });
+    expect(result.roundingDifference).toBe(-1);
+  });
+
+  it('rejects lines without a configured tax code', async () => {
+    configure({ assignment: { default: undefined, byItemType: { service: 'UNKNOWN' } } });
+
+    const computing = taxService.computeDocument([item('1', 1000), item('2', 1000, { type: 'service' })]);
+
+    await expect(computing).rejects.toThrow(BusinessRuleError);
+    await expect(computing).rejects.toMatchObject({
+      details: { unknownTaxCodes: ['(none) for item 1', 'UNKNOWN for item 2'] }
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const Configuration = require('../../src/models/Configuration');
+const webhookSecretService = require('../../src/services/webhookSecretService');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+const entry = (id, value, active = true) => ({
+  key: `webhook.signingSecrets.${id}`,
+  active,
+  getValue: () => {
+    if (value instanceof Error) throw value;
+    return value;
+  }
+});
+
+function storeEntries(entries) {
+  jest.spyOn(Configuration, 'find').mockReturnValue({ sort: () => Promise.resolve(entries) });
+}
+
+describe('webhookSecretService.getValidSecrets', () => {
+  const envSecret = process.env.SVIX_WEBHOOK_SECRET;
+
+  beforeEach(() => {
+    webhookSecretService.clearCache();
+    process.env.SVIX_WEBHOOK_SECRET = 'whsec_env';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (envSecret === undefined) {
+      delete process.env.SVIX_WEBHOOK_SECRET;
+    } else {
+      process.env.SVIX_WEBHOOK_SECRET = envSecret;
+    }
+  });
+
+  it('accepts active and staged secrets, and previous ones until their grace ends', async () => {
+    const graceUntil = new Date(NOW.getTime() + HOUR_MS);
+    storeEntries([
+      entry('s4', { status: 'next', secret: 'whsec_next' }),
+      entry('s3', { status: 'active', secret: 'whsec_active' }),
+      entry('s2', { status: 'previous', secret: 'whsec_previous', graceUntil }),
+      entry('s1', { status: 'previous', secret: 'whsec_expired', graceUntil: new Date(NOW.getTime() - HOUR_MS) }),
+      entry('s0', { status: 'retired', secret: 'whsec_retired' }),
+      entry('old', { status: 'active', secret: 'whsec_inactive' }, false)
+    ]);
+
+    const secrets = await webhookSecretService.getValidSecrets(NOW);
+
+    expect(secrets).toEqual([
+      { id: 's4', status: 'next', secret: 'whsec_next', validUntil: undefined },
+      { id: 's3', status: 'active', secret: 'whsec_active', validUntil: undefined },
+      { id: 's2', status: 'previous', secret: 'whsec_previous', validUntil: graceUntil }
+    ]);
+  });
+
+  it('falls back to SVIX_WEBHOOK_SECRET while no active secret is stored', async () => {
+    storeEntries([]);
+
+    await expect(webhookSecretService.getValidSecrets(NOW)).resolves.toEqual([
+      { id: 'env', status: 'active', secret: 'whsec_env' }
+    ]);
+  });
+
+  it('skips secrets that cannot be decrypted', async () => {
+    storeEntries([
+      entry('s2', new Error('No configured encryption key decrypts this legacy value')),
+      entry('s1', { status: 'next', secret: 'whsec_next' })
+    ]);
+
+    const secrets = await webhookSecretService.getValidSecrets(NOW);
+
+    expect(secrets.map(secret => secret.id)).toEqual(['s1', 'env']);
+  });
+
+  it('serves cached secrets and drops previous ones once their grace ends', async () => {
+    const graceUntil = new Date(NOW.getTime() + HOUR_MS);
+    storeEntries([
+      entry('s2', { status: 'active', secret: 'whsec_active' }),
+      entry('s1', { status: 'previous', secret: 'whsec_previous', graceUntil })
+    ]);
+
+    await webhookSecretService.getValidSecrets(NOW);
+    const later = await webhookSecretService.getValidSecrets(new Date(graceUntil.getTime() + 1));
+
+    expect(Configuration.find).toHaveBeenCalledTimes(1);
+    expect(later.map(secret => secret.id)).toEqual(['s2']);
+  });
+});
@@ -0,0 +1,136 @@
+const { Webhook } = require('svix');
+const AuditLog = require('../../src/models/AuditLog');
+const Configuration = require('../../src/models/Configuration');
+const WebhookReceipt = require('../../src/models/WebhookReceipt');
+const webhookSecretService = require('../../src/services/webhookSecretService');
+const webhookSecurityService = require('../../src/services/webhookSecurityService');
+
+const SECRET = `whsec_${Buffer.from('webhook-security-test-secret').toString('base64')}`;
+const NOW = Date.parse('2026-10-01T09:00:00Z');
+const BODY = JSON.stringify({ event: 'invoice.created', data: { id: 'INV1' } });
+
+function signed(svixId, timestamp, body = BODY) {
+  return {
+    'svix-id': svixId,
+    'svix-timestamp': String(timestamp),
+    'svix-signature': new Webhook(SECRET).sign(svixId, new Date(timestamp * 1000), body)
+  };
+}
+
+// Remembers deliveries like the unique (svixId, svixTimestamp) index
+function storeReceipts() {
+  const seen = new Set();
+  return jest.spyOn(WebhookReceipt, 'recordDelivery').mockImplementation(async (svixId, svixTimestamp) => {
+    const key = `${svixId}:${svixTimestamp}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+describe('webhookSecurityService', () => {
+  let config;
+
+  beforeEach(() => {
+    config = {};
+    webhookSecurityService.resetCounters();
+    jest.spyOn(Configuration, 'getConfig').mockImplementation(async (key, defaultValue) => config[key] ?? defaultValue);
+    jest.spyOn(webhookSecretService, 'getValidSecrets').mockResolvedValue([{ id: 's1', status: 'active', secret: SECRET }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a signed delivery inside the window and remembers it for twice the tolerance', async () => {
+    const recordDelivery = storeReceipts();
+    const timestamp = NOW / 1000 - 120;
+
+    const accepted = await webhookSecurityService.verifyDelivery(BODY, signed('msg_1', timestamp), { sourceIp: '10.0.0.5', now: NOW });
+
+    expect(accepted).toEqual({ payload: JSON.parse(BODY), secretId: 's1' });
+    expect(recordDelivery).toHaveBeenCalledWith('msg_1', timestamp, 600, '10.0.0.5');
+  });
+
+  it('rejects timestamps outside the configured window, in either direction', async () => {
+    storeReceipts();
+    config['webhook.timestampTolerance'] = 60;
+
+    const stale = await webhookSecurityService.verifyDelivery(BODY, signed('msg_1', NOW / 1000 - 61), { now: NOW });
+    const future = await webhookSecurityService.verifyDelivery(BODY, signed('msg_2', NOW / 1000 + 90), { now: NOW });
+
+    expect(stale).toEqual({
+      reason: 'stale',
+      message: 'Webhook timestamp outside the allowed window',
+      details: { skewSeconds: 61, toleranceSeconds: 60 }
+    });
+    expect(future).toMatchObject({ reason: 'stale', details: { skewSeconds: -90 } });
+    expect(WebhookReceipt.recordDelivery).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the default tolerance when the configured one is unusable', async () => {
+    config['webhook.timestampTolerance'] = 'soon';
+
+    await expect(webhookSecurityService.getToleranceSeconds()).resolves.toBe(300);
+  });
+
+  it('rejects a second copy of the same delivery as a replay', async () => {
+    storeReceipts();
+    const headers = signed('msg_1', NOW / 1000);
+
+    await webhookSecurityService.verifyDelivery(BODY, headers, { now: NOW });
+    const replayed = await webhookSecurityService.verifyDelivery(BODY, headers, { now: NOW + 5000 });
+
+    expect(replayed).toEqual({ reason: 'replay', message: 'Webhook delivery already received', details: {} });
+  });
+
+  it('rejects tampered bodies and missing headers before touching the replay cache', async () => {
+    storeReceipts();
+    const headers = signed('msg_1', NOW / 1000);
+
+    await expect(webhookSecurityService.verifyDelivery(BODY.replace('INV1', 'INV2'), headers, { now: NOW }))
+      .resolves.toMatchObject({ reason: 'bad_signature' });
+    await expect(webhookSecurityService.verifyDelivery(BODY, { 'svix-id': 'msg_1' }, { now: NOW }))
+      .resolves.toMatchObject({ reason: 'missing_headers' });
+    expect(WebhookReceipt.recordDelivery).not.toHaveBeenCalled();
+  });
+
+  it('counts rejections and audits them under the security category', async () => {
+    const logAction = jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+    const headers = signed('msg_1', NOW / 1000 - 900);
+    const request = { headers, ipAddress: '10.0.0.5', userAgent: 'Svix-Webhooks/1.0' };
+
+    await webhookSecurityService.recordRejection(
+      webhookSecurityService.rejection('stale', { skewSeconds: 900, toleranceSeconds: 300 }),
+      request
+    );
+    await webhookSecurityService.recordRejection(webhookSecurityService.rejection('not_configured'), request);
+
+    expect(logAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'webhook.rejected',
+      actor: { type: 'webhook', ipAddress: '10.0.0.5', userAgent: 'Svix-Webhooks/1.0' },
+      details: { reason: 'stale', svixId: 'msg_1', svixTimestamp: headers['svix-timestamp'], skewSeconds: 900, toleranceSeconds: 300 },
+      result: { status: 'failure', message: 'Webhook timestamp outside the allowed window' },
+      category: 'security',
+      severity: 'warning'
+    }));
+    expect(logAction).toHaveBeenLastCalledWith(expect.objectContaining({ severity: 'critical' }));
+
+    const status = await webhookSecurityService.getStatus();
+    expect(status).toMatchObject({
+      toleranceSeconds: 300,
+      rejections: { stale: 1, not_configured: 1, replay: 0 },
+      totalRejected: 2,
+      lastRejection: { reason: 'not_configured', ipAddress: '10.0.0.5' }
+    });
+  });
+
+  it('still counts a rejection when the audit write fails', async () => {
+    jest.spyOn(AuditLog, 'logAction').mockRejectedValue(new Error('connection lost'));
+
+    await expect(webhookSecurityService.recordRejection(webhookSecurityService.rejection('replay'), { headers: {} }))
+      .resolves.toBeUndefined();
+
+    await expect(webhookSecurityService.getStatus()).resolves.toMatchObject({ rejections: { replay: 1 }, totalRejected: 1 });
+  });
+});